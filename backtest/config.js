@@ -0,0 +1,66 @@
+/**
+ * 回测配置
+ *
+ * 读取与各 Function 相同的环境变量和默认值，保证回测参数与线上一致
+ */
+
+const { HYPERLIQUID } = require('../shared/constants');
+const { parseStopPolicies } = require('../shared/stop-management');
+
+function loadBacktestConfig(env = process.env, overrides = {}) {
+  const config = {
+    symbol: (env.TRADING_SYMBOL || 'BTCUSDT').trim().toUpperCase(),
+    entryTimeframe: (env.ENTRY_TIMEFRAME || '4h').trim().toLowerCase(),
+    htfTargets: (env.HTF_TARGETS || '1w,1d').split(',').map(tf => tf.trim()).filter(Boolean),
+
+    // 模拟 5 分钟调度的步长（越小越接近线上，越慢）
+    stepTimeframe: env.BACKTEST_STEP_TIMEFRAME || '15m',
+    initialBalance: parseFloat(env.INITIAL_BALANCE) || 10000,
+    fundingRate: env.BACKTEST_FUNDING_RATE !== undefined
+      ? parseFloat(env.BACKTEST_FUNDING_RATE)
+      : HYPERLIQUID.FUNDING.DEFAULT_RATE,
+
+    // Scanner
+    swingLength: parseInt(env.OB_SWING_LENGTH) || 10,
+    volumeLookback: parseInt(env.VOLUME_LOOKBACK) || 20,
+    volumeMethod: (env.VOLUME_METHOD || 'percentile').trim().toLowerCase(),
+    volumeParam: parseInt(env.VOLUME_PARAM) || 70,
+    atrPeriod: parseInt(env.ATR_PERIOD) || 10,
+    maxATRMultiplier: parseFloat(env.MAX_ATR_MULTIPLIER) || 3.5,
+    lookbackCandles: parseInt(env.LOOKBACK_CANDLES) || 100,
+    ignoreWeekendOBs: env.IGNORE_WEEKEND_OBS !== 'false',
+    invalidationMethod: env.OB_INVALIDATION_METHOD === 'close' ? 'close' : 'wick',
+
+    // Entry Monitor
+    leverage: parseInt(env.LEVERAGE) || 2,
+    riskPercent: parseFloat(env.RISK_PER_TRADE) || 1.0,
+    maxAdditions: parseInt(env.MAX_ADDITIONS) || 1,
+    scaleDownFactor: parseFloat(env.SCALE_DOWN_FACTOR) || 0.5,
+    minProfitForAddition: parseFloat(env.MIN_PROFIT_FOR_ADDITION) || 1.5,
+    requireHighConfidence: env.REQUIRE_HIGH_CONFIDENCE === 'true',
+    maxDeviationForMarket: parseFloat(env.MAX_DEVIATION_MARKET) || 0.8,
+    maxDeviationForLimit: parseFloat(env.MAX_DEVIATION_LIMIT) || 2.0,
+    limitOrderWaitTime: parseInt(env.LIMIT_ORDER_WAIT_TIME) || 240,
+    limitPriceAdjustment: parseFloat(env.LIMIT_PRICE_ADJUSTMENT) || 0.2,
+    maxOBAgeMinutes: parseInt(env.MAX_OB_AGE_MINUTES) || 60,
+    atrMultiplier: parseFloat(env.STOP_LOSS_ATR_MULTIPLIER) || 0,
+    stopLossATRPeriod: parseInt(env.STOP_LOSS_ATR_PERIOD) || 14,
+
+    // Position Monitor
+    stopPolicies: parseStopPolicies(env.STOP_POLICIES || (env.USE_TRAILING_STOP !== 'false' ? 'atr' : '')),
+    breakEvenTriggerR: parseFloat(env.BREAKEVEN_TRIGGER_R) || 1,
+    chandelierMultiplier: parseFloat(env.CHANDELIER_ATR_MULTIPLIER) || 3,
+    structureSwingLength: parseInt(env.STRUCTURE_SWING_LENGTH) || 3,
+    stopBufferATR: parseFloat(env.STOP_BUFFER_ATR) || 0.1,
+    trailingStopTrigger: parseFloat(env.TRAILING_STOP_TRIGGER) || 5,
+    trailingStopMultiplier: parseFloat(env.TRAILING_STOP_ATR_MULTIPLIER) || 2.5,
+    trailingATRPeriod: parseInt(env.TRAILING_ATR_PERIOD) || 14,
+    minReversalOBAge: parseFloat(env.MIN_REVERSAL_OB_AGE) || 8,
+    liquidationWarningPercent: 5,
+    liquidationEmergencyPercent: 2
+  };
+
+  return { ...config, ...overrides };
+}
+
+module.exports = { loadBacktestConfig };
@@ -0,0 +1,626 @@
+/**
+ * 事件驱动回测引擎
+ *
+ * 按步长 K 线（默认 15m）逐根回放，每一步依次执行：
+ *   交易所撮合（止损 / 限价单 / 强平）→ Scanner → Entry Monitor → Position Monitor
+ * OB 检测和入场 / 出场判断直接调用线上使用的函数，不做重新实现。
+ */
+
+const { ATR } = require('technicalindicators');
+const { findPotentialOrderBlocks, detectClosedCandles } = require('../shared/ob-detector');
+const {
+  getOBAgeMinutes,
+  checkAdditionEligibility,
+  calculateEntrySize,
+  planEntryOrder,
+  calculateStopLoss,
+  shouldTakeProfit,
+  shouldExitOnReversal,
+  getLiquidationDistancePercent
+} = require('../shared/strategy');
+const { computeStopUpdate } = require('../shared/stop-management');
+const { SIDE, OB_TYPE, EXIT_REASON, TIMEFRAME_MS } = require('../shared/constants');
+const { getFallbackMarketConfig } = require('../shared/market-meta');
+const SimulatedExchange = require('./simulated-exchange');
+const { computeSummary } = require('./stats');
+
+/**
+ * 周末判断（与 scanner 的周末过滤规则相同）
+ */
+function isWeekendTime(timestamp) {
+  const date = new Date(timestamp);
+  const dayOfWeek = date.getUTCDay();
+  const utcHour = date.getUTCHours();
+
+  return (dayOfWeek === 5 && utcHour >= 22) || dayOfWeek === 6 || dayOfWeek === 0;
+}
+
+class BacktestEngine {
+  constructor(config, log = () => {}) {
+    this.config = config;
+    this.log = log;
+    this.marketConfig = getFallbackMarketConfig(config.symbol);
+
+    this.exchange = new SimulatedExchange({
+      initialBalance: config.initialBalance,
+      leverage: config.leverage,
+      fundingRate: config.fundingRate
+    });
+
+    this.obs = [];
+    this.obKeys = new Set();
+    this.detectorCheckpoint = null;
+    this.position = null;
+    this.pendingEntry = null;
+    this.trades = [];
+    this.equityCurve = [];
+    this.counters = { obsDetected: 0, weekendOBs: 0, expiredOBs: 0, skippedDeviation: 0, limitNotFilled: 0 };
+
+    this.nextId = 1;
+  }
+
+  /**
+   * 运行回测
+   * @param {Object} data - { entryKlines, stepKlines, htfKlines: { '1d': [...], '1w': [...] } }
+   */
+  run({ entryKlines, stepKlines, htfKlines = {} }) {
+    const { config } = this;
+    const stepMs = TIMEFRAME_MS[config.stepTimeframe];
+    const entryMs = TIMEFRAME_MS[config.entryTimeframe];
+
+    if (!stepMs || !entryMs) {
+      throw new Error(`Unsupported timeframe: ${config.stepTimeframe} / ${config.entryTimeframe}`);
+    }
+
+    if (stepMs > entryMs) {
+      throw new Error('Step timeframe must not be larger than entry timeframe');
+    }
+
+    const htfClosedCount = {};
+    let entryClosedCount = 0;
+    let entryIdx = 0;
+    let forming = null;
+    let lastPrice = null;
+
+    for (const step of stepKlines) {
+      const now = step.timestamp.getTime() + stepMs;
+      lastPrice = step.close;
+
+      // 定位当前步所在的入场周期 K 线
+      while (entryIdx + 1 < entryKlines.length && entryKlines[entryIdx + 1].timestamp.getTime() < now) {
+        entryIdx++;
+        forming = null;
+      }
+
+      const entryCandle = entryKlines[entryIdx];
+      if (!entryCandle || entryCandle.timestamp.getTime() >= now) continue;
+
+      // 1️⃣ 交易所：止损 / 限价单 / 强平
+      this._handleExchangeEvents(this.exchange.processBar(step), now);
+
+      // 聚合当前未收盘的入场周期 K 线（用于 OB 失效判断和入场 / 持仓监控）
+      if (!forming || forming.timestamp.getTime() !== entryCandle.timestamp.getTime()) {
+        forming = {
+          timestamp: entryCandle.timestamp,
+          open: step.open,
+          high: step.high,
+          low: step.low,
+          close: step.close,
+          volume: step.volume
+        };
+      } else {
+        forming.high = Math.max(forming.high, step.high);
+        forming.low = Math.min(forming.low, step.low);
+        forming.close = step.close;
+        forming.volume += step.volume;
+      }
+
+      const isEntryClosed = entryCandle.timestamp.getTime() + entryMs <= now;
+      const latest = isEntryClosed ? entryCandle : forming;
+
+      if (entryIdx + 1 < config.lookbackCandles) continue;
+
+      const window = entryKlines
+        .slice(entryIdx - config.lookbackCandles + 1, entryIdx)
+        .concat([latest]);
+
+      // 2️⃣ Scanner：与线上相同，只在入场周期 K 线收盘后增量检测
+      const closedCount = isEntryClosed ? entryIdx + 1 : entryIdx;
+      if (closedCount !== entryClosedCount) {
+        this._scanEntryTimeframe(entryKlines.slice(Math.max(0, closedCount - config.lookbackCandles), closedCount), now);
+        entryClosedCount = closedCount;
+      }
+
+      for (const tf of config.htfTargets) {
+        const candles = htfKlines[tf] || [];
+        const tfMs = TIMEFRAME_MS[tf];
+        let count = htfClosedCount[tf] || 0;
+
+        while (count < candles.length && candles[count].timestamp.getTime() + tfMs <= now) {
+          count++;
+        }
+
+        if (count !== htfClosedCount[tf]) {
+          this._scanHigherTimeframe(tf, candles.slice(Math.max(0, count - config.lookbackCandles), count), now, !htfClosedCount[tf]);
+          htfClosedCount[tf] = count;
+        }
+      }
+
+      this._invalidateOBs(latest, now);
+
+      // 3️⃣ Entry Monitor
+      if (!this.pendingEntry) {
+        this._evaluateEntry(step.close, now, window);
+      }
+
+      // 4️⃣ Position Monitor
+      this._monitorPosition(step.close, now, window);
+
+      this.equityCurve.push({
+        time: new Date(now).toISOString(),
+        equity: this.exchange.getBalance(step.close),
+        cash: this.exchange.cash
+      });
+    }
+
+    // 回测结束仍有持仓 → 按最后价格平仓
+    if (this.position && lastPrice) {
+      const end = stepKlines[stepKlines.length - 1].timestamp.getTime() + stepMs;
+      this._closePosition(EXIT_REASON.END, lastPrice, end);
+    }
+
+    return {
+      config,
+      trades: this.trades,
+      equityCurve: this.equityCurve,
+      summary: {
+        ...computeSummary(this.trades, this.equityCurve, config.initialBalance),
+        ...this.counters
+      }
+    };
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Scanner
+  // ═════════════════════════════════════════════════════════════════════════
+
+  _atr(window) {
+    const atrValues = ATR.calculate({
+      high: window.map(k => k.high),
+      low: window.map(k => k.low),
+      close: window.map(k => k.close),
+      period: this.config.atrPeriod
+    });
+
+    return atrValues.length > 0 ? atrValues[atrValues.length - 1] : null;
+  }
+
+  _detect(window) {
+    const { config } = this;
+
+    const { bullishOBs, bearishOBs } = findPotentialOrderBlocks(
+      window,
+      config.swingLength,
+      config.volumeLookback,
+      config.volumeMethod,
+      config.volumeParam,
+      config.maxATRMultiplier,
+      this._atr(window)
+    );
+
+    return [...bullishOBs, ...bearishOBs];
+  }
+
+  /**
+   * 入场周期：从 checkpoint 继续处理新收盘的 K 线（同 scanner 的 detectClosedCandles）
+   * @param {Array} closedWindow - 最近 lookbackCandles 根已收盘 K 线
+   */
+  _scanEntryTimeframe(closedWindow, now) {
+    const { config } = this;
+
+    const detection = detectClosedCandles(closedWindow, this.detectorCheckpoint, {
+      swingLength: config.swingLength,
+      volumeLookback: config.volumeLookback,
+      volumeMethod: config.volumeMethod,
+      volumeParam: config.volumeParam,
+      maxATRMultiplier: config.maxATRMultiplier,
+      atr: this._atr(closedWindow)
+    });
+    this.detectorCheckpoint = detection.checkpoint;
+
+    const newOBs = detection.orderBlocks.filter(ob => ob.isValid);
+
+    for (const ob of newOBs) {
+      const key = `${config.entryTimeframe}|${ob.type}|${ob.confirmationCandle.timestamp.getTime()}`;
+      if (this.obKeys.has(key)) continue;
+      this.obKeys.add(key);
+
+      if (config.entryTimeframe === '4h' && config.ignoreWeekendOBs && isWeekendTime(ob.confirmationCandle.timestamp)) {
+        this.counters.weekendOBs++;
+        continue;
+      }
+
+      this.obs.push(this._toOBDocument(ob, config.entryTimeframe, now));
+      this.counters.obsDetected++;
+    }
+  }
+
+  _scanHigherTimeframe(tf, candles, now, bootstrap) {
+    if (candles.length <= this.config.swingLength) return;
+
+    const latestIndex = candles.length - 1;
+    const useWick = this.config.invalidationMethod === 'wick';
+
+    for (const ob of this._detect(candles)) {
+      if (!ob.isValid) continue;
+      if (!bootstrap && ob.creationIndex < latestIndex - 2) continue;
+
+      const key = `${tf}|${ob.type}|${ob.confirmationCandle.timestamp.getTime()}`;
+      if (this.obKeys.has(key)) continue;
+      this.obKeys.add(key);
+
+      // 首次扫描时跳过历史上已被突破的 OB
+      const brokenSince = candles.slice(ob.creationIndex + 1).some(c =>
+        ob.type === OB_TYPE.BULLISH
+          ? (useWick ? c.low : c.close) < ob.low
+          : (useWick ? c.high : c.close) > ob.high
+      );
+      if (brokenSince) continue;
+
+      this.obs.push({
+        ...this._toOBDocument(ob, tf, now),
+        isProcessed: true,
+        processedReason: 'htf_target'
+      });
+    }
+  }
+
+  _toOBDocument(ob, timeframe, now) {
+    return {
+      $id: `OB-${this.nextId++}`,
+      symbol: this.config.symbol,
+      timeframe,
+      type: ob.type,
+      top: ob.high,
+      bottom: ob.low,
+      confirmationTime: ob.confirmationCandle.timestamp.toISOString(),
+      obCandleTime: ob.obCandle.timestamp.toISOString(),
+      createdAt: new Date(now).toISOString(),
+      breakoutPrice: ob.confirmationCandle.close,
+      confirmationCandleClose: ob.confirmationCandle.close,
+      confidence: ob.confidence,
+      volume: ob.volume,
+      isActive: true,
+      isBroken: false,
+      isProcessed: false
+    };
+  }
+
+  _invalidateOBs(latest, now) {
+    const useWick = this.config.invalidationMethod === 'wick';
+
+    for (const ob of this.obs) {
+      if (!ob.isActive) continue;
+
+      const isBroken = ob.type === OB_TYPE.BULLISH
+        ? (useWick ? latest.low : latest.close) < ob.bottom
+        : (useWick ? latest.high : latest.close) > ob.top;
+
+      if (isBroken) {
+        ob.isActive = false;
+        ob.isBroken = true;
+        ob.brokenAt = new Date(now).toISOString();
+        ob.brokenPrice = latest.close;
+      }
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Entry Monitor
+  // ═════════════════════════════════════════════════════════════════════════
+
+  _evaluateEntry(currentPrice, now, window) {
+    const { config } = this;
+
+    const candidates = this.obs
+      .filter(ob => ob.isActive && !ob.isProcessed)
+      .sort((a, b) => new Date(b.confirmationTime) - new Date(a.confirmationTime))
+      .slice(0, 5);
+
+    if (candidates.length === 0) return;
+
+    const balance = this.exchange.getBalance(currentPrice);
+    if (balance < 10) return;
+
+    let selectedOB = null;
+    let action = null;
+
+    for (const ob of candidates) {
+      if (getOBAgeMinutes(ob, now) > config.maxOBAgeMinutes) {
+        this._markProcessed(ob, 'expired_max_age', currentPrice, now);
+        this.counters.expiredOBs++;
+        continue;
+      }
+
+      if (config.requireHighConfidence && ob.confidence !== 'high') continue;
+
+      if (this.position) {
+        const addition = checkAdditionEligibility(this.position, ob, currentPrice, balance, config);
+        if (!addition.eligible) continue;
+
+        selectedOB = ob;
+        action = 'ADD';
+        break;
+      }
+
+      selectedOB = ob;
+      action = 'OPEN';
+      break;
+    }
+
+    if (!selectedOB) return;
+
+    const side = selectedOB.type === OB_TYPE.BULLISH ? SIDE.LONG : SIDE.SHORT;
+
+    let stopATR = 0;
+    if (config.atrMultiplier > 0) {
+      const atrValues = ATR.calculate({
+        high: window.map(k => k.high),
+        low: window.map(k => k.low),
+        close: window.map(k => k.close),
+        period: config.stopLossATRPeriod
+      });
+      if (atrValues.length === 0) return;
+      stopATR = atrValues[atrValues.length - 1];
+    }
+
+    const stopLoss = calculateStopLoss(selectedOB, stopATR, config);
+
+    const { riskAmount, positionSize } = calculateEntrySize({
+      action,
+      balance,
+      currentPrice,
+      stopLoss,
+      additionCount: this.position ? this.position.additionCount : 0,
+      config,
+      marketConfig: this.marketConfig
+    });
+
+    if (positionSize < this.marketConfig.minSize) {
+      this._markProcessed(selectedOB, 'size_too_small', currentPrice, now);
+      return;
+    }
+
+    const requiredMargin = (positionSize * currentPrice) / config.leverage;
+    if (requiredMargin > balance * 0.95) return;
+
+    const plan = planEntryOrder({
+      ob: selectedOB,
+      side,
+      currentPrice,
+      config,
+      pricePrecision: this.marketConfig.pricePrecision
+    });
+
+    const entry = { action, ob: selectedOB, side, stopLoss, riskAmount, deviationPercent: plan.deviationPercent };
+
+    if (plan.orderType === 'market') {
+      const fill = this.exchange.marketOrder({ side, size: positionSize, price: currentPrice, stopLoss, time: new Date(now) });
+      this._finalizeEntry({ ...entry, orderStrategy: 'market' }, fill, now);
+    } else if (plan.orderType === 'limit') {
+      this.exchange.placeLimitOrder({
+        side,
+        size: positionSize,
+        limitPrice: plan.limitPrice,
+        stopLoss,
+        time: new Date(now),
+        expiresAt: now + config.limitOrderWaitTime * 1000
+      });
+      this.pendingEntry = { ...entry, orderStrategy: 'limit' };
+    } else {
+      // 偏离过大：不处理 OB，下个周期重试
+      this.counters.skippedDeviation++;
+    }
+  }
+
+  _finalizeEntry(entry, fill, now) {
+    const { ob, side, stopLoss } = entry;
+    const time = new Date(now).toISOString();
+
+    if (entry.action === 'OPEN' || !this.position) {
+      this.position = {
+        $id: `POS-${this.nextId++}`,
+        symbol: this.config.symbol,
+        side,
+        entryPrice: fill.executionPrice,
+        avgEntryPrice: fill.executionPrice,
+        size: fill.executedSize,
+        stopLoss,
+        initialStopLoss: stopLoss,
+        liquidationPrice: fill.liquidationPrice,
+        additionCount: 0,
+        lastOBBottom: ob.bottom,
+        lastOBTop: ob.top,
+        openTime: time,
+        entryFee: fill.fee,
+        initialRisk: Math.abs(fill.executionPrice - stopLoss) * fill.executedSize,
+        relatedOB: ob.$id,
+        obType: ob.type,
+        obConfidence: ob.confidence,
+        orderStrategy: entry.orderStrategy
+      };
+    } else {
+      const pos = this.position;
+      const totalSize = pos.size + fill.executedSize;
+
+      pos.avgEntryPrice = (pos.avgEntryPrice * pos.size + fill.executionPrice * fill.executedSize) / totalSize;
+      pos.size = totalSize;
+      pos.stopLoss = stopLoss;
+      pos.liquidationPrice = fill.liquidationPrice;
+      pos.additionCount += 1;
+      pos.lastOBBottom = ob.bottom;
+      pos.lastOBTop = ob.top;
+      pos.entryFee += fill.fee;
+    }
+
+    this._markProcessed(ob, entry.action === 'OPEN' ? 'position_opened' : 'position_added', fill.executionPrice, now);
+    this.log(`[${time}] ${entry.action} ${side} ${fill.executedSize.toFixed(4)} @ ${fill.executionPrice.toFixed(2)} | SL ${stopLoss.toFixed(2)} (${entry.orderStrategy})`);
+  }
+
+  _markProcessed(ob, reason, price, now) {
+    ob.isProcessed = true;
+    ob.processedAt = new Date(now).toISOString();
+    ob.processedReason = reason;
+    ob.processedPrice = price;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Position Monitor
+  // ═════════════════════════════════════════════════════════════════════════
+
+  _monitorPosition(currentPrice, now, window) {
+    const { config } = this;
+    const pos = this.position;
+    if (!pos) return;
+
+    // HTF 目标
+    for (const tf of config.htfTargets) {
+      const htfOBs = this.obs.filter(ob => ob.timeframe === tf && ob.isActive).slice(0, 10);
+      const target = shouldTakeProfit(pos, currentPrice, htfOBs, config);
+
+      if (target.takeProfit) {
+        this._closePosition(target.reason, currentPrice, now);
+        return;
+      }
+    }
+
+    // 反向 OB
+    const entryTfOBs = this.obs
+      .filter(ob => ob.timeframe === config.entryTimeframe && ob.isActive)
+      .sort((a, b) => new Date(b.confirmationTime) - new Date(a.confirmationTime))
+      .slice(0, 5);
+
+    const reversal = shouldExitOnReversal(pos, entryTfOBs, currentPrice, config, now);
+    if (reversal.exit) {
+      this._closePosition(EXIT_REASON.REVERSAL_OB, currentPrice, now);
+      return;
+    }
+
+    // 止损管理
+    if (config.stopPolicies.length > 0) {
+      const atrValues = ATR.calculate({
+        high: window.map(k => k.high),
+        low: window.map(k => k.low),
+        close: window.map(k => k.close),
+        period: config.trailingATRPeriod
+      });
+
+      const stopUpdate = computeStopUpdate(pos, currentPrice, {
+        atr: atrValues.length > 0 ? atrValues[atrValues.length - 1] : null,
+        candles: window,
+        obs: entryTfOBs
+      }, config);
+
+      if (stopUpdate.update && this.exchange.updateStopLoss(stopUpdate.newStopLoss).success) {
+        pos.stopLoss = stopUpdate.newStopLoss;
+        pos.stopPolicy = stopUpdate.policy;
+        pos.lastStopUpdate = new Date(now).toISOString();
+      }
+    }
+
+    // 强平风险
+    const distanceToLiq = getLiquidationDistancePercent(pos, currentPrice);
+    if (distanceToLiq !== null && distanceToLiq < config.liquidationEmergencyPercent) {
+      this._closePosition(EXIT_REASON.EMERGENCY_CLOSE, currentPrice, now);
+    }
+  }
+
+  _closePosition(exitReason, price, now) {
+    const result = this.exchange.closePosition({ price, time: new Date(now), reason: exitReason });
+    if (result.success) {
+      this._recordTrade(exitReason, result, now);
+    }
+  }
+
+  _handleExchangeEvents(events, now) {
+    for (const event of events) {
+      if (event.type === 'limit_filled' && this.pendingEntry) {
+        this._finalizeEntry(this.pendingEntry, event, now);
+        this.pendingEntry = null;
+      } else if (event.type === 'limit_expired') {
+        // 未成交：OB 保持未处理，下个周期可重试
+        this.pendingEntry = null;
+        this.counters.limitNotFilled++;
+      } else if (event.type === 'stop_triggered') {
+        this._recordTrade(EXIT_REASON.STOP_LOSS_TRIGGERED, event, now);
+      } else if (event.type === 'liquidated') {
+        this._recordTrade(EXIT_REASON.LIQUIDATION, event, now);
+      }
+    }
+  }
+
+  _recordTrade(exitReason, result, now) {
+    const pos = this.position;
+    if (!pos) return;
+
+    const fees = pos.entryFee + result.fee;
+    const funding = result.funding || 0;
+    const netPnl = result.pnl - fees + funding;
+    const exitTime = new Date(now).toISOString();
+
+    this.trades.push({
+      positionId: pos.$id,
+      side: pos.side,
+      entryTime: pos.openTime,
+      exitTime,
+      entryPrice: pos.entryPrice,
+      avgEntryPrice: pos.avgEntryPrice,
+      exitPrice: result.executionPrice,
+      size: pos.size,
+      additionCount: pos.additionCount,
+      grossPnl: result.pnl,
+      fees,
+      funding,
+      netPnl,
+      rMultiple: pos.initialRisk > 0 ? netPnl / pos.initialRisk : 0,
+      exitReason,
+      obId: pos.relatedOB,
+      obConfidence: pos.obConfidence,
+      orderStrategy: pos.orderStrategy,
+      holdingHours: (now - new Date(pos.openTime)) / (1000 * 60 * 60)
+    });
+
+    this.log(`[${exitTime}] CLOSE ${pos.side} @ ${result.executionPrice.toFixed(2)} | ${exitReason} | PnL ${netPnl.toFixed(2)}`);
+    this.position = null;
+  }
+}
+
+/**
+ * 从 Binance 加载回测数据（包含指标预热区间）
+ */
+async function loadBacktestData(binance, config, startTime, endTime) {
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  const warmup = tf => (config.lookbackCandles + 5) * TIMEFRAME_MS[tf];
+  const before = candles => candles.filter(k => k.timestamp.getTime() < end);
+
+  const entryKlines = before(await binance.getHistoricalKlines(
+    config.symbol, config.entryTimeframe, start - warmup(config.entryTimeframe), end
+  ));
+
+  const stepKlines = before(await binance.getHistoricalKlines(
+    config.symbol, config.stepTimeframe, start, end
+  ));
+
+  const htfKlines = {};
+  for (const tf of config.htfTargets) {
+    htfKlines[tf] = before(await binance.getHistoricalKlines(config.symbol, tf, start - warmup(tf), end));
+  }
+
+  return { entryKlines, stepKlines, htfKlines };
+}
+
+module.exports = {
+  BacktestEngine,
+  loadBacktestData
+};
@@ -0,0 +1,265 @@
+/**
+ * 回测用模拟交易所
+ *
+ * 行为对齐 HyperliquidAPI：入场单 + 交易所级止损（独立于程序），
+ * 限价单挂单等待成交，强平按维持保证金率计算。
+ * 手续费 / 滑点 / 资金费统一使用 shared/cost-model。
+ */
+
+const { HYPERLIQUID, SIDE } = require('../shared/constants');
+const { estimateFill, accrueFunding } = require('../shared/cost-model');
+
+class SimulatedExchange {
+  constructor({ initialBalance = 10000, leverage = 3, fundingRate = HYPERLIQUID.FUNDING.DEFAULT_RATE } = {}) {
+    this.cash = initialBalance;
+    this.leverage = leverage;
+    this.fundingRate = fundingRate;
+    this.totalFunding = 0;
+    this.position = null;
+    this.restingOrder = null;
+    this.fills = [];
+    this.nextOrderId = 1;
+  }
+
+  /**
+   * 账户权益（现金 + 未实现盈亏），对应 clearinghouseState.accountValue
+   */
+  getBalance(markPrice) {
+    return this.cash + this.getUnrealizedPnL(markPrice);
+  }
+
+  getUnrealizedPnL(markPrice) {
+    if (!this.position || !markPrice) return 0;
+
+    return this.position.side === SIDE.LONG
+      ? (markPrice - this.position.entryPrice) * this.position.size
+      : (this.position.entryPrice - markPrice) * this.position.size;
+  }
+
+  getPosition() {
+    return this.position;
+  }
+
+  /**
+   * 市价单（开仓或同向加仓），同时设置 / 更新止损
+   */
+  marketOrder({ side, size, price, stopLoss, time }) {
+    const fill = estimateFill({ price, size, isBuy: side === SIDE.LONG, liquidity: 'taker' });
+    return this._fill({ side, size, price: fill.price, stopLoss, fee: fill.fee, time, orderType: 'market' });
+  }
+
+  /**
+   * 限价单：挂单，等待 processBar 撮合
+   */
+  placeLimitOrder({ side, size, limitPrice, stopLoss, time, expiresAt }) {
+    const orderId = `SIM-${this.nextOrderId++}`;
+
+    this.restingOrder = {
+      orderId,
+      side,
+      size,
+      limitPrice,
+      stopLoss,
+      createdAt: time,
+      expiresAt
+    };
+
+    return { orderId, orderStatus: 'resting', limitPrice };
+  }
+
+  cancelOrder() {
+    const order = this.restingOrder;
+    this.restingOrder = null;
+    return { success: !!order };
+  }
+
+  updateStopLoss(newStopLoss) {
+    if (!this.position) {
+      return { success: false, error: 'Position not found' };
+    }
+
+    this.position.stopLoss = newStopLoss;
+    return { success: true };
+  }
+
+  /**
+   * 平仓（全部或部分）
+   */
+  closePosition({ size, price, time, reason }) {
+    if (!this.position) {
+      return { success: false, error: 'Position not found' };
+    }
+
+    const closeSize = Math.min(size || this.position.size, this.position.size);
+    const fill = estimateFill({ price, size: closeSize, isBuy: this.position.side === SIDE.SHORT, liquidity: 'taker' });
+
+    return this._reduce({ size: closeSize, price: fill.price, fee: fill.fee, time, reason });
+  }
+
+  /**
+   * 用一根 K 线推进交易所状态：资金费、限价单撮合、止损触发、强平
+   * 同一根 K 线内先撮合挂单，再检查止损（保守假设）
+   */
+  processBar(bar) {
+    const events = [];
+    const barEnd = bar.closeTime ? bar.closeTime.getTime() : bar.timestamp.getTime();
+
+    if (this.position) {
+      const { payment, intervals } = accrueFunding({
+        side: this.position.side,
+        size: this.position.size,
+        markPrice: bar.open,
+        fromTime: this.position.fundingCheckpoint,
+        toTime: bar.timestamp,
+        rate: this.fundingRate
+      });
+
+      if (intervals > 0) {
+        this.cash += payment;
+        this.totalFunding += payment;
+        this.position.funding += payment;
+        this.position.fundingCheckpoint = bar.timestamp;
+        events.push({ type: 'funding', payment, intervals });
+      }
+    }
+
+    if (this.restingOrder) {
+      const order = this.restingOrder;
+      const touched = order.side === SIDE.LONG
+        ? bar.low <= order.limitPrice
+        : bar.high >= order.limitPrice;
+
+      if (touched) {
+        this.restingOrder = null;
+
+        // 跳空穿过限价时按开盘价成交（吃单），否则为挂单成交
+        const gapped = order.side === SIDE.LONG
+          ? bar.open < order.limitPrice
+          : bar.open > order.limitPrice;
+        const cost = estimateFill({
+          price: gapped ? bar.open : order.limitPrice,
+          size: order.size,
+          isBuy: order.side === SIDE.LONG,
+          liquidity: gapped ? 'taker' : 'maker'
+        });
+
+        const fill = this._fill({
+          side: order.side,
+          size: order.size,
+          price: cost.price,
+          stopLoss: order.stopLoss,
+          fee: cost.fee,
+          time: bar.timestamp,
+          orderType: 'limit'
+        });
+
+        events.push({ type: 'limit_filled', orderId: order.orderId, ...fill });
+      } else if (order.expiresAt && barEnd >= order.expiresAt) {
+        this.restingOrder = null;
+        events.push({ type: 'limit_expired', orderId: order.orderId });
+      }
+    }
+
+    if (this.position) {
+      const pos = this.position;
+      const isLong = pos.side === SIDE.LONG;
+
+      const stopHit = isLong ? bar.low <= pos.stopLoss : bar.high >= pos.stopLoss;
+      const liqHit = isLong ? bar.low <= pos.liquidationPrice : bar.high >= pos.liquidationPrice;
+      const stopBeforeLiq = isLong
+        ? pos.stopLoss >= pos.liquidationPrice
+        : pos.stopLoss <= pos.liquidationPrice;
+
+      if (stopHit && (stopBeforeLiq || !liqHit)) {
+        // 止损为市价触发单；跳空穿过止损时按开盘价成交
+        const triggerPrice = isLong ? Math.min(pos.stopLoss, bar.open) : Math.max(pos.stopLoss, bar.open);
+        const fill = estimateFill({ price: triggerPrice, size: pos.size, isBuy: !isLong, liquidity: 'taker' });
+        const result = this._reduce({ size: pos.size, price: fill.price, fee: fill.fee, time: bar.timestamp, reason: 'STOP_LOSS' });
+        events.push({ type: 'stop_triggered', ...result });
+      } else if (liqHit) {
+        const price = pos.liquidationPrice;
+        const result = this._reduce({ size: pos.size, price, fee: 0, time: bar.timestamp, reason: 'LIQUIDATION' });
+        events.push({ type: 'liquidated', ...result });
+      }
+    }
+
+    return events;
+  }
+
+  _fill({ side, size, price, stopLoss, fee, time, orderType }) {
+    this.cash -= fee;
+
+    if (this.position && this.position.side === side) {
+      const pos = this.position;
+      const totalSize = pos.size + size;
+      pos.entryPrice = (pos.entryPrice * pos.size + price * size) / totalSize;
+      pos.size = totalSize;
+      pos.stopLoss = stopLoss;
+      pos.liquidationPrice = this._calculateLiquidationPrice(side, pos.entryPrice);
+    } else {
+      this.position = {
+        side,
+        size,
+        entryPrice: price,
+        stopLoss,
+        liquidationPrice: this._calculateLiquidationPrice(side, price),
+        openTime: time,
+        fundingCheckpoint: time,
+        funding: 0
+      };
+    }
+
+    this.fills.push({ time, side, size, price, fee, orderType, dir: 'Open' });
+
+    return {
+      executionPrice: price,
+      executedSize: size,
+      fee,
+      liquidationPrice: this.position.liquidationPrice
+    };
+  }
+
+  _reduce({ size, price, fee, time, reason }) {
+    const pos = this.position;
+
+    const pnl = pos.side === SIDE.LONG
+      ? (price - pos.entryPrice) * size
+      : (pos.entryPrice - price) * size;
+
+    // 按平仓比例分摊已结算的资金费
+    const funding = pos.funding * (size / pos.size);
+    pos.funding -= funding;
+
+    this.cash += pnl - fee;
+    pos.size -= size;
+
+    if (pos.size <= 1e-12) {
+      this.position = null;
+    }
+
+    this.fills.push({ time, side: pos.side, size, price, fee, pnl, reason, dir: 'Close' });
+
+    return {
+      success: true,
+      executionPrice: price,
+      size,
+      pnl,
+      fee,
+      funding,
+      reason,
+      remainingSize: this.position ? this.position.size : 0
+    };
+  }
+
+  // 与 HyperliquidAPI 模拟模式使用相同的强平价公式
+  _calculateLiquidationPrice(side, entryPrice) {
+    const mmr = HYPERLIQUID.LIQUIDATION.MMR;
+    const maxLoss = (1 / this.leverage) - mmr - 0.001;
+
+    return side === SIDE.LONG
+      ? entryPrice * (1 - maxLoss)
+      : entryPrice * (1 + maxLoss);
+  }
+}
+
+module.exports = SimulatedExchange;
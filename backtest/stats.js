@@ -0,0 +1,64 @@
+/**
+ * 回测统计
+ */
+
+function computeSummary(trades, equityCurve, initialBalance) {
+  const wins = trades.filter(t => t.netPnl > 0);
+  const losses = trades.filter(t => t.netPnl < 0);
+
+  const grossProfit = wins.reduce((sum, t) => sum + t.netPnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.netPnl, 0));
+  const totalPnL = trades.reduce((sum, t) => sum + t.netPnl, 0);
+  const totalFees = trades.reduce((sum, t) => sum + t.fees, 0);
+  const totalFunding = trades.reduce((sum, t) => sum + (t.funding || 0), 0);
+
+  // 最大回撤（基于权益曲线）
+  let peak = initialBalance;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+
+  for (const point of equityCurve) {
+    if (point.equity > peak) peak = point.equity;
+
+    const drawdown = peak - point.equity;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPercent = (drawdown / peak) * 100;
+    }
+  }
+
+  const finalEquity = equityCurve.length > 0
+    ? equityCurve[equityCurve.length - 1].equity
+    : initialBalance;
+
+  const exitReasons = {};
+  for (const trade of trades) {
+    exitReasons[trade.exitReason] = (exitReasons[trade.exitReason] || 0) + 1;
+  }
+
+  return {
+    totalTrades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+    totalPnL,
+    totalFees,
+    totalFunding,
+    avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+    avgLoss: losses.length > 0 ? grossLoss / losses.length : 0,
+    largestWin: wins.length > 0 ? Math.max(...wins.map(t => t.netPnl)) : 0,
+    largestLoss: losses.length > 0 ? Math.min(...losses.map(t => t.netPnl)) : 0,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : 0,
+    avgRMultiple: trades.length > 0
+      ? trades.reduce((sum, t) => sum + (t.rMultiple || 0), 0) / trades.length
+      : 0,
+    initialBalance,
+    finalEquity,
+    returnPercent: ((finalEquity - initialBalance) / initialBalance) * 100,
+    maxDrawdown,
+    maxDrawdownPercent,
+    exitReasons
+  };
+}
+
+module.exports = { computeSummary };
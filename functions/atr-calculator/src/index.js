@@ -1,13 +1,15 @@
 /**
  * ATR Calculator - 计算并保存 ATR 指标
+ *
+ * 按 symbol / timeframe / period 写入指标库（market_data），
+ * 使用方通过 repository.getLatestIndicator 明确指定要用哪一条 ATR。
  */
 
-const { Client, Databases, ID } = require('node-appwrite');
 const { ATR } = require('technicalindicators');
 const BinanceAPI = require('./binance');
-const { COLLECTIONS } = require('./constants');
+const { createRepository } = require('./repository');
 
-module.exports = async ({ req, res, log, error }) => {
+module.exports = async ({ req, res, log, error, repository = null }) => {
   const startTime = Date.now();
 
   try {
@@ -15,30 +17,19 @@ module.exports = async ({ req, res, log, error }) => {
 
     // ✅ 配置
     const config = {
-      // Appwrite
-      endpoint: process.env.APPWRITE_ENDPOINT,
-      projectId: process.env.APPWRITE_PROJECT_ID,
-      apiKey: process.env.APPWRITE_API_KEY,
-      databaseId: process.env.APPWRITE_DATABASE_ID,
-      
       // Symbols to calculate
       symbols: (process.env.TRADING_SYMBOL || 'BTCUSDT,ETHUSDT').split(','),
       
       // Timeframes to calculate (should match entry timeframe)
       timeframes: (process.env.ATR_TIMEFRAMES || '4h,1d').split(','),
       
-      // ATR settings
-      atrPeriod: parseInt(process.env.ATR_PERIOD) || 14,
+      // ATR settings（ATR_PERIOD 是扫描器的 ATR 周期，这里单独配置）
+      atrPeriods: (process.env.ATR_PERIODS || '14').split(',').map(p => parseInt(p)).filter(p => p > 0),
       lookbackCandles: 100,  // 获取足够的数据来计算 ATR
     };
 
-    // ✅ 初始化 Appwrite
-    const client = new Client()
-      .setEndpoint(config.endpoint)
-      .setProject(config.projectId)
-      .setKey(config.apiKey);
-
-    const databases = new Databases(client);
+    // ✅ 初始化存储
+    repository = repository || createRepository(process.env);
 
     // ✅ 初始化 Binance API
     const binance = new BinanceAPI();
@@ -62,115 +53,62 @@ module.exports = async ({ req, res, log, error }) => {
             config.lookbackCandles
           );
 
-          if (!klines || klines.length < config.atrPeriod) {
-            log(`⚠️  Insufficient data for ${cleanSymbol} ${cleanTf} (got ${klines?.length || 0}, need ${config.atrPeriod})`);
+          const maxPeriod = Math.max(...config.atrPeriods);
+          if (!klines || klines.length <= maxPeriod) {
+            log(`⚠️  Insufficient data for ${cleanSymbol} ${cleanTf} (got ${klines?.length || 0}, need ${maxPeriod + 1})`);
             continue;
           }
 
           log(`   Fetched ${klines.length} klines`);
 
-          // 2. 计算 ATR
-          const atrInput = {
-            high: klines.map(k => k.high),
-            low: klines.map(k => k.low),
-            close: klines.map(k => k.close),
-            period: config.atrPeriod
-          };
-
-          const atrValues = ATR.calculate(atrInput);
-
-          if (!atrValues || atrValues.length === 0) {
-            log(`⚠️  ATR calculation failed for ${cleanSymbol} ${cleanTf}`);
-            continue;
-          }
-
-          const latestATR = atrValues[atrValues.length - 1];
           const latestCandle = klines[klines.length - 1];
 
-          log(`   Latest ATR: ${latestATR.toFixed(2)}`);
-          log(`   Latest Price: $${latestCandle.close.toFixed(2)}`);
-          log(`   ATR %: ${((latestATR / latestCandle.close) * 100).toFixed(2)}%`);
-
-          // 3. 检查是否已存在最近的记录
-          const existingRecords = await databases.listDocuments(
-            config.databaseId,
-            COLLECTIONS.MARKET_DATA,
-            [
-              require('node-appwrite').Query.equal('symbol', cleanSymbol),
-              require('node-appwrite').Query.equal('indicator', 'ATR'),
-              require('node-appwrite').Query.equal('timeframe', cleanTf),
-              require('node-appwrite').Query.orderDesc('timestamp'),
-              require('node-appwrite').Query.limit(1)
-            ]
-          );
-
-          // 检查是否需要更新（避免重复插入）
-          let shouldSave = true;
-          if (existingRecords.documents.length > 0) {
-            const lastRecord = existingRecords.documents[0];
-            const lastRecordTime = new Date(lastRecord.timestamp);
-            const currentTime = latestCandle.timestamp;
-            
-            // 如果上次记录的时间和当前蜡烛时间相同，则更新而不是插入
-            const timeDiff = Math.abs(currentTime - lastRecordTime) / (1000 * 60 * 60);
-            
-            if (timeDiff < 1) {  // 1小时内
-              log(`   Updating existing record (last update: ${lastRecordTime.toISOString()})`);
-              
-              await databases.updateDocument(
-                config.databaseId,
-                COLLECTIONS.MARKET_DATA,
-                lastRecord.$id,
-                {
-                  value: latestATR,
-                  timestamp: currentTime.toISOString(),
-                  metadata: JSON.stringify({
-                    period: config.atrPeriod,
-                    candleClose: latestCandle.close,
-                    atrPercent: (latestATR / latestCandle.close) * 100,
-                    calculatedAt: new Date().toISOString()
-                  })
-                }
-              );
-              
-              shouldSave = false;
+          for (const period of config.atrPeriods) {
+            // 2. 计算 ATR
+            const atrValues = ATR.calculate({
+              high: klines.map(k => k.high),
+              low: klines.map(k => k.low),
+              close: klines.map(k => k.close),
+              period
+            });
+
+            if (!atrValues || atrValues.length === 0) {
+              log(`⚠️  ATR(${period}) calculation failed for ${cleanSymbol} ${cleanTf}`);
+              continue;
             }
-          }
 
-          // 4. 保存新记录
-          if (shouldSave) {
-            await databases.createDocument(
-              config.databaseId,
-              COLLECTIONS.MARKET_DATA,
-              ID.unique(),
-              {
-                symbol: cleanSymbol,
-                indicator: 'ATR',
-                timeframe: cleanTf,
-                value: latestATR,
-                timestamp: latestCandle.timestamp.toISOString(),
-                metadata: JSON.stringify({
-                  period: config.atrPeriod,
-                  candleClose: latestCandle.close,
-                  atrPercent: (latestATR / latestCandle.close) * 100,
-                  calculatedAt: new Date().toISOString()
-                })
+            const latestATR = atrValues[atrValues.length - 1];
+            const atrPercent = (latestATR / latestCandle.close) * 100;
+
+            log(`   ATR(${period}): ${latestATR.toFixed(2)} (${atrPercent.toFixed(2)}% of $${latestCandle.close.toFixed(2)})`);
+
+            // 3. 写入指标库（同一根 K 线重复计算时覆盖）
+            await repository.saveIndicator({
+              symbol: cleanSymbol,
+              indicator: 'ATR',
+              timeframe: cleanTf,
+              period,
+              timestamp: latestCandle.timestamp,
+              value: latestATR,
+              metadata: {
+                candleClose: latestCandle.close,
+                atrPercent,
+                calculatedAt: new Date().toISOString()
               }
-            );
-            
-            log(`   ✅ Saved ATR to database`);
-          } else {
-            log(`   ✅ Updated existing ATR record`);
+            });
+
+            results.push({
+              symbol: cleanSymbol,
+              timeframe: cleanTf,
+              period,
+              atr: latestATR,
+              price: latestCandle.close,
+              atrPercent: atrPercent.toFixed(2),
+              timestamp: latestCandle.timestamp.toISOString()
+            });
           }
 
-          results.push({
-            symbol: cleanSymbol,
-            timeframe: cleanTf,
-            atr: latestATR,
-            price: latestCandle.close,
-            atrPercent: ((latestATR / latestCandle.close) * 100).toFixed(2),
-            timestamp: latestCandle.timestamp.toISOString()
-          });
+          log(`   ✅ Saved ATR to indicator store`);
 
         } catch (err) {
           error(`Error calculating ATR for ${cleanSymbol} ${cleanTf}: ${err.message}`);
@@ -0,0 +1,688 @@
+/**
+ * 持久化层 - Repository 接口
+ *
+ * 后端只实现文档级操作（listDocuments / getDocument / createDocument / updateDocument / deleteDocument），
+ * 查询统一使用 node-appwrite 的 Query 字符串；领域方法在基类中实现，两种后端行为一致。
+ *
+ *   STORAGE_BACKEND=appwrite（默认）  → AppwriteClient
+ *   STORAGE_BACKEND=local             → LocalRepository（内存，LOCAL_DB_PATH 设置时持久化到 JSON 文件）
+ */
+
+const { Query } = require('node-appwrite');
+const { COLLECTIONS, TIMEFRAME_MS } = require('./constants');
+
+// 指标默认有效期：超过 N 根 K 线未更新视为过期
+const DEFAULT_INDICATOR_MAX_AGE_BARS = 2;
+
+class Repository {
+  // ═════════════════════════════════════════════════════════════════════════
+  // 文档级操作（由后端实现）
+  // ═════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @returns {Promise<Object>} { total, documents }
+   */
+  async listDocuments(collection, queries = []) {
+    throw new Error(`${this.constructor.name}.listDocuments not implemented`);
+  }
+
+  async getDocument(collection, id) {
+    throw new Error(`${this.constructor.name}.getDocument not implemented`);
+  }
+
+  async createDocument(collection, data, id = null) {
+    throw new Error(`${this.constructor.name}.createDocument not implemented`);
+  }
+
+  async updateDocument(collection, id, data) {
+    throw new Error(`${this.constructor.name}.updateDocument not implemented`);
+  }
+
+  async deleteDocument(collection, id) {
+    throw new Error(`${this.constructor.name}.deleteDocument not implemented`);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Order Blocks
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async createOB(obData) {
+    return this.createDocument(COLLECTIONS.ORDER_BLOCKS, obData);
+  }
+
+  async updateOB(obId, data) {
+    return this.updateDocument(COLLECTIONS.ORDER_BLOCKS, obId, data);
+  }
+
+  async getOB(obId) {
+    return this._getOrNull(COLLECTIONS.ORDER_BLOCKS, obId);
+  }
+
+  async getUnprocessedOBs(symbol, limit = 5) {
+    return this.listDocuments(COLLECTIONS.ORDER_BLOCKS, [
+      Query.equal('symbol', symbol),
+      Query.equal('isActive', true),
+      Query.equal('isProcessed', false),
+      Query.orderDesc('confirmationTime'),
+      Query.limit(limit)
+    ]);
+  }
+
+  async getActiveOBs(symbol, timeframe = null, limit = 100) {
+    const queries = [
+      Query.equal('symbol', symbol),
+      Query.equal('isActive', true),
+      Query.orderDesc('confirmationTime'),
+      Query.limit(limit)
+    ];
+
+    if (timeframe) {
+      queries.push(Query.equal('timeframe', timeframe));
+    }
+
+    return this.listDocuments(COLLECTIONS.ORDER_BLOCKS, queries);
+  }
+
+  /**
+   * 按确认时间 + 类型查找已存在的 OB（扫描去重，不含 breaker）
+   */
+  async findOB({ symbol, timeframe, confirmationTime, type }) {
+    const result = await this.listDocuments(COLLECTIONS.ORDER_BLOCKS, [
+      Query.equal('symbol', symbol),
+      Query.equal('timeframe', timeframe),
+      Query.equal('confirmationTime', confirmationTime),
+      Query.equal('type', type),
+      Query.isNull('sourceOBId'),
+      Query.limit(1)
+    ]);
+
+    return result.documents.length > 0 ? result.documents[0] : null;
+  }
+
+  /**
+   * 由指定 OB 翻转的 breaker
+   */
+  async findBreaker(sourceOBId) {
+    const result = await this.listDocuments(COLLECTIONS.ORDER_BLOCKS, [
+      Query.equal('sourceOBId', sourceOBId),
+      Query.limit(1)
+    ]);
+
+    return result.documents.length > 0 ? result.documents[0] : null;
+  }
+
+  /**
+   * 指定时间段内首次被回踩的 OB（回踩统计）
+   */
+  async getTouchedOBs({ since, until = new Date(), limit = 500 }) {
+    return this.listDocuments(COLLECTIONS.ORDER_BLOCKS, [
+      Query.greaterThanEqual('firstTouchAt', new Date(since).toISOString()),
+      Query.lessThanEqual('firstTouchAt', new Date(until).toISOString()),
+      Query.orderDesc('firstTouchAt'),
+      Query.limit(limit)
+    ]);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Fair Value Gaps
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async createFVG(fvgData) {
+    return this.createDocument(COLLECTIONS.FAIR_VALUE_GAPS, fvgData);
+  }
+
+  async updateFVG(fvgId, data) {
+    return this.updateDocument(COLLECTIONS.FAIR_VALUE_GAPS, fvgId, data);
+  }
+
+  async getActiveFVGs(symbol, timeframe = null, limit = 100) {
+    const queries = [
+      Query.equal('symbol', symbol),
+      Query.equal('isActive', true),
+      Query.orderDesc('confirmationTime'),
+      Query.limit(limit)
+    ];
+
+    if (timeframe) {
+      queries.push(Query.equal('timeframe', timeframe));
+    }
+
+    return this.listDocuments(COLLECTIONS.FAIR_VALUE_GAPS, queries);
+  }
+
+  /**
+   * 按确认时间 + 类型查找已存在的 FVG（扫描去重）
+   */
+  async findFVG({ symbol, timeframe, confirmationTime, type }) {
+    const result = await this.listDocuments(COLLECTIONS.FAIR_VALUE_GAPS, [
+      Query.equal('symbol', symbol),
+      Query.equal('timeframe', timeframe),
+      Query.equal('confirmationTime', confirmationTime),
+      Query.equal('type', type),
+      Query.limit(1)
+    ]);
+
+    return result.documents.length > 0 ? result.documents[0] : null;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Positions
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async createPosition(posData) {
+    return this.createDocument(COLLECTIONS.POSITIONS, posData);
+  }
+
+  async updatePosition(posId, data) {
+    return this.updateDocument(COLLECTIONS.POSITIONS, posId, data);
+  }
+
+  async getPosition(posId) {
+    return this._getOrNull(COLLECTIONS.POSITIONS, posId);
+  }
+
+  async getOpenPositions(symbol = null, limit = 10) {
+    return this.getPositionsByStatus(['OPEN'], symbol, limit);
+  }
+
+  async getPositionsByStatus(statuses, symbol = null, limit = 100) {
+    const queries = [
+      Query.equal('status', statuses),
+      Query.limit(limit)
+    ];
+
+    if (symbol) {
+      queries.push(Query.equal('symbol', symbol));
+    }
+
+    return this.listDocuments(COLLECTIONS.POSITIONS, queries);
+  }
+
+  /**
+   * 已平仓的持仓（按平仓时间倒序，可限定起始时间）
+   */
+  async getClosedPositions({ since = null, limit = 100 } = {}) {
+    const queries = [
+      Query.equal('status', 'CLOSED'),
+      Query.orderDesc('exitTime'),
+      Query.limit(limit)
+    ];
+
+    if (since) {
+      queries.push(Query.greaterThanEqual('exitTime', since.toISOString()));
+    }
+
+    return this.listDocuments(COLLECTIONS.POSITIONS, queries);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Market Data
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async getMarketData(symbol, indicator, timeframe = null) {
+    const queries = [
+      Query.equal('symbol', symbol),
+      Query.equal('indicator', indicator),
+      Query.orderDesc('timestamp'),
+      Query.limit(1)
+    ];
+
+    if (timeframe) {
+      queries.push(Query.equal('timeframe', timeframe));
+    }
+
+    try {
+      const result = await this.listDocuments(COLLECTIONS.MARKET_DATA, queries);
+      return result.documents.length > 0 ? result.documents[0] : null;
+    } catch (err) {
+      console.warn(`Could not get market data: ${err.message}`);
+      return null;
+    }
+  }
+
+  async saveMarketData(data) {
+    return this.createDocument(COLLECTIONS.MARKET_DATA, data);
+  }
+
+  async updateMarketData(docId, data) {
+    return this.updateDocument(COLLECTIONS.MARKET_DATA, docId, data);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Indicator Store（symbol + indicator + timeframe + period + timestamp）
+  // ═════════════════════════════════════════════════════════════════════════
+
+  /**
+   * 保存一个指标值；同一根 K 线（相同 timestamp）重复计算时覆盖
+   * @param {Object} point - { symbol, indicator, timeframe, period, timestamp, value, metadata }
+   */
+  async saveIndicator({ symbol, indicator, timeframe, period, timestamp, value, metadata = null }) {
+    const time = new Date(timestamp).toISOString();
+
+    const existing = await this.listDocuments(COLLECTIONS.MARKET_DATA, [
+      Query.equal('symbol', symbol),
+      Query.equal('indicator', indicator),
+      Query.equal('timeframe', timeframe),
+      Query.equal('period', period),
+      Query.equal('timestamp', time),
+      Query.limit(1)
+    ]);
+
+    const data = {
+      value,
+      metadata: metadata ? JSON.stringify(metadata) : null
+    };
+
+    if (existing.documents.length > 0) {
+      return this.updateDocument(COLLECTIONS.MARKET_DATA, existing.documents[0].$id, data);
+    }
+
+    return this.createDocument(COLLECTIONS.MARKET_DATA, {
+      symbol,
+      indicator,
+      timeframe,
+      period,
+      timestamp: time,
+      ...data
+    });
+  }
+
+  /**
+   * 指标序列（按时间倒序）
+   */
+  async getIndicatorSeries({ symbol, indicator, timeframe, period, since = null, limit = 100 }) {
+    const queries = [
+      Query.equal('symbol', symbol),
+      Query.equal('indicator', indicator),
+      Query.equal('timeframe', timeframe),
+      Query.equal('period', period),
+      Query.orderDesc('timestamp'),
+      Query.limit(limit)
+    ];
+
+    if (since) {
+      queries.push(Query.greaterThanEqual('timestamp', new Date(since).toISOString()));
+    }
+
+    const result = await this.listDocuments(COLLECTIONS.MARKET_DATA, queries);
+    return result.documents;
+  }
+
+  /**
+   * 最新指标值；不存在或已过期时返回 null
+   *
+   * 过期阈值默认 2 根 K 线（timeframe 对应的时长），可通过 maxAgeMs 指定。
+   * @returns {Promise<Object|null>} { value, timestamp, ageMs, doc }
+   */
+  async getLatestIndicator({ symbol, indicator, timeframe, period, maxAgeMs = null, now = Date.now() }) {
+    let documents;
+    try {
+      documents = await this.getIndicatorSeries({ symbol, indicator, timeframe, period, limit: 1 });
+    } catch (err) {
+      console.warn(`Could not get ${indicator}(${period}) ${symbol} ${timeframe}: ${err.message}`);
+      return null;
+    }
+
+    if (documents.length === 0) {
+      return null;
+    }
+
+    const doc = documents[0];
+    const ageMs = now - new Date(doc.timestamp).getTime();
+    const limit = maxAgeMs || (TIMEFRAME_MS[timeframe] || TIMEFRAME_MS['1h']) * DEFAULT_INDICATOR_MAX_AGE_BARS;
+
+    if (ageMs > limit) {
+      console.warn(`Stale ${indicator}(${period}) ${symbol} ${timeframe}: ${(ageMs / 3600000).toFixed(1)}h old`);
+      return null;
+    }
+
+    return { value: doc.value, timestamp: doc.timestamp, ageMs, doc };
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Market Structure（摆动点 / BOS / CHoCH + 趋势状态）
+  // ═════════════════════════════════════════════════════════════════════════
+
+  /**
+   * 保存结构事件；同一事件（symbol + timeframe + type + timestamp）只保存一次
+   * @param {Object} event - { symbol, timeframe, type, direction, price, timestamp, swingTime, close }
+   * @returns {Promise<Object>} { created, doc }
+   */
+  async saveStructureEvent({ symbol, timeframe, type, direction = null, price, timestamp, swingTime = null, close = null }) {
+    const time = new Date(timestamp).toISOString();
+
+    const existing = await this.listDocuments(COLLECTIONS.MARKET_STRUCTURE, [
+      Query.equal('symbol', symbol),
+      Query.equal('timeframe', timeframe),
+      Query.equal('type', type),
+      Query.equal('timestamp', time),
+      Query.limit(1)
+    ]);
+
+    if (existing.documents.length > 0) {
+      return { created: false, doc: existing.documents[0] };
+    }
+
+    const doc = await this.createDocument(COLLECTIONS.MARKET_STRUCTURE, {
+      symbol,
+      timeframe,
+      type,
+      direction,
+      price,
+      timestamp: time,
+      swingTime: swingTime ? new Date(swingTime).toISOString() : null,
+      close,
+      createdAt: new Date().toISOString()
+    });
+
+    return { created: true, doc };
+  }
+
+  /**
+   * 结构事件（按时间倒序）
+   */
+  async getStructureEvents({ symbol, timeframe, types = null, since = null, limit = 50 }) {
+    const queries = [
+      Query.equal('symbol', symbol),
+      Query.equal('timeframe', timeframe),
+      Query.orderDesc('timestamp'),
+      Query.limit(limit)
+    ];
+
+    if (types) {
+      queries.push(Query.equal('type', types));
+    }
+
+    if (since) {
+      queries.push(Query.greaterThanEqual('timestamp', new Date(since).toISOString()));
+    }
+
+    const result = await this.listDocuments(COLLECTIONS.MARKET_STRUCTURE, queries);
+    return result.documents;
+  }
+
+  /**
+   * 趋势状态（system_state: structure_<symbol>_<timeframe>，JSON）
+   * @returns {Promise<Object|null>} { trend, lastEvent, swingHigh, swingLow, asOf }
+   */
+  async getTrendState(symbol, timeframe) {
+    const value = await this.getSystemState(`structure_${symbol}_${timeframe}`);
+    if (!value) return null;
+
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      console.warn(`Invalid trend state for ${symbol} ${timeframe}: ${err.message}`);
+      return null;
+    }
+  }
+
+  async setTrendState(symbol, timeframe, state) {
+    return this.setSystemState(`structure_${symbol}_${timeframe}`, JSON.stringify(state));
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // OB 增量检测 checkpoint
+  // ═════════════════════════════════════════════════════════════════════════
+
+  /**
+   * 检测器状态（system_state: ob_detector_<symbol>_<timeframe>，JSON）
+   * @returns {Promise<Object|null>} { lastCandleTime, params, lastSwingHigh, lastSwingLow }
+   */
+  async getDetectorCheckpoint(symbol, timeframe) {
+    const value = await this.getSystemState(`ob_detector_${symbol}_${timeframe}`);
+    if (!value) return null;
+
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      console.warn(`Invalid detector checkpoint for ${symbol} ${timeframe}: ${err.message}`);
+      return null;
+    }
+  }
+
+  async setDetectorCheckpoint(symbol, timeframe, checkpoint) {
+    return this.setSystemState(`ob_detector_${symbol}_${timeframe}`, JSON.stringify(checkpoint));
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // System State（key / value）
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async getSystemState(key) {
+    try {
+      const result = await this.listDocuments(COLLECTIONS.SYSTEM_STATE, [
+        Query.equal('key', key),
+        Query.limit(1)
+      ]);
+      return result.documents.length > 0 ? result.documents[0].value : null;
+    } catch (err) {
+      console.warn(`Could not get system state: ${err.message}`);
+      return null;
+    }
+  }
+
+  async setSystemState(key, value) {
+    try {
+      const existing = await this.listDocuments(COLLECTIONS.SYSTEM_STATE, [
+        Query.equal('key', key),
+        Query.limit(1)
+      ]);
+
+      if (existing.documents.length > 0) {
+        return await this.updateDocument(COLLECTIONS.SYSTEM_STATE, existing.documents[0].$id, {
+          value,
+          updatedAt: new Date().toISOString()
+        });
+      }
+
+      return await this.createDocument(COLLECTIONS.SYSTEM_STATE, {
+        key,
+        value,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    } catch (err) {
+      throw new Error(`Could not set system state: ${err.message}`);
+    }
+  }
+
+  async deleteSystemState(key) {
+    const existing = await this.listDocuments(COLLECTIONS.SYSTEM_STATE, [
+      Query.equal('key', key),
+      Query.limit(1)
+    ]);
+
+    if (existing.documents.length > 0) {
+      await this.deleteDocument(COLLECTIONS.SYSTEM_STATE, existing.documents[0].$id);
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // 手动暂停交易（kill switch）
+  // ═════════════════════════════════════════════════════════════════════════
+
+  /**
+   * 暂停状态（system_state: trading_paused，JSON）；暂停期间 entry-monitor 不开仓、不加仓
+   * @returns {Promise<Object|null>} { pausedAt, reason, source }，未暂停时为 null
+   */
+  async getTradingPause() {
+    const value = await this.getSystemState('trading_paused');
+    if (!value) return null;
+
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      // 内容损坏时仍视为暂停
+      console.warn(`Invalid trading pause state: ${err.message}`);
+      return { pausedAt: null, reason: 'unreadable pause state', source: null };
+    }
+  }
+
+  async setTradingPause({ reason = null, source = null } = {}) {
+    const pause = { pausedAt: new Date().toISOString(), reason, source };
+    await this.setSystemState('trading_paused', JSON.stringify(pause));
+    return pause;
+  }
+
+  async clearTradingPause() {
+    return this.deleteSystemState('trading_paused');
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // 通知：告警去重状态与摘要队列
+  // ═════════════════════════════════════════════════════════════════════════
+
+  /**
+   * 告警状态（system_state: alert_<key>，JSON）
+   * @returns {Promise<Object|null>} { firstAt, lastSeenAt, lastSentAt, count, escalated }
+   */
+  async getAlertState(key) {
+    const value = await this.getSystemState(`alert_${key}`);
+    if (!value) return null;
+
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      console.warn(`Invalid alert state for ${key}: ${err.message}`);
+      return null;
+    }
+  }
+
+  async setAlertState(key, state) {
+    return this.setSystemState(`alert_${key}`, JSON.stringify(state));
+  }
+
+  /**
+   * 加入摘要队列；同 key 的未发送条目只累加次数并更新数据
+   */
+  async queueNotification({ key = null, event, severity, data }) {
+    const now = new Date().toISOString();
+    const payload = JSON.stringify(data).substring(0, 5000);
+
+    if (key) {
+      const existing = await this.listDocuments(COLLECTIONS.NOTIFICATIONS, [
+        Query.equal('key', key),
+        Query.isNull('digestedAt'),
+        Query.limit(1)
+      ]);
+
+      if (existing.documents.length > 0) {
+        const doc = existing.documents[0];
+        return this.updateDocument(COLLECTIONS.NOTIFICATIONS, doc.$id, {
+          count: (doc.count || 1) + 1,
+          data: payload,
+          lastSeenAt: now
+        });
+      }
+    }
+
+    return this.createDocument(COLLECTIONS.NOTIFICATIONS, {
+      key,
+      event,
+      severity,
+      data: payload,
+      count: 1,
+      createdAt: now,
+      lastSeenAt: now,
+      digestedAt: null
+    });
+  }
+
+  /**
+   * 尚未进入摘要的条目（按时间正序，data 已解析）
+   */
+  async getPendingNotifications(limit = 500) {
+    const result = await this.listDocuments(COLLECTIONS.NOTIFICATIONS, [
+      Query.isNull('digestedAt'),
+      Query.orderAsc('createdAt'),
+      Query.limit(limit)
+    ]);
+
+    return result.documents.map(doc => {
+      let data = {};
+      try {
+        data = doc.data ? JSON.parse(doc.data) : {};
+      } catch (err) {
+        console.warn(`Invalid notification data ${doc.$id}: ${err.message}`);
+      }
+      return { ...doc, data };
+    });
+  }
+
+  async markNotificationsDigested(ids) {
+    const now = new Date().toISOString();
+    for (const id of ids) {
+      await this.updateDocument(COLLECTIONS.NOTIFICATIONS, id, { digestedAt: now });
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Trade Logs
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async createTradeLog(data) {
+    return this.createDocument(COLLECTIONS.TRADE_LOGS, data);
+  }
+
+  async getTradeLogs(startDate, endDate, limit = 1000) {
+    return this.listDocuments(COLLECTIONS.TRADE_LOGS, [
+      Query.greaterThanEqual('timestamp', startDate.toISOString()),
+      Query.lessThanEqual('timestamp', endDate.toISOString()),
+      Query.limit(limit)
+    ]);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // System Logs
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async log(level, message, data = null) {
+    try {
+      return await this.createDocument(COLLECTIONS.LOGS, {
+        level,
+        message,
+        data: data ? JSON.stringify(data) : null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      console.error(`Failed to write log: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 按 ID 读取文档，不存在时返回 null（其他错误照常抛出）
+   */
+  async _getOrNull(collection, id) {
+    try {
+      return await this.getDocument(collection, id);
+    } catch (err) {
+      if (err.code === 404) return null;
+      throw err;
+    }
+  }
+}
+
+/**
+ * 按环境变量创建 Repository
+ */
+function createRepository(env = process.env) {
+  if (env.STORAGE_BACKEND === 'local') {
+    const LocalRepository = require('./local-repository');
+    return new LocalRepository({ filePath: env.LOCAL_DB_PATH || null });
+  }
+
+  const AppwriteClient = require('./appwrite-client');
+  return new AppwriteClient({
+    endpoint: env.APPWRITE_ENDPOINT,
+    projectId: env.APPWRITE_PROJECT_ID,
+    apiKey: env.APPWRITE_API_KEY,
+    databaseId: env.APPWRITE_DATABASE_ID
+  });
+}
+
+module.exports = {
+  Repository,
+  createRepository
+};
@@ -0,0 +1,173 @@
+/**
+ * 全局常量配置
+ */
+
+// Appwrite Collections
+const COLLECTIONS = {
+  ORDER_BLOCKS: "order_blocks",
+  POSITIONS: "positions",
+  TRADES: "trades",
+  MARKET_DATA: "market_data",
+  SYSTEM_STATE: "system_state",
+  LOGS: "system_logs",
+  TRADE_LOGS: "trade_logs",
+  MARKET_STRUCTURE: "market_structure",
+  FAIR_VALUE_GAPS: "fair_value_gaps",
+  NOTIFICATIONS: "notifications",
+};
+
+// 交易状态
+const POSITION_STATUS = {
+  OPEN: "OPEN",
+  CLOSED: "CLOSED",
+  LIQUIDATED: "LIQUIDATED",
+  PENDING: "PENDING",
+  FAILED: "FAILED",
+  CANCELLED: "CANCELLED",
+};
+
+// 交易方向
+const SIDE = {
+  LONG: "LONG",
+  SHORT: "SHORT",
+};
+
+// OB 类型
+const OB_TYPE = {
+  BULLISH: "BULLISH",
+  BEARISH: "BEARISH",
+};
+
+// 区块类型：breaker 为被收盘突破后反转极性的 OB
+const BLOCK_TYPE = {
+  ORDER_BLOCK: "ORDER_BLOCK",
+  BREAKER: "BREAKER",
+};
+
+// 市场结构事件
+const STRUCTURE_EVENT = {
+  SWING_HIGH: "SWING_HIGH",
+  SWING_LOW: "SWING_LOW",
+  BOS: "BOS",
+  CHOCH: "CHOCH",
+};
+
+// 趋势状态
+const TREND = {
+  BULLISH: "BULLISH",
+  BEARISH: "BEARISH",
+  NEUTRAL: "NEUTRAL",
+};
+
+// 退出原因
+const EXIT_REASON = {
+  STOP_LOSS: "STOP_LOSS",
+  STOP_LOSS_TRIGGERED: "STOP_LOSS_TRIGGERED",
+  TAKE_PROFIT: "TAKE_PROFIT",
+  HTF_TARGET_1W: "HTF_TARGET_1w",
+  HTF_TARGET_1D: "HTF_TARGET_1d",
+  REVERSAL_OB: "REVERSAL_OB",
+  TRAILING_STOP: "TRAILING_STOP",
+  EMERGENCY_CLOSE: "EMERGENCY_CLOSE",
+  LIQUIDATION: "LIQUIDATION",
+  RECONCILED: "RECONCILED",
+  MANUAL: "MANUAL",
+  END: "END",
+};
+
+// Binance API
+const BINANCE = {
+  BASE_URL: "https://api.binance.com/api/v3",
+  KLINES_ENDPOINT: "/klines",
+  TIMEOUT: 10000,
+  RETRY_ATTEMPTS: 3,
+  RETRY_DELAY: 1000,
+};
+
+// Hyperliquid 配置
+const HYPERLIQUID = {
+  BASE_URL: "https://api.hyperliquid.xyz",
+  TESTNET_URL: "https://api.hyperliquid-testnet.xyz",
+
+  FEES: {
+    MAKER: -0.0002,
+    TAKER: 0.00035,
+  },
+
+  FUNDING: {
+    INTERVAL_HOURS: 8,
+    DEFAULT_RATE: 0.0001,
+    MAX_RATE: 0.0005,
+  },
+
+  SLIPPAGE: {
+    BASE_BPS: 2,
+    IMPACT_FACTOR: 0.0001,
+  },
+
+  LIQUIDATION: {
+    MMR: 0.004,
+    BANKRUPTCY_BUFFER: 0.005,
+  },
+};
+
+// 市场配置（离线回退：Mock 模式 / 回测；实盘以 Hyperliquid meta 为准，见 market-meta.js）
+const MARKETS = {
+  BTCUSDT: {
+    symbol: "BTC",
+    assetIndex: 0,
+    szDecimals: 5,
+    minSize: 0.001,
+    sizeIncrement: 0.0001,
+    pricePrecision: 1,
+    maxLeverage: 50,
+    maintenanceMarginRate: 0.004,
+    defaultATR: 1000,
+  },
+  ETHUSDT: {
+    symbol: "ETH",
+    assetIndex: 1,
+    szDecimals: 4,
+    minSize: 0.01,
+    sizeIncrement: 0.001,
+    pricePrecision: 2,
+    maxLeverage: 50,
+    maintenanceMarginRate: 0.004,
+    defaultATR: 50,
+  },
+};
+
+// 时间常量
+const TIME = {
+  MINUTE: 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  WEEK: 7 * 24 * 60 * 60 * 1000,
+};
+
+// K 线时间框架映射
+const TIMEFRAME_MS = {
+  "1m": TIME.MINUTE,
+  "5m": 5 * TIME.MINUTE,
+  "15m": 15 * TIME.MINUTE,
+  "1h": TIME.HOUR,
+  "4h": 4 * TIME.HOUR,
+  "1d": TIME.DAY,
+  "1w": TIME.WEEK,
+};
+
+module.exports = {
+  COLLECTIONS,
+  POSITION_STATUS,
+  SIDE,
+  OB_TYPE,
+  BLOCK_TYPE,
+  STRUCTURE_EVENT,
+  TREND,
+  EXIT_REASON,
+  BINANCE,
+  HYPERLIQUID,
+  MARKETS,
+  TIME,
+  TIMEFRAME_MS,
+};
@@ -0,0 +1,253 @@
+/**
+ * 成交对账：用交易所 userFills / userFunding 还原持仓的真实平仓结果
+ *
+ * 交易所侧平仓（止损触发、强平）时本地只知道持仓消失了，
+ * 实际成交价、手续费和资金费都要从成交记录中汇总。
+ */
+
+const { SIDE } = require('./constants');
+
+// 查询窗口前后的余量，覆盖本地时间与交易所时间的偏差
+const WINDOW_SLACK_MS = 60 * 1000;
+
+const OPEN_DIRS = {
+  [SIDE.LONG]: ['Open Long'],
+  [SIDE.SHORT]: ['Open Short']
+};
+
+const CLOSE_DIRS = {
+  [SIDE.LONG]: ['Close Long', 'Long > Short', 'Liquidation'],
+  [SIDE.SHORT]: ['Close Short', 'Short > Long', 'Liquidation']
+};
+
+/**
+ * 汇总一组成交：成交量加权均价、数量、手续费、已实现盈亏
+ */
+function summarizeFills(fills) {
+  let notional = 0;
+  let size = 0;
+  let fee = 0;
+  let closedPnl = 0;
+  let lastTime = 0;
+
+  for (const fill of fills) {
+    const px = parseFloat(fill.px);
+    const sz = parseFloat(fill.sz);
+
+    notional += px * sz;
+    size += sz;
+    fee += parseFloat(fill.fee || 0);
+    closedPnl += parseFloat(fill.closedPnl || 0);
+    lastTime = Math.max(lastTime, fill.time);
+  }
+
+  return {
+    avgPrice: size > 0 ? notional / size : 0,
+    size,
+    fee,
+    closedPnl,
+    lastTime: lastTime || null,
+    count: fills.length
+  };
+}
+
+/**
+ * 汇总资金费（usdc 为正表示收到，为负表示支付）
+ */
+function summarizeFunding(events, coin) {
+  return events
+    .filter(e => e.delta && e.delta.type === 'funding' && e.delta.coin === coin)
+    .reduce((sum, e) => sum + parseFloat(e.delta.usdc), 0);
+}
+
+/**
+ * 由成交记录计算持仓的平仓结果
+ *
+ * 返回的 pnl 为净盈亏（价差 + 资金费 - 开平仓手续费），
+ * fee 为开平仓手续费合计，与周报中 "毛盈亏 = 净盈亏 + 手续费" 的口径一致。
+ *
+ * @returns {Object|null} 窗口内没有平仓成交时返回 null
+ */
+function buildReconciliation(position, fills, fundingEvents, coin) {
+  const coinFills = fills.filter(f => f.coin === coin);
+  const exitFills = coinFills.filter(f => CLOSE_DIRS[position.side].includes(f.dir));
+
+  if (exitFills.length === 0) {
+    return null;
+  }
+
+  const entryFills = coinFills.filter(f => OPEN_DIRS[position.side].includes(f.dir));
+  const exit = summarizeFills(exitFills);
+  const entry = summarizeFills(entryFills);
+
+  // 分批平仓后，平仓价 / 平仓手续费只反映剩余部分的成交；盈亏仍覆盖整笔交易
+  const partialCutoff = position.lastPartialExitTime ? new Date(position.lastPartialExitTime).getTime() : null;
+  const finalFills = partialCutoff ? exitFills.filter(f => f.time > partialCutoff) : exitFills;
+  const final = finalFills.length > 0 ? summarizeFills(finalFills) : exit;
+
+  // 开仓成交不在窗口内时（如历史过长被截断）退回持仓记录上的手续费
+  const entryFee = entry.count > 0 ? entry.fee : (position.entryFee || 0);
+  const funding = summarizeFunding(fundingEvents, coin);
+  const fee = entryFee + exit.fee;
+  const pnl = exit.closedPnl + funding - fee;
+  const positionValue = position.avgEntryPrice * position.size;
+
+  return {
+    exitPrice: final.avgPrice,
+    exitSize: final.size,
+    exitFee: final.fee,
+    entryFee,
+    fee,
+    funding,
+    grossPnl: exit.closedPnl,
+    pnl,
+    pnlPercent: positionValue > 0 ? (pnl / positionValue) * 100 : 0,
+    exitTime: new Date(exit.lastTime).toISOString(),
+    liquidated: finalFills.some(f => f.dir === 'Liquidation'),
+    fills: final.count
+  };
+}
+
+/**
+ * 拉取持仓时间窗口内的成交与资金费并对账
+ * @param {HyperliquidAPI} hl
+ * @param {Object} position - positions 文档（side, size, avgEntryPrice, openTime, entryFee）
+ * @param {string} coin - 如 'BTC'
+ * @returns {Promise<Object|null>}
+ */
+async function reconcilePositionFills(hl, position, coin, { now = Date.now() } = {}) {
+  const startTime = new Date(position.openTime).getTime() - WINDOW_SLACK_MS;
+  const endTime = now + WINDOW_SLACK_MS;
+
+  const [fills, fundingEvents] = await Promise.all([
+    hl.getUserFillsByTime(startTime, endTime),
+    hl.getUserFunding(startTime, endTime)
+  ]);
+
+  return buildReconciliation(position, fills, fundingEvents, coin);
+}
+
+/**
+ * 部分平仓对账（交易所侧止盈单成交一部分，持仓仍在）
+ *
+ * 只统计 since 之后的平仓成交；pnl 为该部分的价差 - 平仓手续费，资金费在最终平仓时统一结算。
+ *
+ * @param {Object} options
+ * @param {string} options.since - 上次部分平仓时间（默认开仓时间）
+ * @returns {Promise<Object|null>} { exitPrice, size, fee, grossPnl, pnl, exitTime, fills }
+ */
+async function reconcilePartialExit(hl, position, coin, { since = null, now = Date.now() } = {}) {
+  const startTime = new Date(since || position.openTime).getTime() + 1;
+  const endTime = now + WINDOW_SLACK_MS;
+
+  const fills = await hl.getUserFillsByTime(startTime, endTime);
+  const exitFills = fills.filter(f => f.coin === coin && CLOSE_DIRS[position.side].includes(f.dir));
+
+  if (exitFills.length === 0) {
+    return null;
+  }
+
+  const exit = summarizeFills(exitFills);
+
+  return {
+    exitPrice: exit.avgPrice,
+    size: exit.size,
+    fee: exit.fee,
+    grossPnl: exit.closedPnl,
+    pnl: exit.closedPnl - exit.fee,
+    exitTime: new Date(exit.lastTime).toISOString(),
+    fills: exit.count
+  };
+}
+
+/**
+ * 程序主动平掉剩余仓位后结算整笔交易（口径与 reconcilePositionFills 一致：净盈亏含资金费、开平仓手续费）
+ *
+ * 优先用成交记录；成交记录缺失或尚未包含这次平仓时，按成交回报估算（价差 - 开仓手续费 - 平仓手续费）。
+ *
+ * @param {Object} fallback - { exitPrice, exitFee }：下单回报中的成交均价与手续费
+ * @returns {Promise<Object>} { exitPrice, exitFee, fee, funding, pnl, remainderPnl, pnlPercent, exitTime, reconciled }
+ *   pnl 为整笔交易净盈亏，remainderPnl 为本次平仓部分（pnl 减去已记录的分批平仓）
+ */
+async function settleClose(hl, position, coin, { exitPrice, exitFee = 0 }) {
+  const openSize = typeof position.remainingSize === 'number' ? position.remainingSize : position.size;
+  const partials = summarizePartialExits(position);
+  const positionValue = position.avgEntryPrice * position.size;
+
+  // 对账失败时按成交回报估算，不影响平仓记录
+  const reconciled = await reconcilePositionFills(hl, position, coin).catch(() => null);
+
+  // 只接受包含这次平仓成交的结果：上次部分平仓之后有成交，且剩余数量全部成交
+  const partialCutoff = position.lastPartialExitTime ? new Date(position.lastPartialExitTime).getTime() : 0;
+  const includesClose = reconciled &&
+    new Date(reconciled.exitTime).getTime() > partialCutoff &&
+    Math.abs(reconciled.exitSize - openSize) <= openSize * 0.001;
+
+  if (includesClose) {
+    return {
+      exitPrice: reconciled.exitPrice,
+      exitFee: reconciled.exitFee,
+      fee: reconciled.fee,
+      funding: reconciled.funding,
+      pnl: reconciled.pnl,
+      remainderPnl: reconciled.pnl - partials.pnl,
+      pnlPercent: reconciled.pnlPercent,
+      exitTime: reconciled.exitTime,
+      reconciled: true
+    };
+  }
+
+  const entryFee = position.entryFee || 0;
+  const grossPnl = position.side === SIDE.LONG
+    ? (exitPrice - position.avgEntryPrice) * openSize
+    : (position.avgEntryPrice - exitPrice) * openSize;
+  const remainderPnl = grossPnl - entryFee - exitFee;
+  const pnl = (position.realizedPnL || 0) + remainderPnl;
+
+  return {
+    exitPrice,
+    exitFee,
+    fee: entryFee + partials.fee + exitFee,
+    funding: 0,
+    pnl,
+    remainderPnl,
+    pnlPercent: positionValue > 0 ? (pnl / positionValue) * 100 : 0,
+    exitTime: new Date().toISOString(),
+    reconciled: false
+  };
+}
+
+/**
+ * positions.scaleOuts（JSON 字符串）→ [{ stage, reason, size, price, fee, pnl, exitTime }]
+ */
+function parseScaleOuts(position) {
+  try {
+    const parsed = position.scaleOuts ? JSON.parse(position.scaleOuts) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * 已分批平仓部分的净盈亏与平仓手续费合计
+ *
+ * 最终平仓的对账结果覆盖整笔交易（含分批部分），减去这里的合计即为剩余部分的盈亏。
+ */
+function summarizePartialExits(position) {
+  return parseScaleOuts(position).reduce(
+    (sum, t) => ({ pnl: sum.pnl + (t.pnl || 0), fee: sum.fee + (t.fee || 0) }),
+    { pnl: 0, fee: 0 }
+  );
+}
+
+module.exports = {
+  summarizeFills,
+  summarizeFunding,
+  buildReconciliation,
+  reconcilePositionFills,
+  reconcilePartialExit,
+  settleClose,
+  parseScaleOuts,
+  summarizePartialExits
+};
@@ -0,0 +1,1040 @@
+/**
+ * Hyperliquid API - 完整版（支持智能入场）
+ */
+
+const { ethers } = require('ethers');
+const axios = require('axios');
+const { HYPERLIQUID, SIDE } = require('./constants');
+const { estimateFill, accrueFunding } = require('./cost-model');
+const { signL1Action, orderToWire, orderWiresToOrderAction } = require('./hyperliquid-signing');
+const { MarketMetaService, getFallbackMarketConfig, roundPrice, roundSize, symbolToCoin } = require('./market-meta');
+
+class HyperliquidAPI {
+  constructor(privateKey = null, testMode = true, { baseURL = null } = {}) {
+    this.testMode = testMode;
+    // baseURL 可指向本地交易所替身（simulator/）
+    this.baseURL = baseURL || (testMode 
+      ? HYPERLIQUID.TESTNET_URL 
+      : HYPERLIQUID.BASE_URL);
+    this.marketMeta = new MarketMetaService(this.baseURL);
+    
+    if (privateKey && privateKey.startsWith('0x')) {
+      this.wallet = new ethers.Wallet(privateKey);
+      this.address = this.wallet.address;
+      this.useMock = false;
+      
+      console.log(`🔗 Hyperliquid API initialized`);
+      console.log(`   Network: ${testMode ? 'Testnet' : 'Mainnet'}${baseURL ? ` (${baseURL})` : ''}`);
+      console.log(`   Address: ${this.address}`);
+    } else {
+      this.useMock = true;
+      this.mockBalance = 10000;
+      this.mockPositions = [];
+      this.mockOrders = new Map();
+      
+      console.log('🧪 Hyperliquid MOCK MODE');
+      console.log(`   Initial balance: $${this.mockBalance}`);
+    }
+  }
+
+  /**
+   * 下单（支持市价单和限价单）
+   *
+   * 入场单、止损单和止盈单在同一个 normalTpsl 分组 action 中提交：
+   * 交易所在入场单成交后才激活 TP/SL 子单，不会出现入场成功但止损未下的情况。
+   * @param {Array} takeProfits - [{ price, size }]，size 之和不超过 size
+   */
+  async placeOrderWithStopLoss({ symbol, side, size, entryPrice, stopLoss, takeProfits = [], orderType = 'market' }) {
+    if (this.useMock) {
+      return this._mockPlaceOrder({ symbol, side, size, entryPrice, stopLoss, takeProfits, orderType });
+    }
+
+    try {
+      const coin = symbol.replace('USDT', '');
+      const isBuy = side === SIDE.LONG;
+      
+      console.log(`\n📤 Placing ${orderType} order...`);
+      console.log(`   ${side} ${size} ${coin} @ $${entryPrice.toFixed(2)}`);
+
+      // 入场单 + 止损 + 止盈（一次提交）
+      const orders = [
+        {
+          isBuy,
+          limitPrice: entryPrice,
+          size,
+          reduceOnly: false,
+          orderType: orderType === 'market' 
+            ? { limit: { tif: 'Ioc' } }
+            : { limit: { tif: 'Gtc' } }
+        },
+        this._tpslOrder({ isBuy: !isBuy, price: stopLoss, size, tpsl: 'sl' }),
+        ...takeProfits.map(tp => this._tpslOrder({ isBuy: !isBuy, price: tp.price, size: tp.size || size, tpsl: 'tp' }))
+      ];
+
+      const [entryOrder, stopOrder, ...tpOrders] = await this._placeOrders(coin, orders, 'normalTpsl');
+
+      if (!entryOrder.success) {
+        throw new Error(entryOrder.error || 'Entry order failed');
+      }
+
+      const children = await this._resolveTpslOrderIds(coin, entryOrder.oid, [
+        { ...stopOrder, tpsl: 'sl', price: stopLoss },
+        ...tpOrders.map((o, i) => ({ ...o, tpsl: 'tp', price: takeProfits[i].price }))
+      ]);
+      const [stopChild, ...tpChildren] = children;
+
+      if (!stopChild.success) {
+        console.error(`   ⚠️  Stop loss rejected: ${stopChild.error}`);
+      }
+
+      const takeProfitOrders = tpChildren.map((child, i) => {
+        if (!child.success) {
+          console.error(`   ⚠️  Take profit @ $${takeProfits[i].price} rejected: ${child.error}`);
+        }
+        return {
+          price: takeProfits[i].price,
+          size: takeProfits[i].size || size,
+          orderId: child.success ? child.oid : null
+        };
+      });
+
+      if (entryOrder.filled) {
+        console.log(`   ✅ Order filled @ $${entryOrder.avgPrice}`);
+        console.log(`   ✅ Stop loss set @ $${stopLoss.toFixed(2)}`);
+        if (takeProfitOrders.length > 0) {
+          console.log(`   ✅ Take profit set @ ${takeProfitOrders.map(tp => `$${tp.price}`).join(', ')}`);
+        }
+
+        const position = await this.getPosition(coin);
+
+        return {
+          success: true,
+          orderId: entryOrder.oid,
+          executionPrice: parseFloat(entryOrder.avgPrice),
+          executedSize: parseFloat(entryOrder.filledSize),
+          stopLossOrderId: stopChild.success ? stopChild.oid : null,
+          takeProfitOrders,
+          liquidationPrice: parseFloat(position?.liquidationPx || 0),
+          fee: parseFloat(entryOrder.fee || 0),
+          orderStatus: 'filled',
+          timestamp: new Date().toISOString()
+        };
+
+      } else if (entryOrder.resting) {
+        console.log(`   📋 Limit order placed (resting, TP/SL waiting for fill)`);
+
+        return {
+          success: true,
+          orderId: entryOrder.oid,
+          stopLossOrderId: stopChild.success ? stopChild.oid : null,
+          takeProfitOrders,
+          orderStatus: 'resting',
+          limitPrice: entryPrice,
+          timestamp: new Date().toISOString()
+        };
+
+      } else {
+        throw new Error('Order neither filled nor resting');
+      }
+
+    } catch (err) {
+      console.error('❌ Order error:', err.message);
+      return {
+        success: false,
+        error: err.message
+      };
+    }
+  }
+
+  /**
+   * 为已有持仓挂止盈单（positionTpsl：触发时按当时的持仓数量平仓）
+   * @param {Array} takeProfits - [{ price, size }]
+   */
+  async placeTakeProfits({ symbol, side, takeProfits }) {
+    if (this.useMock) {
+      const position = this.mockPositions.find(p => p.symbol === symbol);
+      if (!position) {
+        return { success: false, error: 'Position not found' };
+      }
+      position.takeProfits = takeProfits.map((tp, i) => ({ ...tp, orderId: `TP-${Date.now()}-${i}` }));
+      console.log(`🧪 MOCK: Placed take profit @ ${takeProfits.map(tp => `$${tp.price}`).join(', ')}`);
+      return { success: true, takeProfitOrders: position.takeProfits };
+    }
+
+    try {
+      const coin = symbol.replace('USDT', '');
+      const isBuy = side === SIDE.SHORT;
+
+      const results = await this._placeOrders(
+        coin,
+        takeProfits.map(tp => this._tpslOrder({ isBuy, price: tp.price, size: tp.size, tpsl: 'tp' })),
+        'positionTpsl'
+      );
+
+      const failed = results.find(r => !r.success);
+      if (failed) {
+        return { success: false, error: failed.error };
+      }
+
+      return {
+        success: true,
+        takeProfitOrders: takeProfits.map((tp, i) => ({ ...tp, orderId: results[i].oid }))
+      };
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message
+      };
+    }
+  }
+
+  /**
+   * 内部：下单到 Hyperliquid
+   */
+  async _placeOrder({ coin, isBuy, limitPrice, size, reduceOnly, orderType }) {
+    const [result] = await this._placeOrders(coin, [{ isBuy, limitPrice, size, reduceOnly, orderType }]);
+    return result;
+  }
+
+  /**
+   * 内部：批量下单（一个 action，一次签名）
+   * @param {string} grouping - na | normalTpsl | positionTpsl
+   * @returns {Array} 每笔订单的结果；TP/SL 子单可能只返回 waiting 状态而没有 oid
+   */
+  async _placeOrders(coin, orders, grouping = 'na') {
+    try {
+      const market = await this.getMarketConfig(coin);
+
+      const wires = orders.map(({ isBuy, limitPrice, size, reduceOnly, orderType }) => {
+        // 触发价与限价遵循同样的取整规则
+        const wireOrderType = orderType.trigger
+          ? { trigger: { ...orderType.trigger, triggerPx: roundPrice(Number(orderType.trigger.triggerPx), market.szDecimals) } }
+          : orderType;
+
+        return orderToWire({
+          asset: market.assetIndex,
+          isBuy,
+          limitPrice: roundPrice(limitPrice, market.szDecimals),
+          size: roundSize(size, market.szDecimals),
+          reduceOnly,
+          orderType: wireOrderType
+        });
+      });
+
+      const action = orderWiresToOrderAction(wires, grouping);
+
+      const nonce = Date.now();
+      const signature = await this._signL1Action(action, nonce);
+
+      const response = await axios.post(`${this.baseURL}/exchange`, {
+        action,
+        nonce,
+        signature,
+        vaultAddress: null
+      }, { timeout: 10000 });
+
+      if (response.data.status !== 'ok') {
+        throw new Error(response.data.response || 'Order rejected');
+      }
+
+      return response.data.response.data.statuses.map(status => this._parseOrderStatus(status));
+
+    } catch (err) {
+      console.error('_placeOrder error:', err.response?.data || err.message);
+      const error = err.response?.data?.response || err.message;
+      return orders.map(() => ({ success: false, error }));
+    }
+  }
+
+  _parseOrderStatus(status) {
+    if (typeof status === 'string') {
+      // waitingForFill / waitingForTrigger：分组子单已受理
+      return { success: true, waiting: status };
+    }
+
+    if (status.error) {
+      return { success: false, error: status.error };
+    }
+
+    if (status.filled) {
+      return {
+        success: true,
+        filled: true,
+        oid: status.filled.oid,
+        avgPrice: status.filled.avgPx,
+        filledSize: status.filled.totalSz,
+        fee: status.filled.fee
+      };
+    }
+
+    if (status.resting) {
+      return {
+        success: true,
+        resting: true,
+        oid: status.resting.oid
+      };
+    }
+
+    return { success: false, error: 'Order not filled or resting' };
+  }
+
+  /**
+   * 只减仓市价触发单
+   */
+  _tpslOrder({ isBuy, price, size, tpsl }) {
+    return {
+      isBuy,
+      limitPrice: price,
+      size,
+      reduceOnly: true,
+      orderType: {
+        trigger: {
+          triggerPx: price,
+          isMarket: true,
+          tpsl
+        }
+      }
+    };
+  }
+
+  /**
+   * 分组子单的状态不含 oid，从挂单列表中按类型和触发价找回
+   * （入场单未成交时子单挂在入场单的 children 下）
+   */
+  async _resolveTpslOrderIds(coin, parentOid, children) {
+    if (children.every(c => !c.success || c.oid)) {
+      return children;
+    }
+
+    let candidates = [];
+    try {
+      const market = await this.getMarketConfig(coin);
+      const openOrders = await this.getOpenOrders();
+      const parent = openOrders.find(o => o.oid === parentOid);
+
+      candidates = [
+        ...(parent && parent.children ? parent.children : []),
+        ...openOrders.filter(o => o.coin === coin && o.isTrigger && o.reduceOnly)
+      ].map(o => ({ ...o, isTakeProfit: /^Take Profit/.test(o.orderType) }));
+
+      children = children.map(c => ({ ...c, wirePx: roundPrice(Number(c.price), market.szDecimals) }));
+    } catch (err) {
+      console.error(`   ⚠️  Could not resolve TP/SL order ids: ${err.message}`);
+    }
+
+    const used = new Set();
+
+    return children.map(child => {
+      if (!child.success || child.oid) return child;
+
+      const match = candidates.find(o =>
+        !used.has(o.oid) &&
+        o.isTakeProfit === (child.tpsl === 'tp') &&
+        Math.abs(parseFloat(o.triggerPx) - child.wirePx) < 1e-9
+      );
+
+      if (!match) return { ...child, oid: null };
+
+      used.add(match.oid);
+      return { ...child, oid: match.oid };
+    });
+  }
+
+  /**
+   * 签名 L1 Action（nonce 必须与请求体中的 nonce 一致）
+   */
+  async _signL1Action(action, nonce) {
+    try {
+      return await signL1Action(this.wallet, action, null, nonce, !this.testMode);
+    } catch (err) {
+      console.error('Signing error:', err);
+      throw new Error(`Failed to sign: ${err.message}`);
+    }
+  }
+
+  /**
+   * 获取市场配置（资产索引 / szDecimals / 最大杠杆），Mock 模式使用离线配置
+   */
+  async getMarketConfig(symbol) {
+    if (this.useMock) {
+      const coin = symbolToCoin(symbol);
+      return getFallbackMarketConfig(`${coin}USDT`);
+    }
+
+    return this.marketMeta.getMarketConfig(symbol);
+  }
+
+  /**
+   * 获取订单状态
+   */
+  async getOrderStatus(orderId) {
+    if (this.useMock) {
+      return this._mockGetOrderStatus(orderId);
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/info`, {
+        type: 'orderStatus',
+        user: this.address,
+        oid: orderId
+      }, { timeout: 5000 });
+
+      // { status: 'order', order: { order: {...}, status, statusTimestamp } } | { status: 'unknownOid' }
+      if (response.data.status !== 'order' || !response.data.order) {
+        return { status: 'not_found' };
+      }
+
+      const { order, status } = response.data.order;
+      const remainingSize = parseFloat(order.sz || 0);
+      const filledSize = parseFloat(order.origSz || 0) - remainingSize;
+
+      // orderStatus 不含成交均价和手续费，从 userFills 汇总
+      let avgPrice = 0;
+      let fee = 0;
+
+      if (filledSize > 0) {
+        const fills = await this.getUserFills();
+        const orderFills = fills.filter(f => f.oid === Number(orderId));
+        const notional = orderFills.reduce((sum, f) => sum + parseFloat(f.px) * parseFloat(f.sz), 0);
+        const size = orderFills.reduce((sum, f) => sum + parseFloat(f.sz), 0);
+
+        avgPrice = size > 0 ? notional / size : 0;
+        fee = orderFills.reduce((sum, f) => sum + parseFloat(f.fee), 0);
+      }
+
+      return {
+        status: status === 'canceled' || status === 'marginCanceled' ? 'cancelled' : status,
+        avgPrice,
+        filledSize,
+        remainingSize,
+        fee,
+        timestamp: order.timestamp
+      };
+
+    } catch (err) {
+      console.error('Get order status error:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * 获取成交记录（最新在前）
+   */
+  async getUserFills() {
+    const response = await axios.post(`${this.baseURL}/info`, {
+      type: 'userFills',
+      user: this.address
+    }, { timeout: 5000 });
+
+    return response.data || [];
+  }
+
+  /**
+   * 获取时间窗口内的成交记录（毫秒时间戳）
+   */
+  async getUserFillsByTime(startTime, endTime = Date.now()) {
+    if (this.useMock) {
+      // Mock 模式不保留成交历史，由调用方退回估算
+      return [];
+    }
+
+    const response = await axios.post(`${this.baseURL}/info`, {
+      type: 'userFillsByTime',
+      user: this.address,
+      startTime,
+      endTime
+    }, { timeout: 5000 });
+
+    return response.data || [];
+  }
+
+  /**
+   * 获取时间窗口内的资金费记录
+   * @returns {Array} [{ time, hash, delta: { type: 'funding', coin, usdc, szi, fundingRate } }]
+   */
+  async getUserFunding(startTime, endTime = Date.now()) {
+    if (this.useMock) {
+      return [];
+    }
+
+    const response = await axios.post(`${this.baseURL}/info`, {
+      type: 'userFunding',
+      user: this.address,
+      startTime,
+      endTime
+    }, { timeout: 5000 });
+
+    return response.data || [];
+  }
+
+  /**
+   * 取消订单
+   */
+  async cancelOrder(orderId, symbol) {
+    if (this.useMock) {
+      return this._mockCancelOrder(orderId);
+    }
+
+    try {
+      const coin = symbol.replace('USDT', '');
+
+      const action = {
+        type: 'cancel',
+        cancels: [{ a: await this.marketMeta.getAssetIndex(coin), o: Number(orderId) }]
+      };
+
+      const nonce = Date.now();
+      const signature = await this._signL1Action(action, nonce);
+
+      const response = await axios.post(`${this.baseURL}/exchange`, {
+        action,
+        nonce,
+        signature,
+        vaultAddress: null
+      }, { timeout: 10000 });
+
+      if (response.data.status !== 'ok') {
+        throw new Error(response.data.response || 'Cancel failed');
+      }
+
+      // status 为 ok 时单个撤单仍可能失败：statuses[0] = { error }
+      const status = response.data.response.data.statuses[0];
+      if (status !== 'success') {
+        throw new Error(status?.error || 'Cancel failed');
+      }
+
+      console.log(`✅ Order ${orderId} cancelled`);
+      return { success: true };
+
+    } catch (err) {
+      console.error('Cancel order error:', err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * 获取持仓
+   */
+  async getPosition(coin) {
+    if (this.useMock) {
+      const symbol = coin.includes('USDT') ? coin : coin + 'USDT';
+      return this.mockPositions.find(p => p.symbol === symbol) || null;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/info`, {
+        type: 'clearinghouseState',
+        user: this.address
+      }, { timeout: 5000 });
+
+      const positions = response.data.assetPositions || [];
+      const position = positions.find(p => p.position.coin === coin);
+      
+      return position ? position.position : null;
+    } catch (err) {
+      console.error('Get position error:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * 获取全部持仓（查询失败时抛出，避免把网络错误误判为无持仓）
+   * @returns {Array} [{ coin, szi, entryPx, liquidationPx, ... }]
+   */
+  async getPositions() {
+    if (this.useMock) {
+      return this.mockPositions.map(p => ({
+        coin: p.symbol.replace('USDT', ''),
+        szi: String(p.szi),
+        entryPx: String(p.entryPrice),
+        liquidationPx: String(this._calculateLiquidationPrice(p.side, p.entryPrice, p.leverage))
+      }));
+    }
+
+    const response = await axios.post(`${this.baseURL}/info`, {
+      type: 'clearinghouseState',
+      user: this.address
+    }, { timeout: 5000 });
+
+    return (response.data.assetPositions || [])
+      .map(p => p.position)
+      .filter(p => parseFloat(p.szi) !== 0);
+  }
+
+  /**
+   * 获取挂单（含触发单信息）
+   * @returns {Array} [{ coin, side, oid, sz, reduceOnly, isTrigger, triggerPx, orderType }]
+   */
+  async getOpenOrders() {
+    if (this.useMock) {
+      const stops = this.mockPositions.map(p => ({
+        coin: p.symbol.replace('USDT', ''),
+        side: p.side === SIDE.LONG ? 'A' : 'B',
+        oid: p.stopLossOrderId,
+        sz: String(p.size),
+        reduceOnly: true,
+        isTrigger: true,
+        triggerPx: String(p.stopLoss),
+        orderType: 'Stop Market'
+      }));
+      const takeProfits = this.mockPositions.flatMap(p => (p.takeProfits || []).map(tp => ({
+        coin: p.symbol.replace('USDT', ''),
+        side: p.side === SIDE.LONG ? 'A' : 'B',
+        oid: tp.orderId,
+        sz: String(tp.size),
+        reduceOnly: true,
+        isTrigger: true,
+        triggerPx: String(tp.price),
+        orderType: 'Take Profit Market'
+      })));
+      const resting = [...this.mockOrders.values()].map(o => ({
+        coin: o.symbol.replace('USDT', ''),
+        side: o.side === SIDE.LONG ? 'B' : 'A',
+        oid: o.orderId,
+        sz: String(o.size),
+        reduceOnly: false,
+        isTrigger: false,
+        triggerPx: '0.0',
+        orderType: 'Limit'
+      }));
+      return [...stops, ...takeProfits, ...resting];
+    }
+
+    const response = await axios.post(`${this.baseURL}/info`, {
+      type: 'frontendOpenOrders',
+      user: this.address
+    }, { timeout: 5000 });
+
+    return response.data || [];
+  }
+
+  /**
+   * 为已有持仓下止损单（reduce-only 市价触发单）
+   */
+  async placeStopLoss({ symbol, side, size, stopLoss }) {
+    if (this.useMock) {
+      const position = this.mockPositions.find(p => p.symbol === symbol);
+      if (!position) {
+        return { success: false, error: 'Position not found' };
+      }
+      position.stopLoss = stopLoss;
+      position.stopLossOrderId = `SL-${Date.now()}`;
+      console.log(`🧪 MOCK: Placed stop loss @ $${stopLoss.toFixed(2)}`);
+      return { success: true, stopLossOrderId: position.stopLossOrderId };
+    }
+
+    try {
+      const result = await this._placeOrder({
+        coin: symbol.replace('USDT', ''),
+        isBuy: side === SIDE.SHORT,
+        limitPrice: stopLoss,
+        size,
+        reduceOnly: true,
+        orderType: {
+          trigger: {
+            triggerPx: stopLoss,
+            isMarket: true,
+            tpsl: 'sl'
+          }
+        }
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      return { success: true, stopLossOrderId: result.oid };
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message
+      };
+    }
+  }
+
+  /**
+   * 获取余额
+   */
+  async getBalance() {
+    if (this.useMock) {
+      return this.mockBalance;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/info`, {
+        type: 'clearinghouseState',
+        user: this.address
+      }, { timeout: 5000 });
+
+      return parseFloat(response.data.marginSummary.accountValue || 0);
+    } catch (err) {
+      console.error('Get balance error:', err.message);
+      return 0;
+    }
+  }
+
+  /**
+   * 获取价格
+   */
+  async getPrice(symbol) {
+    try {
+      const coin = symbol.replace('USDT', '');
+      
+      const response = await axios.post(`${this.baseURL}/info`, {
+        type: 'allMids'
+      }, { timeout: 5000 });
+
+      const price = parseFloat(response.data[coin]);
+      
+      if (!price || isNaN(price)) {
+        throw new Error(`Invalid price for ${coin}`);
+      }
+      
+      return price;
+    } catch (err) {
+      console.error('Get price error:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * 平仓（reduce-only IOC；size 小于持仓时为部分平仓）
+   */
+  async closePosition({ symbol, size, price }) {
+    if (this.useMock) {
+      return this._mockClosePosition({ symbol, size, price });
+    }
+
+    try {
+      const coin = symbol.replace('USDT', '');
+      const position = await this.getPosition(coin);
+      
+      if (!position) {
+        throw new Error('No position found');
+      }
+
+      const isBuy = parseFloat(position.szi) < 0;
+      
+      const result = await this._placeOrder({
+        coin,
+        isBuy,
+        limitPrice: price,
+        size,
+        reduceOnly: true,
+        orderType: { limit: { tif: 'Ioc' } }
+      });
+
+      if (result.success && result.filled) {
+        return {
+          success: true,
+          executionPrice: parseFloat(result.avgPrice),
+          executedSize: parseFloat(result.filledSize || size),
+          pnl: 0,
+          fee: parseFloat(result.fee || 0)
+        };
+      }
+
+      return result;
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message
+      };
+    }
+  }
+
+  /**
+   * 更新止损
+   */
+  async updateStopLoss({ symbol, stopLossOrderId, newStopLoss }) {
+    if (this.useMock) {
+      return this._mockUpdateStopLoss({ symbol, stopLossOrderId, newStopLoss });
+    }
+
+    try {
+      await this.cancelOrder(stopLossOrderId, symbol);
+      
+      const coin = symbol.replace('USDT', '');
+      const position = await this.getPosition(coin);
+      
+      if (!position) {
+        throw new Error('No position found');
+      }
+
+      const size = Math.abs(parseFloat(position.szi));
+      const isBuy = parseFloat(position.szi) < 0;
+      
+      const result = await this._placeOrder({
+        coin,
+        isBuy,
+        limitPrice: newStopLoss,
+        size,
+        reduceOnly: true,
+        orderType: {
+          trigger: {
+            triggerPx: newStopLoss,
+            isMarket: true,
+            tpsl: 'sl'
+          }
+        }
+      });
+
+      if (result.success) {
+        return {
+          success: true,
+          newStopLossOrderId: result.oid
+        };
+      }
+
+      return result;
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message
+      };
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // Mock 模式函数
+  // ═════════════════════════════════════════════════════════════════════════
+
+  _mockPlaceOrder({ symbol, side, size, entryPrice, stopLoss, takeProfits = [], orderType }) {
+    console.log(`🧪 MOCK ${orderType.toUpperCase()} ORDER: ${side} ${size} ${symbol} @ $${entryPrice.toFixed(2)}`);
+
+    const orderId = `MOCK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const leverage = 3;
+    const takeProfitOrders = takeProfits.map((tp, i) => ({
+      price: tp.price,
+      size: tp.size || size,
+      orderId: `TP-${orderId}-${i}`
+    }));
+
+    if (orderType === 'limit') {
+      // 模拟限价单：保存到待成交订单
+      this.mockOrders.set(orderId, {
+        orderId,
+        symbol,
+        side,
+        size,
+        limitPrice: entryPrice,
+        stopLoss,
+        takeProfits: takeProfitOrders,
+        status: 'resting',
+        createdAt: Date.now()
+      });
+
+      console.log(`   📋 Limit order placed (resting): ${orderId}`);
+
+      return {
+        success: true,
+        orderId,
+        stopLossOrderId: `SL-${orderId}`,
+        takeProfitOrders,
+        orderStatus: 'resting',
+        limitPrice: entryPrice,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 市价单：立即成交（吃单，含滑点）
+    const fill = estimateFill({ price: entryPrice, size, isBuy: side === SIDE.LONG, liquidity: 'taker' });
+    const fee = fill.fee;
+    const margin = (fill.price * size) / leverage;
+
+    this.mockBalance -= (margin + fee);
+
+    const position = {
+      orderId,
+      symbol,
+      side,
+      size,
+      entryPrice: fill.price,
+      stopLoss,
+      stopLossOrderId: `SL-${orderId}`,
+      takeProfits: takeProfitOrders,
+      margin,
+      leverage,
+      entryFee: fee,
+      openTime: new Date(),
+      szi: side === SIDE.LONG ? size : -size
+    };
+
+    this.mockPositions.push(position);
+
+    console.log(`   ✅ Market order filled @ $${fill.price.toFixed(2)} (slippage ${fill.slippageBps.toFixed(2)} bps)`);
+    console.log(`   Balance: $${this.mockBalance.toFixed(2)}`);
+
+    return {
+      success: true,
+      orderId,
+      executionPrice: fill.price,
+      executedSize: size,
+      stopLossOrderId: position.stopLossOrderId,
+      takeProfitOrders,
+      liquidationPrice: this._calculateLiquidationPrice(side, fill.price, leverage),
+      fee,
+      orderStatus: 'filled',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  _mockGetOrderStatus(orderId) {
+    const order = this.mockOrders.get(orderId);
+    
+    if (!order) {
+      // 检查是否是已成交订单（在 positions 中）
+      const position = this.mockPositions.find(p => p.orderId === orderId);
+      if (position) {
+        return {
+          status: 'filled',
+          avgPrice: position.entryPrice,
+          filledSize: position.size,
+          fee: position.entryFee
+        };
+      }
+      return { status: 'not_found' };
+    }
+
+    // 模拟随机成交（50% 概率）
+    if (order.status === 'resting') {
+      const elapsed = (Date.now() - order.createdAt) / 1000;
+      
+      // 30秒后随机决定是否成交
+      if (elapsed > 30 && Math.random() > 0.5) {
+        order.status = 'filled';
+        
+        // 移除订单，添加到持仓
+        this.mockOrders.delete(orderId);
+        
+        // 限价单挂单成交（maker）
+        const fill = estimateFill({ price: order.limitPrice, size: order.size, isBuy: order.side === SIDE.LONG, liquidity: 'maker' });
+        const fee = fill.fee;
+        const leverage = 3;
+        const margin = (fill.price * order.size) / leverage;
+        
+        this.mockBalance -= (margin + fee);
+        
+        const position = {
+          orderId: order.orderId,
+          symbol: order.symbol,
+          side: order.side,
+          size: order.size,
+          entryPrice: order.limitPrice,
+          stopLoss: order.stopLoss,
+          stopLossOrderId: `SL-${order.orderId}`,
+          takeProfits: order.takeProfits || [],
+          margin,
+          leverage,
+          entryFee: fee,
+          openTime: new Date(),
+          szi: order.side === SIDE.LONG ? order.size : -order.size
+        };
+        
+        this.mockPositions.push(position);
+        
+        console.log(`🧪 MOCK: Limit order ${orderId} filled @ $${order.limitPrice.toFixed(2)}`);
+        
+        return {
+          status: 'filled',
+          avgPrice: order.limitPrice,
+          filledSize: order.size,
+          fee
+        };
+      }
+    }
+
+    return {
+      status: order.status,
+      avgPrice: order.status === 'filled' ? order.limitPrice : 0,
+      filledSize: order.status === 'filled' ? order.size : 0,
+      remainingSize: order.status === 'resting' ? order.size : 0
+    };
+  }
+
+  _mockCancelOrder(orderId) {
+    const order = this.mockOrders.get(orderId);
+    
+    if (order && order.status === 'resting') {
+      this.mockOrders.delete(orderId);
+      console.log(`🧪 MOCK: Cancelled order ${orderId}`);
+      return { success: true };
+    }
+
+    return { success: false, error: 'Order not found or already filled' };
+  }
+
+  _mockClosePosition({ symbol, size, price }) {
+    const posIndex = this.mockPositions.findIndex(p => p.symbol === symbol);
+    if (posIndex === -1) {
+      return { success: false, error: 'Position not found' };
+    }
+
+    const position = this.mockPositions[posIndex];
+
+    // 未指定数量或超过持仓时全部平仓
+    const closeSize = size > 0 ? Math.min(size, position.size) : position.size;
+    const closeRatio = closeSize / position.size;
+
+    // 平仓为吃单：多头卖出、空头买入
+    const fill = estimateFill({ price, size: closeSize, isBuy: position.side === SIDE.SHORT, liquidity: 'taker' });
+    const pnl = position.side === SIDE.LONG
+      ? (fill.price - position.entryPrice) * closeSize
+      : (position.entryPrice - fill.price) * closeSize;
+
+    // 持仓期间的资金费
+    const { payment: funding } = accrueFunding({
+      side: position.side,
+      size: closeSize,
+      markPrice: price,
+      fromTime: position.openTime,
+      toTime: Date.now()
+    });
+
+    const fee = fill.fee;
+    const margin = position.margin * closeRatio;
+    this.mockBalance += margin + pnl + funding - fee;
+
+    if (closeRatio >= 1 - 1e-9) {
+      this.mockPositions.splice(posIndex, 1);
+    } else {
+      position.size -= closeSize;
+      position.szi = position.side === SIDE.LONG ? position.size : -position.size;
+      position.margin -= margin;
+    }
+
+    console.log(`🧪 MOCK CLOSE ${closeSize}: PnL $${pnl.toFixed(2)} | Funding $${funding.toFixed(2)} | Balance $${this.mockBalance.toFixed(2)}`);
+
+    return {
+      success: true,
+      executionPrice: fill.price,
+      executedSize: closeSize,
+      pnl,
+      fee,
+      funding
+    };
+  }
+
+  _mockUpdateStopLoss({ symbol, stopLossOrderId, newStopLoss }) {
+    const position = this.mockPositions.find(p => p.stopLossOrderId === stopLossOrderId);
+    if (position) {
+      position.stopLoss = newStopLoss;
+      const newOrderId = `SL-${Date.now()}`;
+      position.stopLossOrderId = newOrderId;
+      console.log(`🧪 MOCK: Updated stop loss to $${newStopLoss.toFixed(2)}`);
+      return { success: true, newStopLossOrderId: newOrderId };
+    }
+    return { success: false, error: 'Position not found' };
+  }
+
+  _calculateLiquidationPrice(side, entryPrice, leverage) {
+    const mmr = HYPERLIQUID.LIQUIDATION.MMR;
+    const maxLoss = (1 / leverage) - mmr - 0.001;
+
+    return side === SIDE.LONG
+      ? entryPrice * (1 - maxLoss)
+      : entryPrice * (1 + maxLoss);
+  }
+}
+
+module.exports = HyperliquidAPI;
\ No newline at end of file
@@ -0,0 +1,561 @@
+/**
+ * Control API v1.0
+ *
+ * HTTP 触发的人工干预接口（需 CONTROL_API_TOKEN）：
+ * ✅ GET  /positions               持仓列表 + 实时盈亏
+ * ✅ POST /positions/:id/close     全部 / 部分平仓（{ percent } 或 { size }，默认全部）
+ * ✅ POST /positions/:id/stop      移动止损（{ stopLoss }）
+ * ✅ GET  /status                  暂停状态 / 冷静期 / 持仓数
+ * ✅ POST /trading/pause           暂停开仓（kill switch，entry-monitor 遵守）
+ * ✅ POST /trading/resume          恢复开仓
+ * ✅ POST /cooldown/clear          解除 triggerCooldown 设置的冷静期
+ * ✅ POST /obs/:id/ignore          标记 OB 为已处理，不再入场
+ *
+ * 请求头：Authorization: Bearer <token> 或 x-api-key: <token>。
+ * 平仓 / 移动止损先在交易所执行，成功后再写数据库；写操作均记录到 logs 集合。
+ */
+
+const crypto = require('crypto');
+const HyperliquidAPI = require('./hyperliquid');
+const { roundPrice, roundSize } = require('./market-meta');
+const { SIDE, EXIT_REASON } = require('./constants');
+const { createRepository } = require('./repository');
+const { logTradeEvent } = require('./trade-logger');
+const { createNotifier } = require('./notifier');
+const { createNotificationGate } = require('./notification-gate');
+const { clearCooldown, getProtectionStats } = require('./account-protection');
+const { reconcilePartialExit, settleClose, parseScaleOuts, summarizePartialExits } = require('./fill-reconciliation');
+const { getOpenSize, getLiquidationDistancePercent, parseTakeProfits } = require('./strategy');
+const { appendStopHistory } = require('./stop-management');
+const {
+  recordPartialExit,
+  resizeStopLoss,
+  cancelExitOrders,
+  sendCloseNotification,
+  sendStopMovedNotification
+} = require('./position-actions');
+
+const ROUTES = [
+  { method: 'GET', pattern: /^\/positions\/?$/, handler: listPositions },
+  { method: 'POST', pattern: /^\/positions\/([^/]+)\/close\/?$/, handler: closePosition },
+  { method: 'POST', pattern: /^\/positions\/([^/]+)\/stop\/?$/, handler: moveStop },
+  { method: 'GET', pattern: /^\/status\/?$/, handler: getStatus },
+  { method: 'POST', pattern: /^\/trading\/pause\/?$/, handler: pauseTrading },
+  { method: 'POST', pattern: /^\/trading\/resume\/?$/, handler: resumeTrading },
+  { method: 'POST', pattern: /^\/cooldown\/clear\/?$/, handler: clearCooldownRoute },
+  { method: 'POST', pattern: /^\/obs\/([^/]+)\/ignore\/?$/, handler: ignoreOB }
+];
+
+module.exports = async ({ req, res, log, error, repository = null, notifier = null }) => {
+  const method = String(req.method || 'GET').toUpperCase();
+  const path = req.path || '/';
+
+  try {
+    log(`🎛️  Control API: ${method} ${path}`);
+
+    const token = process.env.CONTROL_API_TOKEN;
+
+    if (!token) {
+      error('   CONTROL_API_TOKEN is not set, refusing all requests');
+      return res.json({ success: false, error: 'Control API is disabled (CONTROL_API_TOKEN not set)' }, 503);
+    }
+
+    if (!isAuthorized(req.headers || {}, token)) {
+      log('   🚫 Unauthorized');
+      return res.json({ success: false, error: 'Unauthorized' }, 401);
+    }
+
+    const route = matchRoute(method, path);
+
+    if (!route) {
+      return res.json({ success: false, error: `No route for ${method} ${path}` }, 404);
+    }
+
+    let body;
+    try {
+      body = parseBody(req);
+    } catch (parseErr) {
+      return res.json({ success: false, error: `Invalid JSON body: ${parseErr.message}` }, 400);
+    }
+
+    const config = {
+      symbol: process.env.TRADING_SYMBOL || 'BTCUSDT',
+      tradingEnabled: process.env.TRADING_ENABLED === 'true'
+    };
+
+    repository = repository || createRepository(process.env);
+    notifier = createNotificationGate(notifier || createNotifier(process.env, { log }), { repository, env: process.env, log });
+
+    const hl = new HyperliquidAPI(
+      process.env.HYPERLIQUID_PRIVATE_KEY,
+      !config.tradingEnabled,
+      { baseURL: process.env.HYPERLIQUID_API_URL }
+    );
+
+    const result = await route.handler({
+      params: route.params,
+      body,
+      config,
+      repository,
+      notifier,
+      hl,
+      log,
+      error
+    });
+
+    log(`   ${result.status < 400 ? '✅' : '⚠️ '} ${result.status}`);
+
+    return res.json(result.body, result.status);
+
+  } catch (err) {
+    error(`Error: ${err.message}`);
+    return res.json({ success: false, error: err.message }, 500);
+  }
+};
+
+// ═════════════════════════════════════════════════════════════════════════
+// 请求处理
+// ═════════════════════════════════════════════════════════════════════════
+
+function isAuthorized(headers, token) {
+  const authorization = headers['authorization'] || '';
+  const provided = authorization.startsWith('Bearer ')
+    ? authorization.substring(7).trim()
+    : (headers['x-api-key'] || '');
+
+  // 比较摘要，长度不同也不提前返回
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(String(provided)).digest();
+
+  return provided.length > 0 && crypto.timingSafeEqual(expected, actual);
+}
+
+function matchRoute(method, path) {
+  for (const route of ROUTES) {
+    if (route.method !== method) continue;
+
+    const match = path.match(route.pattern);
+    if (match) {
+      return { handler: route.handler, params: match.slice(1).map(decodeURIComponent) };
+    }
+  }
+  return null;
+}
+
+function parseBody(req) {
+  if (req.bodyJson && typeof req.bodyJson === 'object') return req.bodyJson;
+  if (req.body && typeof req.body === 'object') return req.body;
+
+  const raw = typeof req.body === 'string' && req.body ? req.body : req.bodyRaw;
+  return raw ? JSON.parse(raw) : {};
+}
+
+function ok(body) {
+  return { status: 200, body: { success: true, ...body } };
+}
+
+function fail(status, message, extra = {}) {
+  return { status, body: { success: false, error: message, ...extra } };
+}
+
+/**
+ * 写操作审计记录（logs 集合）
+ */
+async function audit(repository, message, data) {
+  await repository.log('INFO', `Control API: ${message}`.substring(0, 500), data);
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 持仓
+// ═════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /positions：OPEN 持仓 + 按中间价计算的盈亏，附交易所持仓数量
+ */
+async function listPositions({ repository, hl }) {
+  const openPositions = await repository.getOpenPositions(null, 100);
+  const docs = openPositions.documents;
+
+  const exchangePositions = hl.useMock ? [] : await hl.getPositions();
+  const prices = {};
+
+  for (const symbol of new Set(docs.map(p => p.symbol))) {
+    prices[symbol] = await hl.getPrice(symbol);
+  }
+
+  const positions = docs.map(posDoc => {
+    const price = prices[posDoc.symbol];
+    const coin = posDoc.symbol.replace('USDT', '');
+    const exchangePosition = exchangePositions.find(p => p.coin === coin);
+
+    return {
+      ...describePosition(posDoc, price),
+      exchangeSize: exchangePosition ? parseFloat(exchangePosition.szi) : (hl.useMock ? null : 0)
+    };
+  });
+
+  return ok({
+    count: positions.length,
+    totalUnrealizedPnL: positions.reduce((sum, p) => sum + p.unrealizedPnL, 0),
+    positions,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function describePosition(posDoc, price) {
+  const openSize = getOpenSize(posDoc);
+  const unrealizedPnL = posDoc.side === SIDE.LONG
+    ? (price - posDoc.avgEntryPrice) * openSize
+    : (posDoc.avgEntryPrice - price) * openSize;
+  const realizedPnL = posDoc.realizedPnL || 0;
+
+  return {
+    id: posDoc.$id,
+    symbol: posDoc.symbol,
+    side: posDoc.side,
+    openTime: posDoc.openTime,
+    holdingHours: Math.floor((Date.now() - new Date(posDoc.openTime)) / (1000 * 60 * 60)),
+    avgEntryPrice: posDoc.avgEntryPrice,
+    size: posDoc.size,
+    openSize,
+    leverage: posDoc.leverage,
+    price,
+    stopLoss: posDoc.stopLoss,
+    takeProfits: parseTakeProfits(posDoc).map(tp => tp.price),
+    liquidationPrice: posDoc.liquidationPrice || null,
+    liquidationDistancePercent: getLiquidationDistancePercent(posDoc, price),
+    unrealizedPnL,
+    unrealizedPnLPercent: openSize > 0 ? (unrealizedPnL / (posDoc.avgEntryPrice * openSize)) * 100 : 0,
+    realizedPnL,
+    totalPnL: realizedPnL + unrealizedPnL,
+    scaleOuts: parseScaleOuts(posDoc).length
+  };
+}
+
+/**
+ * 读取 OPEN 持仓；交易所操作需要真实账户（Mock 模式的持仓只存在于单次执行内）
+ */
+async function loadOpenPosition(repository, hl, id) {
+  const posDoc = await repository.getPosition(id);
+
+  if (!posDoc) return { failure: fail(404, `Position ${id} not found`) };
+  if (posDoc.status !== 'OPEN') return { failure: fail(409, `Position ${id} is ${posDoc.status}`) };
+  if (hl.useMock) return { failure: fail(409, 'Exchange actions need HYPERLIQUID_PRIVATE_KEY (mock mode)') };
+
+  return { posDoc };
+}
+
+/**
+ * POST /positions/:id/close
+ * body: { percent }（剩余仓位的百分比）或 { size }，都不传时全部平仓；{ reason } 可选
+ */
+async function closePosition({ params: [id], body, repository, notifier, hl, log, error }) {
+  const { posDoc, failure } = await loadOpenPosition(repository, hl, id);
+  if (failure) return failure;
+
+  const symbol = posDoc.symbol;
+  const openSize = getOpenSize(posDoc);
+  const marketConfig = await hl.getMarketConfig(symbol);
+
+  let size = openSize;
+  if (body.size !== undefined) {
+    size = parseFloat(body.size);
+  } else if (body.percent !== undefined) {
+    size = openSize * parseFloat(body.percent) / 100;
+  }
+
+  if (!(size > 0)) {
+    return fail(400, 'size / percent must be a positive number');
+  }
+
+  size = roundSize(Math.min(size, openSize), marketConfig.szDecimals);
+
+  // 剩余不足最小下单量时整体平仓
+  const closeAll = size >= openSize || openSize - size < marketConfig.minSize;
+  if (closeAll) size = openSize;
+
+  if (size < marketConfig.minSize) {
+    return fail(400, `Size ${size} is below the minimum order size ${marketConfig.minSize}`);
+  }
+
+  const currentPrice = await hl.getPrice(symbol);
+  log(`   ✋ Manual ${closeAll ? 'close' : 'partial close'} ${posDoc.$id.substring(0, 8)}: ${size} / ${openSize} @ ~$${currentPrice.toFixed(2)}`);
+
+  const closeResult = await hl.closePosition({ symbol, size, price: currentPrice });
+
+  if (!closeResult.success) {
+    error(`   Close failed: ${closeResult.error}`);
+    return fail(502, `Exchange close failed: ${closeResult.error}`);
+  }
+
+  const reason = body.reason || null;
+
+  if (!closeAll) {
+    // 下单回报不含手续费，优先用成交记录
+    let partial = null;
+    try {
+      partial = await reconcilePartialExit(hl, posDoc, symbol.replace('USDT', ''), {
+        since: posDoc.lastPartialExitTime
+      });
+    } catch (reconcileErr) {
+      error(`   Partial fill reconciliation failed: ${reconcileErr.message}`);
+    }
+
+    const price = partial ? partial.exitPrice : (closeResult.executionPrice || currentPrice);
+    const executedSize = partial ? partial.size : (closeResult.executedSize || size);
+    const fee = partial ? partial.fee : (closeResult.fee || 0);
+    const pnl = partial
+      ? partial.pnl
+      : (posDoc.side === SIDE.LONG ? price - posDoc.avgEntryPrice : posDoc.avgEntryPrice - price) * executedSize - fee;
+
+    const updated = await recordPartialExit(repository, posDoc, {
+      stage: posDoc.scaleOutStage || 0,
+      reason: EXIT_REASON.MANUAL,
+      size: executedSize,
+      price,
+      fee,
+      pnl,
+      exitTime: partial ? partial.exitTime : new Date().toISOString()
+    }, { logTradeEvent, log });
+
+    await resizeStopLoss(hl, repository, updated, log);
+    await audit(repository, `partial close ${posDoc.$id} ${executedSize} @ ${price}`, { positionId: posDoc.$id, size: executedSize, price, pnl, reason });
+
+    return ok({
+      action: 'partial_close',
+      positionId: posDoc.$id,
+      size: executedSize,
+      price,
+      fee,
+      pnl,
+      remainingSize: updated.remainingSize
+    });
+  }
+
+  // 净盈亏（含手续费、资金费），与 position-monitor 的平仓记录同一口径
+  const closed = await settleClose(hl, posDoc, symbol.replace('USDT', ''), {
+    exitPrice: closeResult.executionPrice || currentPrice,
+    exitFee: closeResult.fee || 0
+  });
+  const partials = summarizePartialExits(posDoc);
+
+  await cancelExitOrders(hl, posDoc, log);
+  await repository.updatePosition(posDoc.$id, {
+    status: 'CLOSED',
+    exitTime: closed.exitTime,
+    exitReason: EXIT_REASON.MANUAL,
+    exitPrice: closed.exitPrice,
+    exitFee: closed.exitFee,
+    funding: closed.funding,
+    pnl: closed.pnl,
+    remainingSize: 0,
+    realizedPnL: closed.pnl,
+    unrealizedPnL: 0,
+    reconciledAt: closed.reconciled ? new Date().toISOString() : null
+  });
+
+  await logTradeEvent(repository, {
+    eventType: 'CLOSE',
+    symbol,
+    side: posDoc.side,
+    price: closed.exitPrice,
+    size: openSize,
+    fee: Math.max(0, closed.fee - partials.fee),
+    funding: closed.funding,
+    positionId: posDoc.$id,
+    pnl: closed.remainderPnl,
+    pnlPercent: closed.pnlPercent,
+    exitReason: EXIT_REASON.MANUAL,
+    obId: posDoc.relatedOB,
+    obType: posDoc.obType,
+    reconciled: closed.reconciled
+  });
+
+  await audit(repository, `close ${posDoc.$id} @ ${closed.exitPrice}`, { positionId: posDoc.$id, size: openSize, price: closed.exitPrice, pnl: closed.pnl, reason });
+
+  await sendCloseNotification(notifier, {
+    position: posDoc,
+    exitPrice: closed.exitPrice,
+    exitReason: EXIT_REASON.MANUAL,
+    pnl: closed.pnl,
+    pnlPercent: closed.pnlPercent,
+    fee: closed.fee
+  }).catch(err => error(`   Failed to send notification: ${err.message}`));
+
+  return ok({
+    action: 'closed',
+    positionId: posDoc.$id,
+    size: openSize,
+    price: closed.exitPrice,
+    fee: closed.fee,
+    pnl: closed.pnl,
+    reconciled: closed.reconciled
+  });
+}
+
+/**
+ * POST /positions/:id/stop
+ * body: { stopLoss, reason? }；止损价必须在当前价的亏损一侧
+ */
+async function moveStop({ params: [id], body, repository, notifier, hl, log, error }) {
+  const { posDoc, failure } = await loadOpenPosition(repository, hl, id);
+  if (failure) return failure;
+
+  const symbol = posDoc.symbol;
+  const requested = parseFloat(body.stopLoss);
+
+  if (!(requested > 0)) {
+    return fail(400, 'stopLoss must be a positive number');
+  }
+
+  const marketConfig = await hl.getMarketConfig(symbol);
+  const newStopLoss = roundPrice(requested, marketConfig.szDecimals);
+  const currentPrice = await hl.getPrice(symbol);
+
+  // 止损越过当前价会立即触发，应使用平仓接口
+  const wrongSide = posDoc.side === SIDE.LONG ? newStopLoss >= currentPrice : newStopLoss <= currentPrice;
+  if (wrongSide) {
+    return fail(400, `Stop $${newStopLoss} is on the wrong side of the price $${currentPrice} for a ${posDoc.side}; use /close instead`);
+  }
+
+  const from = posDoc.stopLoss;
+  log(`   ✋ Manual stop ${posDoc.$id.substring(0, 8)}: $${from.toFixed(2)} → $${newStopLoss.toFixed(2)}`);
+
+  // 没有止损单（如接管的持仓下单失败）时直接下新单
+  const result = posDoc.stopLossOrderId
+    ? await hl.updateStopLoss({ symbol, stopLossOrderId: posDoc.stopLossOrderId, newStopLoss })
+    : await hl.placeStopLoss({ symbol, side: posDoc.side, size: getOpenSize(posDoc), stopLoss: newStopLoss })
+      .then(placed => ({ ...placed, newStopLossOrderId: placed.stopLossOrderId }));
+
+  if (!result.success) {
+    error(`   Stop update failed: ${result.error}`);
+    return fail(502, `Exchange stop update failed: ${result.error}`);
+  }
+
+  const now = new Date().toISOString();
+  const reason = body.reason || 'manual';
+
+  await repository.updatePosition(posDoc.$id, {
+    stopLoss: newStopLoss,
+    stopLossOrderId: String(result.newStopLossOrderId),
+    stopPolicy: 'manual',
+    stopHistory: appendStopHistory(posDoc, { time: now, from, to: newStopLoss, policy: 'manual', reason }),
+    lastStopUpdate: now
+  });
+
+  await audit(repository, `stop ${posDoc.$id} ${from} → ${newStopLoss}`, { positionId: posDoc.$id, from, to: newStopLoss, reason });
+
+  await sendStopMovedNotification(notifier, { ...posDoc, stopLoss: newStopLoss }, { from, policy: 'manual', reason })
+    .catch(err => error(`   Failed to send notification: ${err.message}`));
+
+  return ok({
+    action: 'stop_moved',
+    positionId: posDoc.$id,
+    from,
+    to: newStopLoss,
+    stopLossOrderId: String(result.newStopLossOrderId)
+  });
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 交易开关 / 冷静期 / OB
+// ═════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /status
+ */
+async function getStatus({ config, repository }) {
+  const [pause, protection, openPositions] = await Promise.all([
+    repository.getTradingPause(),
+    getProtectionStats(repository),
+    repository.getOpenPositions(null, 100)
+  ]);
+
+  return ok({
+    symbol: config.symbol,
+    tradingEnabled: config.tradingEnabled,
+    paused: !!pause,
+    pause,
+    cooldownUntil: protection.current.cooldownUntil || null,
+    cooldownActive: !!protection.current.cooldownUntil && new Date(protection.current.cooldownUntil) > new Date(),
+    peakBalance: protection.current.peak,
+    openPositions: openPositions.documents.length,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * POST /trading/pause  body: { reason? }
+ */
+async function pauseTrading({ body, repository, log }) {
+  const existing = await repository.getTradingPause();
+
+  if (existing) {
+    return ok({ action: 'already_paused', pause: existing });
+  }
+
+  const pause = await repository.setTradingPause({ reason: body.reason || null, source: 'control-api' });
+  log(`   ⏸️  Trading paused${pause.reason ? ` (${pause.reason})` : ''}`);
+  await audit(repository, 'trading paused', pause);
+
+  return ok({ action: 'paused', pause });
+}
+
+/**
+ * POST /trading/resume
+ */
+async function resumeTrading({ repository, log }) {
+  const existing = await repository.getTradingPause();
+
+  if (!existing) {
+    return ok({ action: 'not_paused' });
+  }
+
+  await repository.clearTradingPause();
+  log('   ▶️  Trading resumed');
+  await audit(repository, 'trading resumed', { pausedAt: existing.pausedAt, reason: existing.reason });
+
+  return ok({ action: 'resumed', pausedAt: existing.pausedAt });
+}
+
+/**
+ * POST /cooldown/clear
+ */
+async function clearCooldownRoute({ repository, log }) {
+  const cooldownUntil = await clearCooldown(repository, log);
+
+  if (!cooldownUntil) {
+    return ok({ action: 'no_cooldown' });
+  }
+
+  await audit(repository, 'cooldown cleared', { cooldownUntil });
+
+  return ok({ action: 'cooldown_cleared', cooldownUntil });
+}
+
+/**
+ * POST /obs/:id/ignore  body: { reason? }
+ * 标记为已处理后 entry-monitor 不再入场；OB 仍保持 active（HTF 目标位 / 反向 OB 检测照常使用）
+ */
+async function ignoreOB({ params: [id], body, repository, log }) {
+  const ob = await repository.getOB(id);
+
+  if (!ob) {
+    return fail(404, `OB ${id} not found`);
+  }
+
+  if (ob.isProcessed) {
+    return ok({ action: 'already_processed', obId: id, processedReason: ob.processedReason || null });
+  }
+
+  await repository.updateOB(id, {
+    isProcessed: true,
+    processedAt: new Date().toISOString(),
+    processedReason: 'manual_ignore'
+  });
+
+  log(`   🙈 OB ${id} ignored (${ob.type} ${ob.timeframe} $${ob.bottom}-$${ob.top})`);
+  await audit(repository, `OB ${id} ignored`, { obId: id, reason: body.reason || null });
+
+  return ok({ action: 'ignored', obId: id });
+}
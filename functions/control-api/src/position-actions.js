@@ -0,0 +1,158 @@
+/**
+ * 持仓操作：position-monitor（自动）与 control-api（人工）共用
+ *
+ * - 记录部分平仓、按剩余数量重挂止损单、全部平仓后撤销残留的止损 / 止盈单
+ * - 平仓 / 止损移动通知
+ *
+ * 交易记录由各 Function 自带的 trade-logger 写入，调用方传入 logTradeEvent。
+ */
+
+const { NOTIFY_EVENT, SEVERITY } = require('./notifier');
+const { getOpenSize, parseTakeProfits } = require('./strategy');
+const { parseScaleOuts } = require('./fill-reconciliation');
+
+const noop = () => {};
+
+/**
+ * 记录一次部分平仓：更新剩余数量 / 已实现盈亏 / 梯度级数，写入 PARTIAL_CLOSE 事件
+ * @param {Object} tranche - { stage, reason, size, price, fee, pnl, exitTime }，pnl 为扣除平仓手续费后的净值
+ * @param {Object} options - { logTradeEvent, log }
+ * @returns {Promise<Object>} 更新后的持仓文档
+ */
+async function recordPartialExit(repository, posDoc, tranche, { logTradeEvent, log = noop }) {
+  const remainingSize = Math.max(0, getOpenSize(posDoc) - tranche.size);
+  const realizedPnL = (posDoc.realizedPnL || 0) + tranche.pnl;
+  const scaleOuts = [...parseScaleOuts(posDoc), tranche];
+
+  log(`✂️  Partial close ${tranche.size} @ $${tranche.price.toFixed(2)} | PnL $${tranche.pnl.toFixed(2)} | Remaining ${remainingSize}`);
+
+  const updated = await repository.updatePosition(posDoc.$id, {
+    remainingSize,
+    realizedPnL,
+    scaleOutStage: tranche.stage,
+    scaleOuts: JSON.stringify(scaleOuts),
+    lastPartialExitTime: tranche.exitTime
+  });
+
+  await logTradeEvent(repository, {
+    eventType: 'PARTIAL_CLOSE',
+    symbol: posDoc.symbol,
+    side: posDoc.side,
+    price: tranche.price,
+    size: tranche.size,
+    fee: tranche.fee,
+    positionId: posDoc.$id,
+    avgEntryPrice: posDoc.avgEntryPrice,
+    totalSize: remainingSize,
+    pnl: tranche.pnl,
+    pnlPercent: (tranche.pnl / (posDoc.avgEntryPrice * tranche.size)) * 100,
+    exitReason: tranche.reason,
+    obId: posDoc.relatedOB,
+    obType: posDoc.obType
+  });
+
+  return { ...posDoc, ...updated };
+}
+
+/**
+ * 部分平仓后按剩余数量重挂止损单（止损价不变）
+ */
+async function resizeStopLoss(hl, repository, posDoc, log = noop) {
+  if (!posDoc.stopLossOrderId) return;
+
+  const result = await hl.updateStopLoss({
+    symbol: posDoc.symbol,
+    stopLossOrderId: posDoc.stopLossOrderId,
+    newStopLoss: posDoc.stopLoss
+  });
+
+  if (result.success) {
+    await repository.updatePosition(posDoc.$id, {
+      stopLossOrderId: result.newStopLossOrderId,
+      lastStopUpdate: new Date().toISOString()
+    });
+    posDoc.stopLossOrderId = result.newStopLossOrderId;
+    log(`   Stop loss resized to ${posDoc.remainingSize}`);
+  } else {
+    log(`   ⚠️  Could not resize stop loss: ${result.error}`);
+  }
+}
+
+/**
+ * 程序主动全部平仓后撤销残留的止损 / 止盈单
+ */
+async function cancelExitOrders(hl, posDoc, log = noop) {
+  const orderIds = [
+    posDoc.stopLossOrderId,
+    ...parseTakeProfits(posDoc).map(tp => tp.orderId)
+  ].filter(Boolean);
+
+  for (const orderId of orderIds) {
+    const result = await hl.cancelOrder(orderId, posDoc.symbol).catch(err => ({ success: false, error: err.message }));
+    if (!result.success) {
+      log(`   ⚠️  Could not cancel order ${orderId}: ${result.error}`);
+    }
+  }
+}
+
+async function sendCloseNotification(notifier, { position, exitPrice, exitReason, pnl, pnlPercent, fee }) {
+  if (!notifier.enabled) return { sent: [], failed: [] };
+
+  return notifier.notify({
+    event: NOTIFY_EVENT.TRADE_CLOSE,
+    severity: SEVERITY.INFO,
+    data: {
+      symbol: position.symbol,
+      baseAsset: position.symbol.replace('USDT', ''),
+      side: position.side,
+      positionId: position.$id,
+      time: new Date().toISOString(),
+      exitReason,
+      entryPrice: position.avgEntryPrice,
+      exitPrice,
+      size: position.size,
+      holdingHours: Math.floor((Date.now() - new Date(position.openTime)) / (1000 * 60 * 60)),
+      additionCount: position.additionCount || 0,
+      pnl,
+      pnlPercent,
+      entryFee: position.entryFee || 0,
+      exitFee: fee,
+      leverage: position.leverage,
+      stopLoss: position.stopLoss,
+      obType: position.obType,
+      obConfidence: position.obConfidence
+    }
+  });
+}
+
+/**
+ * posDoc.stopLoss 为移动后的止损价
+ */
+async function sendStopMovedNotification(notifier, posDoc, { from, policy, reason }) {
+  if (!notifier.enabled) return { sent: [], failed: [] };
+
+  return notifier.notify({
+    event: NOTIFY_EVENT.STOP_MOVED,
+    severity: SEVERITY.INFO,
+    data: {
+      symbol: posDoc.symbol,
+      side: posDoc.side,
+      positionId: posDoc.$id,
+      time: new Date().toISOString(),
+      entryPrice: posDoc.avgEntryPrice,
+      size: getOpenSize(posDoc),
+      from,
+      to: posDoc.stopLoss,
+      policy,
+      reason
+    }
+  });
+}
+
+module.exports = {
+  recordPartialExit,
+  resizeStopLoss,
+  cancelExitOrders,
+  sendCloseNotification,
+  sendStopMovedNotification
+};
@@ -0,0 +1,240 @@
+/**
+ * 止损管理：可组合的移动止损策略
+ *
+ *   atr         浮盈超过 TRAILING_STOP_TRIGGER% 后按 ATR × 倍数追踪（原 calculateTrailingStop）
+ *   breakeven   浮盈达到 N R 后移到保本价（含开平仓手续费）
+ *   ob_step     阶梯止损：锁定到开仓后出现的每个同向 OB 下沿 / 上沿
+ *   chandelier  吊灯止损：开仓以来最高价 - k × ATR（空头为最低价 + k × ATR）
+ *   structure   结构止损：跟随最近的摆动低点 / 高点
+ *
+ * 每个策略给出候选止损价，取最有利且优于当前止损的一个；止损只收紧不放宽。
+ */
+
+const { SIDE, OB_TYPE, HYPERLIQUID } = require('./constants');
+const { calculateTrailingStop } = require('./strategy');
+
+const STOP_POLICIES = ['atr', 'breakeven', 'ob_step', 'chandelier', 'structure'];
+
+// positions.stopHistory 列宽 4000：只保留最近的移动记录
+const MAX_STOP_HISTORY = 20;
+const MAX_STOP_HISTORY_LENGTH = 4000;
+
+/**
+ * 解析 STOP_POLICIES，如 "breakeven,ob_step,atr"
+ */
+function parseStopPolicies(spec) {
+  if (!spec) return [];
+
+  const policies = String(spec).split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+  const unknown = policies.filter(p => !STOP_POLICIES.includes(p));
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown stop policy: ${unknown.join(', ')}`);
+  }
+
+  return policies;
+}
+
+function isLong(position) {
+  return position.side === SIDE.LONG;
+}
+
+/**
+ * 初始风险（每单位价格距离），用于 R 倍数
+ */
+function getInitialRisk(position) {
+  return Math.abs(position.avgEntryPrice - (position.initialStopLoss || position.stopLoss));
+}
+
+function getProfitR(position, currentPrice) {
+  const risk = getInitialRisk(position);
+  if (!(risk > 0)) return 0;
+
+  const move = isLong(position) ? currentPrice - position.avgEntryPrice : position.avgEntryPrice - currentPrice;
+  return move / risk;
+}
+
+/**
+ * 保本价：均价 + 开平仓手续费（空头为减）
+ */
+function breakEvenStop(position, currentPrice, context, config) {
+  if (getProfitR(position, currentPrice) < config.breakEvenTriggerR) {
+    return null;
+  }
+
+  const feeRate = config.breakEvenFeeRate !== undefined ? config.breakEvenFeeRate : HYPERLIQUID.FEES.TAKER * 2;
+  const price = isLong(position)
+    ? position.avgEntryPrice * (1 + feeRate)
+    : position.avgEntryPrice * (1 - feeRate);
+
+  return { price, reason: `BREAKEVEN_${config.breakEvenTriggerR}R` };
+}
+
+/**
+ * 阶梯止损：开仓后确认的同向 OB 中，离当前价最近的一个（多头取下沿，空头取上沿）
+ */
+function obStepStop(position, currentPrice, { obs = [], atr = null }, config) {
+  const openTime = new Date(position.openTime).getTime();
+  const buffer = atr ? atr * config.stopBufferATR : 0;
+
+  const levels = obs
+    .filter(ob => new Date(ob.confirmationTime).getTime() > openTime)
+    .filter(ob => isLong(position)
+      ? ob.type === OB_TYPE.BULLISH && ob.bottom < currentPrice
+      : ob.type === OB_TYPE.BEARISH && ob.top > currentPrice)
+    .map(ob => ({
+      price: isLong(position) ? ob.bottom - buffer : ob.top + buffer,
+      ob
+    }));
+
+  if (levels.length === 0) return null;
+
+  const best = levels.reduce((a, b) => (isLong(position) ? b.price > a.price : b.price < a.price) ? b : a);
+  return { price: best.price, reason: `OB_STEP_${best.ob.timeframe}` };
+}
+
+/**
+ * 开仓以来的 K 线（含当前价）
+ */
+function candlesSinceOpen(position, candles) {
+  const openTime = new Date(position.openTime).getTime();
+  return candles.filter(c => new Date(c.closeTime || c.timestamp).getTime() >= openTime);
+}
+
+/**
+ * 吊灯止损
+ */
+function chandelierStop(position, currentPrice, { candles = [], atr = null }, config) {
+  if (!atr) return null;
+
+  const since = candlesSinceOpen(position, candles);
+  const distance = atr * config.chandelierMultiplier;
+
+  const price = isLong(position)
+    ? Math.max(currentPrice, ...since.map(c => c.high)) - distance
+    : Math.min(currentPrice, ...since.map(c => c.low)) + distance;
+
+  return { price, reason: 'CHANDELIER' };
+}
+
+/**
+ * 最近确认的摆动低点 / 高点（左右各 swingLength 根 K 线）
+ */
+function findLastSwing(candles, side, swingLength) {
+  for (let i = candles.length - 1 - swingLength; i >= swingLength; i--) {
+    const window = candles.slice(i - swingLength, i + swingLength + 1);
+
+    if (side === SIDE.LONG && window.every(c => c.low >= candles[i].low)) {
+      return candles[i].low;
+    }
+    if (side === SIDE.SHORT && window.every(c => c.high <= candles[i].high)) {
+      return candles[i].high;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 结构止损：开仓后形成的最近摆动点之外
+ */
+function structureStop(position, currentPrice, { candles = [], atr = null }, config) {
+  const swing = findLastSwing(candlesSinceOpen(position, candles), position.side, config.structureSwingLength);
+  if (swing === null) return null;
+
+  const buffer = atr ? atr * config.stopBufferATR : 0;
+  return { price: isLong(position) ? swing - buffer : swing + buffer, reason: 'STRUCTURE' };
+}
+
+function atrTrailingStop(position, currentPrice, { atr = null }, config) {
+  if (!atr) return null;
+
+  const trailing = calculateTrailingStop(position, currentPrice, atr, config);
+  return trailing.update ? { price: trailing.newStopLoss, reason: trailing.reason } : null;
+}
+
+const POLICY_HANDLERS = {
+  atr: atrTrailingStop,
+  breakeven: breakEvenStop,
+  ob_step: obStepStop,
+  chandelier: chandelierStop,
+  structure: structureStop
+};
+
+/**
+ * 计算止损更新
+ *
+ * @param {Object} position - positions 文档
+ * @param {number} currentPrice
+ * @param {Object} context - { atr, candles, obs }
+ * @param {Object} config - { stopPolicies, breakEvenTriggerR, chandelierMultiplier, structureSwingLength, stopBufferATR, ... }
+ * @returns {Object} { update, newStopLoss, policy, reason, candidates }
+ */
+function computeStopUpdate(position, currentPrice, context, config) {
+  const candidates = [];
+
+  for (const policy of config.stopPolicies) {
+    const candidate = POLICY_HANDLERS[policy](position, currentPrice, context, config);
+    if (!candidate || !Number.isFinite(candidate.price)) continue;
+
+    // 止损必须在当前价的亏损一侧，且比现有止损更有利
+    const valid = isLong(position)
+      ? candidate.price < currentPrice && candidate.price > position.stopLoss
+      : candidate.price > currentPrice && candidate.price < position.stopLoss;
+
+    candidates.push({ policy, ...candidate, valid });
+  }
+
+  const valid = candidates.filter(c => c.valid);
+  if (valid.length === 0) {
+    return { update: false, candidates };
+  }
+
+  const best = valid.reduce((a, b) => (isLong(position) ? b.price > a.price : b.price < a.price) ? b : a);
+
+  return {
+    update: true,
+    newStopLoss: best.price,
+    policy: best.policy,
+    reason: best.reason,
+    candidates
+  };
+}
+
+/**
+ * positions.stopHistory（JSON 字符串）→ [{ time, from, to, policy, reason }]
+ */
+function parseStopHistory(position) {
+  try {
+    const parsed = position.stopHistory ? JSON.parse(position.stopHistory) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * 追加一条止损移动记录，返回写入 positions.stopHistory 的 JSON 字符串
+ * 超过 MAX_STOP_HISTORY 条或列宽时丢弃最早的记录
+ */
+function appendStopHistory(position, entry) {
+  const history = [...parseStopHistory(position), entry].slice(-MAX_STOP_HISTORY);
+
+  let json = JSON.stringify(history);
+  while (json.length > MAX_STOP_HISTORY_LENGTH && history.length > 1) {
+    history.shift();
+    json = JSON.stringify(history);
+  }
+
+  return json;
+}
+
+module.exports = {
+  STOP_POLICIES,
+  parseStopPolicies,
+  getProfitR,
+  findLastSwing,
+  computeStopUpdate,
+  parseStopHistory,
+  appendStopHistory
+};
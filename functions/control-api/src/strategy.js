@@ -0,0 +1,620 @@
+/**
+ * 交易策略逻辑
+ */
+
+const { SIDE, OB_TYPE, EXIT_REASON } = require('./constants');
+
+/**
+ * 检查是否应该入场
+ */
+function shouldEnterTrade(ob, currentPrice, config) {
+  // 1. 检查 OB 年龄
+  const obAge = (Date.now() - new Date(ob.confirmationTime)) / (1000 * 60 * 60);
+  if (obAge > config.maxOBAge) {
+    return { enter: false, reason: 'OB too old' };
+  }
+
+  // 2. 检查价格距离
+  const priceDistance = ob.type === OB_TYPE.BULLISH
+    ? Math.abs(currentPrice - ob.top) / ob.top
+    : Math.abs(currentPrice - ob.bottom) / ob.bottom;
+
+  if (priceDistance > config.maxPriceDistance) {
+    return { enter: false, reason: 'Price too far from OB' };
+  }
+
+  // 3. 检查置信度（可选）
+  if (config.requireHighConfidence && ob.confidence !== 'high') {
+    return { enter: false, reason: 'Low confidence OB' };
+  }
+
+  return { enter: true };
+}
+
+/**
+ * 计算止损价格
+ */
+function calculateStopLoss(ob, atr, config) {
+  const side = ob.type === OB_TYPE.BULLISH ? SIDE.LONG : SIDE.SHORT;
+  
+  if (side === SIDE.LONG) {
+    return ob.bottom - (atr * config.atrMultiplier);
+  } else {
+    return ob.top + (atr * config.atrMultiplier);
+  }
+}
+
+/**
+ * 计算仓位大小
+ */
+function calculatePositionSize(balance, leverage, riskPercent, entryPrice, stopLoss) {
+  const leveragedBalance = balance * leverage;
+  const riskAmount = leveragedBalance * (riskPercent / 100);
+  const riskDistance = Math.abs(entryPrice - stopLoss);
+  
+  if (riskDistance <= 0) {
+    throw new Error('Invalid stop loss distance');
+  }
+  
+  return riskAmount / riskDistance;
+}
+
+/**
+ * OB 年龄（分钟）
+ */
+function getOBAgeMinutes(ob, now = Date.now()) {
+  return (now - new Date(ob.confirmationTime)) / (1000 * 60);
+}
+
+/**
+ * 获取 OB 的突破价
+ */
+function getBreakoutPrice(ob) {
+  if (ob.breakoutPrice && ob.breakoutPrice > 0) return ob.breakoutPrice;
+  if (ob.confirmationCandleClose && ob.confirmationCandleClose > 0) return ob.confirmationCandleClose;
+  return ob.type === OB_TYPE.BULLISH ? ob.top : ob.bottom;
+}
+
+/**
+ * 检查 OB 是否适合加仓（entry-monitor 规则）
+ */
+function checkAdditionEligibility(position, ob, currentPrice, balance, config) {
+  const isSameDirection =
+    (position.side === SIDE.LONG && ob.type === OB_TYPE.BULLISH) ||
+    (position.side === SIDE.SHORT && ob.type === OB_TYPE.BEARISH);
+
+  if (!isSameDirection) {
+    return { eligible: false, reason: 'wrong_direction' };
+  }
+
+  if (position.additionCount >= config.maxAdditions) {
+    return { eligible: false, reason: 'max_additions' };
+  }
+
+  const openSize = getOpenSize(position);
+  const unrealizedPnL = position.side === SIDE.LONG
+    ? (currentPrice - position.avgEntryPrice) * openSize
+    : (position.avgEntryPrice - currentPrice) * openSize;
+
+  const unrealizedPnLPercent = (unrealizedPnL / balance) * 100;
+
+  if (unrealizedPnLPercent < config.minProfitForAddition) {
+    return { eligible: false, reason: 'insufficient_profit', unrealizedPnLPercent };
+  }
+
+  // 新 OB 必须明显更优，或距离接近且高置信度
+  const lastOBBottom = position.lastOBBottom || 0;
+  const lastOBTop = position.lastOBTop || Infinity;
+
+  const obDistance = position.side === SIDE.LONG
+    ? Math.abs(ob.bottom - lastOBBottom) / lastOBBottom
+    : Math.abs(ob.top - lastOBTop) / lastOBTop;
+
+  const significantlyBetter =
+    (position.side === SIDE.LONG && ob.bottom > lastOBBottom * 1.02) ||
+    (position.side === SIDE.SHORT && ob.top < lastOBTop * 0.98);
+
+  const withinRangeAndConfident = obDistance < 0.05 && ob.confidence === 'high';
+
+  if (!significantlyBetter && !withinRangeAndConfident) {
+    return { eligible: false, reason: 'not_suitable', unrealizedPnLPercent, obDistance };
+  }
+
+  return { eligible: true, unrealizedPnLPercent, obDistance };
+}
+
+/**
+ * 计算开仓 / 加仓的仓位大小（按风险金额；riskFactor 为 OB 评分缩放）
+ */
+function calculateEntrySize({ action, balance, currentPrice, stopLoss, additionCount = 0, riskFactor = 1, config, marketConfig }) {
+  const scaleFactor = action === 'ADD'
+    ? Math.pow(config.scaleDownFactor, additionCount + 1)
+    : 1;
+
+  const riskAmount = balance * (config.riskPercent / 100) * scaleFactor * riskFactor;
+  const riskDistance = Math.abs(currentPrice - stopLoss);
+
+  let positionSize = riskAmount / riskDistance;
+  positionSize = Math.floor(positionSize / marketConfig.sizeIncrement) * marketConfig.sizeIncrement;
+
+  return { riskAmount, positionSize, scaleFactor };
+}
+
+/**
+ * 根据价格偏离选择入场方式
+ * 偏离小 → 市价单；偏离中等 → 限价单；偏离过大 → 跳过
+ */
+function planEntryOrder({ ob, side, currentPrice, config, pricePrecision }) {
+  const breakoutPrice = getBreakoutPrice(ob);
+  const deviationPercent = (Math.abs(currentPrice - breakoutPrice) / breakoutPrice) * 100;
+
+  if (deviationPercent <= config.maxDeviationForMarket) {
+    return { orderType: 'market', breakoutPrice, deviationPercent };
+  }
+
+  if (deviationPercent > config.maxDeviationForLimit) {
+    return { orderType: 'skip', breakoutPrice, deviationPercent };
+  }
+
+  let limitPrice = side === SIDE.LONG
+    ? currentPrice * (1 - config.limitPriceAdjustment / 100)
+    : currentPrice * (1 + config.limitPriceAdjustment / 100);
+
+  // 确保不会超出 OB 范围
+  if (side === SIDE.LONG && limitPrice < ob.bottom) {
+    limitPrice = ob.bottom * 1.001;
+  } else if (side === SIDE.SHORT && limitPrice > ob.top) {
+    limitPrice = ob.top * 0.999;
+  }
+
+  limitPrice = parseFloat(limitPrice.toFixed(pricePrecision));
+
+  return { orderType: 'limit', breakoutPrice, deviationPercent, limitPrice };
+}
+
+/**
+ * 规划交易所止盈单
+ * 优先使用盈利方向上最近的 HTF 反向 OB（LONG → 看跌 OB 下沿，SHORT → 看涨 OB 上沿），
+ * 没有满足最小 R 的 HTF 目标时按 R 倍数设置；数量在各级之间平均分配。
+ * @returns {Array} [{ price, size, rMultiple, source }]
+ */
+function planTakeProfits({ side, entryPrice, stopLoss, size, htfOBs = [], config, pricePrecision = 2 }) {
+  if (config.takeProfitMode === 'off') {
+    return [];
+  }
+
+  const risk = Math.abs(entryPrice - stopLoss);
+  if (!(risk > 0)) {
+    return [];
+  }
+
+  const rMultipleOf = price => Math.abs(price - entryPrice) / risk;
+
+  let targets = [];
+
+  if (config.takeProfitMode !== 'r') {
+    targets = htfOBs
+      .filter(ob => side === SIDE.LONG
+        ? ob.type === OB_TYPE.BEARISH && ob.bottom > entryPrice
+        : ob.type === OB_TYPE.BULLISH && ob.top < entryPrice)
+      .map(ob => ({
+        price: side === SIDE.LONG ? ob.bottom : ob.top,
+        source: `HTF_${ob.timeframe}`
+      }))
+      .filter(t => rMultipleOf(t.price) >= config.takeProfitMinR)
+      .sort((a, b) => rMultipleOf(a.price) - rMultipleOf(b.price))
+      .slice(0, config.maxTakeProfits);
+  }
+
+  if (targets.length === 0) {
+    targets = config.takeProfitRMultiples
+      .filter(r => r > 0)
+      .slice(0, config.maxTakeProfits)
+      .map(r => ({
+        price: side === SIDE.LONG ? entryPrice + risk * r : entryPrice - risk * r,
+        source: 'R'
+      }));
+  }
+
+  const levelSize = size / targets.length;
+
+  return targets.map((target, i) => {
+    const price = parseFloat(target.price.toFixed(pricePrecision));
+    return {
+      price,
+      size: i === targets.length - 1 ? size - levelSize * (targets.length - 1) : levelSize,
+      rMultiple: parseFloat(rMultipleOf(price).toFixed(2)),
+      source: target.source
+    };
+  });
+}
+
+/**
+ * 交易所侧平仓（持仓消失）的原因：按平仓价更接近止损还是止盈判断
+ */
+function classifyExchangeExit(position, exitPrice, liquidated = false) {
+  if (liquidated) {
+    return EXIT_REASON.LIQUIDATION;
+  }
+
+  const takeProfits = parseTakeProfits(position);
+  if (takeProfits.length === 0 || !exitPrice) {
+    return EXIT_REASON.STOP_LOSS_TRIGGERED;
+  }
+
+  const toStop = Math.abs(exitPrice - position.stopLoss);
+  const toTarget = Math.min(...takeProfits.map(tp => Math.abs(exitPrice - tp.price)));
+
+  return toTarget < toStop ? EXIT_REASON.TAKE_PROFIT : EXIT_REASON.STOP_LOSS_TRIGGERED;
+}
+
+/**
+ * positions.takeProfits（JSON 字符串）→ [{ price, size, orderId }]
+ */
+function parseTakeProfits(position) {
+  if (!position.takeProfits) return [];
+
+  try {
+    const parsed = JSON.parse(position.takeProfits);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * 检查是否应该止盈
+ */
+function shouldTakeProfit(position, currentPrice, htfOBs, config) {
+  const side = position.side;
+  
+  // 检查 HTF OB 目标
+  for (const htfOB of htfOBs) {
+    // 过滤相反方向的 OB
+    if (side === SIDE.LONG && htfOB.type === OB_TYPE.BEARISH) {
+      if (currentPrice >= htfOB.bottom) {
+        return {
+          takeProfit: true,
+          reason: `HTF_TARGET_${htfOB.timeframe}`,
+          targetPrice: htfOB.bottom
+        };
+      }
+    } else if (side === SIDE.SHORT && htfOB.type === OB_TYPE.BULLISH) {
+      if (currentPrice <= htfOB.top) {
+        return {
+          takeProfit: true,
+          reason: `HTF_TARGET_${htfOB.timeframe}`,
+          targetPrice: htfOB.top
+        };
+      }
+    }
+  }
+
+  return { takeProfit: false };
+}
+
+/**
+ * 持仓当前未平数量（分批止盈后 remainingSize < size；旧记录没有 remainingSize）
+ */
+function getOpenSize(position) {
+  return typeof position.remainingSize === 'number' ? position.remainingSize : position.size;
+}
+
+/**
+ * 解析分批止盈梯度，如 "htf:50,2R:25,trail:25"
+ * - htf   到达 HTF 反向 OB
+ * - <n>R  浮盈达到 n 倍初始风险
+ * - trail 剩余仓位交给追踪止损，不主动平仓
+ * 百分比均按开仓总数量计算。
+ * @returns {Array} [{ trigger: 'htf'|'r'|'trail', r, percent }]
+ */
+function parseScaleOutLadder(spec) {
+  if (!spec) return [];
+
+  return String(spec)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [rawTrigger, rawPercent] = part.split(':').map(s => s.trim());
+      const trigger = rawTrigger.toLowerCase();
+      const percent = parseFloat(rawPercent);
+
+      if (!(percent > 0 && percent <= 100)) {
+        throw new Error(`Invalid scale-out percent: ${part}`);
+      }
+
+      if (trigger === 'htf' || trigger === 'trail') {
+        return { trigger, r: null, percent };
+      }
+
+      const r = parseFloat(trigger.replace(/r$/, ''));
+      if (!/r$/.test(trigger) || !(r > 0)) {
+        throw new Error(`Invalid scale-out trigger: ${part}`);
+      }
+
+      return { trigger: 'r', r, percent };
+    });
+}
+
+/**
+ * 梯度是否包含部分平仓（不是一次平掉全部）
+ */
+function hasPartialScaleOut(ladder) {
+  return ladder.some(step => step.percent < 100);
+}
+
+/**
+ * 按已平数量匹配梯度级数（交易所侧止盈单成交等不经过梯度的减仓）
+ *
+ * 累计目标数量（开仓总数量 × 累计百分比）已被已平数量覆盖的级视为完成，
+ * 允许一个最小下单量的取整误差；不会低于 position.scaleOutStage。
+ */
+function matchLadderStage(position, ladder, { minSize = 0 } = {}) {
+  const closedSize = position.size - getOpenSize(position);
+  const tolerance = Math.max(minSize, 1e-9);
+  let stage = 0;
+  let cumulativePercent = 0;
+
+  for (const step of ladder) {
+    if (step.trigger === 'trail') break;
+
+    cumulativePercent += step.percent;
+    if (position.size * cumulativePercent / 100 - closedSize >= tolerance) break;
+    stage++;
+  }
+
+  return Math.max(stage, position.scaleOutStage || 0);
+}
+
+/**
+ * 分批止盈：返回当前价格下应执行的下一级
+ *
+ * 梯度按顺序执行，position.scaleOutStage 记录已完成的级数（已平数量覆盖的级同样视为完成）；
+ * 每级平到累计目标数量，最后一级、或剩余数量低于最小下单量时平掉全部剩余仓位。
+ *
+ * @returns {Object|null} { stage, step, size, closeAll, reason, targetPrice }
+ */
+function getDueScaleOut(position, currentPrice, htfOBs, ladder, { minSize = 0 } = {}) {
+  const stage = matchLadderStage(position, ladder, { minSize });
+  const step = ladder[stage];
+
+  if (!step || step.trigger === 'trail') {
+    return null;
+  }
+
+  let hit;
+  if (step.trigger === 'htf') {
+    const target = shouldTakeProfit(position, currentPrice, htfOBs, {});
+    hit = target.takeProfit ? { reason: target.reason, targetPrice: target.targetPrice } : null;
+  } else {
+    const initialStop = position.initialStopLoss || position.stopLoss;
+    const risk = Math.abs(position.avgEntryPrice - initialStop);
+    const targetPrice = position.side === SIDE.LONG
+      ? position.avgEntryPrice + risk * step.r
+      : position.avgEntryPrice - risk * step.r;
+    const reached = position.side === SIDE.LONG ? currentPrice >= targetPrice : currentPrice <= targetPrice;
+
+    hit = risk > 0 && reached ? { reason: `SCALE_OUT_${step.r}R`, targetPrice } : null;
+  }
+
+  if (!hit) {
+    return null;
+  }
+
+  const openSize = getOpenSize(position);
+  const cumulativePercent = ladder.slice(0, stage + 1).reduce((sum, s) => sum + s.percent, 0);
+  const isLastStep = ladder.slice(stage + 1).every(s => s.trigger === 'trail') && cumulativePercent >= 100;
+
+  // 平到累计目标（交易所侧已成交的部分不重复平）；按最小下单量向下取整，不足一个下单单位时按最小下单量平
+  const closedSize = position.size - openSize;
+  let size = Math.min(openSize, position.size * cumulativePercent / 100 - closedSize);
+  if (minSize > 0) {
+    size = Math.max(minSize, parseFloat((Math.floor(size / minSize + 1e-9) * minSize).toFixed(10)));
+  }
+  if (isLastStep || openSize - size < Math.max(minSize, 1e-12)) {
+    size = openSize;
+  }
+
+  return {
+    stage: stage + 1,
+    step,
+    size,
+    closeAll: size >= openSize,
+    reason: hit.reason,
+    targetPrice: hit.targetPrice
+  };
+}
+
+/**
+ * 检查是否应该反向平仓
+ * 条件：反向 OB 足够新、高置信度、价格已进入反向 OB 区域
+ */
+function shouldExitOnReversal(position, newOBs, currentPrice, config = {}, now = Date.now()) {
+  const side = position.side;
+  const maxAgeHours = config.minReversalOBAge || 8;
+  
+  for (const ob of newOBs) {
+    // 检查是否是相反方向的新 OB
+    const isReversal = 
+      (side === SIDE.LONG && ob.type === OB_TYPE.BEARISH) ||
+      (side === SIDE.SHORT && ob.type === OB_TYPE.BULLISH);
+    
+    if (!isReversal) continue;
+
+    const obAge = (now - new Date(ob.confirmationTime)) / (1000 * 60 * 60);
+    if (obAge > maxAgeHours || ob.confidence !== 'high') continue;
+
+    // 额外确认：价格必须进入反向 OB 区域
+    const priceConfirmed =
+      (side === SIDE.LONG && currentPrice < ob.top) ||
+      (side === SIDE.SHORT && currentPrice > ob.bottom);
+
+    if (priceConfirmed) {
+      return {
+        exit: true,
+        reason: 'REVERSAL_OB',
+        obId: ob.$id,
+        ob,
+        obAgeHours: obAge
+      };
+    }
+  }
+
+  return { exit: false };
+}
+
+/**
+ * 计算追踪止损
+ */
+function calculateTrailingStop(position, currentPrice, atr, config) {
+  const side = position.side;
+  
+  // 计算未实现盈亏百分比
+  const openSize = getOpenSize(position);
+  const positionValue = position.avgEntryPrice * openSize;
+  const unrealizedPnL = side === SIDE.LONG
+    ? (currentPrice - position.avgEntryPrice) * openSize
+    : (position.avgEntryPrice - currentPrice) * openSize;
+  
+  const unrealizedPnLPercent = (unrealizedPnL / positionValue) * 100;
+
+  // 只在盈利超过阈值时启动追踪止损
+  if (unrealizedPnLPercent < config.trailingStopTrigger) {
+    return { update: false };
+  }
+
+  // 计算新止损价格
+  const newStopLoss = side === SIDE.LONG
+    ? currentPrice - (atr * config.trailingStopMultiplier)
+    : currentPrice + (atr * config.trailingStopMultiplier);
+
+  // 检查新止损是否更有利
+  const shouldUpdate = side === SIDE.LONG
+    ? newStopLoss > position.stopLoss
+    : newStopLoss < position.stopLoss;
+
+  if (shouldUpdate) {
+    return {
+      update: true,
+      newStopLoss,
+      reason: 'TRAILING_STOP'
+    };
+  }
+
+  return { update: false };
+}
+
+/**
+ * 检查是否应该加仓
+ */
+function shouldAddToPosition(position, newOB, currentPrice, config) {
+  // 1. 检查加仓次数
+  if (position.additionCount >= config.maxAdditions) {
+    return { add: false, reason: 'Max additions reached' };
+  }
+
+  // 2. 检查方向一致
+  const isCorrectDirection = 
+    (position.side === SIDE.LONG && newOB.type === OB_TYPE.BULLISH) ||
+    (position.side === SIDE.SHORT && newOB.type === OB_TYPE.BEARISH);
+
+  if (!isCorrectDirection) {
+    return { add: false, reason: 'Wrong direction' };
+  }
+
+  // 3. 检查 OB 位置更有利
+  if (position.lastOBReference) {
+    const isBetterOB = position.side === SIDE.LONG
+      ? newOB.bottom > position.lastOBReference.bottom
+      : newOB.top < position.lastOBReference.top;
+
+    if (!isBetterOB) {
+      return { add: false, reason: 'OB not better than previous' };
+    }
+  }
+
+  // 4. 检查盈利百分比
+  const positionValue = position.avgEntryPrice * position.size;
+  const unrealizedPnL = position.side === SIDE.LONG
+    ? (currentPrice - position.avgEntryPrice) * position.size
+    : (position.avgEntryPrice - currentPrice) * position.size;
+  
+  const unrealizedPnLPercent = (unrealizedPnL / positionValue) * 100;
+
+  if (unrealizedPnLPercent < config.minProfitForAddition) {
+    return { add: false, reason: 'Not enough profit' };
+  }
+
+  return { add: true };
+}
+
+/**
+ * 计算加仓大小
+ */
+function calculateAdditionSize(position, balance, config) {
+  // 使用缩减因子
+  const scaleFactor = Math.pow(config.scaleDownFactor, position.additionCount + 1);
+  const baseRisk = balance * (config.riskPerTrade / 100);
+  const additionRisk = baseRisk * scaleFactor;
+  
+  return additionRisk;
+}
+
+/**
+ * 计算距强平价的百分比
+ */
+function getLiquidationDistancePercent(position, currentPrice) {
+  if (!position.liquidationPrice) return null;
+
+  return position.side === SIDE.LONG
+    ? ((currentPrice - position.liquidationPrice) / position.liquidationPrice) * 100
+    : ((position.liquidationPrice - currentPrice) / position.liquidationPrice) * 100;
+}
+
+/**
+ * 检查强平风险
+ */
+function checkLiquidationRisk(position, currentPrice, config) {
+  const threshold = config.liquidationThreshold || 0.05; // 5% 距离强平价
+  
+  const isNearLiquidation = position.side === SIDE.LONG
+    ? currentPrice <= position.liquidationPrice * (1 + threshold)
+    : currentPrice >= position.liquidationPrice * (1 - threshold);
+
+  if (isNearLiquidation) {
+    return {
+      dangerous: true,
+      distance: Math.abs((currentPrice - position.liquidationPrice) / position.liquidationPrice) * 100,
+      recommendation: 'EMERGENCY_CLOSE'
+    };
+  }
+
+  return { dangerous: false };
+}
+
+module.exports = {
+  shouldEnterTrade,
+  getOBAgeMinutes,
+  getBreakoutPrice,
+  checkAdditionEligibility,
+  calculateEntrySize,
+  planEntryOrder,
+  planTakeProfits,
+  classifyExchangeExit,
+  parseTakeProfits,
+  calculateStopLoss,
+  calculatePositionSize,
+  shouldTakeProfit,
+  getOpenSize,
+  parseScaleOutLadder,
+  hasPartialScaleOut,
+  matchLadderStage,
+  getDueScaleOut,
+  shouldExitOnReversal,
+  calculateTrailingStop,
+  shouldAddToPosition,
+  calculateAdditionSize,
+  getLiquidationDistancePercent,
+  checkLiquidationRisk
+};
\ No newline at end of file
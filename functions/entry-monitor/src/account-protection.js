@@ -2,8 +2,7 @@
  * 账户保护机制
  */
 
-const { Query } = require("node-appwrite");
-const { COLLECTIONS } = require("./constants");
+const { NOTIFY_EVENT, SEVERITY } = require("./notifier");
 
 /**
  * 账户保护配置
@@ -43,7 +42,7 @@ const PROTECTION_CONFIG = {
 /**
  * 检查账户保护（主函数）
  */
-async function checkAccountProtection(databases, databaseId, hl, log) {
+async function checkAccountProtection(repository, hl, log) {
   if (!PROTECTION_CONFIG.enabled) {
     log("   ⚠️  Account protection DISABLED");
     return { allowed: true, reason: "protection_disabled" };
@@ -64,12 +63,7 @@ async function checkAccountProtection(databases, databaseId, hl, log) {
     log(`   Current balance: $${currentBalance.toFixed(2)}`);
 
     // 3. 检查单日亏损
-    const dailyCheck = await checkDailyLoss(
-      databases,
-      databaseId,
-      currentBalance,
-      log
-    );
+    const dailyCheck = await checkDailyLoss(repository, currentBalance, log);
     if (!dailyCheck.allowed) {
       return dailyCheck;
     }
@@ -80,19 +74,14 @@ async function checkAccountProtection(databases, databaseId, hl, log) {
     );
 
     // 4. 检查连续亏损
-    const streakCheck = await checkLossStreak(databases, databaseId, log);
+    const streakCheck = await checkLossStreak(repository, log);
     if (!streakCheck.allowed) {
       return streakCheck;
     }
     log(`   ✅ Loss streak OK (${streakCheck.consecutiveLosses} consecutive)`);
 
     // 5. 检查账户回撤
-    const drawdownCheck = await checkDrawdown(
-      databases,
-      databaseId,
-      currentBalance,
-      log
-    );
+    const drawdownCheck = await checkDrawdown(repository, currentBalance, log);
     if (!drawdownCheck.allowed) {
       return drawdownCheck;
     }
@@ -103,7 +92,7 @@ async function checkAccountProtection(databases, databaseId, hl, log) {
     );
 
     // 6. 检查冷静期
-    const cooldownCheck = await checkCooldownPeriod(databases, databaseId, log);
+    const cooldownCheck = await checkCooldownPeriod(repository, log);
     if (!cooldownCheck.allowed) {
       return cooldownCheck;
     }
@@ -173,20 +162,15 @@ function checkTradingHours() {
 /**
  * 2. 检查单日亏损
  */
-async function checkDailyLoss(databases, databaseId, currentBalance, log) {
+async function checkDailyLoss(repository, currentBalance, log) {
   // 获取今日所有平仓的交易
   const todayStart = new Date();
   todayStart.setUTCHours(0, 0, 0, 0);
 
-  const todayPositions = await databases.listDocuments(
-    databaseId,
-    COLLECTIONS.POSITIONS,
-    [
-      Query.equal("status", "CLOSED"),
-      Query.greaterThanEqual("exitTime", todayStart.toISOString()),
-      Query.limit(100),
-    ]
-  );
+  const todayPositions = await repository.getClosedPositions({
+    since: todayStart,
+    limit: 100,
+  });
 
   // 计算今日总盈亏
   const dailyPnL = todayPositions.documents.reduce((sum, pos) => {
@@ -220,17 +204,9 @@ async function checkDailyLoss(databases, databaseId, currentBalance, log) {
 /**
  * 3. 检查连续亏损
  */
-async function checkLossStreak(databases, databaseId, log) {
+async function checkLossStreak(repository, log) {
   // 获取最近 20 笔交易
-  const recentPositions = await databases.listDocuments(
-    databaseId,
-    COLLECTIONS.POSITIONS,
-    [
-      Query.equal("status", "CLOSED"),
-      Query.orderDesc("exitTime"),
-      Query.limit(20),
-    ]
-  );
+  const recentPositions = await repository.getClosedPositions({ limit: 20 });
 
   if (recentPositions.documents.length === 0) {
     return { allowed: true, consecutiveLosses: 0 };
@@ -270,46 +246,24 @@ async function checkLossStreak(databases, databaseId, log) {
 /**
  * 4. 检查账户回撤
  */
-async function checkDrawdown(databases, databaseId, currentBalance, log) {
-  // 获取账户峰值
-  const peakRecord = await databases.listDocuments(
-    databaseId,
-    COLLECTIONS.SYSTEM_STATE,
-    [Query.equal("key", "account_peak"), Query.limit(1)]
-  );
+async function checkDrawdown(repository, currentBalance, log) {
+  // 获取账户峰值（system_state.value 为字符串）
+  const peakValue = await repository.getSystemState("account_peak");
 
   let peak = currentBalance;
 
-  if (peakRecord.documents.length > 0) {
-    const recordedPeak = peakRecord.documents[0].value;
+  if (peakValue !== null) {
+    const recordedPeak = parseFloat(peakValue);
     peak = Math.max(recordedPeak, currentBalance);
 
     // 更新峰值
     if (currentBalance > recordedPeak) {
-      await databases.updateDocument(
-        databaseId,
-        COLLECTIONS.SYSTEM_STATE,
-        peakRecord.documents[0].$id,
-        {
-          value: currentBalance,
-          updatedAt: new Date().toISOString(),
-        }
-      );
+      await repository.setSystemState("account_peak", String(currentBalance));
       log(`   📈 New account peak: $${currentBalance.toFixed(2)}`);
     }
   } else {
     // 首次记录峰值
-    await databases.createDocument(
-      databaseId,
-      COLLECTIONS.SYSTEM_STATE,
-      require("node-appwrite").ID.unique(),
-      {
-        key: "account_peak",
-        value: currentBalance,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      }
-    );
+    await repository.setSystemState("account_peak", String(currentBalance));
     log(`   💾 Initial peak saved: $${currentBalance.toFixed(2)}`);
   }
 
@@ -344,19 +298,15 @@ async function checkDrawdown(databases, databaseId, currentBalance, log) {
 /**
  * 5. 检查冷静期
  */
-async function checkCooldownPeriod(databases, databaseId, log) {
+async function checkCooldownPeriod(repository, log) {
   // 获取最后一次触发保护的时间
-  const cooldownRecord = await databases.listDocuments(
-    databaseId,
-    COLLECTIONS.SYSTEM_STATE,
-    [Query.equal("key", "protection_cooldown"), Query.limit(1)]
-  );
+  const cooldownValue = await repository.getSystemState("protection_cooldown");
 
-  if (cooldownRecord.documents.length === 0) {
+  if (cooldownValue === null) {
     return { allowed: true };
   }
 
-  const cooldownUntil = new Date(cooldownRecord.documents[0].value);
+  const cooldownUntil = new Date(cooldownValue);
   const now = new Date();
 
   if (now < cooldownUntil) {
@@ -372,25 +322,16 @@ async function checkCooldownPeriod(databases, databaseId, log) {
   }
 
   // 冷静期已过，删除记录
-  await databases.deleteDocument(
-    databaseId,
-    COLLECTIONS.SYSTEM_STATE,
-    cooldownRecord.documents[0].$id
-  );
+  await repository.deleteSystemState("protection_cooldown");
 
   return { allowed: true };
 }
 
 /**
  * 触发冷静期（当保护机制触发时调用）
+ * @param {Object} notifier - 可选，shared/notifier.js 的 Notifier
  */
-async function triggerCooldown(
-  databases,
-  databaseId,
-  reason,
-  log,
-  sendEmail = null
-) {
+async function triggerCooldown(repository, reason, log, notifier = null) {
   const cooldownUntil = new Date();
   cooldownUntil.setHours(
     cooldownUntil.getHours() + PROTECTION_CONFIG.cooldownPeriod
@@ -399,81 +340,46 @@ async function triggerCooldown(
   log(`🔴 Triggering cooldown until ${cooldownUntil.toISOString()}`);
   log(`   Reason: ${reason}`);
 
-  // 检查是否已有冷静期记录
-  const existing = await databases.listDocuments(
-    databaseId,
-    COLLECTIONS.SYSTEM_STATE,
-    [Query.equal("key", "protection_cooldown"), Query.limit(1)]
+  await repository.setSystemState(
+    "protection_cooldown",
+    cooldownUntil.toISOString()
   );
 
-  if (existing.documents.length > 0) {
-    await databases.updateDocument(
-      databaseId,
-      COLLECTIONS.SYSTEM_STATE,
-      existing.documents[0].$id,
-      {
-        value: cooldownUntil.toISOString(),
-        metadata: JSON.stringify({
-          reason,
-          triggeredAt: new Date().toISOString(),
-        }),
-        updatedAt: new Date().toISOString(),
-      }
-    );
-  } else {
-    await databases.createDocument(
-      databaseId,
-      COLLECTIONS.SYSTEM_STATE,
-      require("node-appwrite").ID.unique(),
-      {
-        key: "protection_cooldown",
-        value: cooldownUntil.toISOString(),
-        metadata: JSON.stringify({
-          reason,
-          triggeredAt: new Date().toISOString(),
-        }),
-        createdAt: new Date().toISOString(),
-      }
-    );
+  // 发送紧急通知（如果配置了）
+  if (notifier) {
+    await notifier.notify({
+      event: NOTIFY_EVENT.PROTECTION,
+      severity: SEVERITY.CRITICAL,
+      data: {
+        reason,
+        cooldownUntil: cooldownUntil.toISOString(),
+        cooldownHours: PROTECTION_CONFIG.cooldownPeriod,
+      },
+    });
   }
+}
 
-  // 发送紧急邮件（如果配置了）
-  if (sendEmail && process.env.EMAIL_ENABLED === "true") {
-    const subject = "🚨 Trading PAUSED - Account Protection Triggered";
-    const body = `
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-      ⚠️  ACCOUNT PROTECTION TRIGGERED
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-Trading has been automatically paused!
-
-Reason: ${reason}
-Cooldown until: ${cooldownUntil.toISOString()}
-Duration: ${PROTECTION_CONFIG.cooldownPeriod} hours
-
-Action required:
-1. Review recent trades
-2. Check market conditions
-3. Verify strategy effectiveness
-4. Wait for cooldown period to end
+/**
+ * 手动解除冷静期（control-api）
+ * @returns {Promise<string|null>} 被清除的冷静期结束时间，没有冷静期时为 null
+ */
+async function clearCooldown(repository, log) {
+  const cooldownUntil = await repository.getSystemState("protection_cooldown");
 
-System will resume automatically after cooldown.
+  if (cooldownUntil === null) {
+    return null;
+  }
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    `;
+  await repository.deleteSystemState("protection_cooldown");
+  log(`🟢 Cooldown cleared (was until ${cooldownUntil})`);
 
-    await sendEmail({
-      subject,
-      body,
-      priority: "high",
-    });
-  }
+  return cooldownUntil;
 }
 
 /**
  * 获取保护统计（用于监控面板）
  */
-async function getProtectionStats(databases, databaseId) {
+async function getProtectionStats(repository) {
   const stats = {
     enabled: PROTECTION_CONFIG.enabled,
     config: PROTECTION_CONFIG,
@@ -482,22 +388,13 @@ async function getProtectionStats(databases, databaseId) {
 
   try {
     // 获取峰值
-    const peak = await databases.listDocuments(
-      databaseId,
-      COLLECTIONS.SYSTEM_STATE,
-      [Query.equal("key", "account_peak"), Query.limit(1)]
-    );
-    stats.current.peak =
-      peak.documents.length > 0 ? peak.documents[0].value : null;
+    const peak = await repository.getSystemState("account_peak");
+    stats.current.peak = peak !== null ? parseFloat(peak) : null;
 
     // 获取冷静期
-    const cooldown = await databases.listDocuments(
-      databaseId,
-      COLLECTIONS.SYSTEM_STATE,
-      [Query.equal("key", "protection_cooldown"), Query.limit(1)]
+    stats.current.cooldownUntil = await repository.getSystemState(
+      "protection_cooldown"
     );
-    stats.current.cooldownUntil =
-      cooldown.documents.length > 0 ? cooldown.documents[0].value : null;
   } catch (err) {
     stats.error = err.message;
   }
@@ -508,6 +405,7 @@ async function getProtectionStats(databases, databaseId) {
 module.exports = {
   checkAccountProtection,
   triggerCooldown,
+  clearCooldown,
   getProtectionStats,
   PROTECTION_CONFIG,
 };
@@ -0,0 +1,141 @@
+/**
+ * Hyperliquid L1 Action 签名
+ *
+ * 参考官方 Python SDK（hyperliquid/utils/signing.py）：
+ *   hash = keccak256(msgpack(action) + nonce(8 字节大端) + vault 标记)
+ *   phantom agent = { source: 'a'(主网) | 'b'(测试网), connectionId: hash }
+ *   以 EIP-712 签名 Agent 结构（chainId 固定 1337）
+ */
+
+const { ethers } = require('ethers');
+const { encode } = require('@msgpack/msgpack');
+
+const L1_DOMAIN = {
+  name: 'Exchange',
+  version: '1',
+  chainId: 1337,
+  verifyingContract: '0x0000000000000000000000000000000000000000'
+};
+
+const AGENT_TYPES = {
+  Agent: [
+    { name: 'source', type: 'string' },
+    { name: 'connectionId', type: 'bytes32' }
+  ]
+};
+
+/**
+ * 计算 Action Hash（即 phantom agent 的 connectionId）
+ */
+function actionHash(action, vaultAddress, nonce) {
+  const packed = encode(action);
+
+  const nonceBytes = new Uint8Array(8);
+  new DataView(nonceBytes.buffer).setBigUint64(0, BigInt(nonce));
+
+  const vaultBytes = vaultAddress
+    ? ethers.utils.concat([[1], ethers.utils.arrayify(vaultAddress)])
+    : new Uint8Array([0]);
+
+  return ethers.utils.keccak256(ethers.utils.concat([packed, nonceBytes, vaultBytes]));
+}
+
+function constructPhantomAgent(hash, isMainnet) {
+  return {
+    source: isMainnet ? 'a' : 'b',
+    connectionId: hash
+  };
+}
+
+/**
+ * 签名 L1 Action
+ * @returns {Promise<Object>} { r, s, v }（/exchange 请求中的 signature 字段）
+ */
+async function signL1Action(wallet, action, vaultAddress, nonce, isMainnet) {
+  const hash = actionHash(action, vaultAddress, nonce);
+  const phantomAgent = constructPhantomAgent(hash, isMainnet);
+
+  const signature = await wallet._signTypedData(L1_DOMAIN, AGENT_TYPES, phantomAgent);
+  const { r, s, v } = ethers.utils.splitSignature(signature);
+
+  return { r, s, v };
+}
+
+/**
+ * 从签名恢复签名者地址（本地交易所替身用于校验请求）
+ */
+function recoverL1Signer(action, vaultAddress, nonce, signature, isMainnet) {
+  const phantomAgent = constructPhantomAgent(actionHash(action, vaultAddress, nonce), isMainnet);
+  return ethers.utils.verifyTypedData(L1_DOMAIN, AGENT_TYPES, phantomAgent, signature);
+}
+
+/**
+ * 数值 → 线上格式字符串（最多 8 位小数，去掉末尾的 0）
+ * 签名和服务端都基于该字符串，格式不一致会导致签名校验失败
+ */
+function floatToWire(x) {
+  const rounded = x.toFixed(8);
+
+  if (Math.abs(parseFloat(rounded) - x) >= 1e-12) {
+    throw new Error(`floatToWire causes rounding: ${x}`);
+  }
+
+  let normalized = rounded.replace(/\.?0+$/, '');
+  if (normalized === '-0') normalized = '0';
+
+  return normalized;
+}
+
+/**
+ * 订单类型 → 线上格式（字段顺序必须与 SDK 一致，影响 msgpack 结果）
+ */
+function orderTypeToWire(orderType) {
+  if (orderType.limit) {
+    return { limit: { tif: orderType.limit.tif } };
+  }
+
+  if (orderType.trigger) {
+    return {
+      trigger: {
+        isMarket: orderType.trigger.isMarket,
+        triggerPx: floatToWire(Number(orderType.trigger.triggerPx)),
+        tpsl: orderType.trigger.tpsl
+      }
+    };
+  }
+
+  throw new Error('Invalid order type');
+}
+
+/**
+ * 订单 → 线上格式 { a, b, p, s, r, t }
+ */
+function orderToWire({ asset, isBuy, limitPrice, size, reduceOnly, orderType }) {
+  return {
+    a: asset,
+    b: isBuy,
+    p: floatToWire(limitPrice),
+    s: floatToWire(size),
+    r: reduceOnly,
+    t: orderTypeToWire(orderType)
+  };
+}
+
+function orderWiresToOrderAction(orderWires, grouping = 'na') {
+  return {
+    type: 'order',
+    orders: orderWires,
+    grouping
+  };
+}
+
+module.exports = {
+  actionHash,
+  constructPhantomAgent,
+  signL1Action,
+  recoverL1Signer,
+  floatToWire,
+  orderTypeToWire,
+  orderToWire,
+  orderWiresToOrderAction
+};
@@ -8,12 +8,28 @@
  * ✅ 准确的术语（priceDeviation 非 slippage）
  */
 
-const { Client, Databases, Query, ID } = require("node-appwrite");
-const nodemailer = require("nodemailer");
 const HyperliquidAPI = require("./hyperliquid");
-const { COLLECTIONS, MARKETS, SIDE, OB_TYPE } = require("./constants");
+const { SIDE, OB_TYPE, BLOCK_TYPE } = require("./constants");
+const { createRepository } = require("./repository");
 const { checkAccountProtection, triggerCooldown } = require('./account-protection');
 const { logTradeEvent } = require('./trade-logger');
+const { createNotifier, NOTIFY_EVENT, SEVERITY } = require('./notifier');
+const { createNotificationGate } = require('./notification-gate');
+const { isAlignedWithTrend } = require('./market-structure');
+const { getOBScore, getScoreRiskFactor } = require('./ob-scoring');
+const {
+  getOBAgeMinutes,
+  getBreakoutPrice,
+  checkAdditionEligibility,
+  calculateEntrySize,
+  planEntryOrder,
+  planTakeProfits,
+  parseTakeProfits,
+  getOpenSize,
+  parseScaleOutLadder,
+  hasPartialScaleOut,
+  calculateStopLoss
+} = require('./strategy');
 
 // ═════════════════════════════════════════════════════════════════════════
 // 工具函数
@@ -35,13 +51,29 @@ async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000, fnName
   }
 }
 
+/**
+ * HTF 止盈目标（scanner 保存的 1w / 1d OB，HTF_BREAKER_TARGETS=false 时不含 breaker）
+ */
+async function getHTFTargets(repository, config) {
+  if (config.takeProfitMode !== 'htf') return [];
+
+  const obs = [];
+  for (const tf of config.htfTargets) {
+    const result = await repository.getActiveOBs(config.symbol, tf, 10);
+    obs.push(...result.documents.filter(ob => config.htfBreakerTargets || ob.blockType !== BLOCK_TYPE.BREAKER));
+  }
+  return obs;
+}
+
 function validateConfig(config) {
   const errors = [];
 
-  if (!config.endpoint) errors.push('Missing APPWRITE_ENDPOINT');
-  if (!config.projectId) errors.push('Missing APPWRITE_PROJECT_ID');
-  if (!config.apiKey) errors.push('Missing APPWRITE_API_KEY');
-  if (!config.databaseId) errors.push('Missing APPWRITE_DATABASE_ID');
+  if (config.storageBackend === 'appwrite') {
+    if (!config.endpoint) errors.push('Missing APPWRITE_ENDPOINT');
+    if (!config.projectId) errors.push('Missing APPWRITE_PROJECT_ID');
+    if (!config.apiKey) errors.push('Missing APPWRITE_API_KEY');
+    if (!config.databaseId) errors.push('Missing APPWRITE_DATABASE_ID');
+  }
   
   if (config.leverage < 1 || config.leverage > 10) {
     errors.push('LEVERAGE must be between 1-10');
@@ -60,7 +92,7 @@ function validateConfig(config) {
 // 主函数
 // ═════════════════════════════════════════════════════════════════════════
 
-module.exports = async ({ req, res, log, error }) => {
+module.exports = async ({ req, res, log, error, repository = null, notifier = null }) => {
   const startTime = Date.now();
 
   try {
@@ -69,6 +101,7 @@ module.exports = async ({ req, res, log, error }) => {
     log("━".repeat(60));
 
     const config = {
+      storageBackend: process.env.STORAGE_BACKEND || 'appwrite',
       endpoint: process.env.APPWRITE_ENDPOINT,
       projectId: process.env.APPWRITE_PROJECT_ID,
       apiKey: process.env.APPWRITE_API_KEY,
@@ -84,6 +117,18 @@ module.exports = async ({ req, res, log, error }) => {
       minProfitForAddition: parseFloat(process.env.MIN_PROFIT_FOR_ADDITION) || 1.5,
 
       requireHighConfidence: process.env.REQUIRE_HIGH_CONFIDENCE === "true",
+      minOBScore: parseFloat(process.env.MIN_OB_SCORE) || parseFloat(process.env.MIN_CONFLUENCE_SCORE) || 0,
+
+      // 回踩次数少的 OB 优先；maxOBTouches > 0 时跳过回踩过多的 OB
+      preferFreshOBs: process.env.PREFER_FRESH_OBS !== "false",
+      maxOBTouches: parseInt(process.env.MAX_OB_TOUCHES) || 0,
+
+      // 按 OB 评分缩放风险（评分 ≥ fullRiskAt 时满额）
+      scoreSizing: {
+        enabled: process.env.SCORE_SIZING_ENABLED === "true",
+        fullRiskAt: parseFloat(process.env.SCORE_FULL_RISK_AT) || 80,
+        minFactor: parseFloat(process.env.SCORE_MIN_RISK_FACTOR) || 0.5
+      },
       
       maxDeviationForMarket: parseFloat(process.env.MAX_DEVIATION_MARKET) || 0.8,
       maxDeviationForLimit: parseFloat(process.env.MAX_DEVIATION_LIMIT) || 2.0,
@@ -92,52 +137,75 @@ module.exports = async ({ req, res, log, error }) => {
       
       maxOBAgeMinutes: parseInt(process.env.MAX_OB_AGE_MINUTES) || 60,
 
-      apiTimeout: parseInt(process.env.API_TIMEOUT) || 10000,
-      maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
+      // HTF 结构过滤：OB 方向需与该周期趋势一致（空 = 不过滤）
+      structureTimeframe: (process.env.STRUCTURE_FILTER_TIMEFRAME || '').trim(),
+      structureAllowNeutral: process.env.STRUCTURE_ALLOW_NEUTRAL !== 'false',
 
-      emailEnabled: process.env.EMAIL_ENABLED === "true",
-      emailRecipient: process.env.EMAIL_RECIPIENT,
-      emailConfig: {
-        service: "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_APP_PASSWORD,
-        },
+      // 止损 ATR 缓冲：OB 边界外再留 N × ATR（0 = 直接使用 OB 边界）
+      atrMultiplier: parseFloat(process.env.STOP_LOSS_ATR_MULTIPLIER) || 0,
+      stopLossATR: {
+        timeframe: process.env.STOP_LOSS_ATR_TIMEFRAME || process.env.ENTRY_TIMEFRAME || '4h',
+        period: parseInt(process.env.STOP_LOSS_ATR_PERIOD) || 14
       },
+
+      // 交易所止盈单：htf（HTF OB，无目标时按 R）| r | off
+      takeProfitMode: (process.env.TAKE_PROFIT_MODE || 'htf').trim().toLowerCase(),
+      takeProfitRMultiples: (process.env.TAKE_PROFIT_R || '2').split(',').map(parseFloat),
+      takeProfitMinR: parseFloat(process.env.TAKE_PROFIT_MIN_R) || 1,
+      maxTakeProfits: parseInt(process.env.MAX_TAKE_PROFITS) || 1,
+      htfTargets: (process.env.HTF_TARGETS || '1w,1d').split(',').map(tf => tf.trim()).filter(Boolean),
+      htfBreakerTargets: process.env.HTF_BREAKER_TARGETS !== 'false',
+
+      // 与 position-monitor 相同的分批止盈梯度（交易所止盈单按全部数量挂出，与部分平仓冲突）
+      scaleOutLadder: parseScaleOutLadder(
+        process.env.SCALE_OUT_LADDER || `htf:${parseFloat(process.env.PARTIAL_EXIT_PERCENT) || 100}`
+      ),
+
+      apiTimeout: parseInt(process.env.API_TIMEOUT) || 10000,
+      maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
     };
 
     validateConfig(config);
 
+    if (config.takeProfitMode !== "off" && hasPartialScaleOut(config.scaleOutLadder)) {
+      log(`⚠️  Scale-out ladder is configured, native take-profit orders disabled (TAKE_PROFIT_MODE=${config.takeProfitMode})`);
+      config.takeProfitMode = "off";
+    }
+
     log(`\n⚙️  Configuration:`);
     log(`   Symbol: ${config.symbol}`);
     log(`   Mode: ${config.tradingEnabled ? "🔴 LIVE" : "🧪 TESTNET"}`);
     log(`   Risk: ${config.riskPercent}% | Leverage: ${config.leverage}x`);
     log(`   Max OB age: ${config.maxOBAgeMinutes} minutes`);
+    log(`   Min OB score: ${config.minOBScore}${config.scoreSizing.enabled ? ` | Score sizing: full risk at ${config.scoreSizing.fullRiskAt}, min ${config.scoreSizing.minFactor}x` : ''}`);
+    log(`   Structure filter: ${config.structureTimeframe || 'disabled'}`);
+    log(`   Fresh OBs first: ${config.preferFreshOBs ? 'Yes' : 'No'} | Max touches: ${config.maxOBTouches || 'unlimited'}`);
     log(`   Strategy: Breakout + Volume (5-min cycle)`);
     log(`   └─ Market if deviation < ${config.maxDeviationForMarket}%`);
     log(`   └─ Limit if deviation < ${config.maxDeviationForLimit}%`);
 
-    const client = new Client()
-      .setEndpoint(config.endpoint)
-      .setProject(config.projectId)
-      .setKey(config.apiKey);
+    repository = repository || createRepository(process.env);
+    notifier = createNotificationGate(notifier || createNotifier(process.env, { log }), { repository, env: process.env, log });
+
+    // 手动暂停（control-api）：不开仓、不加仓；已有持仓仍由 position-monitor 管理
+    const pause = await repository.getTradingPause();
 
-    const databases = new Databases(client);
+    if (pause) {
+      log(`\n⏸️  Trading paused since ${pause.pausedAt}${pause.reason ? ` (${pause.reason})` : ""}`);
+      return res.json({ success: true, action: "trading_paused", pause });
+    }
 
     const hl = new HyperliquidAPI(
       process.env.HYPERLIQUID_PRIVATE_KEY,
-      !config.tradingEnabled
+      !config.tradingEnabled,
+      { baseURL: process.env.HYPERLIQUID_API_URL }
     );
 
     // 1️⃣ 检查持仓
     log(`\n1️⃣  Checking positions...`);
 
     const openPositions = await retryWithBackoff(
-      () => databases.listDocuments(config.databaseId, COLLECTIONS.POSITIONS, [
-        Query.equal("symbol", config.symbol),
-        Query.equal("status", "OPEN"),
-        Query.limit(1),
-      ]),
+      () => repository.getOpenPositions(config.symbol, 1),
       3, 1000, "List positions"
     );
 
@@ -154,13 +222,7 @@ module.exports = async ({ req, res, log, error }) => {
     log(`\n2️⃣  Searching for OBs...`);
 
     const unprocessedOBs = await retryWithBackoff(
-      () => databases.listDocuments(config.databaseId, COLLECTIONS.ORDER_BLOCKS, [
-        Query.equal("symbol", config.symbol),
-        Query.equal("isActive", true),
-        Query.equal("isProcessed", false),
-        Query.orderDesc("confirmationTime"),
-        Query.limit(5),
-      ]),
+      () => repository.getUnprocessedOBs(config.symbol, 5),
       3, 1000, "List OBs"
     );
 
@@ -187,13 +249,13 @@ module.exports = async ({ req, res, log, error }) => {
     // 3.5️⃣ 账户保护
     log(`\n3️⃣.5 Account protection...`);
 
-    const protectionResult = await checkAccountProtection(databases, config.databaseId, hl, log);
+    const protectionResult = await checkAccountProtection(repository, hl, log);
 
     if (!protectionResult.allowed) {
       error(`\n🛑 Blocked: ${protectionResult.reason}`);
 
       if (['consecutive_losses', 'max_drawdown', 'daily_loss_limit'].includes(protectionResult.reason)) {
-        await triggerCooldown(databases, config.databaseId, protectionResult.reason, log);
+        await triggerCooldown(repository, protectionResult.reason, log, notifier);
       }
 
       return res.json({
@@ -208,85 +270,106 @@ module.exports = async ({ req, res, log, error }) => {
     // 4️⃣ 评估 OB
     log(`\n4️⃣  Evaluating OBs...`);
 
-    const marketConfig = MARKETS[config.symbol] || MARKETS.BTCUSDT;
+    const marketConfig = await hl.getMarketConfig(config.symbol);
+
+    if (marketConfig.maxLeverage && config.leverage > marketConfig.maxLeverage) {
+      log(`   ⚠️  Leverage ${config.leverage}x exceeds max ${marketConfig.maxLeverage}x for ${marketConfig.symbol}`);
+    }
+
+    // HTF 趋势（Scanner 写入 system_state）
+    let trendState = null;
+
+    if (config.structureTimeframe) {
+      trendState = await repository.getTrendState(config.symbol, config.structureTimeframe);
+
+      if (trendState) {
+        log(`   ${config.structureTimeframe} trend: ${trendState.trend} (as of ${trendState.asOf})`);
+      } else {
+        log(`   ⚠️  No ${config.structureTimeframe} structure state, treating as NEUTRAL`);
+      }
+    }
+
     let selectedOB = null;
     let action = null;
 
-    for (const ob of unprocessedOBs.documents) {
+    // 未被回踩的 OB 优先（同回踩次数保持按确认时间倒序）
+    const candidateOBs = config.preferFreshOBs
+      ? [...unprocessedOBs.documents].sort((a, b) => (a.touchCount || 0) - (b.touchCount || 0))
+      : unprocessedOBs.documents;
+
+    for (const ob of candidateOBs) {
       log(`\n   ├─ OB ${ob.$id.substring(0, 8)}`);
-      log(`   │  ${ob.type} | $${ob.bottom.toFixed(2)}-$${ob.top.toFixed(2)} | ${ob.confidence}`);
+      log(`   │  ${ob.type}${ob.blockType === BLOCK_TYPE.BREAKER ? ' BREAKER' : ''} | $${ob.bottom.toFixed(2)}-$${ob.top.toFixed(2)} | ${ob.confidence} | score ${getOBScore(ob)}${ob.fvgConfluence ? ` (FVG ${ob.fvgConfluence})` : ''} | touches ${ob.touchCount || 0}${ob.mitigatedAt ? ' (mitigated)' : ''}`);
 
       // ✅ OB 年龄检查
-      const obAgeMinutes = (Date.now() - new Date(ob.confirmationTime)) / (1000 * 60);
+      const obAgeMinutes = getOBAgeMinutes(ob);
       log(`   │  Age: ${obAgeMinutes.toFixed(1)} min`);
 
       if (obAgeMinutes > config.maxOBAgeMinutes) {
         log(`   │  ⏰ EXPIRED (>${config.maxOBAgeMinutes}min)`);
         
-        await databases.updateDocument(
-          config.databaseId,
-          COLLECTIONS.ORDER_BLOCKS,
-          ob.$id,
-          {
-            isProcessed: true,
-            processedAt: new Date().toISOString(),
-            processedReason: 'expired_max_age',
-            processedPrice: currentPrice
-          }
-        );
+        await repository.updateOB(ob.$id, {
+          isProcessed: true,
+          processedAt: new Date().toISOString(),
+          processedReason: 'expired_max_age',
+          processedPrice: currentPrice
+        });
+
+        await queueOBNotification(notifier, config, NOTIFY_EVENT.OB_EXPIRED, ob, { ageMinutes: obAgeMinutes });
         
         continue;
       }
 
       if (config.requireHighConfidence && ob.confidence !== "high") {
         log(`   │  ❌ Low confidence`);
+        await queueOBNotification(notifier, config, NOTIFY_EVENT.SIGNAL_SKIPPED, ob, { reason: "low_confidence", detail: ob.confidence });
         continue;
       }
 
-      if (hasPosition) {
-        // 加仓检查
-        const isSameDirection =
-          (existingPosition.side === SIDE.LONG && ob.type === OB_TYPE.BULLISH) ||
-          (existingPosition.side === SIDE.SHORT && ob.type === OB_TYPE.BEARISH);
-
-        if (!isSameDirection) {
-          log(`   │  ⚠️  Wrong direction`);
-          continue;
-        }
-
-        if (existingPosition.additionCount >= config.maxAdditions) {
-          log(`   │  ⚠️  Max additions reached`);
-          continue;
-        }
+      if (config.maxOBTouches > 0 && (ob.touchCount || 0) > config.maxOBTouches) {
+        log(`   │  ❌ Touched ${ob.touchCount}x > ${config.maxOBTouches}`);
+        await queueOBNotification(notifier, config, NOTIFY_EVENT.SIGNAL_SKIPPED, ob, { reason: "max_touches", detail: `${ob.touchCount}x > ${config.maxOBTouches}` });
+        continue;
+      }
 
-        const unrealizedPnL = existingPosition.side === SIDE.LONG
-          ? (currentPrice - existingPosition.avgEntryPrice) * existingPosition.size
-          : (existingPosition.avgEntryPrice - currentPrice) * existingPosition.size;
+      const obScore = getOBScore(ob);
+      if (obScore < config.minOBScore) {
+        log(`   │  ❌ Score ${obScore} < ${config.minOBScore}`);
+        await queueOBNotification(notifier, config, NOTIFY_EVENT.SIGNAL_SKIPPED, ob, { reason: "low_score", detail: `${obScore} < ${config.minOBScore}` });
+        continue;
+      }
 
-        const unrealizedPnLPercent = (unrealizedPnL / balance) * 100;
-        log(`   │  P&L: ${unrealizedPnLPercent >= 0 ? '+' : ''}${unrealizedPnLPercent.toFixed(2)}%`);
+      if (config.structureTimeframe) {
+        const trend = trendState ? trendState.trend : null;
 
-        if (unrealizedPnLPercent < config.minProfitForAddition) {
-          log(`   │  ⚠️  Need ${config.minProfitForAddition}% profit`);
+        if (!isAlignedWithTrend(ob.type, trend, { allowNeutral: config.structureAllowNeutral })) {
+          log(`   │  ❌ Against ${config.structureTimeframe} structure (${trend || 'NEUTRAL'})`);
+          await queueOBNotification(notifier, config, NOTIFY_EVENT.SIGNAL_SKIPPED, ob, { reason: "against_trend", detail: `${config.structureTimeframe} ${trend || "NEUTRAL"}` });
           continue;
         }
+      }
 
-        // ✅ 改进的加仓逻辑
-        const lastOBBottom = existingPosition.lastOBBottom || 0;
-        const lastOBTop = existingPosition.lastOBTop || Infinity;
-
-        const obDistance = existingPosition.side === SIDE.LONG
-          ? Math.abs(ob.bottom - lastOBBottom) / lastOBBottom
-          : Math.abs(ob.top - lastOBTop) / lastOBTop;
-
-        const significantlyBetter = 
-          (existingPosition.side === SIDE.LONG && ob.bottom > lastOBBottom * 1.02) ||
-          (existingPosition.side === SIDE.SHORT && ob.top < lastOBTop * 0.98);
+      if (hasPosition) {
+        // 加仓检查
+        const addition = checkAdditionEligibility(existingPosition, ob, currentPrice, balance, config);
 
-        const withinRangeAndConfident = obDistance < 0.05 && ob.confidence === 'high';
+        if (addition.unrealizedPnLPercent !== undefined) {
+          log(`   │  P&L: ${addition.unrealizedPnLPercent >= 0 ? '+' : ''}${addition.unrealizedPnLPercent.toFixed(2)}%`);
+        }
 
-        if (!significantlyBetter && !withinRangeAndConfident) {
-          log(`   │  ⚠️  Not suitable (distance: ${(obDistance * 100).toFixed(2)}%)`);
+        if (!addition.eligible) {
+          if (addition.reason === 'wrong_direction') {
+            log(`   │  ⚠️  Wrong direction`);
+          } else if (addition.reason === 'max_additions') {
+            log(`   │  ⚠️  Max additions reached`);
+          } else if (addition.reason === 'insufficient_profit') {
+            log(`   │  ⚠️  Need ${config.minProfitForAddition}% profit`);
+          } else {
+            log(`   │  ⚠️  Not suitable (distance: ${(addition.obDistance * 100).toFixed(2)}%)`);
+          }
+          await queueOBNotification(notifier, config, NOTIFY_EVENT.SIGNAL_SKIPPED, ob, {
+            reason: ["wrong_direction", "max_additions", "insufficient_profit"].includes(addition.reason) ? addition.reason : "not_suitable"
+          });
           continue;
         }
 
@@ -314,32 +397,58 @@ module.exports = async ({ req, res, log, error }) => {
     log(`\n5️⃣  Position calculation...`);
 
     const side = selectedOB.type === OB_TYPE.BULLISH ? SIDE.LONG : SIDE.SHORT;
-    const stopLoss = side === SIDE.LONG ? selectedOB.bottom : selectedOB.top;
 
-    log(`   ${side} | SL: $${stopLoss.toFixed(2)}`);
+    // 止损 ATR 缓冲使用指定周期 / 时间框架的 ATR；过期数据不用于下单
+    let stopATR = 0;
+    if (config.atrMultiplier > 0) {
+      const atrData = await repository.getLatestIndicator({
+        symbol: config.symbol,
+        indicator: 'ATR',
+        timeframe: config.stopLossATR.timeframe,
+        period: config.stopLossATR.period
+      });
+
+      if (!atrData) {
+        log(`   ⚠️  No fresh ATR(${config.stopLossATR.period}) ${config.stopLossATR.timeframe} for stop buffer`);
+        return res.json({ success: true, action: "atr_unavailable", hasPosition });
+      }
 
-    let riskAmount, positionSize;
+      stopATR = atrData.value;
+    }
 
-    if (action === "OPEN") {
-      riskAmount = balance * (config.riskPercent / 100);
-      const riskDistance = Math.abs(currentPrice - stopLoss);
-      positionSize = riskAmount / riskDistance;
-    } else {
-      const additionNumber = existingPosition.additionCount + 1;
-      const scaleFactor = Math.pow(config.scaleDownFactor, additionNumber);
-      riskAmount = balance * (config.riskPercent / 100) * scaleFactor;
-      const riskDistance = Math.abs(currentPrice - stopLoss);
-      positionSize = riskAmount / riskDistance;
-      log(`   Addition #${additionNumber} | Scale: ${scaleFactor.toFixed(2)}x`);
+    const stopLoss = calculateStopLoss(selectedOB, stopATR, config);
+
+    log(`   ${side} | SL: $${stopLoss.toFixed(2)}${stopATR ? ` (OB edge ± ${config.atrMultiplier} × ATR ${stopATR.toFixed(2)})` : ''}`);
+
+    const riskFactor = config.scoreSizing.enabled
+      ? getScoreRiskFactor(getOBScore(selectedOB), config.scoreSizing)
+      : 1;
+
+    const { riskAmount, positionSize, scaleFactor } = calculateEntrySize({
+      action,
+      balance,
+      currentPrice,
+      stopLoss,
+      additionCount: hasPosition ? existingPosition.additionCount : 0,
+      riskFactor,
+      config,
+      marketConfig
+    });
+
+    if (action === "ADD") {
+      log(`   Addition #${existingPosition.additionCount + 1} | Scale: ${scaleFactor.toFixed(2)}x`);
+    }
+
+    if (riskFactor < 1) {
+      log(`   OB score ${getOBScore(selectedOB)} → risk ${(riskFactor * 100).toFixed(0)}%`);
     }
 
-    positionSize = Math.floor(positionSize / marketConfig.sizeIncrement) * marketConfig.sizeIncrement;
     log(`   Size: ${positionSize.toFixed(4)} | Risk: $${riskAmount.toFixed(2)}`);
 
     if (positionSize < marketConfig.minSize) {
       log(`   ❌ Too small`);
       
-      await databases.updateDocument(config.databaseId, COLLECTIONS.ORDER_BLOCKS, selectedOB.$id, {
+      await repository.updateOB(selectedOB.$id, {
         isProcessed: true,
         processedAt: new Date().toISOString(),
         processedReason: 'size_too_small',
@@ -360,31 +469,53 @@ module.exports = async ({ req, res, log, error }) => {
     // 6️⃣ 入场策略
     log(`\n6️⃣  Entry strategy...`);
 
-    const breakoutPrice = getBreakoutPrice(selectedOB);
-    const priceDeviation = Math.abs(currentPrice - breakoutPrice) / breakoutPrice;
-    const deviationPercent = priceDeviation * 100;
+    const entryPlan = planEntryOrder({
+      ob: selectedOB,
+      side,
+      currentPrice,
+      config,
+      pricePrecision: marketConfig.pricePrecision
+    });
+    const { breakoutPrice, deviationPercent } = entryPlan;
 
     log(`   Breakout: $${breakoutPrice.toFixed(2)}`);
     log(`   Current: $${currentPrice.toFixed(2)}`);
     log(`   Deviation: ${deviationPercent.toFixed(2)}%`);
 
+    // 止盈单随入场单一起提交
+    const takeProfits = entryPlan.orderType === "skip" ? [] : planTakeProfits({
+      side,
+      entryPrice: entryPlan.orderType === "limit" ? entryPlan.limitPrice : currentPrice,
+      stopLoss,
+      size: positionSize,
+      htfOBs: await getHTFTargets(repository, config),
+      config,
+      pricePrecision: marketConfig.pricePrecision
+    });
+
+    for (const tp of takeProfits) {
+      log(`   TP: $${tp.price.toFixed(2)} (${tp.rMultiple}R, ${tp.source}) × ${tp.size.toFixed(4)}`);
+    }
+
     let orderResult, orderStrategy, pendingDoc = null;
 
-    if (deviationPercent <= config.maxDeviationForMarket) {
+    if (entryPlan.orderType === "market") {
       // 市价单
       log(`\n   ✅ Small deviation → Market order`);
       orderStrategy = "market";
 
       if (action === "OPEN") {
-        pendingDoc = await databases.createDocument(config.databaseId, COLLECTIONS.POSITIONS, ID.unique(), {
+        pendingDoc = await repository.createPosition({
           symbol: config.symbol, side, status: "PENDING",
           entryPrice: currentPrice, avgEntryPrice: currentPrice,
           size: positionSize, stopLoss,
+          takeProfits: JSON.stringify(takeProfits),
           leverage: config.leverage, margin: requiredMargin,
           plannedRisk: riskAmount,
           openTime: new Date().toISOString(),
           relatedOB: selectedOB.$id,
           obConfidence: selectedOB.confidence,
+          obScore: getOBScore(selectedOB),
           obType: selectedOB.type,
           obBottom: selectedOB.bottom, obTop: selectedOB.top,
           lastOBBottom: selectedOB.bottom, lastOBTop: selectedOB.top,
@@ -399,46 +530,37 @@ module.exports = async ({ req, res, log, error }) => {
       orderResult = await retryWithBackoff(
         () => hl.placeOrderWithStopLoss({
           symbol: config.symbol, side, size: positionSize,
-          entryPrice: currentPrice, stopLoss, orderType: "market"
+          entryPrice: currentPrice, stopLoss, takeProfits, orderType: "market"
         }),
         config.maxRetries, 2000, "Market order"
       );
 
       if (!orderResult.success && pendingDoc) {
-        await databases.updateDocument(config.databaseId, COLLECTIONS.POSITIONS, pendingDoc.$id,
+        await repository.updatePosition(pendingDoc.$id,
           { status: "FAILED", failureReason: orderResult.error });
       }
 
-    } else if (deviationPercent <= config.maxDeviationForLimit) {
+    } else if (entryPlan.orderType === "limit") {
       // 限价单
       log(`\n   📋 Moderate deviation → Limit order`);
       orderStrategy = "limit";
 
-      let limitPrice = side === SIDE.LONG
-        ? currentPrice * (1 - config.limitPriceAdjustment / 100)
-        : currentPrice * (1 + config.limitPriceAdjustment / 100);
-
-      // 确保不会超出OB范围
-      if (side === SIDE.LONG && limitPrice < selectedOB.bottom) {
-        limitPrice = selectedOB.bottom * 1.001;
-      } else if (side === SIDE.SHORT && limitPrice > selectedOB.top) {
-        limitPrice = selectedOB.top * 0.999;
-      }
-
-      limitPrice = parseFloat(limitPrice.toFixed(marketConfig.pricePrecision));
+      const limitPrice = entryPlan.limitPrice;
 
       log(`   Limit: $${limitPrice.toFixed(2)}`);
 
       if (action === "OPEN") {
-        pendingDoc = await databases.createDocument(config.databaseId, COLLECTIONS.POSITIONS, ID.unique(), {
+        pendingDoc = await repository.createPosition({
           symbol: config.symbol, side, status: "PENDING",
           entryPrice: limitPrice, avgEntryPrice: limitPrice,
           size: positionSize, stopLoss,
+          takeProfits: JSON.stringify(takeProfits),
           leverage: config.leverage, margin: requiredMargin,
           plannedRisk: riskAmount,
           openTime: new Date().toISOString(),
           relatedOB: selectedOB.$id,
           obConfidence: selectedOB.confidence,
+          obScore: getOBScore(selectedOB),
           obType: selectedOB.type,
           obBottom: selectedOB.bottom, obTop: selectedOB.top,
           lastOBBottom: selectedOB.bottom, lastOBTop: selectedOB.top,
@@ -454,7 +576,7 @@ module.exports = async ({ req, res, log, error }) => {
       orderResult = await retryWithBackoff(
         () => hl.placeOrderWithStopLoss({
           symbol: config.symbol, side, size: positionSize,
-          entryPrice: limitPrice, stopLoss, orderType: "limit"
+          entryPrice: limitPrice, stopLoss, takeProfits, orderType: "limit"
         }),
         config.maxRetries, 2000, "Limit order"
       );
@@ -472,10 +594,10 @@ module.exports = async ({ req, res, log, error }) => {
           orderResult.orderStatus = "filled";
         } else {
           log(`   ⏭️  Not filled (${fillResult.reason})`);
-          await hl.cancelOrder(orderResult.orderId);
+          await hl.cancelOrder(orderResult.orderId, config.symbol);
 
           if (pendingDoc) {
-            await databases.updateDocument(config.databaseId, COLLECTIONS.POSITIONS, pendingDoc.$id, {
+            await repository.updatePosition(pendingDoc.$id, {
               status: "CANCELLED",
               cancelReason: `limit_not_filled_${fillResult.reason}`
             });
@@ -516,16 +638,27 @@ module.exports = async ({ req, res, log, error }) => {
     const actualRisk = Math.abs(orderResult.executionPrice - stopLoss) * orderResult.executedSize;
     const actualRiskPercent = (actualRisk / balance) * 100;
 
+    // 记录止盈单 oid
+    const placedTakeProfits = takeProfits.map((tp, i) => ({
+      ...tp,
+      orderId: orderResult.takeProfitOrders?.[i]?.orderId || null
+    }));
+
     let finalPosition;
 
     try {
       if (action === "OPEN") {
-        finalPosition = await databases.updateDocument(config.databaseId, COLLECTIONS.POSITIONS, pendingDoc.$id, {
+        finalPosition = await repository.updatePosition(pendingDoc.$id, {
           status: "OPEN",
           entryPrice: orderResult.executionPrice,
           avgEntryPrice: orderResult.executionPrice,
           size: orderResult.executedSize,
+          remainingSize: orderResult.executedSize,
+          initialStopLoss: stopLoss,
+          realizedPnL: 0,
+          scaleOutStage: 0,
           stopLossOrderId: orderResult.stopLossOrderId,
+          takeProfits: JSON.stringify(placedTakeProfits),
           liquidationPrice: orderResult.liquidationPrice || 0,
           actualRisk, actualRiskPercent,
           entryFee: orderResult.fee,
@@ -533,14 +666,18 @@ module.exports = async ({ req, res, log, error }) => {
           executedAt: new Date().toISOString()
         });
       } else {
-        const totalCost = existingPosition.avgEntryPrice * existingPosition.size + orderResult.executionPrice * orderResult.executedSize;
-        const totalSize = existingPosition.size + orderResult.executedSize;
-        const newAvgPrice = totalCost / totalSize;
-
-        finalPosition = await databases.updateDocument(config.databaseId, COLLECTIONS.POSITIONS, existingPosition.$id, {
-          size: totalSize,
+        // 均价按未平数量计算（已分批平仓的部分不参与）
+        const openSize = getOpenSize(existingPosition);
+        const totalCost = existingPosition.avgEntryPrice * openSize + orderResult.executionPrice * orderResult.executedSize;
+        const remainingSize = openSize + orderResult.executedSize;
+        const newAvgPrice = totalCost / remainingSize;
+
+        finalPosition = await repository.updatePosition(existingPosition.$id, {
+          size: existingPosition.size + orderResult.executedSize,
+          remainingSize,
           avgEntryPrice: newAvgPrice,
           stopLoss,
+          takeProfits: JSON.stringify([...parseTakeProfits(existingPosition), ...placedTakeProfits]),
           additionCount: existingPosition.additionCount + 1,
           lastOBBottom: selectedOB.bottom,
           lastOBTop: selectedOB.top,
@@ -554,7 +691,7 @@ module.exports = async ({ req, res, log, error }) => {
         log(`   New avg: $${newAvgPrice.toFixed(2)}`);
       }
 
-      await databases.updateDocument(config.databaseId, COLLECTIONS.ORDER_BLOCKS, selectedOB.$id, {
+      await repository.updateOB(selectedOB.$id, {
         isProcessed: true,
         processedAt: new Date().toISOString(),
         processedReason: action === "OPEN" ? "position_opened" : "position_added",
@@ -562,7 +699,7 @@ module.exports = async ({ req, res, log, error }) => {
       });
 
       // ✅ 记录交易事件
-      await logTradeEvent(databases, config.databaseId, {
+      await logTradeEvent(repository, {
         eventType: action === "OPEN" ? "OPEN" : "ADD",
         symbol: config.symbol, side,
         price: orderResult.executionPrice,
@@ -570,15 +707,16 @@ module.exports = async ({ req, res, log, error }) => {
         fee: orderResult.fee,
         positionId: finalPosition.$id,
         avgEntryPrice: finalPosition.avgEntryPrice,
-        totalSize: finalPosition.size,
+        totalSize: getOpenSize(finalPosition),
         obId: selectedOB.$id,
         obType: selectedOB.type,
         obConfidence: selectedOB.confidence,
+        obScore: getOBScore(selectedOB),
         orderStrategy,
         balance, leverage: config.leverage,
         stopLoss, liquidationPrice: orderResult.liquidationPrice,
         deviation: deviationPercent,
-        obAge: obAgeMinutes.toFixed(1)
+        obAge: getOBAgeMinutes(selectedOB).toFixed(1)
       });
 
       log(`   ✅ Database updated & logged`);
@@ -586,10 +724,8 @@ module.exports = async ({ req, res, log, error }) => {
     } catch (dbErr) {
       error(`   ❌ DB error: ${dbErr.message}`);
       
-      if (config.emailEnabled) {
-        await sendEmergencyAlert({ config, error: dbErr.message, orderResult, selectedOB });
-      }
-      
+      await sendEmergencyAlert({ notifier, config, error: dbErr.message, orderResult, selectedOB });
+
       return res.json({
         success: false,
         error: dbErr.message,
@@ -598,17 +734,17 @@ module.exports = async ({ req, res, log, error }) => {
       }, 500);
     }
 
-    // 8️⃣ 邮件通知
-    if (config.emailEnabled) {
-      try {
-        await sendEmailNotification({
-          config, action, position: finalPosition, orderResult, selectedOB,
-          breakoutPrice, currentPrice, deviationPercent, orderStrategy, balance
-        });
-        log(`   ✅ Email sent`);
-      } catch (emailErr) {
-        error(`   ⚠️  Email failed: ${emailErr.message}`);
+    // 8️⃣ 通知
+    try {
+      const notified = await sendTradeNotification({
+        notifier, config, action, position: finalPosition, orderResult, selectedOB,
+        breakoutPrice, currentPrice, deviationPercent, orderStrategy, balance
+      });
+      if (notified.sent.length > 0) {
+        log(`   ✅ Notified via ${notified.sent.join(", ")}`);
       }
+    } catch (notifyErr) {
+      error(`   ⚠️  Notification failed: ${notifyErr.message}`);
     }
 
     const duration = Date.now() - startTime;
@@ -627,6 +763,7 @@ module.exports = async ({ req, res, log, error }) => {
         entryPrice: orderResult.executionPrice,
         size: finalPosition.size,
         stopLoss,
+        takeProfits: placedTakeProfits.map(tp => tp.price),
         risk: actualRiskPercent.toFixed(2) + "%"
       },
       duration,
@@ -637,6 +774,10 @@ module.exports = async ({ req, res, log, error }) => {
     error(`\n❌ Error: ${err.message}`);
     error(err.stack);
 
+    if (notifier) {
+      await sendErrorAlert(notifier, process.env.TRADING_SYMBOL || "BTCUSDT", err);
+    }
+
     return res.json({ success: false, error: err.message }, 500);
   }
 };
@@ -645,12 +786,6 @@ module.exports = async ({ req, res, log, error }) => {
 // 辅助函数
 // ═════════════════════════════════════════════════════════════════════════
 
-function getBreakoutPrice(ob) {
-  if (ob.breakoutPrice && ob.breakoutPrice > 0) return ob.breakoutPrice;
-  if (ob.confirmationCandleClose && ob.confirmationCandleClose > 0) return ob.confirmationCandleClose;
-  return ob.type === OB_TYPE.BULLISH ? ob.top : ob.bottom;
-}
-
 async function waitForOrderFill(hl, orderId, timeoutSeconds, log) {
   const startTime = Date.now();
   const timeoutMs = timeoutSeconds * 1000;
@@ -688,77 +823,76 @@ async function waitForOrderFill(hl, orderId, timeoutSeconds, log) {
   return { filled: false, reason: "timeout" };
 }
 
-async function sendEmailNotification({ config, action, position, orderResult, selectedOB, breakoutPrice, currentPrice, deviationPercent, orderStrategy, balance }) {
-  if (!config.emailRecipient || !config.emailConfig.auth.user) return;
-
-  const transporter = nodemailer.createTransport(config.emailConfig);
-
-  const emoji = position.side === SIDE.LONG ? "🟢" : "🔴";
-  const direction = position.side === SIDE.LONG ? "做多" : "做空";
-  const actionText = action === "OPEN" ? "开仓" : `加仓 #${position.additionCount}`;
-  const strategyIcon = orderStrategy === "market" ? "⚡" : "📋";
-
-  const subject = `${emoji} ${config.symbol} ${direction}${actionText} @ $${orderResult.executionPrice.toFixed(2)}`;
-
-  const body = `
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-      🤖 OB 交易系统 - ${actionText}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-${emoji} 交易对: ${config.symbol}
-📊 方向: ${direction}
-🔢 操作: ${actionText}
-⏰ 时间: ${new Date().toLocaleString('en-NZ', { timeZone: 'Pacific/Auckland' })}
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📍 入场信息
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-策略: ${strategyIcon} ${orderStrategy === "market" ? "市价单" : "限价单"}
-突破价: $${breakoutPrice.toFixed(2)}
-成交价: $${orderResult.executionPrice.toFixed(2)}
-偏离: ${deviationPercent.toFixed(2)}%
-
-${action === "OPEN" ? "仓位" : "新增"}: ${orderResult.executedSize.toFixed(4)} BTC
-${action === "ADD" ? `总持仓: ${position.size.toFixed(4)} BTC\n平均价: $${position.avgEntryPrice.toFixed(2)}\n` : ''}
-止损: $${position.stopLoss.toFixed(2)}
-风险: ${((Math.abs(orderResult.executionPrice - position.stopLoss) * orderResult.executedSize / balance) * 100).toFixed(2)}%
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-💰 账户
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-余额: $${balance.toFixed(2)}
-杠杆: ${position.leverage}x
-手续费: $${orderResult.fee.toFixed(2)}
+async function sendTradeNotification({ notifier, config, action, position, orderResult, selectedOB, breakoutPrice, currentPrice, deviationPercent, orderStrategy, balance }) {
+  if (!notifier.enabled) return { sent: [], failed: [] };
+
+  return notifier.notify({
+    event: action === "OPEN" ? NOTIFY_EVENT.TRADE_OPEN : NOTIFY_EVENT.TRADE_ADD,
+    severity: SEVERITY.INFO,
+    data: {
+      symbol: config.symbol,
+      baseAsset: config.symbol.replace("USDT", ""),
+      side: position.side,
+      action,
+      additionCount: position.additionCount || 0,
+      time: new Date().toISOString(),
+      orderStrategy,
+      breakoutPrice,
+      executionPrice: orderResult.executionPrice,
+      deviationPercent,
+      size: orderResult.executedSize,
+      totalSize: getOpenSize(position),
+      avgEntryPrice: position.avgEntryPrice,
+      stopLoss: position.stopLoss,
+      takeProfits: parseTakeProfits(position).map(tp => ({ price: tp.price, rMultiple: tp.rMultiple })),
+      riskPercent: (Math.abs(orderResult.executionPrice - position.stopLoss) * orderResult.executedSize / balance) * 100,
+      balance,
+      leverage: position.leverage,
+      fee: orderResult.fee,
+      ob: { id: selectedOB.$id, type: selectedOB.type, bottom: selectedOB.bottom, top: selectedOB.top, confidence: selectedOB.confidence }
+    }
+  });
+}
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📊 OB: ${selectedOB.type} | $${selectedOB.bottom.toFixed(2)}-$${selectedOB.top.toFixed(2)} | ${selectedOB.confidence}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-  `.trim();
+async function sendEmergencyAlert({ notifier, config, error, orderResult, selectedOB }) {
+  return notifier.notify({
+    event: NOTIFY_EVENT.EMERGENCY,
+    severity: SEVERITY.CRITICAL,
+    data: { symbol: config.symbol, orderId: orderResult.orderId, price: orderResult.executionPrice, obId: selectedOB.$id, error }
+  });
+}
 
-  await transporter.sendMail({
-    from: `"OB Bot" <${config.emailConfig.auth.user}>`,
-    to: config.emailRecipient,
-    subject, text: body,
-    html: `<pre style="font-family: monospace; font-size: 12px; background: #1a1a1a; color: #e0e0e0; padding: 20px;">${body}</pre>`
+/**
+ * OB 过期 / 信号跳过：低级别事件，经闸门进入摘要（同一 OB 只记一条，重复累加次数）
+ */
+async function queueOBNotification(notifier, config, event, ob, extra) {
+  if (!notifier.enabled) return { sent: [], failed: [] };
+
+  return notifier.notify({
+    event,
+    severity: SEVERITY.INFO,
+    key: `${event === NOTIFY_EVENT.OB_EXPIRED ? "expired" : "skip"}_${ob.$id}`,
+    data: {
+      symbol: config.symbol,
+      obId: ob.$id,
+      timeframe: ob.timeframe,
+      type: ob.type,
+      blockType: ob.blockType || null,
+      top: ob.top,
+      bottom: ob.bottom,
+      score: getOBScore(ob),
+      ...extra
+    }
   });
 }
 
-async function sendEmergencyAlert({ config, error, orderResult, selectedOB }) {
-  if (!config.emailEnabled) return;
+async function sendErrorAlert(notifier, symbol, err) {
+  if (!notifier.enabled) return { sent: [], failed: [] };
 
-  try {
-    const transporter = nodemailer.createTransport(config.emailConfig);
-
-    await transporter.sendMail({
-      from: `"OB Bot ALERT" <${config.emailConfig.auth.user}>`,
-      to: config.emailRecipient,
-      subject: "🚨 URGENT: Database Update Failed",
-      text: `Order executed but DB failed!\n\nOrder ID: ${orderResult.orderId}\nPrice: ${orderResult.executionPrice}\nError: ${error}`,
-      priority: "high"
-    });
-  } catch (e) {
-    console.error('Emergency alert failed:', e);
-  }
-}
\ No newline at end of file
+  return notifier.notify({
+    event: NOTIFY_EVENT.EXCHANGE_ERROR,
+    severity: SEVERITY.WARNING,
+    key: "error_entry-monitor",
+    data: { source: "entry-monitor", symbol, time: new Date().toISOString(), error: err.message }
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * 市场结构：摆动点 / BOS / CHoCH
+ *
+ * 摆动点定义与 ob-detector 一致：某根 K 线的高点高于其后 swingLength 根 K 线的最高点即为摆动高点
+ * （在第 swingLength 根之后才确认）。收盘价突破最近一个未被突破的摆动点时产生结构事件：
+ *
+ *   BOS    顺势突破（或尚无趋势时的首次突破）
+ *   CHoCH  逆势突破，趋势反转
+ */
+
+const { OB_TYPE, STRUCTURE_EVENT, TREND } = require('./constants');
+
+/**
+ * 分析市场结构
+ *
+ * @param {Array} klines - 已收盘 K 线（时间升序）
+ * @param {number} swingLength
+ * @returns {Object} { swings, events, trend, lastSwingHigh, lastSwingLow }
+ */
+function analyzeMarketStructure(klines, swingLength = 10) {
+  const swings = [];
+  const events = [];
+  let trend = TREND.NEUTRAL;
+  let lastSwingHigh = null;
+  let lastSwingLow = null;
+
+  for (let i = swingLength; i < klines.length; i++) {
+    const refIndex = i - swingLength;
+    const windowSlice = klines.slice(refIndex + 1, i + 1);
+    const current = klines[i];
+
+    if (klines[refIndex].high > Math.max(...windowSlice.map(c => c.high))) {
+      lastSwingHigh = {
+        type: STRUCTURE_EVENT.SWING_HIGH,
+        price: klines[refIndex].high,
+        index: refIndex,
+        timestamp: klines[refIndex].timestamp,
+        confirmedAt: current.timestamp,
+        finalizedAt: null,
+        crossed: false
+      };
+      pushSwing(swings, lastSwingHigh);
+    }
+
+    if (klines[refIndex].low < Math.min(...windowSlice.map(c => c.low))) {
+      lastSwingLow = {
+        type: STRUCTURE_EVENT.SWING_LOW,
+        price: klines[refIndex].low,
+        index: refIndex,
+        timestamp: klines[refIndex].timestamp,
+        confirmedAt: current.timestamp,
+        finalizedAt: null,
+        crossed: false
+      };
+      pushSwing(swings, lastSwingLow);
+    }
+
+    if (lastSwingHigh && !lastSwingHigh.crossed && current.close > lastSwingHigh.price) {
+      lastSwingHigh.crossed = true;
+      events.push(createEvent(trend === TREND.BEARISH ? STRUCTURE_EVENT.CHOCH : STRUCTURE_EVENT.BOS, TREND.BULLISH, lastSwingHigh, current, i));
+      trend = TREND.BULLISH;
+    }
+
+    if (lastSwingLow && !lastSwingLow.crossed && current.close < lastSwingLow.price) {
+      lastSwingLow.crossed = true;
+      events.push(createEvent(trend === TREND.BULLISH ? STRUCTURE_EVENT.CHOCH : STRUCTURE_EVENT.BOS, TREND.BEARISH, lastSwingLow, current, i));
+      trend = TREND.BEARISH;
+    }
+  }
+
+  return { swings, events, trend, lastSwingHigh, lastSwingLow };
+}
+
+/**
+ * 摆动点高低交替：连续同类摆动点只保留最新一个（与 lastSwingHigh / lastSwingLow 的覆盖一致），
+ * 出现反向摆动点后前一个才最终确定（finalizedAt）
+ */
+function pushSwing(swings, swing) {
+  const last = swings[swings.length - 1];
+
+  if (last && last.type === swing.type) {
+    swings[swings.length - 1] = swing;
+    return;
+  }
+
+  if (last) {
+    last.finalizedAt = swing.confirmedAt;
+  }
+  swings.push(swing);
+}
+
+function createEvent(type, direction, swing, candle, index) {
+  return {
+    type,
+    direction,
+    price: swing.price,
+    swingTime: swing.timestamp,
+    index,
+    timestamp: candle.timestamp,
+    close: candle.close
+  };
+}
+
+/**
+ * 趋势状态快照（保存到 system_state）
+ */
+function getTrendState(structure, asOf) {
+  const lastEvent = structure.events[structure.events.length - 1] || null;
+
+  return {
+    trend: structure.trend,
+    lastEvent: lastEvent
+      ? { type: lastEvent.type, direction: lastEvent.direction, price: lastEvent.price, timestamp: toISO(lastEvent.timestamp) }
+      : null,
+    swingHigh: structure.lastSwingHigh ? structure.lastSwingHigh.price : null,
+    swingLow: structure.lastSwingLow ? structure.lastSwingLow.price : null,
+    asOf: toISO(asOf)
+  };
+}
+
+/**
+ * OB 方向是否与趋势一致；无趋势时由 allowNeutral 决定
+ */
+function isAlignedWithTrend(obType, trend, { allowNeutral = true } = {}) {
+  if (!trend || trend === TREND.NEUTRAL) return allowNeutral;
+
+  return obType === OB_TYPE.BULLISH ? trend === TREND.BULLISH : trend === TREND.BEARISH;
+}
+
+function toISO(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+module.exports = {
+  analyzeMarketStructure,
+  getTrendState,
+  isAlignedWithTrend
+};
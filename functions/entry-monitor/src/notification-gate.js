@@ -0,0 +1,268 @@
+/**
+ * 通知闸门：去重、升级与摘要
+ *
+ * 包装 Notifier，接口相同（enabled / getChannels / notify），另有 flushDigest：
+ *
+ *   去重    message.key 相同的告警在 NOTIFY_DEDUP_WINDOW_MINUTES 内只发一次；
+ *           窗口过后若仍在发生则再发一次提醒（附"已持续 N 分钟，共 M 次"）；
+ *           超过一个窗口未再出现视为新事件
+ *   升级    同一事件持续 NOTIFY_ESCALATE_AFTER_MINUTES 后立即重发一次，级别提升一档
+ *   摘要    NOTIFY_DIGEST_EVENTS 中的低级别事件（OB 新增 / 过期、跳过的信号）写入 notifications 集合，
+ *           每 NOTIFY_DIGEST_INTERVAL（hourly / daily / 分钟数）合并为一条 digest 发出
+ *
+ * 告警状态保存在 system_state（alert_<key>），摘要队列保存在 notifications 集合。
+ * 存储失败时直接发送（宁可重复，不可漏发）。
+ */
+
+const { SEVERITY, NOTIFY_EVENT } = require('./notifier');
+
+const DEFAULT_DEDUP_WINDOW_MINUTES = 60;
+const DEFAULT_ESCALATE_AFTER_MINUTES = 30;
+const DEFAULT_DIGEST_EVENTS = [NOTIFY_EVENT.OB_DETECTED, NOTIFY_EVENT.OB_EXPIRED, NOTIFY_EVENT.SIGNAL_SKIPPED];
+const DIGEST_INTERVALS = { hourly: 60, daily: 1440 };
+
+// system_state.key 上限 50 字符
+const MAX_KEY_LENGTH = 40;
+
+const ESCALATION = {
+  [SEVERITY.INFO]: SEVERITY.WARNING,
+  [SEVERITY.WARNING]: SEVERITY.CRITICAL,
+  [SEVERITY.CRITICAL]: SEVERITY.CRITICAL
+};
+
+/**
+ * 判断一次告警是否发送
+ *
+ * @param {Object|null} state - 上次保存的状态 { firstAt, lastSeenAt, lastSentAt, count, escalated }
+ * @param {number} now - 毫秒时间戳
+ * @param {Object} options - { windowMs, escalateMs }（escalateMs 为 0 时不升级）
+ * @returns {Object} { action: 'send' | 'remind' | 'escalate' | 'suppress', state, previous }
+ */
+function evaluateAlert(state, now, { windowMs, escalateMs }) {
+  if (!state || now - state.lastSeenAt > windowMs) {
+    return {
+      action: 'send',
+      state: { firstAt: now, lastSeenAt: now, lastSentAt: now, count: 1, escalated: false },
+      previous: null
+    };
+  }
+
+  const next = { ...state, lastSeenAt: now, count: state.count + 1 };
+
+  if (escalateMs > 0 && !state.escalated && now - state.firstAt >= escalateMs) {
+    return { action: 'escalate', state: { ...next, lastSentAt: now, escalated: true }, previous: state };
+  }
+
+  if (!Number.isFinite(state.lastSentAt) || now - state.lastSentAt >= windowMs) {
+    return { action: 'remind', state: { ...next, lastSentAt: now }, previous: state };
+  }
+
+  return { action: 'suppress', state: next, previous: state };
+}
+
+function parseDigestInterval(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (DIGEST_INTERVALS[text]) return DIGEST_INTERVALS[text];
+  return parseInt(text) || DIGEST_INTERVALS.hourly;
+}
+
+function parseDigestEvents(value) {
+  if (value === undefined || value === null) return DEFAULT_DIGEST_EVENTS;
+  return String(value).split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+}
+
+class NotificationGate {
+  /**
+   * @param {Object} options
+   * @param {Object} options.notifier - Notifier
+   * @param {Object} options.repository - Repository（告警状态与摘要队列）
+   * @param {number} options.dedupWindowMinutes
+   * @param {number} options.escalateAfterMinutes - 0 表示不升级
+   * @param {Array} options.digestEvents - 进入摘要的事件
+   * @param {number} options.digestIntervalMinutes
+   * @param {Function} options.log
+   */
+  constructor({
+    notifier,
+    repository,
+    dedupWindowMinutes = DEFAULT_DEDUP_WINDOW_MINUTES,
+    escalateAfterMinutes = DEFAULT_ESCALATE_AFTER_MINUTES,
+    digestEvents = DEFAULT_DIGEST_EVENTS,
+    digestIntervalMinutes = DIGEST_INTERVALS.hourly,
+    log = () => {}
+  }) {
+    this.notifier = notifier;
+    this.repository = repository;
+    this.windowMs = dedupWindowMinutes * 60000;
+    this.escalateMs = escalateAfterMinutes * 60000;
+    this.digestEvents = digestEvents;
+    this.digestIntervalMs = digestIntervalMinutes * 60000;
+    this.log = log;
+  }
+
+  get enabled() {
+    return this.notifier.enabled;
+  }
+
+  get channels() {
+    return this.notifier.channels;
+  }
+
+  getChannels(event, severity) {
+    return this.notifier.getChannels(event, severity);
+  }
+
+  /**
+   * 发送通知（经过去重 / 摘要；不抛出异常）
+   *
+   * @param {Object} message - 同 Notifier.notify，另有：
+   * @param {string} message.key - 可选，去重键（同一持续性问题使用同一个键，如 liq_<positionId>）
+   * @returns {Promise<Object>} { sent, failed, suppressed?, queued? }
+   */
+  async notify(message) {
+    if (!this.enabled) return { sent: [], failed: [] };
+
+    if (this.digestEvents.includes(message.event)) {
+      try {
+        await this.repository.queueNotification({
+          key: message.key ? String(message.key).substring(0, MAX_KEY_LENGTH) : null,
+          event: message.event,
+          severity: message.severity || SEVERITY.INFO,
+          data: message.data || {}
+        });
+        return { sent: [], failed: [], queued: true };
+      } catch (err) {
+        this.log(`   ⚠️  Could not queue ${message.event} for digest: ${err.message}`);
+        return this.notifier.notify(message);
+      }
+    }
+
+    if (!message.key) {
+      return this.notifier.notify(message);
+    }
+
+    const key = String(message.key).substring(0, MAX_KEY_LENGTH);
+    let decision;
+
+    try {
+      const state = await this.repository.getAlertState(key);
+      decision = evaluateAlert(state, Date.now(), { windowMs: this.windowMs, escalateMs: this.escalateMs });
+    } catch (err) {
+      this.log(`   ⚠️  Alert state unavailable for ${key}: ${err.message}`);
+      return this.notifier.notify(message);
+    }
+
+    if (decision.action === 'suppress') {
+      await this._saveAlertState(key, decision.state);
+      this.log(`   🔕 ${message.event} suppressed (${key}, ${decision.state.count}x)`);
+      return { sent: [], failed: [], suppressed: true };
+    }
+
+    const escalated = decision.action === 'escalate';
+    const result = await this.notifier.notify({
+      ...message,
+      severity: escalated ? ESCALATION[message.severity || SEVERITY.INFO] || SEVERITY.CRITICAL : message.severity,
+      repeat: decision.previous ? {
+        count: decision.state.count,
+        since: new Date(decision.state.firstAt).toISOString(),
+        escalated
+      } : null
+    });
+
+    // 全部渠道失败时不记为已发送，下次仍会发出
+    const delivered = result.sent.length > 0 || result.failed.length === 0;
+    await this._saveAlertState(key, delivered ? decision.state : {
+      ...decision.state,
+      lastSentAt: decision.previous ? decision.previous.lastSentAt : null,
+      escalated: decision.previous ? decision.previous.escalated : false
+    });
+
+    return result;
+  }
+
+  /**
+   * 到期时合并发送摘要
+   *
+   * @param {Object} options - { force: 忽略间隔 }
+   * @returns {Promise<Object|null>} 未到期或无内容时返回 null；否则 { count, sent, failed }
+   */
+  async flushDigest({ force = false } = {}) {
+    if (!this.enabled) return null;
+
+    const now = new Date();
+    const last = await this.repository.getSystemState('notify_digest_last');
+
+    if (!force && last && now.getTime() - new Date(last).getTime() < this.digestIntervalMs) {
+      return null;
+    }
+
+    const items = await this.repository.getPendingNotifications();
+    await this.repository.setSystemState('notify_digest_last', now.toISOString());
+
+    if (items.length === 0) return null;
+
+    const severity = items.some(i => i.severity === SEVERITY.CRITICAL) ? SEVERITY.CRITICAL
+      : items.some(i => i.severity === SEVERITY.WARNING) ? SEVERITY.WARNING
+      : SEVERITY.INFO;
+
+    const result = await this.notifier.notify({
+      event: NOTIFY_EVENT.DIGEST,
+      severity,
+      data: {
+        from: last || items[0].createdAt,
+        to: now.toISOString(),
+        total: items.reduce((sum, i) => sum + (i.count || 1), 0),
+        items: items.map(i => ({
+          event: i.event,
+          count: i.count || 1,
+          time: i.lastSeenAt || i.createdAt,
+          data: i.data
+        }))
+      }
+    });
+
+    // 全部渠道失败时保留队列，下一次到期时重发
+    if (result.sent.length === 0 && result.failed.length > 0) {
+      return { count: items.length, ...result };
+    }
+
+    await this.repository.markNotificationsDigested(items.map(i => i.$id));
+    this.log(`   📰 Digest sent: ${items.length} item(s) → ${result.sent.join(', ') || 'no channel'}`);
+
+    return { count: items.length, ...result };
+  }
+
+  async _saveAlertState(key, state) {
+    try {
+      await this.repository.setAlertState(key, state);
+    } catch (err) {
+      this.log(`   ⚠️  Could not save alert state for ${key}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * 为 Notifier 加上闸门（已经是闸门时原样返回）
+ */
+function createNotificationGate(notifier, { repository, env = process.env, log = () => {} }) {
+  if (notifier instanceof NotificationGate) return notifier;
+
+  const escalateAfter = parseInt(env.NOTIFY_ESCALATE_AFTER_MINUTES);
+
+  return new NotificationGate({
+    notifier,
+    repository,
+    dedupWindowMinutes: parseInt(env.NOTIFY_DEDUP_WINDOW_MINUTES) || DEFAULT_DEDUP_WINDOW_MINUTES,
+    escalateAfterMinutes: isNaN(escalateAfter) ? DEFAULT_ESCALATE_AFTER_MINUTES : escalateAfter,
+    digestEvents: parseDigestEvents(env.NOTIFY_DIGEST_EVENTS),
+    digestIntervalMinutes: parseDigestInterval(env.NOTIFY_DIGEST_INTERVAL),
+    log
+  });
+}
+
+module.exports = {
+  NotificationGate,
+  evaluateAlert,
+  parseDigestInterval,
+  createNotificationGate
+};
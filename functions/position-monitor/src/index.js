@@ -5,15 +5,38 @@
  * ✅ 平仓邮件通知
  * ✅ 交易日志记录
  * ✅ 改进的反向OB检测
+ * ✅ 分批止盈梯度（部分平仓，止损单按剩余数量重挂）
+ * ✅ 止损管理策略（保本 / 阶梯 / 吊灯 / 结构 / ATR 追踪）
  */
 
-const { Client, Databases, Query } = require('node-appwrite');
-const nodemailer = require('nodemailer');
 const HyperliquidAPI = require('./hyperliquid');
-const { COLLECTIONS, SIDE, OB_TYPE, EXIT_REASON } = require('./constants');
+const BinanceAPI = require('./binance');
+const { roundPrice } = require('./market-meta');
+const { SIDE, EXIT_REASON, BLOCK_TYPE } = require('./constants');
+const { createRepository } = require('./repository');
 const { logTradeEvent } = require('./trade-logger');
-
-module.exports = async ({ req, res, log, error }) => {
+const { createNotifier, NOTIFY_EVENT, SEVERITY } = require('./notifier');
+const { createNotificationGate } = require('./notification-gate');
+const { reconcilePositionFills, reconcilePartialExit, settleClose, summarizePartialExits } = require('./fill-reconciliation');
+const {
+  getOpenSize,
+  parseScaleOutLadder,
+  matchLadderStage,
+  getDueScaleOut,
+  shouldExitOnReversal,
+  getLiquidationDistancePercent,
+  classifyExchangeExit
+} = require('./strategy');
+const { parseStopPolicies, computeStopUpdate, appendStopHistory } = require('./stop-management');
+const {
+  recordPartialExit,
+  resizeStopLoss,
+  cancelExitOrders,
+  sendCloseNotification,
+  sendStopMovedNotification
+} = require('./position-actions');
+
+module.exports = async ({ req, res, log, error, repository = null, notifier = null }) => {
   const startTime = Date.now();
 
   try {
@@ -22,50 +45,46 @@ module.exports = async ({ req, res, log, error }) => {
     log('━'.repeat(60));
 
     const config = {
-      endpoint: process.env.APPWRITE_ENDPOINT,
-      projectId: process.env.APPWRITE_PROJECT_ID,
-      apiKey: process.env.APPWRITE_API_KEY,
-      databaseId: process.env.APPWRITE_DATABASE_ID,
-      
       symbol: process.env.TRADING_SYMBOL || 'BTCUSDT',
       tradingEnabled: process.env.TRADING_ENABLED === 'true',
       
+      // 止损管理策略（逗号分隔，见 shared/stop-management.js）
+      stopPolicies: parseStopPolicies(
+        process.env.STOP_POLICIES || (process.env.USE_TRAILING_STOP !== 'false' ? 'atr' : '')
+      ),
+      breakEvenTriggerR: parseFloat(process.env.BREAKEVEN_TRIGGER_R) || 1,
+      chandelierMultiplier: parseFloat(process.env.CHANDELIER_ATR_MULTIPLIER) || 3,
+      structureSwingLength: parseInt(process.env.STRUCTURE_SWING_LENGTH) || 3,
+      stopBufferATR: parseFloat(process.env.STOP_BUFFER_ATR) || 0.1,
+      entryTimeframe: process.env.ENTRY_TIMEFRAME || '4h',
+
+      // 追踪止损使用的 ATR（对应 atr-calculator 的 ATR_TIMEFRAMES / ATR_PERIODS）
+      trailingATR: {
+        timeframe: process.env.TRAILING_ATR_TIMEFRAME || process.env.ENTRY_TIMEFRAME || '4h',
+        period: parseInt(process.env.TRAILING_ATR_PERIOD) || 14
+      },
       trailingStopTrigger: parseFloat(process.env.TRAILING_STOP_TRIGGER) || 5,
-      trailingStopDistance: parseFloat(process.env.TRAILING_STOP_DISTANCE) || 1.5,
+      trailingStopMultiplier: parseFloat(process.env.TRAILING_STOP_ATR_MULTIPLIER) || 2.5,
       liquidationWarningPercent: 5,
+      liquidationEmergencyPercent: 2,
       
       // ✅ 改进的反向OB检测
       minReversalOBAge: parseFloat(process.env.MIN_REVERSAL_OB_AGE) || 8,  // 8小时
-      
-      emailEnabled: process.env.EMAIL_ENABLED === 'true',
-      emailRecipient: process.env.EMAIL_RECIPIENT,
-      emailConfig: {
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_APP_PASSWORD
-        }
-      }
-    };
 
-    const client = new Client()
-      .setEndpoint(config.endpoint)
-      .setProject(config.projectId)
-      .setKey(config.apiKey);
+      // 分批止盈梯度，如 "htf:50,2R:25,trail:25"（百分比按开仓总数量）
+      htfTimeframes: (process.env.HTF_TARGETS || '1w,1d').split(',').map(tf => tf.trim()),
+      htfBreakerTargets: process.env.HTF_BREAKER_TARGETS !== 'false',  // breaker 同样作为目标位
+      scaleOutLadder: parseScaleOutLadder(
+        process.env.SCALE_OUT_LADDER || `htf:${parseFloat(process.env.PARTIAL_EXIT_PERCENT) || 100}`
+      )
+    };
 
-    const databases = new Databases(client);
+    repository = repository || createRepository(process.env);
+    notifier = createNotificationGate(notifier || createNotifier(process.env, { log }), { repository, env: process.env, log });
 
     log(`\n1️⃣  Checking positions...`);
     
-    const openPositions = await databases.listDocuments(
-      config.databaseId,
-      COLLECTIONS.POSITIONS,
-      [
-        Query.equal('symbol', config.symbol),
-        Query.equal('status', 'OPEN'),
-        Query.limit(10)
-      ]
-    );
+    const openPositions = await repository.getOpenPositions(config.symbol, 10);
 
     if (openPositions.documents.length === 0) {
       log('   No positions');
@@ -76,353 +95,376 @@ module.exports = async ({ req, res, log, error }) => {
 
     const hl = new HyperliquidAPI(
       process.env.HYPERLIQUID_PRIVATE_KEY,
-      !config.tradingEnabled
+      !config.tradingEnabled,
+      { baseURL: process.env.HYPERLIQUID_API_URL }
     );
 
     const currentPrice = await hl.getPrice(config.symbol);
     log(`   Price: $${currentPrice.toFixed(2)}\n`);
 
+    const marketConfig = await hl.getMarketConfig(config.symbol);
+    const binance = new BinanceAPI();
+
     const results = [];
 
-    for (const posDoc of openPositions.documents) {
+    for (let posDoc of openPositions.documents) {
       log(`\n━━━ Position ${posDoc.$id.substring(0, 8)} ━━━`);
-      log(`${posDoc.side} | Avg: $${posDoc.avgEntryPrice.toFixed(2)} | Size: ${posDoc.size.toFixed(4)}`);
+      log(`${posDoc.side} | Avg: $${posDoc.avgEntryPrice.toFixed(2)} | Size: ${getOpenSize(posDoc).toFixed(4)} / ${posDoc.size.toFixed(4)}`);
 
       // 验证持仓存在
       const livePosition = await hl.getPosition(config.symbol.replace('USDT', ''));
       
       if (!livePosition || Math.abs(livePosition.szi || 0) === 0) {
         log('⚠️  Not found on exchange (stopped out)');
-        
-        const pnl = posDoc.side === SIDE.LONG
-          ? (posDoc.stopLoss - posDoc.avgEntryPrice) * posDoc.size
-          : (posDoc.avgEntryPrice - posDoc.stopLoss) * posDoc.size;
 
-        await databases.updateDocument(config.databaseId, COLLECTIONS.POSITIONS, posDoc.$id, {
+        // 从 userFills / userFunding 还原真实平仓价、手续费和资金费
+        let reconciled = null;
+        try {
+          reconciled = await reconcilePositionFills(hl, posDoc, config.symbol.replace('USDT', ''));
+        } catch (reconcileErr) {
+          error(`Fill reconciliation failed: ${reconcileErr.message}`);
+        }
+
+        let closed;
+        if (reconciled) {
+          log(`   Exit: $${reconciled.exitPrice.toFixed(2)} (${reconciled.fills} fill(s)) | Fees $${reconciled.fee.toFixed(2)} | Funding $${reconciled.funding.toFixed(2)}`);
+          closed = reconciled;
+        } else {
+          // 没有成交记录（Mock 模式或查询失败）：按止损价估算
+          log('   No exit fills found, assuming stop loss price');
+          const openSize = getOpenSize(posDoc);
+          const pnl = (posDoc.realizedPnL || 0) + (posDoc.side === SIDE.LONG
+            ? (posDoc.stopLoss - posDoc.avgEntryPrice) * openSize
+            : (posDoc.avgEntryPrice - posDoc.stopLoss) * openSize);
+
+          closed = {
+            exitPrice: posDoc.stopLoss,
+            exitFee: 0,
+            fee: 0,
+            funding: 0,
+            pnl,
+            pnlPercent: (pnl / (posDoc.avgEntryPrice * posDoc.size)) * 100,
+            exitTime: new Date().toISOString(),
+            liquidated: false
+          };
+        }
+
+        const exitReason = classifyExchangeExit(posDoc, closed.exitPrice, closed.liquidated);
+        const exitEvent = {
+          [EXIT_REASON.LIQUIDATION]: 'LIQUIDATION',
+          [EXIT_REASON.TAKE_PROFIT]: 'TAKE_PROFIT',
+          [EXIT_REASON.STOP_LOSS_TRIGGERED]: 'STOP_LOSS'
+        }[exitReason];
+        log(`   Reason: ${exitReason}`);
+
+        // closed.pnl 为整笔交易的净盈亏（含已分批平仓部分），平仓事件只记录剩余部分
+        const partials = summarizePartialExits(posDoc);
+        const remainderPnl = closed.pnl - partials.pnl;
+
+        await repository.updatePosition(posDoc.$id, {
           status: 'CLOSED',
-          exitTime: new Date().toISOString(),
-          exitReason: EXIT_REASON.STOP_LOSS_TRIGGERED,
-          exitPrice: posDoc.stopLoss,
-          pnl
+          exitTime: closed.exitTime,
+          exitReason,
+          exitPrice: closed.exitPrice,
+          exitFee: closed.exitFee,
+          funding: closed.funding,
+          pnl: closed.pnl,
+          remainingSize: 0,
+          realizedPnL: closed.pnl,
+          unrealizedPnL: 0,
+          reconciledAt: reconciled ? new Date().toISOString() : null
         });
 
         // ✅ 记录平仓
-        await logTradeEvent(databases, config.databaseId, {
+        await logTradeEvent(repository, {
           eventType: 'CLOSE',
           symbol: config.symbol,
           side: posDoc.side,
-          price: posDoc.stopLoss,
-          size: posDoc.size,
-          fee: 0,
+          price: closed.exitPrice,
+          size: getOpenSize(posDoc),
+          fee: Math.max(0, closed.fee - partials.fee),
+          funding: closed.funding,
           positionId: posDoc.$id,
-          pnl,
-          pnlPercent: (pnl / (posDoc.avgEntryPrice * posDoc.size)) * 100,
-          exitReason: 'STOP_LOSS',
+          pnl: remainderPnl,
+          pnlPercent: closed.pnlPercent,
+          exitReason: exitEvent,
           obId: posDoc.relatedOB,
-          obType: posDoc.obType
+          obType: posDoc.obType,
+          reconciled: !!reconciled
         });
 
-        // ✅ 发送平仓邮件
-        if (config.emailEnabled) {
-          await sendCloseNotification(config, {
-            position: posDoc,
-            exitPrice: posDoc.stopLoss,
-            exitReason: '止损触发',
-            pnl,
-            pnlPercent: (pnl / (posDoc.avgEntryPrice * posDoc.size)) * 100,
-            fee: 0
+        // ✅ 发送平仓通知
+        await sendCloseNotification(notifier, {
+          position: posDoc,
+          exitPrice: closed.exitPrice,
+          exitReason,
+          pnl: closed.pnl,
+          pnlPercent: closed.pnlPercent,
+          fee: closed.fee
+        });
+
+        results.push({ positionId: posDoc.$id, action: 'detected_closed', reason: exitEvent, pnl: closed.pnl, reconciled: !!reconciled });
+        continue;
+      }
+
+      // 交易所侧部分平仓（止盈单成交一部分）：补记分批平仓
+      const liveSize = Math.abs(parseFloat(livePosition.szi));
+      if (getOpenSize(posDoc) - liveSize >= marketConfig.minSize) {
+        log(`⚠️  Exchange size ${liveSize} < recorded ${getOpenSize(posDoc)} (partial exit on exchange)`);
+
+        let partial = null;
+        try {
+          partial = await reconcilePartialExit(hl, posDoc, config.symbol.replace('USDT', ''), {
+            since: posDoc.lastPartialExitTime
           });
+        } catch (reconcileErr) {
+          error(`Partial fill reconciliation failed: ${reconcileErr.message}`);
         }
 
-        results.push({ positionId: posDoc.$id, action: 'detected_closed', reason: 'STOP_LOSS' });
-        continue;
+        const size = getOpenSize(posDoc) - liveSize;
+        const price = partial ? partial.exitPrice : currentPrice;
+        const fee = partial ? partial.fee : 0;
+
+        // 按成交后的剩余数量推进梯度，避免同一级再平一次
+        posDoc = await recordPartialExit(repository, posDoc, {
+          stage: matchLadderStage({ ...posDoc, remainingSize: liveSize }, config.scaleOutLadder, {
+            minSize: marketConfig.minSize
+          }),
+          reason: EXIT_REASON.TAKE_PROFIT,
+          size,
+          price,
+          fee,
+          pnl: partial ? partial.pnl : (posDoc.side === SIDE.LONG ? price - posDoc.avgEntryPrice : posDoc.avgEntryPrice - price) * size,
+          exitTime: partial ? partial.exitTime : new Date().toISOString()
+        }, { logTradeEvent, log });
+
+        await resizeStopLoss(hl, repository, posDoc, log);
       }
 
-      // 计算盈亏
+      const openSize = getOpenSize(posDoc);
+
+      // 计算盈亏（剩余仓位）
       const unrealizedPnL = posDoc.side === SIDE.LONG
-        ? (currentPrice - posDoc.avgEntryPrice) * posDoc.size
-        : (posDoc.avgEntryPrice - currentPrice) * posDoc.size;
+        ? (currentPrice - posDoc.avgEntryPrice) * openSize
+        : (posDoc.avgEntryPrice - currentPrice) * openSize;
 
-      const positionValue = posDoc.avgEntryPrice * posDoc.size;
+      const positionValue = posDoc.avgEntryPrice * openSize;
       const unrealizedPnLPercent = (unrealizedPnL / positionValue) * 100;
+      const realizedPnL = posDoc.realizedPnL || 0;
 
-      log(`P&L: $${unrealizedPnL.toFixed(2)} (${unrealizedPnLPercent.toFixed(2)}%)`);
+      log(`P&L: $${unrealizedPnL.toFixed(2)} (${unrealizedPnLPercent.toFixed(2)}%) | Realized: $${realizedPnL.toFixed(2)}`);
 
-      // HTF 目标检查
-      log('Checking HTF targets...');
-      
-      const htfTimeframes = (process.env.HTF_TARGETS || '1w,1d').split(',');
-      let hitTarget = false;
-
-      for (const htfTf of htfTimeframes) {
-        const htfOBs = await databases.listDocuments(config.databaseId, COLLECTIONS.ORDER_BLOCKS, [
-          Query.equal('symbol', config.symbol),
-          Query.equal('timeframe', htfTf.trim()),
-          Query.equal('isActive', true),
-          Query.limit(10)
-        ]);
-
-        for (const htfOB of htfOBs.documents) {
-          const isTarget = 
-            (posDoc.side === SIDE.LONG && htfOB.type === OB_TYPE.BEARISH && currentPrice >= htfOB.bottom) ||
-            (posDoc.side === SIDE.SHORT && htfOB.type === OB_TYPE.BULLISH && currentPrice <= htfOB.top);
-
-          if (isTarget) {
-            log(`🎯 HTF ${htfTf} target @ $${posDoc.side === SIDE.LONG ? htfOB.bottom : htfOB.top}`);
-
-            const closeResult = await hl.closePosition({
-              symbol: config.symbol,
-              size: posDoc.size,
-              price: currentPrice
-            });
+      // 分批止盈梯度（HTF 目标 / R 倍数）
+      log('Checking scale-out ladder...');
+
+      const htfOBs = [];
+      for (const htfTf of config.htfTimeframes) {
+        const result = await repository.getActiveOBs(config.symbol, htfTf, 10);
+        htfOBs.push(...result.documents.filter(ob => config.htfBreakerTargets || ob.blockType !== BLOCK_TYPE.BREAKER));
+      }
 
-            if (closeResult.success) {
-              await databases.updateDocument(config.databaseId, COLLECTIONS.POSITIONS, posDoc.$id, {
-                status: 'CLOSED',
-                exitTime: new Date().toISOString(),
-                exitReason: `HTF_TARGET_${htfTf}`,
-                exitPrice: closeResult.executionPrice || currentPrice,
-                pnl: unrealizedPnL,
-                exitFee: closeResult.fee || 0
-              });
-
-              // ✅ 记录
-              await logTradeEvent(databases, config.databaseId, {
-                eventType: 'CLOSE',
-                symbol: config.symbol,
-                side: posDoc.side,
-                price: closeResult.executionPrice || currentPrice,
-                size: posDoc.size,
-                fee: closeResult.fee || 0,
-                positionId: posDoc.$id,
-                pnl: unrealizedPnL,
-                pnlPercent: unrealizedPnLPercent,
-                exitReason: `HTF_TARGET_${htfTf}`,
-                obId: posDoc.relatedOB,
-                obType: posDoc.obType
-              });
-
-              // ✅ 邮件
-              if (config.emailEnabled) {
-                await sendCloseNotification(config, {
-                  position: posDoc,
-                  exitPrice: closeResult.executionPrice || currentPrice,
-                  exitReason: `HTF ${htfTf} 目标`,
-                  pnl: unrealizedPnL,
-                  pnlPercent: unrealizedPnLPercent,
-                  fee: closeResult.fee || 0
-                });
-              }
-
-              results.push({ positionId: posDoc.$id, action: 'closed', reason: `HTF_${htfTf}`, pnl: unrealizedPnL });
-              hitTarget = true;
-              break;
-            }
+      const scaleOut = getDueScaleOut(posDoc, currentPrice, htfOBs, config.scaleOutLadder, {
+        minSize: marketConfig.minSize
+      });
+
+      if (scaleOut) {
+        log(`🎯 Scale-out ${scaleOut.stage}/${config.scaleOutLadder.length}: ${scaleOut.reason} @ $${scaleOut.targetPrice.toFixed(2)} → close ${scaleOut.size}${scaleOut.closeAll ? ' (all)' : ''}`);
+
+        const closeResult = await hl.closePosition({
+          symbol: config.symbol,
+          size: scaleOut.size,
+          price: currentPrice
+        });
+
+        if (closeResult.success && !scaleOut.closeAll) {
+          // 下单回报不含手续费，优先用成交记录
+          let partial = null;
+          try {
+            partial = await reconcilePartialExit(hl, posDoc, config.symbol.replace('USDT', ''), {
+              since: posDoc.lastPartialExitTime
+            });
+          } catch (reconcileErr) {
+            error(`Partial fill reconciliation failed: ${reconcileErr.message}`);
           }
+
+          const price = partial ? partial.exitPrice : (closeResult.executionPrice || currentPrice);
+          const size = partial ? partial.size : (closeResult.executedSize || scaleOut.size);
+          const fee = partial ? partial.fee : (closeResult.fee || 0);
+          const pnl = partial
+            ? partial.pnl
+            : (posDoc.side === SIDE.LONG ? price - posDoc.avgEntryPrice : posDoc.avgEntryPrice - price) * size - fee;
+
+          posDoc = await recordPartialExit(repository, posDoc, {
+            stage: scaleOut.stage,
+            reason: scaleOut.reason,
+            size,
+            price,
+            fee,
+            pnl,
+            exitTime: partial ? partial.exitTime : new Date().toISOString()
+          }, { logTradeEvent, log });
+
+          // 止损单按剩余数量重挂
+          await resizeStopLoss(hl, repository, posDoc, log);
+
+          results.push({
+            positionId: posDoc.$id,
+            action: 'partial_close',
+            reason: scaleOut.reason,
+            size,
+            remainingSize: posDoc.remainingSize,
+            pnl
+          });
+          continue;
+        }
+
+        if (closeResult.success) {
+          // 与交易所侧平仓同一口径：成交记录中的净盈亏（含手续费、资金费）
+          const closed = await recordProgramClose(hl, repository, posDoc, closeResult, {
+            symbol: config.symbol,
+            currentPrice,
+            exitReason: scaleOut.reason,
+            update: { scaleOutStage: scaleOut.stage },
+            log
+          });
+
+          // ✅ 通知
+          await sendCloseNotification(notifier, {
+            position: posDoc,
+            exitPrice: closed.exitPrice,
+            exitReason: scaleOut.reason,
+            pnl: closed.pnl,
+            pnlPercent: closed.pnlPercent,
+            fee: closed.fee
+          });
+
+          results.push({ positionId: posDoc.$id, action: 'closed', reason: scaleOut.reason, pnl: closed.pnl });
+          continue;
         }
-        if (hitTarget) break;
-      }
 
-      if (hitTarget) continue;
+        log(`⚠️  Scale-out close failed: ${closeResult.error}`);
+      }
 
       // ✅ 改进的反向OB检测
       log('Checking reversal OBs...');
       
-      const entryTfOBs = await databases.listDocuments(config.databaseId, COLLECTIONS.ORDER_BLOCKS, [
-        Query.equal('symbol', config.symbol),
-        Query.equal('timeframe', process.env.ENTRY_TIMEFRAME || '4h'),
-        Query.equal('isActive', true),
-        Query.orderDesc('confirmationTime'),
-        Query.limit(5)
-      ]);
-
-      let foundReversal = false;
-      for (const ob of entryTfOBs.documents) {
-        const isReversal = 
-          (posDoc.side === SIDE.LONG && ob.type === OB_TYPE.BEARISH) ||
-          (posDoc.side === SIDE.SHORT && ob.type === OB_TYPE.BULLISH);
-
-        if (isReversal) {
-          const obAge = (Date.now() - new Date(ob.confirmationTime)) / (1000 * 60 * 60);
-          
-          // ✅ 更严格的条件
-          if (obAge <= config.minReversalOBAge && ob.confidence === 'high') {
-            // ✅ 额外确认：价格必须进入反向OB区域
-            const priceConfirmed = 
-              (posDoc.side === SIDE.LONG && currentPrice < ob.top) ||
-              (posDoc.side === SIDE.SHORT && currentPrice > ob.bottom);
-
-            if (priceConfirmed) {
-              log(`🔄 Confirmed reversal (${obAge.toFixed(1)}h, high conf, price in zone)`);
-
-              const closeResult = await hl.closePosition({
-                symbol: config.symbol,
-                size: posDoc.size,
-                price: currentPrice
-              });
-
-              if (closeResult.success) {
-                await databases.updateDocument(config.databaseId, COLLECTIONS.POSITIONS, posDoc.$id, {
-                  status: 'CLOSED',
-                  exitTime: new Date().toISOString(),
-                  exitReason: EXIT_REASON.REVERSAL_OB,
-                  exitPrice: closeResult.executionPrice || currentPrice,
-                  pnl: unrealizedPnL,
-                  exitFee: closeResult.fee || 0
-                });
-
-                // ✅ 记录
-                await logTradeEvent(databases, config.databaseId, {
-                  eventType: 'CLOSE',
-                  symbol: config.symbol,
-                  side: posDoc.side,
-                  price: closeResult.executionPrice || currentPrice,
-                  size: posDoc.size,
-                  fee: closeResult.fee || 0,
-                  positionId: posDoc.$id,
-                  pnl: unrealizedPnL,
-                  pnlPercent: unrealizedPnLPercent,
-                  exitReason: 'REVERSAL_OB',
-                  obId: ob.$id,
-                  obType: ob.type
-                });
-
-                // ✅ 邮件
-                if (config.emailEnabled) {
-                  await sendCloseNotification(config, {
-                    position: posDoc,
-                    exitPrice: closeResult.executionPrice || currentPrice,
-                    exitReason: '反向 OB 检测',
-                    pnl: unrealizedPnL,
-                    pnlPercent: unrealizedPnLPercent,
-                    fee: closeResult.fee || 0
-                  });
-                }
-
-                results.push({ positionId: posDoc.$id, action: 'closed', reason: 'REVERSAL', pnl: unrealizedPnL });
-                foundReversal = true;
-                break;
-              }
-            }
+      const entryTfOBs = await repository.getActiveOBs(config.symbol, config.entryTimeframe, 5);
+
+      const reversal = shouldExitOnReversal(posDoc, entryTfOBs.documents, currentPrice, config);
+
+      if (reversal.exit) {
+        const ob = reversal.ob;
+        log(`🔄 Confirmed reversal (${reversal.obAgeHours.toFixed(1)}h, high conf, price in zone)`);
+
+        const closeResult = await hl.closePosition({
+          symbol: config.symbol,
+          size: openSize,
+          price: currentPrice
+        });
+
+        if (closeResult.success) {
+          const closed = await recordProgramClose(hl, repository, posDoc, closeResult, {
+            symbol: config.symbol,
+            currentPrice,
+            exitReason: EXIT_REASON.REVERSAL_OB,
+            ob,
+            log
+          });
+
+          // ✅ 通知
+          await sendCloseNotification(notifier, {
+            position: posDoc,
+            exitPrice: closed.exitPrice,
+            exitReason: EXIT_REASON.REVERSAL_OB,
+            pnl: closed.pnl,
+            pnlPercent: closed.pnlPercent,
+            fee: closed.fee
+          });
+
+          results.push({ positionId: posDoc.$id, action: 'closed', reason: 'REVERSAL', pnl: closed.pnl });
+          continue;
+        }
+      }
+
+      // ✅ 3.5 止损管理（保本 / 阶梯 / 吊灯 / 结构 / ATR 追踪）
+      if (config.stopPolicies.length > 0) {
+        log(`Checking stop policies (${config.stopPolicies.join(', ')})...`);
+
+        const stopUpdate = await evaluateStopPolicies({
+          posDoc, currentPrice, obs: entryTfOBs.documents, config, repository, binance, log
+        });
+
+        if (stopUpdate.update) {
+          const previousStop = posDoc.stopLoss;
+          const applied = await applyStopUpdate(hl, repository, posDoc, stopUpdate, { symbol: config.symbol, marketConfig, log });
+
+          if (applied) {
+            await sendStopMovedNotification(notifier, posDoc, {
+              from: previousStop,
+              policy: stopUpdate.policy,
+              reason: stopUpdate.reason
+            });
+
+            results.push({
+              positionId: posDoc.$id,
+              action: 'stop_updated',
+              policy: stopUpdate.policy,
+              newStopLoss: posDoc.stopLoss
+            });
           }
         }
       }
 
-      if (foundReversal) continue;
+      // ✅ 3.6 检查强平风险
+      const distanceToLiq = getLiquidationDistancePercent(posDoc, currentPrice);
 
-       // ✅ 3.5 追踪止损更新
-            if (unrealizedPnLPercent > config.trailingStopTriggerPercent) {
-              log(`Checking trailing stop (profit: ${unrealizedPnLPercent.toFixed(2)}%)...`);
-      
-              // 获取 ATR
-              const atrData = await databases.listDocuments(
-                config.databaseId,
-                COLLECTIONS.MARKET_DATA,
-                [
-                  Query.equal('symbol', config.symbol),
-                  Query.equal('indicator', 'ATR'),
-                  Query.orderDesc('timestamp'),
-                  Query.limit(1)
-                ]
-              );
-      
-              if (atrData.documents.length > 0) {
-                const atr = atrData.documents[0].value;
-                
-                const newStopLoss = posDoc.side === SIDE.LONG
-                  ? currentPrice - (atr * config.trailingStopMultiplier)
-                  : currentPrice + (atr * config.trailingStopMultiplier);
-      
-                const shouldUpdate = posDoc.side === SIDE.LONG
-                  ? newStopLoss > posDoc.stopLoss
-                  : newStopLoss < posDoc.stopLoss;
-      
-                if (shouldUpdate) {
-                  log(`📈 Updating trailing stop: $${posDoc.stopLoss.toFixed(2)} → $${newStopLoss.toFixed(2)}`);
-      
-                  // 更新交易所的止损单
-                  const updateResult = await hl.updateStopLoss({
-                    symbol: config.symbol,
-                    stopLossOrderId: posDoc.stopLossOrderId,
-                    newStopLoss
-                  });
-      
-                  if (updateResult.success) {
-                    await databases.updateDocument(
-                      config.databaseId,
-                      COLLECTIONS.POSITIONS,
-                      posDoc.$id,
-                      {
-                        stopLoss: newStopLoss,
-                        stopLossOrderId: updateResult.newStopLossOrderId,
-                        lastStopUpdate: new Date().toISOString()
-                      }
-                    );
-      
-                    results.push({
-                      positionId: posDoc.$id,
-                      action: 'trailing_stop_updated',
-                      newStopLoss
-                    });
-      
-                    log('✅ Trailing stop updated');
-                  } else {
-                    log('⚠️  Failed to update trailing stop');
-                  }
-                }
-              }
-            }
-      
-            // ✅ 3.6 检查强平风险
-            if (posDoc.liquidationPrice) {
-              const distanceToLiq = posDoc.side === SIDE.LONG
-                ? ((currentPrice - posDoc.liquidationPrice) / posDoc.liquidationPrice) * 100
-                : ((posDoc.liquidationPrice - currentPrice) / posDoc.liquidationPrice) * 100;
-      
-              if (distanceToLiq < config.liquidationWarningPercent) {
-                log(`⚡ WARNING: Near liquidation! Distance: ${distanceToLiq.toFixed(2)}%`);
-      
-                // 紧急平仓（可选）
-                if (distanceToLiq < 2) {
-                  log('🚨 Emergency close initiated!');
-                  
-                  const closeResult = await hl.closePosition({
-                    symbol: config.symbol,
-                    size: posDoc.size,
-                    price: currentPrice
-                  });
-      
-                  if (closeResult.success) {
-                    await databases.updateDocument(
-                      config.databaseId,
-                      COLLECTIONS.POSITIONS,
-                      posDoc.$id,
-                      {
-                        status: 'CLOSED',
-                        exitTime: new Date().toISOString(),
-                        exitReason: EXIT_REASON.EMERGENCY_CLOSE,
-                        exitPrice: closeResult.executionPrice || currentPrice,
-                        pnl: unrealizedPnL,
-                        exitFee: closeResult.fee || 0
-                      }
-                    );
-      
-                    results.push({
-                      positionId: posDoc.$id,
-                      action: 'emergency_close',
-                      reason: 'near_liquidation',
-                      pnl: unrealizedPnL
-                    });
-      
-                    log('✅ Emergency close executed');
-                    continue;
-                  }
-                }
-              }
-            }
+      if (distanceToLiq !== null && distanceToLiq < config.liquidationWarningPercent) {
+        log(`⚡ WARNING: Near liquidation! Distance: ${distanceToLiq.toFixed(2)}%`);
+
+        await sendLiquidationWarning(notifier, config, posDoc, { currentPrice, distanceToLiq, unrealizedPnL });
+
+        // 紧急平仓
+        if (distanceToLiq < config.liquidationEmergencyPercent) {
+          log('🚨 Emergency close initiated!');
+          
+          const closeResult = await hl.closePosition({
+            symbol: config.symbol,
+            size: openSize,
+            price: currentPrice
+          });
+
+          if (closeResult.success) {
+            const closed = await recordProgramClose(hl, repository, posDoc, closeResult, {
+              symbol: config.symbol,
+              currentPrice,
+              exitReason: EXIT_REASON.EMERGENCY_CLOSE,
+              log
+            });
+
+            await sendCloseNotification(notifier, {
+              position: posDoc,
+              exitPrice: closed.exitPrice,
+              exitReason: EXIT_REASON.EMERGENCY_CLOSE,
+              pnl: closed.pnl,
+              pnlPercent: closed.pnlPercent,
+              fee: closed.fee
+            });
+
+            results.push({
+              positionId: posDoc.$id,
+              action: 'emergency_close',
+              reason: 'near_liquidation',
+              pnl: closed.pnl
+            });
+
+            log('✅ Emergency close executed');
+            continue;
+          }
+        }
+      }
 
       // 更新状态
-      await databases.updateDocument(config.databaseId, COLLECTIONS.POSITIONS, posDoc.$id, {
+      await repository.updatePosition(posDoc.$id, {
         lastChecked: new Date().toISOString(),
         lastPrice: currentPrice,
         unrealizedPnL
@@ -431,6 +473,8 @@ module.exports = async ({ req, res, log, error }) => {
       results.push({
         positionId: posDoc.$id,
         action: 'monitored',
+        remainingSize: openSize,
+        realizedPnL,
         unrealizedPnL,
         unrealizedPnLPercent: unrealizedPnLPercent.toFixed(2)
       });
@@ -452,77 +496,197 @@ module.exports = async ({ req, res, log, error }) => {
 
   } catch (err) {
     error(`Error: ${err.message}`);
+
+    if (notifier) {
+      await sendErrorAlert(notifier, process.env.TRADING_SYMBOL || 'BTCUSDT', err);
+    }
+
     return res.json({ success: false, error: err.message }, 500);
   }
 };
 
 // ═════════════════════════════════════════════════════════════════════════
-// 平仓邮件通知
+// 程序平仓
 // ═════════════════════════════════════════════════════════════════════════
 
-async function sendCloseNotification(config, { position, exitPrice, exitReason, pnl, pnlPercent, fee }) {
-  if (!config.emailRecipient || !config.emailConfig.auth.user) return;
-
-  const transporter = nodemailer.createTransport(config.emailConfig);
-
-  const isProfit = pnl > 0;
-  const emoji = isProfit ? '💰' : '📉';
-  const direction = position.side === 'LONG' ? '做多' : '做空';
-  const holdingHours = Math.floor((Date.now() - new Date(position.openTime)) / (1000 * 60 * 60));
-
-  const subject = `${emoji} ${config.symbol} ${direction}平仓 ${isProfit ? '盈利' : '亏损'} $${Math.abs(pnl).toFixed(2)}`;
-
-  const body = `
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-      ${emoji} OB 交易系统 - 平仓通知
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * 程序平掉剩余仓位后的结算：按成交记录计算净盈亏，撤销残留的止损/止盈单，
+ * 关闭持仓并记录 CLOSE 事件（只含剩余部分，分批平仓已单独记录）
+ * @returns {Promise<Object>} settleClose 的结果
+ */
+async function recordProgramClose(hl, repository, posDoc, closeResult, { symbol, currentPrice, exitReason, ob = null, update = {}, log }) {
+  const openSize = getOpenSize(posDoc);
+  const closed = await settleClose(hl, posDoc, symbol.replace('USDT', ''), {
+    exitPrice: closeResult.executionPrice || currentPrice,
+    exitFee: closeResult.fee || 0
+  });
+  const partials = summarizePartialExits(posDoc);
+
+  log(`   Exit: $${closed.exitPrice.toFixed(2)} | PnL $${closed.pnl.toFixed(2)} | Fees $${closed.fee.toFixed(2)}${closed.reconciled ? '' : ' (estimated)'}`);
+
+  await cancelExitOrders(hl, posDoc, log);
+  await repository.updatePosition(posDoc.$id, {
+    status: 'CLOSED',
+    exitTime: closed.exitTime,
+    exitReason,
+    exitPrice: closed.exitPrice,
+    exitFee: closed.exitFee,
+    funding: closed.funding,
+    pnl: closed.pnl,
+    remainingSize: 0,
+    realizedPnL: closed.pnl,
+    unrealizedPnL: 0,
+    reconciledAt: closed.reconciled ? new Date().toISOString() : null,
+    ...update
+  });
+
+  await logTradeEvent(repository, {
+    eventType: 'CLOSE',
+    symbol,
+    side: posDoc.side,
+    price: closed.exitPrice,
+    size: openSize,
+    fee: Math.max(0, closed.fee - partials.fee),
+    funding: closed.funding,
+    positionId: posDoc.$id,
+    pnl: closed.remainderPnl,
+    pnlPercent: closed.pnlPercent,
+    exitReason,
+    obId: ob ? ob.$id : posDoc.relatedOB,
+    obType: ob ? ob.type : posDoc.obType,
+    reconciled: closed.reconciled
+  });
+
+  return closed;
+}
 
-${emoji} 交易对: ${config.symbol}
-📊 方向: ${direction}
-⏰ 时间: ${new Date().toLocaleString('en-NZ', { timeZone: 'Pacific/Auckland' })}
+// ═════════════════════════════════════════════════════════════════════════
+// 止损管理
+// ═════════════════════════════════════════════════════════════════════════
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📍 平仓信息
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * 收集止损策略需要的数据（ATR / K 线）并计算止损更新
+ */
+async function evaluateStopPolicies({ posDoc, currentPrice, obs, config, repository, binance, log }) {
+  const atrData = await repository.getLatestIndicator({
+    symbol: config.symbol,
+    indicator: 'ATR',
+    timeframe: config.trailingATR.timeframe,
+    period: config.trailingATR.period
+  });
+
+  if (!atrData) {
+    log(`   ⚠️  No fresh ATR(${config.trailingATR.period}) ${config.trailingATR.timeframe}, ATR-based policies skipped`);
+  }
 
-平仓原因: ${exitReason}
-入场价格: $${position.avgEntryPrice.toFixed(2)}
-平仓价格: $${exitPrice.toFixed(2)}
-价格变动: ${((exitPrice - position.avgEntryPrice) / position.avgEntryPrice * 100).toFixed(2)}%
+  let candles = [];
+  if (config.stopPolicies.includes('chandelier') || config.stopPolicies.includes('structure')) {
+    try {
+      candles = await binance.getRecentKlines(config.symbol, config.entryTimeframe, 100);
+    } catch (err) {
+      log(`   ⚠️  Could not load candles: ${err.message}`);
+    }
+  }
 
-持仓大小: ${position.size.toFixed(4)} BTC
-持仓时长: ${holdingHours} 小时
-${position.additionCount > 0 ? `加仓次数: ${position.additionCount}\n` : ''}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-💰 盈亏统计
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  const stopUpdate = computeStopUpdate(posDoc, currentPrice, {
+    atr: atrData ? atrData.value : null,
+    candles,
+    obs
+  }, config);
 
-实现盈亏: ${isProfit ? '+' : ''}$${pnl.toFixed(2)}
-盈亏比例: ${isProfit ? '+' : ''}${pnlPercent.toFixed(2)}%
-开仓费用: $${position.entryFee.toFixed(2)}
-平仓费用: $${fee.toFixed(2)}
-净盈亏: ${isProfit ? '+' : ''}$${(pnl - position.entryFee - fee).toFixed(2)}
+  for (const c of stopUpdate.candidates) {
+    log(`   ${c.valid ? '✓' : '·'} ${c.policy}: $${c.price.toFixed(2)} (${c.reason})`);
+  }
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📊 持仓回顾
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  return stopUpdate;
+}
 
-杠杆: ${position.leverage}x
-止损: $${position.stopLoss.toFixed(2)}
-OB 类型: ${position.obType}
-置信度: ${position.obConfidence}
+/**
+ * 通过 updateStopLoss 移动交易所止损单，并把变更记录到持仓
+ * @returns {Promise<boolean>}
+ */
+async function applyStopUpdate(hl, repository, posDoc, stopUpdate, { symbol, marketConfig, log }) {
+  const { policy, reason } = stopUpdate;
+  const newStopLoss = roundPrice(stopUpdate.newStopLoss, marketConfig.szDecimals);
+  log(`📈 Moving stop (${policy}): $${posDoc.stopLoss.toFixed(2)} → $${newStopLoss.toFixed(2)}`);
+
+  const updateResult = await hl.updateStopLoss({
+    symbol,
+    stopLossOrderId: posDoc.stopLossOrderId,
+    newStopLoss
+  });
+
+  if (!updateResult.success) {
+    log(`⚠️  Failed to update stop loss: ${updateResult.error}`);
+    return false;
+  }
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-  `.trim();
+  const now = new Date().toISOString();
 
+  // 交易所止损单已替换：完整记录写入失败时，至少保存新的止损价与订单号
   try {
-    await transporter.sendMail({
-      from: `"OB Bot" <${config.emailConfig.auth.user}>`,
-      to: config.emailRecipient,
-      subject, text: body,
-      html: `<pre style="font-family: monospace; font-size: 12px; background: #1a1a1a; color: #e0e0e0; padding: 20px;">${body}</pre>`
+    await repository.updatePosition(posDoc.$id, {
+      stopLoss: newStopLoss,
+      stopLossOrderId: updateResult.newStopLossOrderId,
+      stopPolicy: policy,
+      stopHistory: appendStopHistory(posDoc, { time: now, from: posDoc.stopLoss, to: newStopLoss, policy, reason }),
+      lastStopUpdate: now
     });
   } catch (err) {
-    console.error('Email failed:', err.message);
+    log(`⚠️  Could not record stop history: ${err.message}`);
+    await repository.updatePosition(posDoc.$id, {
+      stopLoss: newStopLoss,
+      stopLossOrderId: updateResult.newStopLossOrderId,
+      lastStopUpdate: now
+    });
   }
-}
\ No newline at end of file
+
+  posDoc.stopLoss = newStopLoss;
+  posDoc.stopLossOrderId = updateResult.newStopLossOrderId;
+
+  log('✅ Stop loss updated');
+  return true;
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 通知
+// ═════════════════════════════════════════════════════════════════════════
+
+/**
+ * 强平预警：同一持仓在去重窗口内只发一次，持续存在时升级
+ */
+async function sendLiquidationWarning(notifier, config, posDoc, { currentPrice, distanceToLiq, unrealizedPnL }) {
+  if (!notifier.enabled) return { sent: [], failed: [] };
+
+  return notifier.notify({
+    event: NOTIFY_EVENT.LIQUIDATION_RISK,
+    severity: distanceToLiq < config.liquidationEmergencyPercent ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+    key: `liq_${posDoc.$id}`,
+    data: {
+      symbol: config.symbol,
+      side: posDoc.side,
+      positionId: posDoc.$id,
+      time: new Date().toISOString(),
+      price: currentPrice,
+      liquidationPrice: posDoc.liquidationPrice,
+      distancePercent: distanceToLiq,
+      warningPercent: config.liquidationWarningPercent,
+      emergencyPercent: config.liquidationEmergencyPercent,
+      unrealizedPnL
+    }
+  });
+}
+
+/**
+ * 运行出错（多为交易所 API 错误）：每次运行都会重试，告警经去重只发一次
+ */
+async function sendErrorAlert(notifier, symbol, err) {
+  if (!notifier.enabled) return { sent: [], failed: [] };
+
+  return notifier.notify({
+    event: NOTIFY_EVENT.EXCHANGE_ERROR,
+    severity: SEVERITY.WARNING,
+    key: 'error_position-monitor',
+    data: { source: 'position-monitor', symbol, time: new Date().toISOString(), error: err.message }
+  });
+}
@@ -0,0 +1,137 @@
+/**
+ * Hyperliquid 市场元数据（meta / metaAndAssetCtxs）
+ *
+ * 提供资产索引、szDecimals、最大杠杆和价格 / 数量取整规则。
+ * constants.js 中的 MARKETS 仅作为 Mock 模式和回测的离线回退。
+ */
+
+const axios = require('axios');
+const { HYPERLIQUID, MARKETS } = require('./constants');
+
+// 永续合约价格最多 6 位小数（减去 szDecimals）
+const MAX_PERP_DECIMALS = 6;
+const PRICE_SIG_FIGS = 5;
+
+// 同一运行环境内（热启动）共享缓存
+const metaCache = new Map();
+
+function symbolToCoin(symbol) {
+  return symbol.toUpperCase().replace(/USDT$|USDC$|USD$/, '');
+}
+
+/**
+ * 价格取整：最多 5 位有效数字，且小数位不超过 6 - szDecimals（整数价格总是合法）
+ */
+function roundPrice(price, szDecimals) {
+  if (!price || !isFinite(price)) return price;
+
+  const maxDecimals = Math.max(0, MAX_PERP_DECIMALS - szDecimals);
+
+  if (Number.isInteger(price)) return price;
+
+  const sigRounded = parseFloat(price.toPrecision(PRICE_SIG_FIGS));
+  return parseFloat(sigRounded.toFixed(maxDecimals));
+}
+
+/**
+ * 数量取整：按 szDecimals 向下取整，避免超出风险预算
+ */
+function roundSize(size, szDecimals) {
+  const factor = Math.pow(10, szDecimals);
+  return Math.floor(size * factor + 1e-9) / factor;
+}
+
+/**
+ * 由 meta.universe 条目构建市场配置（字段与 MARKETS 保持一致）
+ */
+function buildMarketConfig(asset, assetIndex, ctx = null) {
+  const sizeIncrement = parseFloat(Math.pow(10, -asset.szDecimals).toFixed(asset.szDecimals));
+
+  return {
+    symbol: asset.name,
+    assetIndex,
+    szDecimals: asset.szDecimals,
+    minSize: sizeIncrement,
+    sizeIncrement,
+    pricePrecision: Math.max(0, MAX_PERP_DECIMALS - asset.szDecimals),
+    maxLeverage: asset.maxLeverage,
+    onlyIsolated: !!asset.onlyIsolated,
+    maintenanceMarginRate: HYPERLIQUID.LIQUIDATION.MMR,
+    markPrice: ctx ? parseFloat(ctx.markPx) : null,
+    fundingRate: ctx ? parseFloat(ctx.funding) : null
+  };
+}
+
+/**
+ * 离线回退：Mock 模式和回测使用 MARKETS
+ */
+function getFallbackMarketConfig(symbol) {
+  return MARKETS[symbol] || MARKETS.BTCUSDT;
+}
+
+class MarketMetaService {
+  constructor(baseURL = HYPERLIQUID.BASE_URL, { ttlMs = 60 * 60 * 1000 } = {}) {
+    this.baseURL = baseURL;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * 加载 metaAndAssetCtxs（带缓存）
+   */
+  async load(force = false) {
+    const cached = metaCache.get(this.baseURL);
+
+    if (!force && cached && Date.now() - cached.loadedAt < this.ttlMs) {
+      return cached;
+    }
+
+    const response = await axios.post(`${this.baseURL}/info`, {
+      type: 'metaAndAssetCtxs'
+    }, { timeout: 5000 });
+
+    const [meta, assetCtxs] = response.data;
+
+    if (!meta || !Array.isArray(meta.universe)) {
+      throw new Error('Invalid meta response');
+    }
+
+    const markets = new Map();
+    meta.universe.forEach((asset, index) => {
+      markets.set(asset.name, buildMarketConfig(asset, index, assetCtxs ? assetCtxs[index] : null));
+    });
+
+    const entry = { markets, loadedAt: Date.now() };
+    metaCache.set(this.baseURL, entry);
+
+    return entry;
+  }
+
+  /**
+   * 获取市场配置（symbol 可为 BTCUSDT 或 BTC）
+   */
+  async getMarketConfig(symbol) {
+    const coin = symbolToCoin(symbol);
+    const { markets } = await this.load();
+    const market = markets.get(coin);
+
+    if (!market) {
+      throw new Error(`Unknown Hyperliquid asset: ${coin}`);
+    }
+
+    return market;
+  }
+
+  async getAssetIndex(symbol) {
+    const market = await this.getMarketConfig(symbol);
+    return market.assetIndex;
+  }
+}
+
+module.exports = {
+  MarketMetaService,
+  buildMarketConfig,
+  getFallbackMarketConfig,
+  roundPrice,
+  roundSize,
+  symbolToCoin
+};
@@ -0,0 +1,99 @@
+/**
+ * 交易成本模型：手续费 / 滑点 / 资金费
+ *
+ * Mock 模式和回测统一使用，避免模拟盈亏系统性偏乐观
+ */
+
+const { HYPERLIQUID, SIDE } = require('./constants');
+
+/**
+ * 手续费（maker 费率为负表示返佣）
+ */
+function calculateFee(notional, liquidity = 'taker', fees = HYPERLIQUID.FEES) {
+  const rate = liquidity === 'maker' ? fees.MAKER : fees.TAKER;
+  return Math.abs(notional) * rate;
+}
+
+/**
+ * 滑点（bps）= 基础滑点 + 名义价值 × 冲击系数
+ */
+function calculateSlippageBps(notional, slippage = HYPERLIQUID.SLIPPAGE) {
+  return slippage.BASE_BPS + Math.abs(notional) * slippage.IMPACT_FACTOR;
+}
+
+/**
+ * 对吃单成交价施加不利滑点：买入抬高，卖出压低
+ */
+function applySlippage(price, isBuy, size, slippage = HYPERLIQUID.SLIPPAGE) {
+  const bps = calculateSlippageBps(price * size, slippage);
+  const factor = bps / 10000;
+
+  return isBuy ? price * (1 + factor) : price * (1 - factor);
+}
+
+/**
+ * 估算一笔成交：taker 成交带滑点，maker 成交按挂单价
+ * @returns {Object} { price, fee, slippageBps }
+ */
+function estimateFill({ price, size, isBuy, liquidity = 'taker', costs = {} }) {
+  const fees = costs.fees || HYPERLIQUID.FEES;
+  const slippage = costs.slippage || HYPERLIQUID.SLIPPAGE;
+
+  if (liquidity === 'maker') {
+    return {
+      price,
+      fee: calculateFee(price * size, 'maker', fees),
+      slippageBps: 0
+    };
+  }
+
+  const executionPrice = applySlippage(price, isBuy, size, slippage);
+
+  return {
+    price: executionPrice,
+    fee: calculateFee(executionPrice * size, 'taker', fees),
+    slippageBps: calculateSlippageBps(price * size, slippage)
+  };
+}
+
+/**
+ * 单次资金费：费率为正时多头支付、空头收取
+ * @returns {number} 对持仓方的现金变动（负数为支出）
+ */
+function calculateFundingPayment({ side, size, markPrice, rate = HYPERLIQUID.FUNDING.DEFAULT_RATE }) {
+  const maxRate = HYPERLIQUID.FUNDING.MAX_RATE;
+  const clampedRate = Math.max(-maxRate, Math.min(maxRate, rate));
+  const payment = Math.abs(size) * markPrice * clampedRate;
+
+  return side === SIDE.LONG ? -payment : payment;
+}
+
+/**
+ * 累计 [fromTime, toTime) 区间内经过的资金费结算点（每 8 小时，UTC 对齐）
+ * @returns {Object} { payment, intervals }
+ */
+function accrueFunding({ side, size, markPrice, fromTime, toTime, rate }) {
+  const intervalMs = HYPERLIQUID.FUNDING.INTERVAL_HOURS * 60 * 60 * 1000;
+  const from = new Date(fromTime).getTime();
+  const to = new Date(toTime).getTime();
+
+  const intervals = Math.max(0, Math.floor(to / intervalMs) - Math.floor(from / intervalMs));
+
+  if (intervals === 0) {
+    return { payment: 0, intervals: 0 };
+  }
+
+  return {
+    payment: intervals * calculateFundingPayment({ side, size, markPrice, rate }),
+    intervals
+  };
+}
+
+module.exports = {
+  calculateFee,
+  calculateSlippageBps,
+  applySlippage,
+  estimateFill,
+  calculateFundingPayment,
+  accrueFunding
+};
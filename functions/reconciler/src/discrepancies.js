@@ -0,0 +1,162 @@
+/**
+ * 交易所状态 vs 数据库持仓 比对
+ *
+ * 只做比对，不做任何写操作；修复 / 告警由 index.js 按策略处理。
+ */
+
+const { SIDE } = require('./constants');
+
+const DISCREPANCY = {
+  // 数据库 OPEN，交易所无持仓（止损 / 强平后未被 position-monitor 处理）
+  MISSING_ON_EXCHANGE: 'missing_on_exchange',
+  // 交易所有持仓，数据库无对应记录
+  ORPHAN_EXCHANGE_POSITION: 'orphan_exchange_position',
+  // PENDING 超时且交易所已有持仓（下单成功但数据库未更新）
+  PENDING_FILLED: 'pending_filled',
+  // PENDING 超时且交易所无持仓（下单失败或未成交）
+  PENDING_STALE: 'pending_stale',
+  // 有持仓但没有止损单
+  MISSING_STOP: 'missing_stop',
+  // 数据库数量与交易所不一致
+  SIZE_MISMATCH: 'size_mismatch',
+  // 同一币种多条 OPEN 记录
+  DUPLICATE_OPEN: 'duplicate_open'
+};
+
+// 数量比较的相对容差
+const SIZE_TOLERANCE = 0.001;
+
+function symbolOf(coin) {
+  return `${coin}USDT`;
+}
+
+function coinOf(symbol) {
+  return symbol.replace('USDT', '');
+}
+
+/**
+ * 找到持仓对应的止损单：reduce-only 触发单，方向与持仓相反（止盈单除外）
+ */
+function findStopOrder(position, openOrders) {
+  const closingSide = parseFloat(position.szi) > 0 ? 'A' : 'B';
+
+  return openOrders.find(o =>
+    o.coin === position.coin &&
+    o.isTrigger &&
+    o.reduceOnly &&
+    o.side === closingSide &&
+    !/^Take Profit/.test(o.orderType || '')
+  ) || null;
+}
+
+/**
+ * 比对并返回差异列表
+ * @param {Object} params
+ * @param {Array} params.dbPositions - positions 文档（status OPEN / PENDING）
+ * @param {Array} params.exchangePositions - clearinghouseState 持仓
+ * @param {Array} params.openOrders - frontendOpenOrders
+ * @param {number} params.pendingGraceMs - PENDING 记录超过此时长才视为异常（entry-monitor 可能仍在等待成交）
+ * @returns {Array} [{ type, coin, symbol, position?, exchangePosition?, stopOrder? }]
+ */
+function findDiscrepancies({ dbPositions, exchangePositions, openOrders, pendingGraceMs, now = Date.now() }) {
+  const discrepancies = [];
+
+  const openDocs = dbPositions.filter(p => p.status === 'OPEN');
+  const pendingDocs = dbPositions.filter(p =>
+    p.status === 'PENDING' && now - new Date(p.openTime || p.$createdAt).getTime() > pendingGraceMs
+  );
+
+  const openByCoin = new Map();
+  for (const doc of openDocs) {
+    const coin = coinOf(doc.symbol);
+    if (!openByCoin.has(coin)) openByCoin.set(coin, []);
+    openByCoin.get(coin).push(doc);
+  }
+
+  const exchangeByCoin = new Map(exchangePositions.map(p => [p.coin, p]));
+
+  // 1️⃣ 数据库 OPEN 记录
+  for (const [coin, docs] of openByCoin) {
+    if (docs.length > 1) {
+      discrepancies.push({ type: DISCREPANCY.DUPLICATE_OPEN, coin, symbol: symbolOf(coin), positions: docs });
+    }
+
+    const exchangePosition = exchangeByCoin.get(coin);
+
+    if (!exchangePosition) {
+      for (const doc of docs) {
+        discrepancies.push({ type: DISCREPANCY.MISSING_ON_EXCHANGE, coin, symbol: doc.symbol, position: doc });
+      }
+      continue;
+    }
+
+    const doc = docs[0];
+    const exchangeSide = parseFloat(exchangePosition.szi) > 0 ? SIDE.LONG : SIDE.SHORT;
+    const exchangeSize = Math.abs(parseFloat(exchangePosition.szi));
+
+    // 分批止盈后按剩余数量比对
+    const dbSize = typeof doc.remainingSize === 'number' ? doc.remainingSize : doc.size;
+
+    if (exchangeSide !== doc.side || Math.abs(exchangeSize - dbSize) > dbSize * SIZE_TOLERANCE) {
+      discrepancies.push({
+        type: DISCREPANCY.SIZE_MISMATCH,
+        coin,
+        symbol: doc.symbol,
+        position: doc,
+        exchangePosition,
+        exchangeSide,
+        exchangeSize
+      });
+    }
+  }
+
+  // 2️⃣ 超时的 PENDING 记录
+  const claimedByPending = new Set();
+
+  for (const doc of pendingDocs) {
+    const coin = coinOf(doc.symbol);
+    const exchangePosition = exchangeByCoin.get(coin);
+
+    if (exchangePosition && !openByCoin.has(coin) && !claimedByPending.has(coin)) {
+      claimedByPending.add(coin);
+      discrepancies.push({ type: DISCREPANCY.PENDING_FILLED, coin, symbol: doc.symbol, position: doc, exchangePosition });
+    } else {
+      discrepancies.push({ type: DISCREPANCY.PENDING_STALE, coin, symbol: doc.symbol, position: doc });
+    }
+  }
+
+  // 3️⃣ 交易所持仓
+  for (const exchangePosition of exchangePositions) {
+    const coin = exchangePosition.coin;
+    const stopOrder = findStopOrder(exchangePosition, openOrders);
+
+    if (!openByCoin.has(coin) && !claimedByPending.has(coin)) {
+      discrepancies.push({
+        type: DISCREPANCY.ORPHAN_EXCHANGE_POSITION,
+        coin,
+        symbol: symbolOf(coin),
+        exchangePosition,
+        stopOrder
+      });
+    }
+
+    if (!stopOrder) {
+      const docs = openByCoin.get(coin);
+      discrepancies.push({
+        type: DISCREPANCY.MISSING_STOP,
+        coin,
+        symbol: symbolOf(coin),
+        position: docs ? docs[0] : null,
+        exchangePosition
+      });
+    }
+  }
+
+  return discrepancies;
+}
+
+module.exports = {
+  DISCREPANCY,
+  findDiscrepancies,
+  findStopOrder
+};
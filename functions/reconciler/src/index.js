@@ -0,0 +1,457 @@
+/**
+ * Reconciler v1.0
+ *
+ * 定时比对交易所（clearinghouseState + 挂单）与数据库 positions（OPEN / PENDING）：
+ * ✅ 数据库有、交易所无 → 按成交记录平仓对账
+ * ✅ 交易所有、数据库无 → 接管为 OPEN 记录
+ * ✅ PENDING 超时 → 按交易所实际状态转为 OPEN / 取消
+ * ✅ 持仓缺少止损单 → 重新下止损
+ *
+ * RECONCILER_POLICY=repair 时自动修复，默认 alert 只告警不写入。
+ */
+
+const crypto = require('crypto');
+const HyperliquidAPI = require('./hyperliquid');
+const { COLLECTIONS, SIDE, EXIT_REASON } = require('./constants');
+const { createRepository } = require('./repository');
+const { logTradeEvent } = require('./trade-logger');
+const { createNotifier, NOTIFY_EVENT, SEVERITY } = require('./notifier');
+const { createNotificationGate } = require('./notification-gate');
+const { reconcilePositionFills, summarizePartialExits } = require('./fill-reconciliation');
+const { DISCREPANCY, findDiscrepancies } = require('./discrepancies');
+
+module.exports = async ({ req, res, log, error, repository = null, notifier = null }) => {
+  const startTime = Date.now();
+
+  try {
+    log('━'.repeat(60));
+    log('🧾 Reconciler v1.0');
+    log('━'.repeat(60));
+
+    const config = {
+      tradingEnabled: process.env.TRADING_ENABLED === 'true',
+      leverage: parseInt(process.env.LEVERAGE) || 3,
+
+      policy: process.env.RECONCILER_POLICY === 'repair' ? 'repair' : 'alert',
+      pendingGraceMinutes: parseFloat(process.env.RECONCILER_PENDING_GRACE_MINUTES) || 15,
+      fallbackStopPercent: parseFloat(process.env.RECONCILER_FALLBACK_STOP_PERCENT) || 2
+    };
+
+    log(`   Policy: ${config.policy}`);
+
+    repository = repository || createRepository(process.env);
+    notifier = createNotificationGate(notifier || createNotifier(process.env, { log }), { repository, env: process.env, log });
+
+    const hl = new HyperliquidAPI(
+      process.env.HYPERLIQUID_PRIVATE_KEY,
+      !config.tradingEnabled,
+      { baseURL: process.env.HYPERLIQUID_API_URL }
+    );
+
+    // Mock 模式的持仓只存在于单次执行内，无法比对
+    if (hl.useMock) {
+      log('   ⏭️  Mock mode, nothing to reconcile');
+      return res.json({ success: true, action: 'skipped_mock_mode' });
+    }
+
+    // 1️⃣ 交易所状态
+    log(`\n1️⃣  Loading exchange state...`);
+
+    const [exchangePositions, openOrders] = await Promise.all([
+      hl.getPositions(),
+      hl.getOpenOrders()
+    ]);
+
+    log(`   Positions: ${exchangePositions.map(p => `${p.coin} ${p.szi}`).join(', ') || 'none'}`);
+    log(`   Open orders: ${openOrders.length}`);
+
+    // 2️⃣ 数据库状态
+    log(`\n2️⃣  Loading database positions...`);
+
+    const dbPositions = await repository.getPositionsByStatus(['OPEN', 'PENDING']);
+
+    log(`   OPEN: ${dbPositions.documents.filter(p => p.status === 'OPEN').length}`);
+    log(`   PENDING: ${dbPositions.documents.filter(p => p.status === 'PENDING').length}`);
+
+    // 3️⃣ 比对
+    log(`\n3️⃣  Comparing...`);
+
+    const discrepancies = findDiscrepancies({
+      dbPositions: dbPositions.documents,
+      exchangePositions,
+      openOrders,
+      pendingGraceMs: config.pendingGraceMinutes * 60 * 1000
+    });
+
+    if (discrepancies.length === 0) {
+      log('   ✅ Exchange and database agree');
+
+      return res.json({
+        success: true,
+        discrepancies: 0,
+        duration: Date.now() - startTime
+      });
+    }
+
+    log(`   ⚠️  Found ${discrepancies.length} discrepanc${discrepancies.length === 1 ? 'y' : 'ies'}`);
+
+    // 4️⃣ 处理
+    log(`\n4️⃣  Handling (${config.policy})...`);
+
+    const ctx = {
+      config,
+      repository,
+      hl,
+      openOrders,
+      log,
+      // 修复过程中确定的币种 → 持仓记录（PENDING 转 OPEN、接管孤儿持仓后用于补止损）
+      docsByCoin: new Map()
+    };
+
+    const outcomes = [];
+
+    for (const discrepancy of sortForHandling(discrepancies)) {
+      let outcome;
+
+      try {
+        outcome = config.policy === 'repair'
+          ? await repair(discrepancy, ctx)
+          : { repaired: false, detail: 'alert only' };
+      } catch (repairErr) {
+        error(`   ❌ ${discrepancy.type} ${discrepancy.coin}: ${repairErr.message}`);
+        outcome = { repaired: false, detail: `repair failed: ${repairErr.message}` };
+      }
+
+      log(`   ${outcome.repaired ? '🔧' : '🚨'} ${discrepancy.type} ${discrepancy.coin}: ${outcome.detail}`);
+      outcomes.push({ ...describe(discrepancy), ...outcome });
+    }
+
+    // 5️⃣ 告警
+    log(`\n5️⃣  Recording alerts...`);
+
+    for (const outcome of outcomes) {
+      await recordSystemLog(repository, outcome).catch(err =>
+        error(`   Failed to write system log: ${err.message}`)
+      );
+    }
+
+    const unresolved = outcomes.filter(o => !o.repaired);
+
+    if (unresolved.length > 0) {
+      await sendReconcileAlert(notifier, config, outcomes).catch(err =>
+        error(`   Failed to send alert: ${err.message}`)
+      );
+    }
+
+    const duration = Date.now() - startTime;
+
+    log(`\n${'━'.repeat(60)}`);
+    log(`✅ Reconciler completed in ${duration}ms`);
+    log(`   Discrepancies: ${outcomes.length}`);
+    log(`   Repaired: ${outcomes.length - unresolved.length}`);
+    log(`   Unresolved: ${unresolved.length}`);
+    log('━'.repeat(60));
+
+    return res.json({
+      success: true,
+      policy: config.policy,
+      discrepancies: outcomes.length,
+      repaired: outcomes.length - unresolved.length,
+      unresolved: unresolved.length,
+      outcomes,
+      duration,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    error(`Error: ${err.message}`);
+    return res.json({ success: false, error: err.message }, 500);
+  }
+};
+
+// ═════════════════════════════════════════════════════════════════════════
+// 修复
+// ═════════════════════════════════════════════════════════════════════════
+
+// 先确定持仓记录，再补止损
+const HANDLING_ORDER = [
+  DISCREPANCY.MISSING_ON_EXCHANGE,
+  DISCREPANCY.PENDING_FILLED,
+  DISCREPANCY.PENDING_STALE,
+  DISCREPANCY.ORPHAN_EXCHANGE_POSITION,
+  DISCREPANCY.SIZE_MISMATCH,
+  DISCREPANCY.DUPLICATE_OPEN,
+  DISCREPANCY.MISSING_STOP
+];
+
+function sortForHandling(discrepancies) {
+  return [...discrepancies].sort((a, b) => HANDLING_ORDER.indexOf(a.type) - HANDLING_ORDER.indexOf(b.type));
+}
+
+async function repair(discrepancy, ctx) {
+  switch (discrepancy.type) {
+    case DISCREPANCY.MISSING_ON_EXCHANGE:
+      return closeMissingPosition(discrepancy, ctx);
+    case DISCREPANCY.PENDING_FILLED:
+      return promotePending(discrepancy, ctx);
+    case DISCREPANCY.PENDING_STALE:
+      return cancelStalePending(discrepancy, ctx);
+    case DISCREPANCY.ORPHAN_EXCHANGE_POSITION:
+      return adoptOrphan(discrepancy, ctx);
+    case DISCREPANCY.SIZE_MISMATCH:
+      return syncSize(discrepancy, ctx);
+    case DISCREPANCY.MISSING_STOP:
+      return replaceStop(discrepancy, ctx);
+    default:
+      return { repaired: false, detail: 'needs manual review' };
+  }
+}
+
+/**
+ * 交易所已无持仓：用成交记录还原平仓结果并关闭记录
+ */
+async function closeMissingPosition({ coin, position }, { repository, hl }) {
+  const reconciled = await reconcilePositionFills(hl, position, coin);
+
+  if (!reconciled) {
+    await repository.updatePosition(position.$id, {
+      status: 'CLOSED',
+      exitTime: new Date().toISOString(),
+      exitReason: EXIT_REASON.RECONCILED
+    });
+
+    return { repaired: false, detail: 'closed record, but no exit fills found (PnL unknown)' };
+  }
+
+  const exitReason = reconciled.liquidated ? EXIT_REASON.LIQUIDATION : EXIT_REASON.RECONCILED;
+
+  // 对账结果覆盖整笔交易；已记录的分批平仓部分不再计入平仓事件
+  const partials = summarizePartialExits(position);
+
+  await repository.updatePosition(position.$id, {
+    status: 'CLOSED',
+    exitTime: reconciled.exitTime,
+    exitReason,
+    exitPrice: reconciled.exitPrice,
+    exitFee: reconciled.exitFee,
+    funding: reconciled.funding,
+    pnl: reconciled.pnl,
+    remainingSize: 0,
+    realizedPnL: reconciled.pnl,
+    unrealizedPnL: 0,
+    reconciledAt: new Date().toISOString()
+  });
+
+  await logTradeEvent(repository, {
+    eventType: 'CLOSE',
+    symbol: position.symbol,
+    side: position.side,
+    price: reconciled.exitPrice,
+    size: typeof position.remainingSize === 'number' ? position.remainingSize : position.size,
+    fee: Math.max(0, reconciled.fee - partials.fee),
+    funding: reconciled.funding,
+    positionId: position.$id,
+    pnl: reconciled.pnl - partials.pnl,
+    pnlPercent: reconciled.pnlPercent,
+    exitReason,
+    obId: position.relatedOB,
+    obType: position.obType,
+    reconciled: true
+  });
+
+  return { repaired: true, detail: `closed @ $${reconciled.exitPrice.toFixed(2)}, PnL $${reconciled.pnl.toFixed(2)}` };
+}
+
+/**
+ * 下单成功但数据库停在 PENDING：按交易所持仓转为 OPEN
+ */
+async function promotePending({ coin, position, exchangePosition }, { repository, docsByCoin }) {
+  const entryPrice = parseFloat(exchangePosition.entryPx);
+  const size = Math.abs(parseFloat(exchangePosition.szi));
+
+  const updated = await repository.updatePosition(position.$id, {
+    status: 'OPEN',
+    entryPrice,
+    avgEntryPrice: entryPrice,
+    size,
+    remainingSize: size,
+    liquidationPrice: parseFloat(exchangePosition.liquidationPx || 0),
+    executedAt: new Date().toISOString(),
+    reconciledAt: new Date().toISOString()
+  });
+
+  docsByCoin.set(coin, updated);
+
+  return { repaired: true, detail: `PENDING → OPEN (${size} @ $${entryPrice.toFixed(2)})` };
+}
+
+/**
+ * PENDING 超时且无持仓：撤掉残留的入场挂单并取消记录
+ */
+async function cancelStalePending({ coin, position }, { repository, hl, openOrders }) {
+  const entryOrders = openOrders.filter(o => o.coin === coin && !o.isTrigger && !o.reduceOnly);
+
+  for (const order of entryOrders) {
+    await hl.cancelOrder(order.oid, position.symbol);
+  }
+
+  await repository.updatePosition(position.$id, entryOrders.length > 0
+    ? { status: 'CANCELLED', cancelReason: 'reconciler_stale_pending' }
+    : { status: 'FAILED', failureReason: 'reconciler_no_exchange_position' });
+
+  return {
+    repaired: true,
+    detail: entryOrders.length > 0
+      ? `cancelled ${entryOrders.length} resting entry order(s)`
+      : 'marked FAILED (never reached the exchange)'
+  };
+}
+
+/**
+ * 交易所有持仓但数据库无记录：接管为 OPEN，交由 position-monitor 管理
+ */
+async function adoptOrphan({ coin, symbol, exchangePosition, stopOrder }, { config, repository, docsByCoin }) {
+  const szi = parseFloat(exchangePosition.szi);
+  const side = szi > 0 ? SIDE.LONG : SIDE.SHORT;
+  const entryPrice = parseFloat(exchangePosition.entryPx);
+  const size = Math.abs(szi);
+  const leverage = (exchangePosition.leverage && exchangePosition.leverage.value) || config.leverage;
+
+  const stopLoss = stopOrder
+    ? parseFloat(stopOrder.triggerPx)
+    : getFallbackStop(side, entryPrice, config);
+
+  const doc = await repository.createPosition({
+    symbol,
+    side,
+    status: 'OPEN',
+    entryPrice,
+    avgEntryPrice: entryPrice,
+    size,
+    remainingSize: size,
+    stopLoss,
+    initialStopLoss: stopLoss,
+    stopLossOrderId: stopOrder ? String(stopOrder.oid) : null,
+    liquidationPrice: parseFloat(exchangePosition.liquidationPx || 0),
+    leverage,
+    margin: parseFloat(exchangePosition.marginUsed || 0) || (entryPrice * size) / leverage,
+    openTime: new Date().toISOString(),
+    entryFee: 0,
+    additionCount: 0,
+    strategyType: 'reconciled',
+    reconciledAt: new Date().toISOString()
+  });
+
+  docsByCoin.set(coin, doc);
+
+  return { repaired: true, detail: `adopted ${side} ${size} @ $${entryPrice.toFixed(2)}, stop $${stopLoss.toFixed(2)}` };
+}
+
+/**
+ * 数量不一致：以交易所为准（方向不一致需人工处理）
+ */
+async function syncSize({ position, exchangeSide, exchangeSize }, { repository }) {
+  if (exchangeSide !== position.side) {
+    return { repaired: false, detail: `side mismatch (db ${position.side}, exchange ${exchangeSide})` };
+  }
+
+  // 分批止盈后 size 为开仓总数量，只同步剩余数量
+  const hasRemaining = typeof position.remainingSize === 'number';
+  const dbSize = hasRemaining ? position.remainingSize : position.size;
+
+  await repository.updatePosition(position.$id, {
+    size: hasRemaining ? Math.max(position.size, exchangeSize) : exchangeSize,
+    remainingSize: exchangeSize,
+    reconciledAt: new Date().toISOString()
+  });
+
+  return { repaired: true, detail: `size ${dbSize} → ${exchangeSize}` };
+}
+
+/**
+ * 持仓没有止损单：按记录中的止损价重新下单
+ */
+async function replaceStop({ coin, symbol, position, exchangePosition }, { config, repository, hl, docsByCoin }) {
+  const doc = docsByCoin.get(coin) || position;
+  const szi = parseFloat(exchangePosition.szi);
+  const side = szi > 0 ? SIDE.LONG : SIDE.SHORT;
+  const size = Math.abs(szi);
+  const stopLoss = doc ? doc.stopLoss : getFallbackStop(side, parseFloat(exchangePosition.entryPx), config);
+
+  // 价格已越过止损：下单会立即触发，交由人工决定
+  const currentPrice = await hl.getPrice(symbol);
+  const breached = side === SIDE.LONG ? currentPrice <= stopLoss : currentPrice >= stopLoss;
+
+  if (breached) {
+    return { repaired: false, detail: `stop $${stopLoss.toFixed(2)} already breached (price $${currentPrice.toFixed(2)})` };
+  }
+
+  const result = await hl.placeStopLoss({ symbol, side, size, stopLoss });
+
+  if (!result.success) {
+    return { repaired: false, detail: `stop placement failed: ${result.error}` };
+  }
+
+  if (doc) {
+    await repository.updatePosition(doc.$id, {
+      stopLoss,
+      stopLossOrderId: String(result.stopLossOrderId),
+      lastStopUpdate: new Date().toISOString()
+    });
+  }
+
+  return { repaired: true, detail: `stop placed @ $${stopLoss.toFixed(2)}` };
+}
+
+function getFallbackStop(side, entryPrice, config) {
+  return side === SIDE.LONG
+    ? entryPrice * (1 - config.fallbackStopPercent / 100)
+    : entryPrice * (1 + config.fallbackStopPercent / 100);
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 告警
+// ═════════════════════════════════════════════════════════════════════════
+
+function describe({ type, coin, position, positions, exchangePosition }) {
+  return {
+    type,
+    coin,
+    positionId: position ? position.$id : null,
+    positionIds: positions ? positions.map(p => p.$id) : undefined,
+    exchangeSize: exchangePosition ? exchangePosition.szi : null
+  };
+}
+
+async function recordSystemLog(repository, outcome) {
+  await repository.createDocument(COLLECTIONS.LOGS, {
+    level: outcome.repaired ? 'WARN' : 'CRITICAL',
+    message: `Reconciler ${outcome.type} ${outcome.coin}: ${outcome.detail}`.substring(0, 500),
+    data: JSON.stringify(outcome).substring(0, 5000),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * 同一组未解决的不一致（类型 + 币种）只在去重窗口内告警一次
+ */
+async function sendReconcileAlert(notifier, config, outcomes) {
+  const signature = outcomes
+    .filter(o => !o.repaired)
+    .map(o => `${o.type}:${o.coin}`)
+    .sort()
+    .join(',');
+
+  return notifier.notify({
+    event: NOTIFY_EVENT.RECONCILE,
+    severity: SEVERITY.CRITICAL,
+    key: `reconcile_${crypto.createHash('sha1').update(signature).digest('hex').substring(0, 12)}`,
+    data: {
+      time: new Date().toISOString(),
+      tradingEnabled: config.tradingEnabled,
+      policy: config.policy,
+      outcomes: outcomes.map(o => ({ repaired: !!o.repaired, type: o.type, coin: o.coin, detail: o.detail }))
+    }
+  });
+}
+
@@ -0,0 +1,45 @@
+/**
+ * 交易记录系统（reconciler 内部版本）
+ */
+
+async function logTradeEvent(repository, eventData) {
+  try {
+    await repository.createTradeLog({
+      timestamp: new Date().toISOString(),
+      eventType: eventData.eventType,
+      symbol: eventData.symbol,
+      side: eventData.side,
+      price: eventData.price,
+      size: eventData.size,
+      fee: eventData.fee || 0,
+      positionId: eventData.positionId,
+      avgEntryPrice: eventData.avgEntryPrice || 0,
+      totalSize: eventData.totalSize || 0,
+      pnl: eventData.pnl || 0,
+      pnlPercent: eventData.pnlPercent || 0,
+      exitReason: eventData.exitReason || null,
+      obId: eventData.obId || null,
+      obType: eventData.obType || null,
+      obConfidence: eventData.obConfidence || null,
+      strategy: eventData.strategy || 'ob_breakout',
+      orderStrategy: eventData.orderStrategy || null,
+      metadata: JSON.stringify({
+        balance: eventData.balance,
+        leverage: eventData.leverage,
+        stopLoss: eventData.stopLoss,
+        liquidationPrice: eventData.liquidationPrice,
+        deviation: eventData.deviation,
+        obAge: eventData.obAge,
+        funding: eventData.funding,
+        reconciled: eventData.reconciled
+      })
+    });
+    
+    return { success: true };
+  } catch (err) {
+    console.error('Log failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { logTradeEvent };
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Breaker Block：被突破的 OB 反转极性
+ *
+ *   看涨 OB 被收盘价跌破下沿 → 看跌 breaker（原区间转为阻力）
+ *   看跌 OB 被收盘价突破上沿 → 看涨 breaker（原区间转为支撑）
+ *
+ * 只有收盘价穿越才翻转，影线突破仅使 OB 失效；breaker 失效后不再翻转。
+ * breaker 与 OB 同存于 order_blocks（blockType=BREAKER，sourceOBId 指向原 OB），
+ * 因此可直接作为入场区间和 HTF 目标位，回踩 / mitigation 也沿用 OB 生命周期。
+ */
+
+const { OB_TYPE, BLOCK_TYPE } = require('./constants');
+
+function isBreaker(obDoc) {
+  return obDoc.blockType === BLOCK_TYPE.BREAKER;
+}
+
+/**
+ * 区间是否被突破
+ * @param {string} method - 'wick'（默认）或 'close'
+ */
+function isZoneBroken(obDoc, candle, method = 'wick') {
+  const useWick = method !== 'close';
+
+  return obDoc.type === OB_TYPE.BULLISH
+    ? (useWick ? candle.low : candle.close) < obDoc.bottom
+    : (useWick ? candle.high : candle.close) > obDoc.top;
+}
+
+/**
+ * 由被突破的 OB 生成 breaker
+ *
+ * @param {Object} obDoc - 被突破的 OB 文档
+ * @param {Object} candle - 突破 K 线 { timestamp, open, high, low, close, volume }
+ * @returns {Object|null} breaker 字段（不含状态 / 评分）；影线突破或 OB 本身是 breaker 时返回 null
+ */
+function createBreakerBlock(obDoc, candle) {
+  if (isBreaker(obDoc) || !isZoneBroken(obDoc, candle, 'close')) {
+    return null;
+  }
+
+  return {
+    symbol: obDoc.symbol,
+    timeframe: obDoc.timeframe,
+    type: obDoc.type === OB_TYPE.BULLISH ? OB_TYPE.BEARISH : OB_TYPE.BULLISH,
+    top: obDoc.top,
+    bottom: obDoc.bottom,
+    blockType: BLOCK_TYPE.BREAKER,
+    sourceOBId: obDoc.$id,
+
+    confirmationTime: new Date(candle.timestamp).toISOString(),
+    breakoutPrice: candle.close,
+    confirmationCandleOpen: candle.open,
+    confirmationCandleClose: candle.close,
+    confirmationCandleHigh: candle.high,
+    confirmationCandleLow: candle.low,
+    confirmationCandleVolume: candle.volume,
+
+    confidence: obDoc.confidence
+  };
+}
+
+module.exports = {
+  isBreaker,
+  isZoneBroken,
+  createBreakerBlock
+};
@@ -0,0 +1,94 @@
+/**
+ * Fair Value Gap 检测逻辑（三根 K 线失衡）
+ *
+ *   看涨 FVG：第 1 根最高价 < 第 3 根最低价，缺口为 [high1, low3]
+ *   看跌 FVG：第 1 根最低价 > 第 3 根最高价，缺口为 [high3, low1]
+ *
+ * 回补：价格回到缺口内的深度占缺口高度的比例（看涨从上沿向下，看跌从下沿向上），
+ * 达到 50% 视为 mitigated，100% 视为 filled（失效）。
+ */
+
+const { OB_TYPE } = require('./constants');
+
+const FVG_MITIGATION_FILL = 0.5;
+
+/**
+ * 检测 FVG，并用窗口内之后的 K 线计算回补进度
+ *
+ * @param {Array} klines - K 线（时间升序）
+ * @param {Object} options - { atr, minSizeATR }：缺口高度小于 minSizeATR × ATR 时忽略
+ * @returns {Array} [{ type, top, bottom, index, timestamp, confirmationIndex, confirmationTime, fillPercent, mitigatedAt, filledAt, isFilled }]
+ */
+function findFairValueGaps(klines, { atr = null, minSizeATR = 0 } = {}) {
+  const fvgs = [];
+  const minSize = atr && minSizeATR > 0 ? atr * minSizeATR : 0;
+
+  for (let i = 2; i < klines.length; i++) {
+    const first = klines[i - 2];
+    const third = klines[i];
+
+    let gap = null;
+    if (first.high < third.low) {
+      gap = { type: OB_TYPE.BULLISH, top: third.low, bottom: first.high };
+    } else if (first.low > third.high) {
+      gap = { type: OB_TYPE.BEARISH, top: first.low, bottom: third.high };
+    }
+
+    if (!gap || gap.top - gap.bottom <= minSize) continue;
+
+    const fvg = {
+      ...gap,
+      index: i - 1,
+      timestamp: klines[i - 1].timestamp,
+      confirmationIndex: i,
+      confirmationTime: third.timestamp,
+      fillPercent: 0,
+      mitigatedAt: null,
+      filledAt: null,
+      isFilled: false
+    };
+
+    for (const candle of klines.slice(i + 1)) {
+      Object.assign(fvg, updateFVGFill(fvg, candle));
+      if (fvg.isFilled) break;
+    }
+
+    fvgs.push(fvg);
+  }
+
+  return fvgs;
+}
+
+/**
+ * 单根 K 线对缺口的回补比例（0-1）
+ */
+function measureFVGFill(fvg, candle) {
+  const height = fvg.top - fvg.bottom;
+  if (!(height > 0)) return 1;
+
+  const depth = fvg.type === OB_TYPE.BULLISH ? fvg.top - candle.low : candle.high - fvg.bottom;
+  return Math.min(1, Math.max(0, depth / height));
+}
+
+/**
+ * 用一根新 K 线更新回补状态（只增不减）
+ * @returns {Object} { fillPercent, mitigatedAt, filledAt, isFilled }
+ */
+function updateFVGFill(fvg, candle) {
+  const fillPercent = Math.max(fvg.fillPercent || 0, measureFVGFill(fvg, candle));
+  const time = candle.timestamp;
+
+  return {
+    fillPercent,
+    mitigatedAt: fvg.mitigatedAt || (fillPercent >= FVG_MITIGATION_FILL ? time : null),
+    filledAt: fvg.filledAt || (fillPercent >= 1 ? time : null),
+    isFilled: fillPercent >= 1
+  };
+}
+
+module.exports = {
+  FVG_MITIGATION_FILL,
+  findFairValueGaps,
+  measureFVGFill,
+  updateFVGFill
+};
@@ -1,17 +1,26 @@
 /**
- * Scanner v3.2 - 扫描 Order Block（匹配 TradingView）
+ * Scanner v3.3 - 扫描 Order Block
  * 
  * 新功能：
+ * ✅ 多交易对 × 多周期观察列表（单次运行）
  * ✅ 自动忽略周末形成的4H OB
- * ✅ 完整的 TradingView 逻辑
+ * ✅ 按 TradingView 指标规则检测 OB（目前只有合成 fixture 验证，尚未对照指标导出，见 npm run parity）
  * ✅ ATR 大小限制
  */
 
-const { Client, Databases, Query, ID } = require('node-appwrite');
 const { ATR } = require('technicalindicators');
 const BinanceAPI = require('./binance');
-const { findPotentialOrderBlocks } = require('./ob-detector');
-const { COLLECTIONS } = require('./constants');
+const { findPotentialOrderBlocks, detectClosedCandles } = require('./ob-detector');
+const { analyzeMarketStructure, getTrendState } = require('./market-structure');
+const { findFairValueGaps, updateFVGFill } = require('./fvg-detector');
+const { scoreOBConfluence } = require('./confluence');
+const { scoreOrderBlock, parseScoreWeights, rescoreTouches } = require('./ob-scoring');
+const { updateOBLifecycle } = require('./ob-lifecycle');
+const { isBreaker, isZoneBroken, createBreakerBlock } = require('./breaker-block');
+const { createRepository } = require('./repository');
+const { createNotifier, NOTIFY_EVENT, SEVERITY } = require('./notifier');
+const { createNotificationGate } = require('./notification-gate');
+const { parseWatchlist, rotatePairs, runWithinBudget } = require('./watchlist');
 
 // ═════════════════════════════════════════════════════════════════════════
 // 工具函数
@@ -51,325 +60,994 @@ function isWeekendTime(timestamp) {
   return isFridayNight || isSaturday || isSunday;
 }
 
+/**
+ * 已收盘 K 线：有 closeTime 时按时间判断，否则视最后一根为未收盘
+ */
+function getClosedKlines(klines, now = Date.now()) {
+  const last = klines[klines.length - 1];
+
+  if (last && last.closeTime) {
+    return klines.filter(k => new Date(k.closeTime).getTime() < now);
+  }
+
+  return klines.slice(0, -1);
+}
+
 // ═════════════════════════════════════════════════════════════════════════
-// 主函数
+// 市场结构
 // ═════════════════════════════════════════════════════════════════════════
 
-module.exports = async ({ req, res, log, error }) => {
-  const startTime = Date.now();
+/**
+ * 用已收盘 K 线更新结构事件和趋势状态
+ * 只保存上次更新（asOf）之后最终确定的摆动点 / 之后发生的事件，首次运行保存窗口内全部
+ */
+async function updateMarketStructure(pair, closed, { repository, log }) {
+  const structure = analyzeMarketStructure(closed, pair.swingLength);
+  const lastClosed = closed[closed.length - 1];
 
-  try {
-    log('━'.repeat(60));
-    log('🔍 Scanner v3.2 - TradingView Compatible + Weekend Filter');
-    log('━'.repeat(60));
+  const previous = await repository.getTrendState(pair.symbol, pair.timeframe);
+  const since = previous && previous.asOf ? new Date(previous.asOf).getTime() : null;
+  const isNew = time => since === null || new Date(time).getTime() > since;
 
-    const config = {
-      endpoint: process.env.APPWRITE_ENDPOINT,
-      projectId: process.env.APPWRITE_PROJECT_ID,
-      apiKey: process.env.APPWRITE_API_KEY,
-      databaseId: process.env.APPWRITE_DATABASE_ID,
-      
-      symbol: (process.env.TRADING_SYMBOL || 'BTCUSDT').trim().toUpperCase(),
-      timeframe: (process.env.ENTRY_TIMEFRAME || '4h').trim().toLowerCase(),
-      
-      swingLength: parseInt(process.env.OB_SWING_LENGTH) || 10,
-      volumeLookback: parseInt(process.env.VOLUME_LOOKBACK) || 20,
-      volumeMethod: (process.env.VOLUME_METHOD || 'percentile').trim().toLowerCase(),
-      volumeParam: parseInt(process.env.VOLUME_PARAM) || 70,
-      
-      atrPeriod: parseInt(process.env.ATR_PERIOD) || 10,  // ✅ 改为10（匹配TradingView）
-      maxATRMultiplier: parseFloat(process.env.MAX_ATR_MULTIPLIER) || 3.5,
-      
-      lookbackCandles: parseInt(process.env.LOOKBACK_CANDLES) || 100,
-      maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
-      
-      // ✅ 周末过滤（仅4H）
-      ignoreWeekendOBs: process.env.IGNORE_WEEKEND_OBS !== 'false'  // 默认启用
-    };
+  let savedCount = 0;
 
-    log(`\n⚙️  Configuration:`);
-    log(`   Symbol: ${config.symbol}`);
-    log(`   Timeframe: ${config.timeframe}`);
-    log(`   Swing Length: ${config.swingLength}`);
-    log(`   ATR Period: ${config.atrPeriod} (TradingView compatible)`);
-    log(`   Ignore Weekend OBs (4H): ${config.ignoreWeekendOBs && config.timeframe === '4h' ? 'Yes' : 'No'}`);
-
-    const client = new Client()
-      .setEndpoint(config.endpoint)
-      .setProject(config.projectId)
-      .setKey(config.apiKey);
-
-    const databases = new Databases(client);
-    const binance = new BinanceAPI();
+  for (const swing of structure.swings.filter(s => s.finalizedAt && isNew(s.finalizedAt))) {
+    const { created } = await repository.saveStructureEvent({
+      symbol: pair.symbol,
+      timeframe: pair.timeframe,
+      type: swing.type,
+      price: swing.price,
+      timestamp: swing.timestamp
+    });
+    if (created) savedCount++;
+  }
 
-    // 1️⃣ 获取 K 线数据
-    log(`\n1️⃣  Fetching klines...`);
-    
-    const klines = await retryWithBackoff(
-      () => binance.getRecentKlines(config.symbol, config.timeframe, config.lookbackCandles),
-      config.maxRetries,
-      2000,
-      'Fetch klines'
-    );
+  for (const event of structure.events.filter(e => isNew(e.timestamp))) {
+    const { created } = await repository.saveStructureEvent({
+      symbol: pair.symbol,
+      timeframe: pair.timeframe,
+      ...event
+    });
 
-    if (!klines || klines.length === 0) {
-      throw new Error('No klines data received');
+    if (created) {
+      savedCount++;
+      log(`   ${event.direction === 'BULLISH' ? '📈' : '📉'} ${event.type} ${event.direction} @ $${event.price.toFixed(2)} (${new Date(event.timestamp).toISOString()})`);
     }
+  }
 
-    log(`   ✅ Fetched ${klines.length} klines`);
-    log(`   Latest: ${new Date(klines[klines.length - 1].timestamp).toISOString()}`);
-    log(`   Price: $${klines[klines.length - 1].close.toFixed(2)}`);
+  const state = getTrendState(structure, lastClosed.timestamp);
+  await repository.setTrendState(pair.symbol, pair.timeframe, state);
 
-    // 2️⃣ 计算 ATR
-    log(`\n2️⃣  Calculating ATR...`);
+  if (previous && previous.trend !== state.trend) {
+    log(`   🔄 Trend changed: ${previous.trend} → ${state.trend}`);
+  } else {
+    log(`   Trend: ${state.trend}`);
+  }
 
-    const atrValues = ATR.calculate({
-      high: klines.map(k => k.high),
-      low: klines.map(k => k.low),
-      close: klines.map(k => k.close),
-      period: config.atrPeriod
-    });
+  return { trend: state.trend, structureEvents: savedCount };
+}
 
-    const currentATR = atrValues.length > 0 ? atrValues[atrValues.length - 1] : null;
+// ═════════════════════════════════════════════════════════════════════════
+// Breaker Block
+// ═════════════════════════════════════════════════════════════════════════
 
-    if (currentATR) {
-      log(`   ✅ ATR(${config.atrPeriod}): ${currentATR.toFixed(2)}`);
-      log(`   Max OB size: ${(currentATR * config.maxATRMultiplier).toFixed(2)}`);
-    } else {
-      log(`   ⚠️  ATR not available (insufficient data)`);
-    }
+/**
+ * 被收盘突破的 OB 翻转为反向 breaker（突破 K 线未收盘时以当前价为收盘价）
+ * HTF breaker 只作目标位；入场周期的 breaker 是否参与入场由 BREAKER_ENTRIES_ENABLED 决定
+ *
+ * @returns {Object|null} 新建（或已存在）的 breaker 文档
+ */
+async function flipToBreaker(obDoc, candle, { pair, config, repository, log, atr = null, trend = null }) {
+  const breaker = createBreakerBlock(obDoc, candle);
 
-    // 3️⃣ 检测 OB
-    log(`\n3️⃣  Detecting Order Blocks...`);
-
-    const { bullishOBs, bearishOBs } = findPotentialOrderBlocks(
-      klines,
-      config.swingLength,
-      config.volumeLookback,
-      config.volumeMethod,
-      config.volumeParam,
-      config.maxATRMultiplier,
-      currentATR
-    );
+  if (!breaker) {
+    log(`   ↪️  OB ${obDoc.$id.substring(0, 8)} broken by wick only, no breaker`);
+    return null;
+  }
 
-    const allOBs = [...bullishOBs, ...bearishOBs];
-    log(`   Found ${allOBs.length} potential OBs`);
-    log(`   ├─ Bullish: ${bullishOBs.length}`);
-    log(`   └─ Bearish: ${bearishOBs.length}`);
+  const existing = await repository.findBreaker(obDoc.$id);
+  if (existing) return existing;
 
-    // 4️⃣ 过滤新 OB
-    log(`\n4️⃣  Filtering new OBs...`);
+  const quality = scoreOrderBlock(
+    {
+      type: breaker.type,
+      top: breaker.top,
+      bottom: breaker.bottom,
+      confirmationTime: breaker.confirmationTime,
+      confirmationCandle: { open: candle.open, close: candle.close },
+      touchCount: 0
+    },
+    { atr, trend },
+    { weights: config.scoreWeights, maxATRMultiplier: pair.maxATRMultiplier }
+  );
 
-    const latestIndex = klines.length - 1;
-    const newOBs = allOBs.filter(ob => 
-      ob.creationIndex >= latestIndex - 2 && ob.isValid
-    );
+  const doc = await repository.createOB({
+    ...breaker,
+    qualityScore: quality.score,
+    scoreBreakdown: JSON.stringify(quality.breakdown),
+    touchCount: 0,
+    createdAt: new Date().toISOString(),
+
+    isActive: true,
+    isBroken: false,
+    isProcessed: pair.htf || !config.breakerEntries,
+
+    metadata: JSON.stringify({
+      breaker: true,
+      htfTarget: !!pair.htf,
+      sourceType: obDoc.type,
+      sourceConfirmationTime: obDoc.confirmationTime,
+      atr
+    })
+  });
+
+  log(`   🔁 OB ${obDoc.$id.substring(0, 8)} flipped to ${breaker.type} breaker ${doc.$id.substring(0, 8)} @ $${breaker.bottom.toFixed(2)}-$${breaker.top.toFixed(2)}`);
+
+  return doc;
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 单个交易对扫描
+// ═════════════════════════════════════════════════════════════════════════
+
+async function scanPair(pair, { config, repository, notifier, binance, log, error }) {
+  // 1️⃣ 获取 K 线数据
+  log(`\n1️⃣  Fetching klines...`);
+  
+  const klines = await retryWithBackoff(
+    () => binance.getRecentKlines(pair.symbol, pair.timeframe, pair.lookbackCandles),
+    config.maxRetries,
+    2000,
+    'Fetch klines'
+  );
+
+  if (!klines || klines.length === 0) {
+    throw new Error('No klines data received');
+  }
+
+  log(`   ✅ Fetched ${klines.length} klines`);
+  log(`   Latest: ${new Date(klines[klines.length - 1].timestamp).toISOString()}`);
+  log(`   Price: $${klines[klines.length - 1].close.toFixed(2)}`);
+
+  // 2️⃣ 计算 ATR
+  log(`\n2️⃣  Calculating ATR...`);
+
+  const atrValues = ATR.calculate({
+    high: klines.map(k => k.high),
+    low: klines.map(k => k.low),
+    close: klines.map(k => k.close),
+    period: pair.atrPeriod
+  });
+
+  const currentATR = atrValues.length > 0 ? atrValues[atrValues.length - 1] : null;
+
+  if (currentATR) {
+    log(`   ✅ ATR(${pair.atrPeriod}): ${currentATR.toFixed(2)}`);
+    log(`   Max OB size: ${(currentATR * pair.maxATRMultiplier).toFixed(2)}`);
+  } else {
+    log(`   ⚠️  ATR not available (insufficient data)`);
+  }
 
-    log(`   ${newOBs.length} new OBs to process`);
+  // 3️⃣ 增量检测 OB：只处理 checkpoint 之后新收盘的 K 线，未收盘 K 线不参与
+  log(`\n3️⃣  Detecting Order Blocks...`);
 
-    // 5️⃣ 保存 OB
-    log(`\n5️⃣  Saving to database...`);
+  const closed = getClosedKlines(klines);
+  const checkpoint = await repository.getDetectorCheckpoint(pair.symbol, pair.timeframe);
 
-    let savedCount = 0;
-    let skippedCount = 0;
-    let weekendSkippedCount = 0;
+  const detection = detectClosedCandles(closed, checkpoint, {
+    swingLength: pair.swingLength,
+    volumeLookback: pair.volumeLookback,
+    volumeMethod: pair.volumeMethod,
+    volumeParam: pair.volumeParam,
+    maxATRMultiplier: pair.maxATRMultiplier,
+    atr: currentATR
+  });
 
-    for (const ob of newOBs) {
+  if (detection.reset === 'gap') {
+    log(`   ⚠️  Checkpoint ${checkpoint.lastCandleTime} is older than the fetched window, rebuilding state`);
+  } else if (detection.reset) {
+    log(`   State ${detection.reset === 'bootstrap' ? 'initialised' : 'rebuilt (params changed)'} from ${closed.length} closed candles`);
+  }
+
+  const allOBs = detection.orderBlocks;
+  log(`   Processed ${detection.processed} new closed candle(s), last ${detection.checkpoint ? detection.checkpoint.lastCandleTime : 'n/a'}`);
+  log(`   Found ${allOBs.length} potential OBs`);
+  log(`   ├─ Bullish: ${allOBs.filter(ob => ob.type === 'BULLISH').length}`);
+  log(`   └─ Bearish: ${allOBs.filter(ob => ob.type === 'BEARISH').length}`);
+
+  // 3️⃣.5 检测 FVG（用于 OB 汇合评分）
+  const latestIndex = klines.length - 1;
+  let fvgs = [];
+  let newFVGCount = 0;
+
+  if (config.fvgEnabled) {
+    log(`\n3️⃣.5 Detecting Fair Value Gaps...`);
+
+    fvgs = findFairValueGaps(klines, { atr: currentATR, minSizeATR: config.fvgMinSizeATR });
+    const unfilled = fvgs.filter(f => !f.isFilled);
+    log(`   Found ${fvgs.length} FVGs (${unfilled.length} unfilled)`);
+
+    // 只保存最近收盘 K 线确认、尚未回补的 FVG
+    for (const fvg of unfilled.filter(f => f.confirmationIndex >= latestIndex - 3 && f.confirmationIndex < latestIndex)) {
       try {
-        // ✅ 周末检测（仅4H）
-        const is4H = config.timeframe === '4h';
-        const isWeekend = isWeekendTime(ob.confirmationCandle.timestamp);
+        const existing = await repository.findFVG({
+          symbol: pair.symbol,
+          timeframe: pair.timeframe,
+          confirmationTime: fvg.confirmationTime.toISOString(),
+          type: fvg.type
+        });
+        if (existing) continue;
+
+        await repository.createFVG({
+          symbol: pair.symbol,
+          timeframe: pair.timeframe,
+          type: fvg.type,
+          top: fvg.top,
+          bottom: fvg.bottom,
+          timestamp: fvg.timestamp.toISOString(),
+          confirmationTime: fvg.confirmationTime.toISOString(),
+          fillPercent: fvg.fillPercent,
+          mitigatedAt: fvg.mitigatedAt ? fvg.mitigatedAt.toISOString() : null,
+          filledAt: null,
+          isFilled: false,
+          isActive: true,
+          createdAt: new Date().toISOString()
+        });
+
+        newFVGCount++;
+        log(`   ✅ Saved ${fvg.type} FVG @ $${fvg.bottom.toFixed(2)}-$${fvg.top.toFixed(2)}`);
+      } catch (saveErr) {
+        error(`   ❌ Failed to save FVG: ${saveErr.message}`);
+      }
+    }
+  }
+
+  // 4️⃣ 过滤新 OB
+  log(`\n4️⃣  Filtering new OBs...`);
+
+  const newOBs = allOBs.filter(ob => ob.isValid);
+
+  log(`   ${newOBs.length} new OBs to process`);
+
+  // 5️⃣ 保存 OB
+  log(`\n5️⃣  Saving to database...`);
+
+  let savedCount = 0;
+  let skippedCount = 0;
+  let weekendSkippedCount = 0;
+  let failedCount = 0;
+
+  // 评分用 HTF 趋势（Scanner 的 HTF 扫描写入）
+  const htfTrendState = config.scoreHTFTimeframe
+    ? await repository.getTrendState(pair.symbol, config.scoreHTFTimeframe)
+    : null;
+
+  for (const ob of newOBs) {
+    try {
+      // 检查重复（checkpoint 未推进时同一批 K 线会重新处理，周末 OB 同样去重）
+      const existing = await repository.findOB({
+        symbol: pair.symbol,
+        timeframe: pair.timeframe,
+        confirmationTime: ob.confirmationCandle.timestamp.toISOString(),
+        type: ob.type
+      });
+
+      if (existing) {
+        skippedCount++;
+        continue;
+      }
+
+      // ✅ 周末检测（仅4H）
+      const is4H = pair.timeframe === '4h';
+      const isWeekend = isWeekendTime(ob.confirmationCandle.timestamp);
+      
+      if (is4H && isWeekend && config.ignoreWeekendOBs) {
+        log(`   ⏭️  WEEKEND OB - Auto-ignoring`);
+        log(`      Type: ${ob.type} | Time: ${new Date(ob.confirmationCandle.timestamp).toISOString()}`);
+        log(`      Range: $${ob.low.toFixed(2)} - $${ob.high.toFixed(2)}`);
+        
+        await repository.createOB(
+          {
+            symbol: pair.symbol,
+            timeframe: pair.timeframe,
+            type: ob.type,
+            top: ob.high,
+            bottom: ob.low,
+            confirmationTime: ob.confirmationCandle.timestamp.toISOString(),
+            obCandleTime: ob.obCandle.timestamp.toISOString(),
+            createdAt: new Date().toISOString(),
+            
+            breakoutPrice: ob.confirmationCandle.close,
+            confirmationCandleClose: ob.confirmationCandle.close,
+            confidence: ob.confidence,
+            volume: ob.volume,
+            
+            isActive: false,
+            isBroken: false,
+            isProcessed: true,
+            processedAt: new Date().toISOString(),
+            processedReason: 'weekend_formation',
+            
+            metadata: JSON.stringify({
+              weekendOB: true,
+              formationDay: new Date(ob.confirmationCandle.timestamp).getUTCDay(),
+              formationTime: ob.confirmationCandle.timestamp.toISOString(),
+              reason: 'Formed during weekend no-trade period'
+            })
+          }
+        );
         
-        if (is4H && isWeekend && config.ignoreWeekendOBs) {
-          log(`   ⏭️  WEEKEND OB - Auto-ignoring`);
-          log(`      Type: ${ob.type} | Time: ${new Date(ob.confirmationCandle.timestamp).toISOString()}`);
-          log(`      Range: $${ob.low.toFixed(2)} - $${ob.high.toFixed(2)}`);
+        weekendSkippedCount++;
+        continue;
+      }
+      
+      const confluence = scoreOBConfluence(
+        { type: ob.type, top: ob.high, bottom: ob.low, confidence: ob.confidence },
+        fvgs,
+        { atr: currentATR, adjacentATR: config.fvgAdjacentATR }
+      );
+
+      // 确认后至今的回踩 / 穿透（窗口内）
+      const lifecycle = updateOBLifecycle(
+        { type: ob.type, top: ob.high, bottom: ob.low, confirmationTime: ob.confirmationCandle.timestamp.toISOString() },
+        klines
+      ).changes || {};
+      const touchCount = lifecycle.touchCount || 0;
+
+      const quality = scoreOrderBlock(
+        {
+          type: ob.type,
+          top: ob.high,
+          bottom: ob.low,
+          confirmationTime: ob.confirmationCandle.timestamp,
+          confirmationCandle: ob.confirmationCandle,
+          breakoutVolumeRatio: ob.breakoutVolumeRatio,
+          touchCount
+        },
+        {
+          atr: currentATR,
+          trend: htfTrendState ? htfTrendState.trend : null,
+          fvgConfluence: confluence.fvg ? { relation: confluence.fvgConfluence, fvg: confluence.fvg } : null
+        },
+        { weights: config.scoreWeights, maxATRMultiplier: pair.maxATRMultiplier }
+      );
+
+      const saved = await repository.createOB(
+        {
+          symbol: pair.symbol,
+          timeframe: pair.timeframe,
+          type: ob.type,
+          top: ob.high,
+          bottom: ob.low,
+          
+          confirmationTime: ob.confirmationCandle.timestamp.toISOString(),
+          obCandleTime: ob.obCandle.timestamp.toISOString(),
+          createdAt: new Date().toISOString(),
+          
+          breakoutPrice: ob.confirmationCandle.close,
+          confirmationCandleOpen: ob.confirmationCandle.open,
+          confirmationCandleClose: ob.confirmationCandle.close,
+          confirmationCandleHigh: ob.confirmationCandle.high,
+          confirmationCandleLow: ob.confirmationCandle.low,
+          confirmationCandleVolume: ob.confirmationCandle.volume,
+          
+          obCandleHigh: ob.obCandle.high,
+          obCandleLow: ob.obCandle.low,
+          obCandleOpen: ob.obCandle.open,
+          obCandleClose: ob.obCandle.close,
+          
+          volume: ob.volume,
+          obLowVolume: ob.obLowVolume,
+          obHighVolume: ob.obHighVolume,
           
-          await databases.createDocument(
-            config.databaseId,
-            COLLECTIONS.ORDER_BLOCKS,
-            ID.unique(),
-            {
-              symbol: config.symbol,
-              timeframe: config.timeframe,
-              type: ob.type,
-              top: ob.high,
-              bottom: ob.low,
-              confirmationTime: ob.confirmationCandle.timestamp.toISOString(),
-              obCandleTime: ob.obCandle.timestamp.toISOString(),
-              createdAt: new Date().toISOString(),
-              
-              breakoutPrice: ob.confirmationCandle.close,
-              confirmationCandleClose: ob.confirmationCandle.close,
-              confidence: ob.confidence,
-              volume: ob.volume,
-              
-              isActive: false,
-              isBroken: false,
-              isProcessed: true,
-              processedAt: new Date().toISOString(),
-              processedReason: 'weekend_formation',
-              
-              metadata: JSON.stringify({
-                weekendOB: true,
-                formationDay: new Date(ob.confirmationCandle.timestamp).getUTCDay(),
-                formationTime: ob.confirmationCandle.timestamp.toISOString(),
-                reason: 'Formed during weekend no-trade period'
-              })
-            }
-          );
+          confidence: ob.confidence,
+          confluenceScore: confluence.score,
+          fvgConfluence: confluence.fvgConfluence,
+          qualityScore: quality.score,
+          scoreBreakdown: JSON.stringify(quality.breakdown),
+          touchCount,
+          firstTouchAt: lifecycle.firstTouchAt || null,
+          lastTouchCandleTime: lifecycle.lastTouchCandleTime || null,
+          maxPenetration: lifecycle.maxPenetration || 0,
+          mitigatedAt: lifecycle.mitigatedAt || null,
+          mitigatedPrice: lifecycle.mitigatedPrice || null,
+          timeToMitigationMinutes: lifecycle.timeToMitigationMinutes || null,
+          lifecycleCheckedAt: lifecycle.lifecycleCheckedAt || null,
           
-          weekendSkippedCount++;
-          continue;
+          isActive: true,
+          isBroken: false,
+          isProcessed: false,
+          
+          metadata: JSON.stringify({
+            swingLength: pair.swingLength,
+            volumeMethod: pair.volumeMethod,
+            volumeParam: pair.volumeParam,
+            atr: currentATR,
+            obSize: Math.abs(ob.high - ob.low),
+            obSizeATRRatio: currentATR ? (Math.abs(ob.high - ob.low) / currentATR) : null,
+            breakoutVolumeRatio: ob.breakoutVolumeRatio,
+            htfTrend: htfTrendState ? htfTrendState.trend : null,
+            fvg: confluence.fvg
+              ? { top: confluence.fvg.top, bottom: confluence.fvg.bottom, fillPercent: confluence.fvg.fillPercent }
+              : null
+          })
         }
-        
-        // 检查重复
-        const existing = await databases.listDocuments(
-          config.databaseId,
-          COLLECTIONS.ORDER_BLOCKS,
-          [
-            Query.equal('symbol', config.symbol),
-            Query.equal('confirmationTime', ob.confirmationCandle.timestamp.toISOString()),
-            Query.equal('type', ob.type),
-            Query.limit(1)
-          ]
-        );
+      );
+      
+      savedCount++;
+      log(`   ✅ Saved ${ob.type} OB @ $${ob.low.toFixed(2)}-$${ob.high.toFixed(2)}`);
+      log(`      Breakout: $${ob.confirmationCandle.close.toFixed(2)}`);
+      log(`      Confidence: ${ob.confidence} | Confluence: ${confluence.score}${confluence.fvgConfluence ? ` (FVG ${confluence.fvgConfluence})` : ''}`);
+      log(`      Quality: ${quality.score}/100 | ${Object.entries(quality.breakdown).map(([k, v]) => `${k} ${v}`).join(', ')}`);
 
-        if (existing.documents.length === 0) {
-          await databases.createDocument(
-            config.databaseId,
-            COLLECTIONS.ORDER_BLOCKS,
-            ID.unique(),
-            {
-              symbol: config.symbol,
-              timeframe: config.timeframe,
-              type: ob.type,
-              top: ob.high,
-              bottom: ob.low,
-              
-              confirmationTime: ob.confirmationCandle.timestamp.toISOString(),
-              obCandleTime: ob.obCandle.timestamp.toISOString(),
-              createdAt: new Date().toISOString(),
-              
-              breakoutPrice: ob.confirmationCandle.close,
-              confirmationCandleClose: ob.confirmationCandle.close,
-              confirmationCandleHigh: ob.confirmationCandle.high,
-              confirmationCandleLow: ob.confirmationCandle.low,
-              confirmationCandleVolume: ob.confirmationCandle.volume,
-              
-              obCandleHigh: ob.obCandle.high,
-              obCandleLow: ob.obCandle.low,
-              obCandleOpen: ob.obCandle.open,
-              obCandleClose: ob.obCandle.close,
-              
-              volume: ob.volume,
-              obLowVolume: ob.obLowVolume,
-              obHighVolume: ob.obHighVolume,
-              
-              confidence: ob.confidence,
-              
-              isActive: true,
-              isBroken: false,
-              isProcessed: false,
-              
-              metadata: JSON.stringify({
-                swingLength: config.swingLength,
-                volumeMethod: config.volumeMethod,
-                volumeParam: config.volumeParam,
-                atr: currentATR,
-                obSize: Math.abs(ob.high - ob.low),
-                obSizeATRRatio: currentATR ? (Math.abs(ob.high - ob.low) / currentATR) : null
-              })
-            }
-          );
-          
-          savedCount++;
-          log(`   ✅ Saved ${ob.type} OB @ $${ob.low.toFixed(2)}-$${ob.high.toFixed(2)}`);
-          log(`      Breakout: $${ob.confirmationCandle.close.toFixed(2)}`);
-          log(`      Confidence: ${ob.confidence}`);
-        } else {
-          skippedCount++;
+      if (notifier.enabled) {
+        await notifier.notify({
+          event: NOTIFY_EVENT.OB_DETECTED,
+          severity: SEVERITY.INFO,
+          data: {
+            symbol: pair.symbol,
+            obId: saved.$id,
+            timeframe: pair.timeframe,
+            type: ob.type,
+            top: ob.high,
+            bottom: ob.low,
+            confidence: ob.confidence,
+            score: quality.score,
+            confirmationTime: ob.confirmationCandle.timestamp.toISOString()
+          }
+        });
+      }
+    } catch (saveErr) {
+      failedCount++;
+      error(`   ❌ Failed to save OB: ${saveErr.message}`);
+    }
+  }
+
+  // OB 全部保存后才推进 checkpoint；否则下次重新处理这批 K 线（已保存的由 findOB 去重）
+  if (failedCount > 0) {
+    log(`   ⚠️  ${failedCount} OB(s) failed to save, checkpoint not advanced`);
+  } else if (detection.checkpoint && detection.checkpoint !== checkpoint) {
+    await repository.setDetectorCheckpoint(pair.symbol, pair.timeframe, detection.checkpoint);
+  }
+
+  // 6️⃣ 检查已有 OB
+  log(`\n6️⃣  Checking existing OBs...`);
+  
+  const currentPrice = klines[latestIndex].close;
+
+  // 失效与 breaker 翻转只看已收盘 K 线，避免盘中价格永久改变 OB 状态
+  const lastClosed = closed[closed.length - 1];
+  
+  const activeOBs = await retryWithBackoff(
+    () => repository.getActiveOBs(pair.symbol, pair.timeframe, 100),
+    3,
+    1000,
+    'List active OBs'
+  );
+
+  let brokenCount = 0;
+  let touchedCount = 0;
+  let mitigatedCount = 0;
+  
+  let breakerCount = 0;
+  
+  for (const obDoc of activeOBs.documents || []) {
+    // breaker 默认按收盘价失效（BREAKER_INVALIDATION_METHOD）
+    const isBroken = isZoneBroken(
+      obDoc,
+      lastClosed,
+      isBreaker(obDoc) ? config.breakerInvalidationMethod : config.invalidationMethod
+    );
+
+    // 回踩 / 穿透 / mitigation
+    const lifecycle = updateOBLifecycle(obDoc, klines);
+    const updates = lifecycle.changes ? { ...lifecycle.changes } : {};
+
+    if (lifecycle.touched) {
+      const rescored = rescoreTouches(obDoc, updates.touchCount, config.scoreWeights);
+      if (rescored) {
+        updates.qualityScore = rescored.score;
+        updates.scoreBreakdown = JSON.stringify(rescored.breakdown);
+      }
+      touchedCount++;
+      log(`   👆 OB ${obDoc.$id.substring(0, 8)} touched (${updates.touchCount}x, max ${updates.maxPenetration.toFixed(0)}%)`);
+    }
+
+    if (lifecycle.mitigated) {
+      mitigatedCount++;
+      log(`   🎯 OB ${obDoc.$id.substring(0, 8)} mitigated (${updates.timeToMitigationMinutes} min after confirmation)`);
+    }
+
+    if (isBroken) {
+      Object.assign(updates, {
+        isActive: false,
+        isBroken: true,
+        brokenAt: new Date().toISOString(),
+        brokenPrice: lastClosed.close
+      });
+      brokenCount++;
+      log(`   ❌ ${isBreaker(obDoc) ? 'Breaker' : 'OB'} ${obDoc.$id.substring(0, 8)} broken at $${lastClosed.close.toFixed(2)}`);
+
+      if (config.breakerEnabled && !isBreaker(obDoc)) {
+        const breaker = await flipToBreaker(obDoc, lastClosed, {
+          pair, config, repository, log,
+          atr: currentATR,
+          trend: htfTrendState ? htfTrendState.trend : null
+        });
+        if (breaker) {
+          updates.breakerId = breaker.$id;
+          breakerCount++;
         }
-      } catch (saveErr) {
-        error(`   ❌ Failed to save OB: ${saveErr.message}`);
       }
     }
 
-    // 6️⃣ 检查已有 OB
-    log(`\n6️⃣  Checking existing OBs...`);
-    
-    const currentPrice = klines[latestIndex].close;
-    const currentLow = klines[latestIndex].low;
-    const currentHigh = klines[latestIndex].high;
-    
-    const activeOBs = await retryWithBackoff(
-      () => databases.listDocuments(
-        config.databaseId,
-        COLLECTIONS.ORDER_BLOCKS,
-        [
-          Query.equal('symbol', config.symbol),
-          Query.equal('isActive', true),
-          Query.limit(100)
-        ]
-      ),
-      3,
-      1000,
-      'List active OBs'
+    if (Object.keys(updates).length > 0) {
+      await repository.updateOB(obDoc.$id, updates);
+    }
+  }
+
+  if (brokenCount === 0 && touchedCount === 0 && mitigatedCount === 0) {
+    log(`   ✅ No OBs touched or broken`);
+  }
+
+  // 6️⃣.5 更新 FVG 回补进度（当前 K 线）
+  let filledFVGCount = 0;
+
+  if (config.fvgEnabled) {
+    log(`\n6️⃣.5 Updating FVG fills...`);
+
+    const activeFVGs = await repository.getActiveFVGs(pair.symbol, pair.timeframe, 100);
+
+    for (const fvgDoc of activeFVGs.documents || []) {
+      const fill = updateFVGFill(fvgDoc, klines[latestIndex]);
+      if (fill.fillPercent <= (fvgDoc.fillPercent || 0)) continue;
+
+      await repository.updateFVG(fvgDoc.$id, {
+        fillPercent: fill.fillPercent,
+        mitigatedAt: fill.mitigatedAt ? new Date(fill.mitigatedAt).toISOString() : null,
+        filledAt: fill.filledAt ? new Date(fill.filledAt).toISOString() : null,
+        isFilled: fill.isFilled,
+        isActive: !fill.isFilled
+      });
+
+      if (fill.isFilled) {
+        filledFVGCount++;
+        log(`   🧱 FVG ${fvgDoc.$id.substring(0, 8)} filled at $${currentPrice.toFixed(2)}`);
+      }
+    }
+
+    log(`   ${activeFVGs.documents.length} active FVGs checked, ${filledFVGCount} filled`);
+  }
+
+  // 7️⃣ 市场结构（仅已收盘 K 线）
+  let structure = null;
+
+  if (config.structureEnabled) {
+    log(`\n7️⃣  Market structure...`);
+    structure = await updateMarketStructure(pair, closed, { repository, log });
+  }
+
+  return {
+    newOBs: savedCount,
+    weekendOBsIgnored: weekendSkippedCount,
+    brokenOBs: brokenCount,
+    newBreakers: breakerCount,
+    touchedOBs: touchedCount,
+    mitigatedOBs: mitigatedCount,
+    duplicates: skippedCount,
+    totalOBsChecked: activeOBs.documents.length,
+    newFVGs: newFVGCount,
+    filledFVGs: filledFVGCount,
+    candlesProcessed: detection.processed,
+    currentPrice,
+    atr: currentATR,
+    ...structure
+  };
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// HTF 扫描（日线 / 周线目标位）
+// ═════════════════════════════════════════════════════════════════════════
+
+/**
+ * HTF OB 只作为 Position Monitor 的止盈目标：
+ * - 仅用已收盘 K 线检测，新 K 线收盘后才重新检测（自身节奏，记录在 system_state）
+ * - 每次运行都检查突破 / 回踩 / mitigation，保证目标位及时失效
+ * - 保存为 isProcessed=true，Entry Monitor 不会用于入场
+ */
+async function scanHigherTimeframe(pair, { config, repository, binance, log, error }) {
+  const useWick = config.invalidationMethod !== 'close';
+
+  // 1️⃣ 获取 K 线数据（最后一根为未收盘 K 线）
+  log(`\n1️⃣  Fetching ${pair.timeframe} klines...`);
+
+  const klines = await retryWithBackoff(
+    () => binance.getRecentKlines(pair.symbol, pair.timeframe, pair.lookbackCandles + 1),
+    config.maxRetries,
+    2000,
+    'Fetch HTF klines'
+  );
+
+  if (!klines || klines.length < 2) {
+    throw new Error('No klines data received');
+  }
+
+  const closed = klines.slice(0, -1);
+  const forming = klines[klines.length - 1];
+  const lastClosed = closed[closed.length - 1];
+
+  log(`   ✅ Fetched ${klines.length} klines`);
+  log(`   Last closed: ${lastClosed.timestamp.toISOString()}`);
+
+  // 2️⃣ 检查已有 HTF OB：突破 / 回踩
+  log(`\n2️⃣  Checking existing ${pair.timeframe} OBs...`);
+
+  const activeOBs = await retryWithBackoff(
+    () => repository.getActiveOBs(pair.symbol, pair.timeframe, 100),
+    3,
+    1000,
+    'List active HTF OBs'
+  );
+
+  let brokenCount = 0;
+  let breakerCount = 0;
+  let touchedCount = 0;
+  let mitigatedCount = 0;
+
+  for (const obDoc of activeOBs.documents || []) {
+    const isBroken = isZoneBroken(
+      obDoc,
+      lastClosed,
+      isBreaker(obDoc) ? config.breakerInvalidationMethod : config.invalidationMethod
     );
 
-    let brokenCount = 0;
-    
-    for (const obDoc of activeOBs.documents || []) {
-      const useWick = process.env.OB_INVALIDATION_METHOD !== 'close';
+    // 回踩 / 穿透 / mitigation（目标位已被触及）
+    const lifecycle = updateOBLifecycle(obDoc, klines);
+    const updates = lifecycle.changes ? { ...lifecycle.changes } : {};
+
+    if (lifecycle.touched) {
+      touchedCount++;
+      log(`   👆 ${pair.timeframe} OB ${obDoc.$id.substring(0, 8)} touched (${updates.touchCount}x, max ${updates.maxPenetration.toFixed(0)}%)`);
+    }
+
+    if (lifecycle.mitigated) {
+      mitigatedCount++;
+      log(`   🎯 ${pair.timeframe} OB ${obDoc.$id.substring(0, 8)} mitigated at $${forming.close.toFixed(2)}`);
+    }
+
+    if (isBroken) {
+      Object.assign(updates, {
+        isActive: false,
+        isBroken: true,
+        brokenAt: new Date().toISOString(),
+        brokenPrice: lastClosed.close
+      });
+      brokenCount++;
+      log(`   ❌ ${pair.timeframe} ${isBreaker(obDoc) ? 'breaker' : 'OB'} ${obDoc.$id.substring(0, 8)} broken at $${lastClosed.close.toFixed(2)}`);
+
+      if (config.breakerEnabled && !isBreaker(obDoc)) {
+        const breaker = await flipToBreaker(obDoc, lastClosed, { pair, config, repository, log });
+        if (breaker) {
+          updates.breakerId = breaker.$id;
+          breakerCount++;
+        }
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await repository.updateOB(obDoc.$id, updates);
+    }
+  }
+
+  if (brokenCount === 0 && touchedCount === 0 && mitigatedCount === 0) {
+    log(`   ✅ No changes`);
+  }
+
+  // 3️⃣ 新 K 线收盘后才重新检测
+  const stateKey = `htf_scan_${pair.symbol}_${pair.timeframe}`;
+  const stateValue = await repository.getSystemState(stateKey);
+  const lastScanned = stateValue ? new Date(stateValue).getTime() : null;
+
+  if (lastScanned !== null && lastClosed.timestamp.getTime() <= lastScanned) {
+    log(`\n3️⃣  No new ${pair.timeframe} candle closed, skipping detection`);
+
+    return {
+      newOBs: 0,
+      brokenOBs: brokenCount,
+      newBreakers: breakerCount,
+      touchedOBs: touchedCount,
+      mitigatedOBs: mitigatedCount,
+      duplicates: 0,
+      totalOBsChecked: activeOBs.documents.length,
+      detected: false
+    };
+  }
+
+  log(`\n3️⃣  Detecting ${pair.timeframe} Order Blocks...`);
+
+  const atrValues = ATR.calculate({
+    high: closed.map(k => k.high),
+    low: closed.map(k => k.low),
+    close: closed.map(k => k.close),
+    period: pair.atrPeriod
+  });
+  const currentATR = atrValues.length > 0 ? atrValues[atrValues.length - 1] : null;
+
+  const { bullishOBs, bearishOBs } = findPotentialOrderBlocks(
+    closed,
+    pair.swingLength,
+    pair.volumeLookback,
+    pair.volumeMethod,
+    pair.volumeParam,
+    pair.maxATRMultiplier,
+    currentATR
+  );
+
+  // 首次扫描：保存窗口内所有未被突破的 OB；之后只处理新形成的
+  const latestIndex = closed.length - 1;
+  const candidates = [...bullishOBs, ...bearishOBs].filter(ob => {
+    if (!ob.isValid) return false;
+    if (lastScanned !== null && ob.creationIndex < latestIndex - 2) return false;
+
+    const after = [...closed.slice(ob.creationIndex + 1), forming];
+    return !after.some(c => ob.type === 'BULLISH'
+      ? (useWick ? c.low : c.close) < ob.low
+      : (useWick ? c.high : c.close) > ob.high);
+  });
+
+  log(`   Found ${bullishOBs.length + bearishOBs.length} potential OBs, ${candidates.length} unbroken`);
+
+  let savedCount = 0;
+  let skippedCount = 0;
+
+  for (const ob of candidates) {
+    try {
+      const existing = await repository.findOB({
+        symbol: pair.symbol,
+        timeframe: pair.timeframe,
+        confirmationTime: ob.confirmationCandle.timestamp.toISOString(),
+        type: ob.type
+      });
+
+      if (existing) {
+        skippedCount++;
+        continue;
+      }
+
+      await repository.createOB({
+        symbol: pair.symbol,
+        timeframe: pair.timeframe,
+        type: ob.type,
+        top: ob.high,
+        bottom: ob.low,
+
+        confirmationTime: ob.confirmationCandle.timestamp.toISOString(),
+        obCandleTime: ob.obCandle.timestamp.toISOString(),
+        createdAt: new Date().toISOString(),
+
+        breakoutPrice: ob.confirmationCandle.close,
+        confirmationCandleClose: ob.confirmationCandle.close,
+        volume: ob.volume,
+        confidence: ob.confidence,
+
+        isActive: true,
+        isBroken: false,
+        isProcessed: true,
+        processedAt: new Date().toISOString(),
+        processedReason: 'htf_target',
+
+        metadata: JSON.stringify({
+          htfTarget: true,
+          swingLength: pair.swingLength,
+          atr: currentATR
+        })
+      });
+
+      savedCount++;
+      log(`   ✅ Saved ${pair.timeframe} ${ob.type} OB @ $${ob.low.toFixed(2)}-$${ob.high.toFixed(2)}`);
+    } catch (saveErr) {
+      error(`   ❌ Failed to save HTF OB: ${saveErr.message}`);
+    }
+  }
+
+  // 4️⃣ 市场结构（Entry Monitor 的 HTF 趋势过滤）
+  let structure = null;
+
+  if (config.structureEnabled) {
+    log(`\n4️⃣  ${pair.timeframe} market structure...`);
+    structure = await updateMarketStructure(pair, closed, { repository, log });
+  }
+
+  await repository.setSystemState(stateKey, lastClosed.timestamp.toISOString());
+
+  return {
+    newOBs: savedCount,
+    brokenOBs: brokenCount,
+    newBreakers: breakerCount,
+    touchedOBs: touchedCount,
+    mitigatedOBs: mitigatedCount,
+    duplicates: skippedCount,
+    totalOBsChecked: activeOBs.documents.length,
+    detected: true,
+    ...structure
+  };
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 主函数
+// ═════════════════════════════════════════════════════════════════════════
+
+module.exports = async ({ req, res, log, error, repository = null, notifier = null }) => {
+  const startTime = Date.now();
+
+  try {
+    log('━'.repeat(60));
+    log('🔍 Scanner v3.3 - Watchlist');
+    log('━'.repeat(60));
+
+    const config = {
+      maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
       
-      const isBroken = obDoc.type === 'BULLISH'
-        ? (useWick ? currentLow : currentPrice) < obDoc.bottom
-        : (useWick ? currentHigh : currentPrice) > obDoc.top;
-
-      if (isBroken) {
-        await databases.updateDocument(
-          config.databaseId,
-          COLLECTIONS.ORDER_BLOCKS,
-          obDoc.$id,
-          {
-            isActive: false,
-            isBroken: true,
-            brokenAt: new Date().toISOString(),
-            brokenPrice: currentPrice
-          }
-        );
-        brokenCount++;
-        log(`   ❌ OB ${obDoc.$id.substring(0, 8)} broken at $${currentPrice.toFixed(2)}`);
+      // ✅ 周末过滤（仅4H）
+      ignoreWeekendOBs: process.env.IGNORE_WEEKEND_OBS !== 'false',  // 默认启用
+
+      // ✅ OB 失效方式：wick（默认）/ close
+      invalidationMethod: process.env.OB_INVALIDATION_METHOD === 'close' ? 'close' : 'wick',
+
+      // ✅ Breaker Block（被收盘突破的 OB 反转为反向区间）
+      breakerEnabled: process.env.BREAKER_ENABLED === 'true',
+      breakerEntries: process.env.BREAKER_ENTRIES_ENABLED !== 'false',
+      breakerInvalidationMethod: process.env.BREAKER_INVALIDATION_METHOD === 'wick' ? 'wick' : 'close',
+
+      // ✅ 市场结构（BOS / CHoCH + 趋势状态）
+      structureEnabled: process.env.STRUCTURE_ENABLED !== 'false',
+
+      // ✅ FVG 检测 + OB 汇合评分
+      fvgEnabled: process.env.FVG_ENABLED !== 'false',
+      fvgMinSizeATR: parseFloat(process.env.FVG_MIN_SIZE_ATR) || 0,
+      fvgAdjacentATR: parseFloat(process.env.FVG_ADJACENT_ATR) || 0.5,
+
+      // ✅ OB 质量评分
+      scoreWeights: parseScoreWeights(process.env.OB_SCORE_WEIGHTS),
+      scoreHTFTimeframe: (process.env.OB_SCORE_HTF_TIMEFRAME || process.env.STRUCTURE_FILTER_TIMEFRAME || '1d').trim(),
+
+      // ✅ 调度：Appwrite 默认超时 30 秒，预留收尾时间
+      timeBudgetMs: parseInt(process.env.SCANNER_TIME_BUDGET_MS) || 25000,
+      concurrency: parseInt(process.env.SCANNER_CONCURRENCY) || 3
+    };
+
+    // 全局默认检测参数（可按交易对覆盖）
+    const detectionDefaults = {
+      swingLength: parseInt(process.env.OB_SWING_LENGTH) || 10,
+      volumeLookback: parseInt(process.env.VOLUME_LOOKBACK) || 20,
+      volumeMethod: (process.env.VOLUME_METHOD || 'percentile').trim().toLowerCase(),
+      volumeParam: parseInt(process.env.VOLUME_PARAM) || 70,
+      atrPeriod: parseInt(process.env.ATR_PERIOD) || 10,  // ✅ 改为10（匹配TradingView）
+      maxATRMultiplier: parseFloat(process.env.MAX_ATR_MULTIPLIER) || 3.5,
+      lookbackCandles: parseInt(process.env.LOOKBACK_CANDLES) || 100
+    };
+
+    const entryPairs = parseWatchlist(process.env, detectionDefaults);
+
+    // HTF 目标：观察列表中每个交易对 × HTF_TARGETS
+    const htfTimeframes = process.env.HTF_SCAN_ENABLED === 'false'
+      ? []
+      : (process.env.HTF_TARGETS || '1w,1d').split(',').map(tf => tf.trim()).filter(Boolean);
+    const symbols = [...new Set(entryPairs.map(p => p.symbol))];
+    const htfPairs = htfTimeframes.length > 0
+      ? parseWatchlist(
+        { ...process.env, SCANNER_WATCHLIST: symbols.flatMap(s => htfTimeframes.map(tf => `${s}:${tf}`)).join(',') },
+        detectionDefaults
+      )
+        .filter(p => !entryPairs.some(e => e.key === p.key))
+        .map(p => ({ ...p, htf: true }))
+      : [];
+
+    const pairs = [...entryPairs, ...htfPairs];
+
+    log(`\n⚙️  Configuration:`);
+    log(`   Watchlist: ${entryPairs.map(p => p.key).join(', ')}`);
+    log(`   HTF targets: ${htfPairs.map(p => p.key).join(', ') || 'disabled'}`);
+    for (const pair of pairs) {
+      log(`   ├─ ${pair.key}: swing ${pair.swingLength} | ${pair.volumeMethod}(${pair.volumeParam}) | ATR ${pair.atrPeriod}`);
+    }
+    log(`   Ignore Weekend OBs (4H): ${config.ignoreWeekendOBs ? 'Yes' : 'No'}`);
+    log(`   OB invalidation: ${config.invalidationMethod}`);
+    log(`   Breaker blocks: ${config.breakerEnabled ? `Yes (entries ${config.breakerEntries ? 'on' : 'off'}, invalidation ${config.breakerInvalidationMethod})` : 'No'}`);
+    log(`   Market structure: ${config.structureEnabled ? 'Yes' : 'No'}`);
+    log(`   FVG confluence: ${config.fvgEnabled ? `Yes (adjacent ≤ ${config.fvgAdjacentATR} ATR)` : 'No'}`);
+    log(`   OB score weights: ${Object.entries(config.scoreWeights).map(([k, v]) => `${k}:${v}`).join(',')} | HTF ${config.scoreHTFTimeframe || 'off'}`);
+    log(`   Time budget: ${config.timeBudgetMs}ms | Concurrency: ${config.concurrency}`);
+
+    repository = repository || createRepository(process.env);
+    notifier = createNotificationGate(notifier || createNotifier(process.env, { log }), { repository, env: process.env, log });
+    const binance = new BinanceAPI();
+
+    // 上次未处理完的交易对优先
+    const cursorValue = await repository.getSystemState('scanner_cursor');
+    const ordered = rotatePairs(pairs, parseInt(cursorValue) || 0);
+
+    const { results, deferred } = await runWithinBudget(
+      ordered,
+      async (pair) => {
+        // 每个交易对的日志缓存后整体输出，避免并发时交错
+        const lines = [];
+        const pairLog = msg => lines.push(msg);
+
+        try {
+          const scan = pair.htf ? scanHigherTimeframe : scanPair;
+          return await scan(pair, { config, repository, notifier, binance, log: pairLog, error: pairLog });
+        } finally {
+          log(`\n${'─'.repeat(60)}\n${pair.htf ? '🗓️' : '📊'} ${pair.key}${lines.join('\n')}`);
+        }
+      },
+      {
+        concurrency: config.concurrency,
+        deadline: startTime + config.timeBudgetMs
       }
+    );
+
+    // 记录下次起点
+    const nextCursor = deferred.length > 0
+      ? pairs.findIndex(p => p.key === deferred[0].key)
+      : 0;
+    if (String(nextCursor) !== (cursorValue || '0')) {
+      await repository.setSystemState('scanner_cursor', String(nextCursor))
+        .catch(err => log(`⚠️  Failed to save scanner cursor: ${err.message}`));
     }
 
-    if (brokenCount === 0) {
-      log(`   ✅ No OBs broken`);
+    const pairSummaries = results.map(({ item, value, error: err }) => (
+      err
+        ? { symbol: item.symbol, timeframe: item.timeframe, htf: !!item.htf, success: false, error: err.message }
+        : { symbol: item.symbol, timeframe: item.timeframe, htf: !!item.htf, success: true, ...value }
+    ));
+
+    for (const failed of pairSummaries.filter(p => !p.success)) {
+      error(`❌ ${failed.symbol}:${failed.timeframe} failed: ${failed.error}`);
     }
 
+    // 低级别通知摘要（OB 新增 / 过期、跳过的信号）由 Scanner 按 NOTIFY_DIGEST_INTERVAL 发出
+    const digest = await notifier.flushDigest()
+      .catch(err => {
+        log(`⚠️  Failed to flush notification digest: ${err.message}`);
+        return null;
+      });
+
+    const total = key => pairSummaries.reduce((sum, p) => sum + (p[key] || 0), 0);
     const duration = Date.now() - startTime;
     
     log(`\n${'━'.repeat(60)}`);
     log(`✅ Scanner completed in ${duration}ms`);
-    log(`   New OBs saved: ${savedCount}`);
-    log(`   Weekend OBs ignored: ${weekendSkippedCount}`);
-    log(`   OBs broken: ${brokenCount}`);
-    log(`   Duplicates: ${skippedCount}`);
+    log(`   Pairs scanned: ${pairSummaries.filter(p => p.success).length}/${pairs.length}`);
+    log(`   Pairs deferred: ${deferred.length}${deferred.length > 0 ? ` (${deferred.map(p => p.key).join(', ')})` : ''}`);
+    log(`   Closed candles processed: ${total('candlesProcessed')}`);
+    log(`   New OBs saved: ${total('newOBs')}`);
+    log(`   Weekend OBs ignored: ${total('weekendOBsIgnored')}`);
+    log(`   OBs broken: ${total('brokenOBs')} | Breakers: ${total('newBreakers')}`);
+    log(`   OBs touched / mitigated: ${total('touchedOBs')} / ${total('mitigatedOBs')}`);
+    log(`   Duplicates: ${total('duplicates')}`);
+    log(`   FVGs saved / filled: ${total('newFVGs')} / ${total('filledFVGs')}`);
+    log(`   Structure events: ${total('structureEvents')}`);
     log(`${'━'.repeat(60)}\n`);
 
     return res.json({
-      success: true,
+      success: pairSummaries.every(p => p.success),
       summary: {
-        newOBs: savedCount,
-        weekendOBsIgnored: weekendSkippedCount,
-        brokenOBs: brokenCount,
-        duplicates: skippedCount,
-        totalOBsChecked: activeOBs.documents.length,
-        currentPrice,
-        symbol: config.symbol,
-        timeframe: config.timeframe,
-        atr: currentATR
+        newOBs: total('newOBs'),
+        weekendOBsIgnored: total('weekendOBsIgnored'),
+        brokenOBs: total('brokenOBs'),
+        newBreakers: total('newBreakers'),
+        touchedOBs: total('touchedOBs'),
+        mitigatedOBs: total('mitigatedOBs'),
+        duplicates: total('duplicates'),
+        newFVGs: total('newFVGs'),
+        filledFVGs: total('filledFVGs'),
+        structureEvents: total('structureEvents'),
+        pairsScanned: pairSummaries.length,
+        pairsDeferred: deferred.map(p => p.key),
+        digestSent: digest ? digest.count : 0
       },
+      pairs: pairSummaries,
       duration,
       timestamp: new Date().toISOString()
     });
@@ -384,4 +1062,4 @@ module.exports = async ({ req, res, log, error }) => {
       timestamp: new Date().toISOString()
     }, 500);
   }
-};
\ No newline at end of file
+};
@@ -1,291 +1,379 @@
 /**
- * Order Block 检测逻辑（完全匹配 TradingView）
+ * Order Block 检测逻辑（TradingView 指标逻辑，唯一实现）
+ *
+ * Scanner / 回测共用本文件（build 时复制到 functions/scanner）。
+ * 与指标的一致性用 scripts/tv-parity.js 对照 fixture 检查（npm run parity）。
+ *
+ * 逐根 K 线推进：detectAt 处理第 i 根并更新摆动点状态。
+ * - findPotentialOrderBlocks：对整个窗口从头检测（回测 / 一次性分析）
+ * - detectClosedCandles：从 checkpoint 继续，只处理新收盘的 K 线（Scanner 增量检测）
  */
 
 const { OB_TYPE } = require('./constants');
 
+// 首次运行（无 checkpoint）只输出最近几根 K 线确认的 OB，更早的只用于建立摆动点状态
+const BOOTSTRAP_EMIT_CANDLES = 3;
+
 /**
- * 检测潜在的 Order Blocks
+ * 计算成交量阈值
  */
-function findPotentialOrderBlocks(
-  klines,
-  swingLength = 10,
-  volumeLookback = 20,
-  volumeMethod = 'percentile',
-  volumeParam = 70,
-  maxATRMultiplier = 3.5,
-  atr = null
-) {
-  let bullishOBs = [];
-  let bearishOBs = [];
-  let lastSwingHigh = null;
-  let lastSwingLow = null;
-
-  /**
-   * 计算成交量阈值
-   */
-  function getVolumeThreshold(startIndex, endIndex, method, param) {
-    const vols = klines
-      .slice(startIndex, endIndex)
-      .map(k => k.volume)
-      .filter(v => v > 0);
-
-    if (vols.length === 0) return 0;
-
-    switch (method) {
-      case 'percentile': {
-        const sorted = [...vols].sort((a, b) => a - b);
-        const idx = Math.floor((param / 100) * (sorted.length - 1));
-        return sorted[idx];
-      }
-      case 'sma': {
-        const sum = vols.reduce((a, b) => a + b, 0);
-        const sma = sum / vols.length;
-        return sma * param;
-      }
-      case 'ema': {
-        const k = 2 / (vols.length + 1);
-        let ema = vols[0];
-        for (let i = 1; i < vols.length; i++) {
-          ema = vols[i] * k + ema * (1 - k);
-        }
-        return ema * param;
-      }
-      case 'stddev': {
-        const sum = vols.reduce((a, b) => a + b, 0);
-        const mean = sum / vols.length;
-        const variance = vols.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / vols.length;
-        const stddev = Math.sqrt(variance);
-        return mean + (stddev * param);
+function getVolumeThreshold(klines, startIndex, endIndex, method, param) {
+  const vols = klines
+    .slice(startIndex, endIndex)
+    .map(k => k.volume)
+    .filter(v => v > 0);
+
+  if (vols.length === 0) return 0;
+
+  switch (method) {
+    case 'percentile': {
+      const sorted = [...vols].sort((a, b) => a - b);
+      const idx = Math.floor((param / 100) * (sorted.length - 1));
+      return sorted[idx];
+    }
+    case 'sma': {
+      const sum = vols.reduce((a, b) => a + b, 0);
+      const sma = sum / vols.length;
+      return sma * param;
+    }
+    case 'ema': {
+      const k = 2 / (vols.length + 1);
+      let ema = vols[0];
+      for (let i = 1; i < vols.length; i++) {
+        ema = vols[i] * k + ema * (1 - k);
       }
-      default:
-        return 0;
+      return ema * param;
+    }
+    case 'stddev': {
+      const sum = vols.reduce((a, b) => a + b, 0);
+      const mean = sum / vols.length;
+      const variance = vols.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / vols.length;
+      const stddev = Math.sqrt(variance);
+      return mean + (stddev * param);
     }
+    default:
+      return 0;
   }
+}
 
-  // 主循环
-  for (let i = swingLength; i < klines.length; i++) {
-    const refIndex = i - swingLength;
-    const windowSlice = klines.slice(refIndex + 1, i + 1);
+function createDetectorState() {
+  return { lastSwingHigh: null, lastSwingLow: null };
+}
 
-    if (windowSlice.length === 0) continue;
+function buildOrderBlock(klines, i, type, box, obCandle, confidence, breakoutVolumeRatio) {
+  const currentCandle = klines[i];
 
-    // 寻找波段高点
-    const maxHighInWindow = Math.max(...windowSlice.map(c => c.high));
-    if (klines[refIndex].high > maxHighInWindow) {
-      lastSwingHigh = { ...klines[refIndex], index: refIndex, crossed: false };
-    }
+  // ✅ 成交量：3 根蜡烛总和
+  const totalVolume = currentCandle.volume
+    + (i >= 1 ? klines[i - 1].volume : 0)
+    + (i >= 2 ? klines[i - 2].volume : 0);
 
-    // 寻找波段低点
-    const minLowInWindow = Math.min(...windowSlice.map(c => c.low));
-    if (klines[refIndex].low < minLowInWindow) {
-      lastSwingLow = { ...klines[refIndex], index: refIndex, crossed: false };
-    }
+  const olderVolume = i >= 2 ? klines[i - 2].volume : 0;
+  const recentVolume = currentCandle.volume + (i >= 1 ? klines[i - 1].volume : 0);
 
-    const currentCandle = klines[i];
-
-    // ═══════════════════════════════════════════════════════════════════════
-    // 看涨 OB 识别（TradingView 逻辑）
-    // ═══════════════════════════════════════════════════════════════════════
-    
-    if (lastSwingHigh && !lastSwingHigh.crossed && currentCandle.close > lastSwingHigh.high) {
-      // 可选：成交量过滤
-      const useVolumeFilter = volumeParam > 0;
-      let shouldCreateOB = true;
-      
-      if (useVolumeFilter) {
-        const volThreshold = getVolumeThreshold(
-          Math.max(0, i - volumeLookback),
-          i,
-          volumeMethod,
-          volumeParam
-        );
-        shouldCreateOB = currentCandle.volume >= volThreshold;
-      }
+  return {
+    high: box.top,
+    low: box.bottom,
+    type,
+    creationIndex: i,
+    confirmationCandle: {
+      index: i,
+      timestamp: currentCandle.timestamp,
+      open: currentCandle.open,
+      close: currentCandle.close,
+      high: currentCandle.high,
+      low: currentCandle.low,
+      volume: currentCandle.volume
+    },
+    obCandle: {
+      timestamp: obCandle.timestamp,
+      high: obCandle.high,
+      low: obCandle.low,
+      open: obCandle.open,
+      close: obCandle.close,
+      volume: obCandle.volume
+    },
+    volume: totalVolume,
+    obLowVolume: type === OB_TYPE.BULLISH ? olderVolume : recentVolume,
+    obHighVolume: type === OB_TYPE.BULLISH ? recentVolume : olderVolume,
+    breakoutVolumeRatio,
+    confidence,
+    isValid: true,
+    isBroken: false
+  };
+}
 
-      if (shouldCreateOB) {
-        lastSwingHigh.crossed = true;
-        const searchRange = klines.slice(lastSwingHigh.index, i);
-
-        if (searchRange.length > 0) {
-          // ✅ TradingView 逻辑：找最低点的蜡烛
-          let boxBottom = Math.min(searchRange[0].open, searchRange[0].close);
-          let boxTop = Math.max(searchRange[0].open, searchRange[0].close);
-          let boxIndex = 0;
-
-          for (let j = 0; j < searchRange.length; j++) {
-            const candle = searchRange[j];
-            const candleMin = Math.min(candle.open, candle.close);
-            const candleMax = Math.max(candle.open, candle.close);
-            
-            if (candleMin < boxBottom) {
-              boxBottom = candleMin;
-              boxTop = candleMax;
-              boxIndex = j;
-            }
-          }
+/**
+ * 处理第 i 根 K 线：更新摆动点，返回该 K 线确认的 OB
+ *
+ * @param {Array} klines - K 线（时间升序）
+ * @param {number} i - 当前 K 线索引（需 ≥ swingLength）
+ * @param {Object} state - createDetectorState() 的结果，原地更新
+ * @param {Object} options - { swingLength, volumeLookback, volumeMethod, volumeParam, maxATRMultiplier, atr }
+ * @returns {Array} 本根 K 线确认的 OB（0-2 个）
+ */
+function detectAt(klines, i, state, options) {
+  const {
+    swingLength = 10,
+    volumeLookback = 20,
+    volumeMethod = 'percentile',
+    volumeParam = 70,
+    maxATRMultiplier = 3.5,
+    atr = null
+  } = options;
+
+  const found = [];
+  const refIndex = i - swingLength;
+  const windowSlice = klines.slice(refIndex + 1, i + 1);
+
+  if (refIndex < 0 || windowSlice.length === 0) return found;
+
+  // 寻找波段高点
+  const maxHighInWindow = Math.max(...windowSlice.map(c => c.high));
+  if (klines[refIndex].high > maxHighInWindow) {
+    state.lastSwingHigh = { ...klines[refIndex], index: refIndex, crossed: false };
+  }
+
+  // 寻找波段低点
+  const minLowInWindow = Math.min(...windowSlice.map(c => c.low));
+  if (klines[refIndex].low < minLowInWindow) {
+    state.lastSwingLow = { ...klines[refIndex], index: refIndex, crossed: false };
+  }
+
+  const currentCandle = klines[i];
+  const useVolumeFilter = volumeParam > 0;
+
+  // 可选：成交量过滤
+  function checkBreakoutVolume() {
+    if (!useVolumeFilter) return { shouldCreateOB: true, breakoutVolumeRatio: null };
+
+    const volThreshold = getVolumeThreshold(klines, Math.max(0, i - volumeLookback), i, volumeMethod, volumeParam);
+    return {
+      shouldCreateOB: currentCandle.volume >= volThreshold,
+      breakoutVolumeRatio: volThreshold > 0 ? currentCandle.volume / volThreshold : null
+    };
+  }
+
+  function getConfidence(swing, obCandle) {
+    const volThresholdForConfidence = useVolumeFilter
+      ? getVolumeThreshold(klines, Math.max(0, swing.index - volumeLookback), i, volumeMethod, volumeParam)
+      : 0;
 
-          const obCandle = searchRange[boxIndex];
-          
-          // ✅ 成交量：3 根蜡烛总和
-          const totalVolume = currentCandle.volume 
-            + (i >= 1 ? klines[i - 1].volume : 0) 
-            + (i >= 2 ? klines[i - 2].volume : 0);
-          
-          const obLowVolume = i >= 2 ? klines[i - 2].volume : 0;
-          const obHighVolume = currentCandle.volume + (i >= 1 ? klines[i - 1].volume : 0);
-
-          // 置信度
-          const volThresholdForConfidence = useVolumeFilter 
-            ? getVolumeThreshold(
-                Math.max(0, lastSwingHigh.index - volumeLookback),
-                i,
-                volumeMethod,
-                volumeParam
-              )
-            : 0;
-          
-          const confidence = obCandle.volume >= volThresholdForConfidence ? 'high' : 'low';
-
-          // ✅ ATR 大小限制
-          const obSize = Math.abs(boxTop - boxBottom);
-          const passesATRCheck = !atr || (obSize <= atr * maxATRMultiplier);
-
-          if (passesATRCheck) {
-            bullishOBs.push({
-              high: boxTop,
-              low: boxBottom,
-              type: OB_TYPE.BULLISH,
-              creationIndex: i,
-              confirmationCandle: {
-                index: i,
-                timestamp: currentCandle.timestamp,
-                close: currentCandle.close,
-                high: currentCandle.high,
-                low: currentCandle.low,
-                volume: currentCandle.volume
-              },
-              obCandle: {
-                timestamp: obCandle.timestamp,
-                high: obCandle.high,
-                low: obCandle.low,
-                open: obCandle.open,
-                close: obCandle.close,
-                volume: obCandle.volume
-              },
-              volume: totalVolume,
-              obLowVolume,
-              obHighVolume,
-              confidence,
-              isValid: true,
-              isBroken: false
-            });
+    return obCandle.volume >= volThresholdForConfidence ? 'high' : 'low';
+  }
+
+  // ✅ ATR 大小限制
+  function passesATRCheck(box) {
+    return !atr || (Math.abs(box.top - box.bottom) <= atr * maxATRMultiplier);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // 看涨 OB 识别（TradingView 逻辑）
+  // ═══════════════════════════════════════════════════════════════════════
+
+  const swingHigh = state.lastSwingHigh;
+
+  if (swingHigh && !swingHigh.crossed && currentCandle.close > swingHigh.high) {
+    const { shouldCreateOB, breakoutVolumeRatio } = checkBreakoutVolume();
+
+    if (shouldCreateOB) {
+      swingHigh.crossed = true;
+      const searchRange = klines.slice(swingHigh.index, i);
+
+      if (searchRange.length > 0) {
+        // ✅ TradingView 逻辑：找最低点的蜡烛
+        const box = {
+          bottom: Math.min(searchRange[0].open, searchRange[0].close),
+          top: Math.max(searchRange[0].open, searchRange[0].close)
+        };
+        let boxIndex = 0;
+
+        for (let j = 0; j < searchRange.length; j++) {
+          const candle = searchRange[j];
+          const candleMin = Math.min(candle.open, candle.close);
+
+          if (candleMin < box.bottom) {
+            box.bottom = candleMin;
+            box.top = Math.max(candle.open, candle.close);
+            boxIndex = j;
           }
         }
+
+        const obCandle = searchRange[boxIndex];
+
+        if (passesATRCheck(box)) {
+          found.push(buildOrderBlock(klines, i, OB_TYPE.BULLISH, box, obCandle, getConfidence(swingHigh, obCandle), breakoutVolumeRatio));
+        }
       }
     }
+  }
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // 看跌 OB 识别（TradingView 逻辑）
-    // ═══════════════════════════════════════════════════════════════════════
-    
-    if (lastSwingLow && !lastSwingLow.crossed && currentCandle.close < lastSwingLow.low) {
-      const useVolumeFilter = volumeParam > 0;
-      let shouldCreateOB = true;
-      
-      if (useVolumeFilter) {
-        const volThreshold = getVolumeThreshold(
-          Math.max(0, i - volumeLookback),
-          i,
-          volumeMethod,
-          volumeParam
-        );
-        shouldCreateOB = currentCandle.volume >= volThreshold;
-      }
+  // ═══════════════════════════════════════════════════════════════════════
+  // 看跌 OB 识别（TradingView 逻辑）
+  // ═══════════════════════════════════════════════════════════════════════
 
-      if (shouldCreateOB) {
-        lastSwingLow.crossed = true;
-        const searchRange = klines.slice(lastSwingLow.index, i);
-
-        if (searchRange.length > 0) {
-          // ✅ TradingView 逻辑：找最高点的蜡烛
-          let boxTop = Math.max(searchRange[0].open, searchRange[0].close);
-          let boxBottom = Math.min(searchRange[0].open, searchRange[0].close);
-          let boxIndex = 0;
-
-          for (let j = 0; j < searchRange.length; j++) {
-            const candle = searchRange[j];
-            const candleMax = Math.max(candle.open, candle.close);
-            const candleMin = Math.min(candle.open, candle.close);
-            
-            if (candleMax > boxTop) {
-              boxTop = candleMax;
-              boxBottom = candleMin;
-              boxIndex = j;
-            }
-          }
+  const swingLow = state.lastSwingLow;
+
+  if (swingLow && !swingLow.crossed && currentCandle.close < swingLow.low) {
+    const { shouldCreateOB, breakoutVolumeRatio } = checkBreakoutVolume();
+
+    if (shouldCreateOB) {
+      swingLow.crossed = true;
+      const searchRange = klines.slice(swingLow.index, i);
+
+      if (searchRange.length > 0) {
+        // ✅ TradingView 逻辑：找最高点的蜡烛
+        const box = {
+          top: Math.max(searchRange[0].open, searchRange[0].close),
+          bottom: Math.min(searchRange[0].open, searchRange[0].close)
+        };
+        let boxIndex = 0;
+
+        for (let j = 0; j < searchRange.length; j++) {
+          const candle = searchRange[j];
+          const candleMax = Math.max(candle.open, candle.close);
 
-          const obCandle = searchRange[boxIndex];
-          
-          const totalVolume = currentCandle.volume 
-            + (i >= 1 ? klines[i - 1].volume : 0) 
-            + (i >= 2 ? klines[i - 2].volume : 0);
-          
-          const obLowVolume = currentCandle.volume + (i >= 1 ? klines[i - 1].volume : 0);
-          const obHighVolume = i >= 2 ? klines[i - 2].volume : 0;
-
-          const volThresholdForConfidence = useVolumeFilter
-            ? getVolumeThreshold(
-                Math.max(0, lastSwingLow.index - volumeLookback),
-                i,
-                volumeMethod,
-                volumeParam
-              )
-            : 0;
-          
-          const confidence = obCandle.volume >= volThresholdForConfidence ? 'high' : 'low';
-
-          const obSize = Math.abs(boxTop - boxBottom);
-          const passesATRCheck = !atr || (obSize <= atr * maxATRMultiplier);
-
-          if (passesATRCheck) {
-            bearishOBs.push({
-              high: boxTop,
-              low: boxBottom,
-              type: OB_TYPE.BEARISH,
-              creationIndex: i,
-              confirmationCandle: {
-                index: i,
-                timestamp: currentCandle.timestamp,
-                close: currentCandle.close,
-                high: currentCandle.high,
-                low: currentCandle.low,
-                volume: currentCandle.volume
-              },
-              obCandle: {
-                timestamp: obCandle.timestamp,
-                high: obCandle.high,
-                low: obCandle.low,
-                open: obCandle.open,
-                close: obCandle.close,
-                volume: obCandle.volume
-              },
-              volume: totalVolume,
-              obLowVolume,
-              obHighVolume,
-              confidence,
-              isValid: true,
-              isBroken: false
-            });
+          if (candleMax > box.top) {
+            box.top = candleMax;
+            box.bottom = Math.min(candle.open, candle.close);
+            boxIndex = j;
           }
         }
+
+        const obCandle = searchRange[boxIndex];
+
+        if (passesATRCheck(box)) {
+          found.push(buildOrderBlock(klines, i, OB_TYPE.BEARISH, box, obCandle, getConfidence(swingLow, obCandle), breakoutVolumeRatio));
+        }
       }
     }
   }
 
+  return found;
+}
+
+/**
+ * 检测潜在的 Order Blocks
+ */
+function findPotentialOrderBlocks(
+  klines,
+  swingLength = 10,
+  volumeLookback = 20,
+  volumeMethod = 'percentile',
+  volumeParam = 70,
+  maxATRMultiplier = 3.5,
+  atr = null
+) {
+  const options = { swingLength, volumeLookback, volumeMethod, volumeParam, maxATRMultiplier, atr };
+  const state = createDetectorState();
+  const bullishOBs = [];
+  const bearishOBs = [];
+
+  // 主循环
+  for (let i = swingLength; i < klines.length; i++) {
+    for (const ob of detectAt(klines, i, state, options)) {
+      (ob.type === OB_TYPE.BULLISH ? bullishOBs : bearishOBs).push(ob);
+    }
+  }
+
   return { bullishOBs, bearishOBs };
 }
 
+// ═════════════════════════════════════════════════════════════════════════
+// 增量检测
+// ═════════════════════════════════════════════════════════════════════════
+
+function getParamsKey({ swingLength = 10, volumeLookback = 20, volumeMethod = 'percentile', volumeParam = 70, maxATRMultiplier = 3.5 }) {
+  return [swingLength, volumeLookback, volumeMethod, volumeParam, maxATRMultiplier].join('/');
+}
+
+function serializeSwing(swing) {
+  return swing
+    ? { timestamp: new Date(swing.timestamp).toISOString(), high: swing.high, low: swing.low, crossed: swing.crossed }
+    : null;
+}
+
+/**
+ * 恢复摆动点：按时间定位到当前窗口；早于窗口的摆动点从窗口起点开始搜索 OB K 线
+ */
+function restoreSwing(saved, klines) {
+  if (!saved) return null;
+
+  const time = new Date(saved.timestamp).getTime();
+  const index = klines.findIndex(k => new Date(k.timestamp).getTime() === time);
+
+  return { ...saved, timestamp: new Date(time), index: Math.max(0, index) };
+}
+
+/**
+ * 从 checkpoint 继续检测，只处理 lastCandleTime 之后的 K 线
+ *
+ * 调用方只传入已收盘 K 线，并在 OB 保存后再写回 checkpoint：中途失败时下次重新处理同一批 K 线，
+ * 由 OB 去重保证每根 K 线只产生一次结果。
+ *
+ * @param {Array} closedKlines - 已收盘 K 线（时间升序），需覆盖 swingLength + volumeLookback 的上下文
+ * @param {Object|null} checkpoint - 上次返回的 checkpoint；为空或参数变化时重新建立状态
+ * @param {Object} options - 同 detectAt
+ * @returns {Object} { orderBlocks, checkpoint, processed, reset }
+ *   reset: 'bootstrap' | 'params_changed' | 'gap'（上次处理的 K 线已不在窗口内）| null
+ */
+function detectClosedCandles(closedKlines, checkpoint, options) {
+  const swingLength = options.swingLength || 10;
+  const paramsKey = getParamsKey(options);
+  const lastTime = checkpoint ? new Date(checkpoint.lastCandleTime).getTime() : null;
+  const firstTime = closedKlines.length > 0 ? new Date(closedKlines[0].timestamp).getTime() : null;
+
+  let reset = null;
+  if (!checkpoint) reset = 'bootstrap';
+  else if (checkpoint.params !== paramsKey) reset = 'params_changed';
+  else if (firstTime !== null && lastTime < firstTime) reset = 'gap';
+
+  const state = reset
+    ? createDetectorState()
+    : {
+        lastSwingHigh: restoreSwing(checkpoint.lastSwingHigh, closedKlines),
+        lastSwingLow: restoreSwing(checkpoint.lastSwingLow, closedKlines)
+      };
+
+  // 重建状态时处理整个窗口，只输出最近几根 K 线确认的 OB
+  const emitFrom = reset ? closedKlines.length - BOOTSTRAP_EMIT_CANDLES : 0;
+  const orderBlocks = [];
+  let processed = 0;
+  let lastCandleTime = reset ? null : checkpoint.lastCandleTime;
+
+  for (let i = 0; i < closedKlines.length; i++) {
+    const time = new Date(closedKlines[i].timestamp).getTime();
+    if (!reset && time <= lastTime) continue;
+
+    lastCandleTime = new Date(time).toISOString();
+    if (i < swingLength) continue;
+
+    const found = detectAt(closedKlines, i, state, options);
+    processed++;
+
+    if (i >= emitFrom) orderBlocks.push(...found);
+  }
+
+  return {
+    orderBlocks,
+    processed,
+    reset,
+    checkpoint: lastCandleTime
+      ? {
+          lastCandleTime,
+          params: paramsKey,
+          lastSwingHigh: serializeSwing(state.lastSwingHigh),
+          lastSwingLow: serializeSwing(state.lastSwingLow)
+        }
+      : checkpoint
+  };
+}
+
 module.exports = {
-  findPotentialOrderBlocks
-};
\ No newline at end of file
+  BOOTSTRAP_EMIT_CANDLES,
+  getVolumeThreshold,
+  createDetectorState,
+  detectAt,
+  findPotentialOrderBlocks,
+  detectClosedCandles
+};
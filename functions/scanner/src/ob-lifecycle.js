@@ -0,0 +1,139 @@
+/**
+ * OB 生命周期：回踩 / 穿透 / mitigation
+ *
+ *   touch        K 线进入区间（看涨：最低价 ≤ 上沿；看跌：最高价 ≥ 下沿），上一根未进入时计一次
+ *   penetration  进入深度占区间高度的百分比（看涨自上沿向下，看跌自下沿向上），记录最大值
+ *   mitigated    穿透达到 50%，记录时间（K 线开盘时间）与距确认的耗时
+ *
+ * 未收盘 K 线会被反复检查：以 lastTouchCandleTime 保证同一根 K 线只计一次回踩，重复运行结果不变。
+ */
+
+const { OB_TYPE } = require('./constants');
+
+const OB_MITIGATION_PENETRATION = 50;
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+function toISO(time) {
+  return new Date(time).toISOString();
+}
+
+/**
+ * 是否进入区间
+ */
+function isInZone(ob, candle) {
+  return ob.type === OB_TYPE.BULLISH ? candle.low <= ob.top : candle.high >= ob.bottom;
+}
+
+/**
+ * 穿透深度（0-100%）
+ */
+function getPenetration(ob, candle) {
+  const height = ob.top - ob.bottom;
+  if (!(height > 0)) return isInZone(ob, candle) ? 100 : 0;
+
+  const depth = ob.type === OB_TYPE.BULLISH ? ob.top - candle.low : candle.high - ob.bottom;
+  return Math.min(100, Math.max(0, (depth / height) * 100));
+}
+
+/**
+ * 用 K 线窗口更新 OB 生命周期
+ *
+ * @param {Object} obDoc - order_blocks 文档
+ * @param {Array} candles - K 线（时间升序，可含未收盘 K 线）
+ * @returns {Object} { changes, touched, mitigated }：changes 为需要写回的字段（无变化时为 null）
+ */
+function updateOBLifecycle(obDoc, candles) {
+  const confirmedAt = toTime(obDoc.confirmationTime);
+  const checkedFrom = toTime(obDoc.lifecycleCheckedAt);
+
+  const state = {
+    touchCount: obDoc.touchCount || 0,
+    firstTouchAt: obDoc.firstTouchAt || null,
+    lastTouchCandleTime: obDoc.lastTouchCandleTime || null,
+    maxPenetration: obDoc.maxPenetration || 0,
+    mitigatedAt: obDoc.mitigatedAt || null,
+    mitigatedPrice: obDoc.mitigatedPrice || null,
+    timeToMitigationMinutes: obDoc.timeToMitigationMinutes || null
+  };
+
+  let touched = false;
+  let mitigated = false;
+  let lastChecked = null;
+
+  for (let i = 0; i < candles.length; i++) {
+    const candle = candles[i];
+    const time = toTime(candle.timestamp);
+
+    if (time <= confirmedAt) continue;
+    if (checkedFrom !== null && time < checkedFrom) continue;
+
+    lastChecked = time;
+    if (!isInZone(obDoc, candle)) continue;
+
+    const previous = candles[i - 1];
+    const previousInZone = previous && toTime(previous.timestamp) > confirmedAt && isInZone(obDoc, previous);
+    const lastTouch = toTime(state.lastTouchCandleTime);
+
+    if (!previousInZone && (lastTouch === null || time > lastTouch)) {
+      state.touchCount++;
+      state.lastTouchCandleTime = toISO(time);
+      state.firstTouchAt = state.firstTouchAt || toISO(time);
+      touched = true;
+    }
+
+    const penetration = getPenetration(obDoc, candle);
+    state.maxPenetration = Math.max(state.maxPenetration, Math.round(penetration * 100) / 100);
+
+    if (penetration >= OB_MITIGATION_PENETRATION && !state.mitigatedAt) {
+      state.mitigatedAt = toISO(time);
+      state.mitigatedPrice = (obDoc.top + obDoc.bottom) / 2;
+      state.timeToMitigationMinutes = Math.round((time - confirmedAt) / 60000);
+      mitigated = true;
+    }
+  }
+
+  if (lastChecked === null) {
+    return { changes: null, touched, mitigated };
+  }
+
+  const next = { ...state, lifecycleCheckedAt: toISO(lastChecked) };
+  const changed = Object.keys(next).some(key => next[key] !== (obDoc[key] === undefined ? null : obDoc[key]));
+
+  return { changes: changed ? next : null, touched, mitigated };
+}
+
+/**
+ * 回踩统计：被回踩的 OB 中守住（未被突破）的比例
+ *
+ * @param {Array} obs - 已回踩的 order_blocks 文档
+ * @returns {Object} { touched, held, broken, mitigated, holdRate, avgTouches, avgTimeToMitigationMinutes }
+ */
+function getRetestStats(obs) {
+  const touched = obs.filter(ob => (ob.touchCount || 0) > 0);
+  const broken = touched.filter(ob => ob.isBroken);
+  const mitigated = touched.filter(ob => ob.mitigatedAt);
+  const mitigationTimes = mitigated.map(ob => ob.timeToMitigationMinutes).filter(Number.isFinite);
+
+  return {
+    touched: touched.length,
+    held: touched.length - broken.length,
+    broken: broken.length,
+    mitigated: mitigated.length,
+    holdRate: touched.length > 0 ? ((touched.length - broken.length) / touched.length) * 100 : 0,
+    avgTouches: touched.length > 0 ? touched.reduce((sum, ob) => sum + ob.touchCount, 0) / touched.length : 0,
+    avgTimeToMitigationMinutes: mitigationTimes.length > 0
+      ? mitigationTimes.reduce((a, b) => a + b, 0) / mitigationTimes.length
+      : null
+  };
+}
+
+module.exports = {
+  OB_MITIGATION_PENETRATION,
+  isInZone,
+  getPenetration,
+  updateOBLifecycle,
+  getRetestStats
+};
@@ -0,0 +1,135 @@
+/**
+ * Scanner 观察列表与调度
+ *
+ * SCANNER_WATCHLIST=BTCUSDT:4h,ETHUSDT:4h,SOLUSDT:1h
+ * SCANNER_PAIR_OVERRIDES={"ETHUSDT:4h":{"swingLength":8},"SOLUSDT":{"volumeMethod":"threshold","volumeParam":1.5}}
+ *
+ * 未设置 SCANNER_WATCHLIST 时退回 TRADING_SYMBOL × ENTRY_TIMEFRAME。
+ */
+
+// 允许按交易对覆盖的检测参数
+const OVERRIDABLE_KEYS = [
+  'swingLength',
+  'volumeLookback',
+  'volumeMethod',
+  'volumeParam',
+  'atrPeriod',
+  'maxATRMultiplier',
+  'lookbackCandles'
+];
+
+const VALID_TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w'];
+
+/**
+ * 解析观察列表
+ * @returns {Array} [{ symbol, timeframe, key, ...检测参数 }]
+ */
+function parseWatchlist(env, defaults) {
+  const fallback = `${(env.TRADING_SYMBOL || 'BTCUSDT').trim()}:${(env.ENTRY_TIMEFRAME || '4h').trim()}`;
+  const entries = (env.SCANNER_WATCHLIST || fallback)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  let overrides = {};
+  if (env.SCANNER_PAIR_OVERRIDES) {
+    try {
+      overrides = JSON.parse(env.SCANNER_PAIR_OVERRIDES);
+    } catch (err) {
+      throw new Error(`Invalid SCANNER_PAIR_OVERRIDES JSON: ${err.message}`);
+    }
+  }
+
+  const pairs = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    const [rawSymbol, rawTimeframe] = entry.split(':');
+    const symbol = rawSymbol.trim().toUpperCase();
+    const timeframe = (rawTimeframe || env.ENTRY_TIMEFRAME || '4h').trim().toLowerCase();
+
+    if (!VALID_TIMEFRAMES.includes(timeframe)) {
+      throw new Error(`Invalid timeframe in SCANNER_WATCHLIST: ${entry}`);
+    }
+
+    const key = `${symbol}:${timeframe}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    // 优先级：symbol:timeframe > symbol > 全局默认
+    const pairOverrides = { ...pickOverrides(overrides[symbol]), ...pickOverrides(overrides[key]) };
+
+    pairs.push({ ...defaults, ...pairOverrides, symbol, timeframe, key });
+  }
+
+  return pairs;
+}
+
+function pickOverrides(source) {
+  const picked = {};
+  if (!source) return picked;
+
+  for (const name of OVERRIDABLE_KEYS) {
+    if (source[name] !== undefined) {
+      picked[name] = name === 'volumeMethod' ? String(source[name]).toLowerCase() : source[name];
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * 按游标轮转，使上次因超时未处理的交易对优先
+ */
+function rotatePairs(pairs, cursor) {
+  if (pairs.length === 0) return pairs;
+
+  const start = ((cursor % pairs.length) + pairs.length) % pairs.length;
+  return [...pairs.slice(start), ...pairs.slice(0, start)];
+}
+
+/**
+ * 在时间预算内以有限并发执行任务
+ * 剩余时间不足以完成一个任务（按已完成任务的最长耗时估算）时不再启动新任务
+ *
+ * @returns {Promise<Object>} { results: [{ item, value?, error? }], deferred: [item] }
+ */
+async function runWithinBudget(items, worker, { concurrency = 3, deadline, minEstimateMs = 3000 }) {
+  const results = [];
+  const deferred = [];
+  let next = 0;
+  let slowest = minEstimateMs;
+
+  async function lane() {
+    while (next < items.length) {
+      if (Date.now() + slowest > deadline) {
+        return;
+      }
+
+      const item = items[next++];
+      const started = Date.now();
+
+      try {
+        results.push({ item, value: await worker(item) });
+      } catch (err) {
+        results.push({ item, error: err });
+      }
+
+      slowest = Math.max(slowest, Date.now() - started);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+
+  for (let i = next; i < items.length; i++) {
+    deferred.push(items[i]);
+  }
+
+  return { results, deferred };
+}
+
+module.exports = {
+  parseWatchlist,
+  rotatePairs,
+  runWithinBudget
+};
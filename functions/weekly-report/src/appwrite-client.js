@@ -0,0 +1,94 @@
+/**
+ * Repository - Appwrite 后端
+ */
+
+const { Client, Databases, Query, ID } = require('node-appwrite');
+const { COLLECTIONS } = require('./constants');
+const { Repository } = require('./repository');
+
+class AppwriteClient extends Repository {
+  constructor({
+    endpoint = process.env.APPWRITE_ENDPOINT,
+    projectId = process.env.APPWRITE_PROJECT_ID,
+    apiKey = process.env.APPWRITE_API_KEY,
+    databaseId = process.env.APPWRITE_DATABASE_ID
+  } = {}) {
+    super();
+
+    this.client = new Client()
+      .setEndpoint(endpoint)
+      .setProject(projectId)
+      .setKey(apiKey);
+
+    this.databases = new Databases(this.client);
+    this.dbId = databaseId;
+  }
+
+  // ✅ 修复：测试连接方法
+  async testConnection() {
+    try {
+      // 直接尝试列出一个集合的文档来测试连接
+      const result = await this.databases.listDocuments(
+        this.dbId,
+        COLLECTIONS.SYSTEM_STATE,
+        [Query.limit(1)]
+      );
+
+      return {
+        success: true,
+        message: 'Connected successfully',
+        collectionFound: true,
+        documentCount: result.total
+      };
+
+    } catch (err) {
+      // 404 意味着集合不存在，但连接是成功的
+      if (err.code === 404) {
+        return {
+          success: true,
+          message: 'Connected (collections not created yet)',
+          collectionFound: false,
+          hint: 'Run "npm run setup" to create collections'
+        };
+      }
+
+      // 其他错误
+      return {
+        success: false,
+        error: err.message,
+        code: err.code,
+        hint: err.code === 401
+          ? 'Invalid API Key. Check APPWRITE_API_KEY in .env'
+          : err.code === 404
+          ? 'Database not found. Check APPWRITE_DATABASE_ID in .env'
+          : 'Check your Appwrite credentials'
+      };
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // 文档级操作
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async listDocuments(collection, queries = []) {
+    return this.databases.listDocuments(this.dbId, collection, queries);
+  }
+
+  async getDocument(collection, id) {
+    return this.databases.getDocument(this.dbId, collection, id);
+  }
+
+  async createDocument(collection, data, id = null) {
+    return this.databases.createDocument(this.dbId, collection, id || ID.unique(), data);
+  }
+
+  async updateDocument(collection, id, data) {
+    return this.databases.updateDocument(this.dbId, collection, id, data);
+  }
+
+  async deleteDocument(collection, id) {
+    return this.databases.deleteDocument(this.dbId, collection, id);
+  }
+}
+
+module.exports = AppwriteClient;
@@ -11,6 +11,9 @@ const COLLECTIONS = {
   SYSTEM_STATE: "system_state",
   LOGS: "system_logs",
   TRADE_LOGS: "trade_logs",
+  MARKET_STRUCTURE: "market_structure",
+  FAIR_VALUE_GAPS: "fair_value_gaps",
+  NOTIFICATIONS: "notifications",
 };
 
 // 交易状态
@@ -35,16 +38,39 @@ const OB_TYPE = {
   BEARISH: "BEARISH",
 };
 
+// 区块类型：breaker 为被收盘突破后反转极性的 OB
+const BLOCK_TYPE = {
+  ORDER_BLOCK: "ORDER_BLOCK",
+  BREAKER: "BREAKER",
+};
+
+// 市场结构事件
+const STRUCTURE_EVENT = {
+  SWING_HIGH: "SWING_HIGH",
+  SWING_LOW: "SWING_LOW",
+  BOS: "BOS",
+  CHOCH: "CHOCH",
+};
+
+// 趋势状态
+const TREND = {
+  BULLISH: "BULLISH",
+  BEARISH: "BEARISH",
+  NEUTRAL: "NEUTRAL",
+};
+
 // 退出原因
 const EXIT_REASON = {
   STOP_LOSS: "STOP_LOSS",
   STOP_LOSS_TRIGGERED: "STOP_LOSS_TRIGGERED",
+  TAKE_PROFIT: "TAKE_PROFIT",
   HTF_TARGET_1W: "HTF_TARGET_1w",
   HTF_TARGET_1D: "HTF_TARGET_1d",
   REVERSAL_OB: "REVERSAL_OB",
   TRAILING_STOP: "TRAILING_STOP",
   EMERGENCY_CLOSE: "EMERGENCY_CLOSE",
   LIQUIDATION: "LIQUIDATION",
+  RECONCILED: "RECONCILED",
   MANUAL: "MANUAL",
   END: "END",
 };
@@ -85,10 +111,12 @@ const HYPERLIQUID = {
   },
 };
 
-// 市场配置
+// 市场配置（离线回退：Mock 模式 / 回测；实盘以 Hyperliquid meta 为准，见 market-meta.js）
 const MARKETS = {
   BTCUSDT: {
     symbol: "BTC",
+    assetIndex: 0,
+    szDecimals: 5,
     minSize: 0.001,
     sizeIncrement: 0.0001,
     pricePrecision: 1,
@@ -98,6 +126,8 @@ const MARKETS = {
   },
   ETHUSDT: {
     symbol: "ETH",
+    assetIndex: 1,
+    szDecimals: 4,
     minSize: 0.01,
     sizeIncrement: 0.001,
     pricePrecision: 2,
@@ -131,6 +161,9 @@ module.exports = {
   POSITION_STATUS,
   SIDE,
   OB_TYPE,
+  BLOCK_TYPE,
+  STRUCTURE_EVENT,
+  TREND,
   EXIT_REASON,
   BINANCE,
   HYPERLIQUID,
@@ -5,19 +5,19 @@
  * ✅ 每周一自动生成交易报告
  * ✅ 统计上周所有交易
  * ✅ 计算胜率、盈亏比、总盈亏
- * ✅ 发送详细邮件报告
+ * ✅ 通过通知渠道发送详细报告
  * ✅ 提供策略建议
  * 
  * 运行时间：每周一 00:00 UTC（新西兰时间中午12点）
  * Cron: 0 0 * * 1
  */
 
-const { Client, Databases } = require('node-appwrite');
-const nodemailer = require('nodemailer');
 const { getTradeStats } = require('./trade-logger');
-const { COLLECTIONS } = require('./constants');
+const { getRetestStats } = require('./ob-lifecycle');
+const { createRepository } = require('./repository');
+const { createNotifier, NOTIFY_EVENT, SEVERITY } = require('./notifier');
 
-module.exports = async ({ req, res, log, error }) => {
+module.exports = async ({ req, res, log, error, repository = null, notifier = null }) => {
   const startTime = Date.now();
 
   try {
@@ -30,56 +30,30 @@ module.exports = async ({ req, res, log, error }) => {
     // ═══════════════════════════════════════════════════════════════════════
 
     const config = {
-      endpoint: process.env.APPWRITE_ENDPOINT,
-      projectId: process.env.APPWRITE_PROJECT_ID,
-      apiKey: process.env.APPWRITE_API_KEY,
-      databaseId: process.env.APPWRITE_DATABASE_ID,
-      
       symbol: process.env.TRADING_SYMBOL || 'BTCUSDT',
       tradingEnabled: process.env.TRADING_ENABLED === 'true',
       
-      emailEnabled: process.env.EMAIL_ENABLED === 'true',
-      emailRecipient: process.env.EMAIL_RECIPIENT,
-      emailConfig: {
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_APP_PASSWORD,
-        },
-      },
-      
       // ✅ 报告设置
       maxTradesDisplay: parseInt(process.env.MAX_TRADES_DISPLAY) || 20,
       timezone: process.env.TIMEZONE || 'Pacific/Auckland'
     };
 
-    if (!config.emailEnabled) {
-      log('⚠️  Email disabled, skipping report');
+    notifier = notifier || createNotifier(process.env, { log });
+
+    if (notifier.getChannels(NOTIFY_EVENT.WEEKLY_REPORT).length === 0) {
+      log('⚠️  No notification channel for weekly report, skipping');
       return res.json({ 
         success: true, 
         action: 'skipped', 
-        reason: 'email_disabled' 
+        reason: 'no_channels' 
       });
     }
 
-    if (!config.emailRecipient || !config.emailConfig.auth.user) {
-      error('❌ Email config incomplete');
-      return res.json({ 
-        success: false, 
-        error: 'Email config incomplete' 
-      }, 400);
-    }
-
     // ═══════════════════════════════════════════════════════════════════════
     // 初始化
     // ═══════════════════════════════════════════════════════════════════════
 
-    const client = new Client()
-      .setEndpoint(config.endpoint)
-      .setProject(config.projectId)
-      .setKey(config.apiKey);
-
-    const databases = new Databases(client);
+    repository = repository || createRepository(process.env);
 
     // ═══════════════════════════════════════════════════════════════════════
     // 计算报告周期（上周一 00:00 - 上周日 23:59:59 UTC）
@@ -110,13 +84,7 @@ module.exports = async ({ req, res, log, error }) => {
 
     log('\n📊 Gathering statistics...');
 
-    const stats = await getTradeStats(
-      databases, 
-      config.databaseId, 
-      lastMonday, 
-      lastSunday,
-      config.symbol
-    );
+    const stats = await getTradeStats(repository, lastMonday, lastSunday);
 
     if (!stats) {
       error('❌ Failed to get trade stats');
@@ -131,21 +99,28 @@ module.exports = async ({ req, res, log, error }) => {
     log(`   Total P&L: $${stats.totalPnL.toFixed(2)}`);
     log(`   Win rate: ${stats.winRate.toFixed(2)}%`);
 
+    // 本周首次被回踩的 OB
+    const touchedOBs = await repository.getTouchedOBs({ since: lastMonday, until: lastSunday });
+    const retestStats = getRetestStats(touchedOBs.documents || []);
+
+    log(`   OBs retested: ${retestStats.touched} | Held: ${retestStats.held} (${retestStats.holdRate.toFixed(1)}%)`);
+
     // ═══════════════════════════════════════════════════════════════════════
     // 生成并发送报告
     // ═══════════════════════════════════════════════════════════════════════
 
-    log('\n📧 Sending weekly report email...');
+    log('\n📧 Sending weekly report...');
 
-    await sendWeeklyReport({
+    const notified = await sendWeeklyReport({
+      notifier,
       config,
       stats,
+      retestStats,
       startDate: lastMonday,
-      endDate: lastSunday,
-      log
+      endDate: lastSunday
     });
 
-    log('   ✅ Email sent successfully');
+    log(`   ✅ Report sent via ${notified.sent.join(', ')}`);
 
     const duration = Date.now() - startTime;
 
@@ -167,7 +142,8 @@ module.exports = async ({ req, res, log, error }) => {
         winRate: stats.winRate,
         profitFactor: stats.profitFactor
       },
-      emailSent: true,
+      retestStats,
+      notified: notified.sent,
       duration,
       timestamp: new Date().toISOString()
     });
@@ -197,194 +173,94 @@ function formatDate(date, timezone = 'Pacific/Auckland') {
   });
 }
 
-function formatDateTime(date, timezone = 'Pacific/Auckland') {
-  return date.toLocaleString('en-NZ', {
-    timeZone: timezone,
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false
-  });
-}
-
 // ═════════════════════════════════════════════════════════════════════════
-// 发送每周报告邮件
+// 策略表现评估（返回代码，由通知模板翻译）
 // ═════════════════════════════════════════════════════════════════════════
 
-async function sendWeeklyReport({ config, stats, startDate, endDate, log }) {
-  const transporter = nodemailer.createTransport(config.emailConfig);
-
-  const isProfit = stats.totalPnL > 0;
-  const emoji = isProfit ? '📈' : stats.totalPnL < 0 ? '📉' : '➖';
-
-  const subject = `${emoji} 每周交易报告 | ${formatDate(startDate, config.timezone)} - ${formatDate(endDate, config.timezone)} | ${isProfit ? '盈利' : stats.totalPnL < 0 ? '亏损' : '持平'} $${Math.abs(stats.totalPnL).toFixed(2)}`;
-
-  // ═══════════════════════════════════════════════════════════════════════
-  // 生成交易列表
-  // ═══════════════════════════════════════════════════════════════════════
-
-  let tradeList = '';
-  if (stats.trades.length > 0) {
-    // 按时间倒序排列
-    stats.trades.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    
-    const tradesToShow = Math.min(stats.trades.length, config.maxTradesDisplay);
-    
-    for (let i = 0; i < tradesToShow; i++) {
-      const trade = stats.trades[i];
-      const tradeTime = formatDateTime(new Date(trade.timestamp), config.timezone);
-      
-      const tradeEmoji = trade.pnl > 0 ? '✅' : trade.pnl < 0 ? '❌' : '➖';
-      const sideIcon = trade.side === 'LONG' ? '📈' : '📉';
-      
-      // 格式化：时间 | 方向 | 价格 | 盈亏
-      tradeList += `${tradeEmoji} ${tradeTime} | ${sideIcon}${trade.side.padEnd(5)} | $${trade.price.toFixed(0).padStart(6)} | ${trade.pnl >= 0 ? '+' : ''}$${trade.pnl.toFixed(2).padStart(8)} (${trade.pnlPercent >= 0 ? '+' : ''}${trade.pnlPercent.toFixed(2)}%)\n`;
-    }
-    
-    if (stats.trades.length > config.maxTradesDisplay) {
-      tradeList += `\n... 还有 ${stats.trades.length - config.maxTradesDisplay} 笔交易（总计 ${stats.trades.length} 笔）\n`;
-    }
-  } else {
-    tradeList = '   (本周无交易)\n';
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════
-  // 策略表现评估
-  // ═══════════════════════════════════════════════════════════════════════
-
-  let performanceEmoji, performanceText, recommendations;
-
+function assessPerformance(stats) {
   if (stats.totalTrades === 0) {
-    performanceEmoji = 'ℹ️';
-    performanceText = '本周无交易';
-    recommendations = '• 检查 OB 检测是否正常\n• 确认交易条件是否过于严格';
-  } else if (stats.winRate >= 50 && stats.profitFactor > 1.8 && stats.totalPnL > 0) {
-    performanceEmoji = '🌟';
-    performanceText = '策略表现优秀！';
-    recommendations = '• 保持当前策略\n• 可考虑小幅增加仓位';
-  } else if (stats.winRate >= 40 && stats.profitFactor > 1.3 && stats.totalPnL > 0) {
-    performanceEmoji = '✅';
-    performanceText = '策略表现良好';
-    recommendations = '• 继续观察\n• 关注市场环境变化';
-  } else if (stats.totalPnL > 0) {
-    performanceEmoji = '⚠️';
-    performanceText = '有盈利但需改进';
-    recommendations = '';
-    if (stats.winRate < 40) recommendations += '• 胜率偏低，提高入场质量\n';
-    if (stats.profitFactor < 1.5) recommendations += '• 盈利因子偏低，优化止盈/止损比例\n';
-    if (stats.avgLoss > stats.avgWin * 2) recommendations += '• 平均亏损过大，检查止损设置\n';
-  } else {
-    performanceEmoji = '❌';
-    performanceText = '策略需要审查';
-    recommendations = '';
-    if (stats.wins === 0 && stats.totalTrades > 3) {
-      recommendations += '• ⚠️  连续亏损，建议暂停交易并复盘\n';
-    }
-    if (stats.winRate < 30) recommendations += '• 胜率过低，重新评估 OB 检测逻辑\n';
-    if (stats.profitFactor < 1) recommendations += '• 盈利因子<1，总体策略无效\n';
-    if (stats.totalPnL < -500) recommendations += '• 亏损金额较大，降低风险或暂停\n';
-    if (!recommendations) recommendations = '• 分析亏损原因\n• 考虑优化参数或暂停交易';
+    return { level: 'none', tips: ['check_detection', 'check_filters'] };
   }
 
-  // ═══════════════════════════════════════════════════════════════════════
-  // 邮件正文
-  // ═══════════════════════════════════════════════════════════════════════
-
-  const body = `
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-              📊 OB 自动交易系统 - 每周报告
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-📅 报告周期: ${formatDate(startDate, config.timezone)} - ${formatDate(endDate, config.timezone)}
-🕐 生成时间: ${formatDateTime(new Date(), config.timezone)} NZDT
-🌐 环境: ${config.tradingEnabled ? '🔴 主网' : '🧪 测试网'}
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-💰 盈亏总结
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-净盈亏:           ${isProfit ? '+' : ''}$${stats.totalPnL.toFixed(2)}
-总手续费:         $${stats.totalFees.toFixed(2)}
-毛盈亏:           ${isProfit ? '+' : ''}$${(stats.totalPnL + stats.totalFees).toFixed(2)}
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📊 交易统计
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-总交易次数:       ${stats.totalTrades}
-盈利次数:         ${stats.wins} (${stats.totalTrades > 0 ? ((stats.wins / stats.totalTrades) * 100).toFixed(1) : 0}%)
-亏损次数:         ${stats.losses} (${stats.totalTrades > 0 ? ((stats.losses / stats.totalTrades) * 100).toFixed(1) : 0}%)
-盈亏平局:         ${stats.breakeven}
-
-胜率:             ${stats.winRate.toFixed(2)}%
-盈利因子:         ${stats.profitFactor > 0 ? stats.profitFactor.toFixed(2) : 'N/A'}
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📈 盈亏分析
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-平均盈利:         +$${stats.avgWin.toFixed(2)}
-平均亏损:         -$${stats.avgLoss.toFixed(2)}
-盈亏比:           ${stats.avgLoss > 0 ? (stats.avgWin / stats.avgLoss).toFixed(2) : 'N/A'}:1
-
-最大单笔盈利:     +$${stats.largestWin.toFixed(2)}
-最大单笔亏损:     ${stats.largestLoss.toFixed(2)}
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📝 交易明细（最近 ${Math.min(stats.trades.length, config.maxTradesDisplay)} 笔）
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-${tradeList}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-${performanceEmoji} 策略表现评估
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-${performanceText}
-
-${stats.totalTrades > 0 ? `📌 建议:
-${recommendations}` : ''}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📊 数据分析
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  if (stats.winRate >= 50 && stats.profitFactor > 1.8 && stats.totalPnL > 0) {
+    return { level: 'excellent', tips: ['keep_strategy', 'consider_size_up'] };
+  }
 
-${stats.totalTrades > 0 ? `
-做多交易:         ${stats.longTrades || 0} (${stats.longWins || 0} 胜 / ${stats.longLosses || 0} 负)
-做空交易:         ${stats.shortTrades || 0} (${stats.shortWins || 0} 胜 / ${stats.shortLosses || 0} 负)
+  if (stats.winRate >= 40 && stats.profitFactor > 1.3 && stats.totalPnL > 0) {
+    return { level: 'good', tips: ['keep_watching', 'watch_market'] };
+  }
 
-平均持仓时长:     ${stats.avgHoldingTime || 'N/A'}
-最长持仓:         ${stats.maxHoldingTime || 'N/A'}
+  const tips = [];
 
-高置信度 OB:      ${stats.highConfidenceCount || 0} (${stats.highConfidenceWinRate || 0}% 胜率)
-中置信度 OB:      ${stats.mediumConfidenceCount || 0} (${stats.mediumConfidenceWinRate || 0}% 胜率)
-` : '暂无数据'}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📱 查看详情
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  if (stats.totalPnL > 0) {
+    if (stats.winRate < 40) tips.push('low_win_rate');
+    if (stats.profitFactor < 1.5) tips.push('low_profit_factor');
+    if (stats.avgLoss > stats.avgWin * 2) tips.push('large_losses');
+    return { level: 'improve', tips };
+  }
 
-Hyperliquid: https://app.hyperliquid${config.tradingEnabled ? '' : '-testnet'}.xyz/
+  if (stats.wins === 0 && stats.totalTrades > 3) tips.push('losing_streak');
+  if (stats.winRate < 30) tips.push('very_low_win_rate');
+  if (stats.profitFactor < 1) tips.push('negative_edge');
+  if (stats.totalPnL < -500) tips.push('large_drawdown');
+  if (tips.length === 0) tips.push('analyze_losses', 'consider_pause');
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-⚠️  这是自动生成的报告，请勿直接回复
-💡 如需调整策略参数，请修改环境变量配置
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-  `.trim();
+  return { level: 'review', tips };
+}
 
-  // ═══════════════════════════════════════════════════════════════════════
-  // 发送邮件
-  // ═══════════════════════════════════════════════════════════════════════
+// ═════════════════════════════════════════════════════════════════════════
+// 发送每周报告
+// ═════════════════════════════════════════════════════════════════════════
 
-  try {
-    const info = await transporter.sendMail({
-      from: `"OB Trading Bot Report" <${config.emailConfig.auth.user}>`,
-      to: config.emailRecipient,
-      subject: subject,
-      text: body,
-      html: `<pre style="font-family: 'Courier New', monospace; font-size: 11px; line-height: 1.5; background: #0d1117; color: #c9d1d9; padding: 24px; border-radius: 6px; border: 1px solid #30363d;">${body}</pre>`,
-    });
+async function sendWeeklyReport({ notifier, config, stats, retestStats, startDate, endDate }) {
+  // 按时间倒序，只展示最近 maxTradesDisplay 笔
+  const trades = [...stats.trades].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const shown = trades.slice(0, config.maxTradesDisplay);
+
+  const result = await notifier.notify({
+    event: NOTIFY_EVENT.WEEKLY_REPORT,
+    severity: SEVERITY.INFO,
+    data: {
+      period: { from: startDate.toISOString(), to: endDate.toISOString() },
+      generatedAt: new Date().toISOString(),
+      tradingEnabled: config.tradingEnabled,
+      stats: {
+        totalPnL: stats.totalPnL,
+        totalFees: stats.totalFees,
+        totalFunding: stats.totalFunding,
+        totalTrades: stats.totalTrades,
+        wins: stats.wins,
+        losses: stats.losses,
+        breakeven: stats.breakeven,
+        winRate: stats.winRate,
+        profitFactor: stats.profitFactor,
+        avgWin: stats.avgWin,
+        avgLoss: stats.avgLoss,
+        largestWin: stats.largestWin,
+        largestLoss: stats.largestLoss,
+        longTrades: stats.longTrades,
+        longWins: stats.longWins,
+        longLosses: stats.longLosses,
+        shortTrades: stats.shortTrades,
+        shortWins: stats.shortWins,
+        shortLosses: stats.shortLosses,
+        avgHoldingTime: stats.avgHoldingTime,
+        maxHoldingTime: stats.maxHoldingTime,
+        highConfidenceCount: stats.highConfidenceCount,
+        highConfidenceWinRate: stats.highConfidenceWinRate,
+        mediumConfidenceCount: stats.mediumConfidenceCount,
+        mediumConfidenceWinRate: stats.mediumConfidenceWinRate
+      },
+      trades: shown.map(t => ({ timestamp: t.timestamp, side: t.side, price: t.price, pnl: t.pnl, pnlPercent: t.pnlPercent })),
+      hiddenTrades: trades.length - shown.length,
+      retestStats,
+      assessment: assessPerformance(stats)
+    }
+  });
 
-    log(`   Message ID: ${info.messageId}`);
-  } catch (err) {
-    throw new Error(`Email sending failed: ${err.message}`);
+  if (result.sent.length === 0) {
+    throw new Error(`Report sending failed: ${result.failed.map(f => `${f.channel}: ${f.error}`).join('; ')}`);
   }
-}
\ No newline at end of file
+
+  return result;
+}
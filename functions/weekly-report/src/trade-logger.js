@@ -3,60 +3,53 @@
  * 用于记录所有交易活动，生成报告
  */
 
-const { COLLECTIONS } = require('./constants');
-
 /**
  * 记录交易事件
  */
-async function logTradeEvent(databases, databaseId, eventData) {
-  const { ID } = require('node-appwrite');
-  
+async function logTradeEvent(repository, eventData) {
   try {
-    await databases.createDocument(
-      databaseId,
-      COLLECTIONS.TRADE_LOGS,
-      ID.unique(),
-      {
-        timestamp: new Date().toISOString(),
-        eventType: eventData.eventType,  // 'OPEN', 'ADD', 'CLOSE'
-        symbol: eventData.symbol,
-        side: eventData.side,
-        
-        // 交易详情
-        price: eventData.price,
-        size: eventData.size,
-        fee: eventData.fee || 0,
-        
-        // 持仓信息
-        positionId: eventData.positionId,
-        avgEntryPrice: eventData.avgEntryPrice,
-        totalSize: eventData.totalSize,
-        
-        // 盈亏（仅平仓时）
-        pnl: eventData.pnl || 0,
-        pnlPercent: eventData.pnlPercent || 0,
-        exitReason: eventData.exitReason || null,
-        
-        // OB 信息
-        obId: eventData.obId,
-        obType: eventData.obType,
-        obConfidence: eventData.obConfidence,
-        
-        // 策略信息
-        strategy: eventData.strategy || 'ob_breakout',
-        orderStrategy: eventData.orderStrategy,  // 'market' or 'limit'
-        
-        // 元数据
-        metadata: JSON.stringify({
-          balance: eventData.balance,
-          leverage: eventData.leverage,
-          stopLoss: eventData.stopLoss,
-          liquidationPrice: eventData.liquidationPrice,
-          deviation: eventData.deviation,
-          obAge: eventData.obAge
-        })
-      }
-    );
+    await repository.createTradeLog({
+      timestamp: new Date().toISOString(),
+      eventType: eventData.eventType,  // 'OPEN', 'ADD', 'PARTIAL_CLOSE', 'CLOSE'
+      symbol: eventData.symbol,
+      side: eventData.side,
+      
+      // 交易详情
+      price: eventData.price,
+      size: eventData.size,
+      fee: eventData.fee || 0,
+      
+      // 持仓信息
+      positionId: eventData.positionId,
+      avgEntryPrice: eventData.avgEntryPrice,
+      totalSize: eventData.totalSize,
+      
+      // 盈亏（仅平仓 / 部分平仓时，各自只含本次平掉的数量）
+      pnl: eventData.pnl || 0,
+      pnlPercent: eventData.pnlPercent || 0,
+      exitReason: eventData.exitReason || null,
+      
+      // OB 信息
+      obId: eventData.obId,
+      obType: eventData.obType,
+      obConfidence: eventData.obConfidence,
+      
+      // 策略信息
+      strategy: eventData.strategy || 'ob_breakout',
+      orderStrategy: eventData.orderStrategy,  // 'market' or 'limit'
+      
+      // 元数据
+      metadata: JSON.stringify({
+        balance: eventData.balance,
+        leverage: eventData.leverage,
+        stopLoss: eventData.stopLoss,
+        liquidationPrice: eventData.liquidationPrice,
+        deviation: eventData.deviation,
+        obAge: eventData.obAge,
+        funding: eventData.funding,
+        reconciled: eventData.reconciled
+      })
+    });
     
     return { success: true };
   } catch (err) {
@@ -65,22 +58,20 @@ async function logTradeEvent(databases, databaseId, eventData) {
   }
 }
 
+function parseTradeMetadata(trade) {
+  try {
+    return trade.metadata ? JSON.parse(trade.metadata) : {};
+  } catch (err) {
+    return {};
+  }
+}
+
 /**
  * 获取交易统计
  */
-async function getTradeStats(databases, databaseId, startDate, endDate) {
-  const { Query } = require('node-appwrite');
-  
+async function getTradeStats(repository, startDate, endDate) {
   try {
-    const trades = await databases.listDocuments(
-      databaseId,
-      COLLECTIONS.TRADE_LOGS,
-      [
-        Query.greaterThanEqual('timestamp', startDate.toISOString()),
-        Query.lessThanEqual('timestamp', endDate.toISOString()),
-        Query.limit(1000)
-      ]
-    );
+    const trades = await repository.getTradeLogs(startDate, endDate, 1000);
 
     const stats = {
       totalTrades: 0,
@@ -89,6 +80,7 @@ async function getTradeStats(databases, databaseId, startDate, endDate) {
       breakeven: 0,
       totalPnL: 0,
       totalFees: 0,
+      totalFunding: 0,
       avgWin: 0,
       avgLoss: 0,
       largestWin: 0,
@@ -101,25 +93,39 @@ async function getTradeStats(databases, databaseId, startDate, endDate) {
     let winPnL = 0;
     let lossPnL = 0;
 
+    // 分批平仓的盈亏计入总盈亏，并在整笔交易平仓时合并判断输赢
+    const partialPnL = {};
+
+    for (const trade of trades.documents) {
+      if (trade.eventType === 'PARTIAL_CLOSE') {
+        stats.totalPnL += trade.pnl;
+        stats.totalFees += trade.fee;
+        partialPnL[trade.positionId] = (partialPnL[trade.positionId] || 0) + trade.pnl;
+      }
+    }
+
     for (const trade of trades.documents) {
       if (trade.eventType === 'CLOSE') {
+        const tradePnL = trade.pnl + (partialPnL[trade.positionId] || 0);
+
         stats.totalTrades++;
         stats.totalPnL += trade.pnl;
         stats.totalFees += trade.fee;
+        stats.totalFunding += parseTradeMetadata(trade).funding || 0;
 
-        if (trade.pnl > 0) {
+        if (tradePnL > 0) {
           stats.wins++;
-          winPnL += trade.pnl;
-          if (trade.pnl > stats.largestWin) stats.largestWin = trade.pnl;
-        } else if (trade.pnl < 0) {
+          winPnL += tradePnL;
+          if (tradePnL > stats.largestWin) stats.largestWin = tradePnL;
+        } else if (tradePnL < 0) {
           stats.losses++;
-          lossPnL += Math.abs(trade.pnl);
-          if (trade.pnl < stats.largestLoss) stats.largestLoss = trade.pnl;
+          lossPnL += Math.abs(tradePnL);
+          if (tradePnL < stats.largestLoss) stats.largestLoss = tradePnL;
         } else {
           stats.breakeven++;
         }
 
-        stats.trades.push(trade);
+        stats.trades.push({ ...trade, pnl: tradePnL });
       }
     }
 
@@ -0,0 +1,90 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const BinanceAPI = require('../shared/binance');
+const { loadBacktestConfig } = require('../backtest/config');
+const { BacktestEngine, loadBacktestData } = require('../backtest/engine');
+
+/**
+ * 解析命令行参数：--symbol BTCUSDT --from 2024-01-01 --to 2024-06-01 --out result.json --verbose
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+
+  return args;
+}
+
+async function runBacktest() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const overrides = {};
+  if (args.symbol) overrides.symbol = String(args.symbol).toUpperCase();
+  if (args.step) overrides.stepTimeframe = args.step;
+  if (args.balance) overrides.initialBalance = parseFloat(args.balance);
+
+  const config = loadBacktestConfig(process.env, overrides);
+
+  const to = args.to ? new Date(args.to) : new Date();
+  const from = args.from ? new Date(args.from) : new Date(to.getTime() - 90 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    throw new Error('Invalid --from / --to range');
+  }
+
+  console.log(`
+╔════════════════════════════════════════════════════════════╗
+║                HYPERLIQUID OB TRADER - BACKTEST            ║
+╚════════════════════════════════════════════════════════════╝
+
+📊 Symbol: ${config.symbol} (${config.entryTimeframe}, step ${config.stepTimeframe})
+📅 Range: ${from.toISOString()} → ${to.toISOString()}
+💰 Initial Balance: $${config.initialBalance.toLocaleString()}
+⚡ Leverage: ${config.leverage}x | Risk: ${config.riskPercent}%
+`);
+
+  console.log('1️⃣  Loading historical klines...');
+  const binance = new BinanceAPI();
+  const data = await loadBacktestData(binance, config, from, to);
+  console.log(`   ✅ ${data.entryKlines.length} entry / ${data.stepKlines.length} step klines\n`);
+
+  console.log('2️⃣  Replaying...');
+  const engine = new BacktestEngine(config, args.verbose ? msg => console.log(`   ${msg}`) : undefined);
+  const result = engine.run(data);
+
+  const s = result.summary;
+  console.log(`
+3️⃣  Summary
+   Trades: ${s.totalTrades} (${s.wins}W / ${s.losses}L, win rate ${s.winRate.toFixed(1)}%)
+   Net PnL: $${s.totalPnL.toFixed(2)} (fees $${s.totalFees.toFixed(2)}, funding $${s.totalFunding.toFixed(2)})
+   Return: ${s.returnPercent.toFixed(2)}% | Max DD: ${s.maxDrawdownPercent.toFixed(2)}%
+   Profit Factor: ${s.profitFactor.toFixed(2)} | Avg R: ${s.avgRMultiple.toFixed(2)}
+   Exit Reasons: ${JSON.stringify(s.exitReasons)}
+`);
+
+  const outFile = args.out
+    ? path.resolve(args.out)
+    : path.join(__dirname, '..', 'test-results', `backtest-${config.symbol}-${Date.now()}.json`);
+
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+  console.log(`💾 Saved to ${outFile}`);
+}
+
+runBacktest().catch(err => {
+  console.error(`❌ Backtest failed: ${err.message}`);
+  process.exit(1);
+});
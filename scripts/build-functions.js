@@ -6,11 +6,17 @@ const path = require('path');
 console.log('🔨 Building Appwrite Functions...\n');
 
 // 定义每个 Function 需要的共享文件
+// 所有 Function 都通过 Repository 访问存储
+const REPOSITORY_FILES = ['repository.js', 'appwrite-client.js', 'local-repository.js'];
+
 const FUNCTION_DEPENDENCIES = {
-  'scanner': ['binance.js', 'ob-detector.js', 'constants.js'],
-  'entry-monitor': ['hyperliquid.js', 'strategy.js', 'constants.js', 'binance.js'],
-  'position-monitor': ['hyperliquid.js', 'strategy.js', 'constants.js'],
-  'atr-calculator': ['binance.js', 'constants.js']
+  'scanner': ['binance.js', 'ob-detector.js', 'fvg-detector.js', 'confluence.js', 'ob-scoring.js', 'market-structure.js', 'ob-lifecycle.js', 'breaker-block.js', 'notifier.js', 'notification-templates.js', 'notification-gate.js', 'constants.js', ...REPOSITORY_FILES],
+  'entry-monitor': ['hyperliquid.js', 'hyperliquid-signing.js', 'market-meta.js', 'cost-model.js', 'strategy.js', 'market-structure.js', 'confluence.js', 'ob-scoring.js', 'account-protection.js', 'notifier.js', 'notification-templates.js', 'notification-gate.js', 'constants.js', 'binance.js', ...REPOSITORY_FILES],
+  'position-monitor': ['hyperliquid.js', 'hyperliquid-signing.js', 'market-meta.js', 'cost-model.js', 'strategy.js', 'stop-management.js', 'fill-reconciliation.js', 'position-actions.js', 'notifier.js', 'notification-templates.js', 'notification-gate.js', 'constants.js', 'binance.js', ...REPOSITORY_FILES],
+  'atr-calculator': ['binance.js', 'constants.js', ...REPOSITORY_FILES],
+  'reconciler': ['hyperliquid.js', 'hyperliquid-signing.js', 'market-meta.js', 'cost-model.js', 'fill-reconciliation.js', 'notifier.js', 'notification-templates.js', 'notification-gate.js', 'constants.js', ...REPOSITORY_FILES],
+  'control-api': ['hyperliquid.js', 'hyperliquid-signing.js', 'market-meta.js', 'cost-model.js', 'strategy.js', 'stop-management.js', 'fill-reconciliation.js', 'position-actions.js', 'account-protection.js', 'notifier.js', 'notification-templates.js', 'notification-gate.js', 'constants.js', ...REPOSITORY_FILES],
+  'weekly-report': ['ob-lifecycle.js', 'notifier.js', 'notification-templates.js', 'constants.js', ...REPOSITORY_FILES]
 };
 
 const SHARED_DIR = path.join(__dirname, '..', 'shared');
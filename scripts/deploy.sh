@@ -46,6 +46,20 @@ npm install
 appwrite deploy function --functionId atr-calculator
 cd ../..
 
+# Reconciler
+echo "   Deploying Reconciler..."
+cd functions/reconciler
+npm install
+appwrite deploy function --functionId reconciler
+cd ../..
+
+# Control API
+echo "   Deploying Control API..."
+cd functions/control-api
+npm install
+appwrite deploy function --functionId control-api
+cd ../..
+
 echo ""
 echo "✅ Deployment complete!"
 echo ""
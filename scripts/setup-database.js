@@ -60,12 +60,30 @@ async function setupDatabase() {
           { type: 'string', key: 'processedReason', size: 50, required: false },
           { type: 'datetime', key: 'brokenAt', required: false },
           { type: 'double', key: 'brokenPrice', required: false },
+          { type: 'datetime', key: 'mitigatedAt', required: false },
+          { type: 'double', key: 'mitigatedPrice', required: false },
+          { type: 'double', key: 'confluenceScore', required: false },
+          { type: 'string', key: 'fvgConfluence', size: 10, required: false },
+          { type: 'double', key: 'qualityScore', required: false },
+          { type: 'string', key: 'scoreBreakdown', size: 500, required: false },
+          { type: 'integer', key: 'touchCount', required: false },
+          { type: 'datetime', key: 'firstTouchAt', required: false },
+          { type: 'datetime', key: 'lastTouchCandleTime', required: false },
+          { type: 'double', key: 'maxPenetration', required: false },
+          { type: 'integer', key: 'timeToMitigationMinutes', required: false },
+          { type: 'datetime', key: 'lifecycleCheckedAt', required: false },
+          { type: 'string', key: 'blockType', size: 20, required: false },
+          { type: 'string', key: 'sourceOBId', size: 36, required: false },
+          { type: 'string', key: 'breakerId', size: 36, required: false },
           { type: 'datetime', key: 'createdAt', required: true }
         ],
         indexes: [
           { key: 'symbol_idx', type: 'key', attributes: ['symbol'] },
+          { key: 'timeframe_idx', type: 'key', attributes: ['timeframe'] },
           { key: 'active_idx', type: 'key', attributes: ['isActive'] },
-          { key: 'processed_idx', type: 'key', attributes: ['isProcessed'] }
+          { key: 'processed_idx', type: 'key', attributes: ['isProcessed'] },
+          { key: 'first_touch_idx', type: 'key', attributes: ['firstTouchAt'] },
+          { key: 'source_ob_idx', type: 'key', attributes: ['sourceOBId'] }
         ]
       },
       {
@@ -78,8 +96,11 @@ async function setupDatabase() {
           { type: 'string', key: 'side', size: 10, required: true },
           { type: 'double', key: 'entryPrice', required: true },
           { type: 'double', key: 'size', required: true },
+          { type: 'double', key: 'remainingSize', required: false },
           { type: 'double', key: 'stopLoss', required: true },
+          { type: 'double', key: 'initialStopLoss', required: false },
           { type: 'string', key: 'stopLossOrderId', size: 100, required: false },
+          { type: 'string', key: 'takeProfits', size: 2000, required: false },
           { type: 'double', key: 'liquidationPrice', required: true },
           { type: 'integer', key: 'leverage', required: true },
           { type: 'double', key: 'margin', required: true },
@@ -89,13 +110,22 @@ async function setupDatabase() {
           { type: 'double', key: 'exitPrice', required: false },
           { type: 'string', key: 'exitReason', size: 50, required: false },
           { type: 'double', key: 'pnl', required: false },
+          { type: 'double', key: 'realizedPnL', required: false },
+          { type: 'integer', key: 'scaleOutStage', required: false },
+          { type: 'string', key: 'scaleOuts', size: 4000, required: false },
+          { type: 'datetime', key: 'lastPartialExitTime', required: false },
           { type: 'double', key: 'entryFee', required: false },
           { type: 'double', key: 'exitFee', required: false },
+          { type: 'double', key: 'funding', required: false },
+          { type: 'datetime', key: 'reconciledAt', required: false },
           { type: 'string', key: 'relatedOB', size: 100, required: false },
+          { type: 'double', key: 'obScore', required: false },
           { type: 'datetime', key: 'lastChecked', required: false },
           { type: 'double', key: 'lastPrice', required: false },
           { type: 'double', key: 'unrealizedPnL', required: false },
-          { type: 'datetime', key: 'lastStopUpdate', required: false }
+          { type: 'datetime', key: 'lastStopUpdate', required: false },
+          { type: 'string', key: 'stopPolicy', size: 20, required: false },
+          { type: 'string', key: 'stopHistory', size: 4000, required: false }
         ],
         indexes: [
           { key: 'status_idx', type: 'key', attributes: ['status'] },
@@ -111,11 +141,60 @@ async function setupDatabase() {
           { type: 'string', key: 'symbol', size: 20, required: true },
           { type: 'string', key: 'indicator', size: 20, required: true },
           { type: 'string', key: 'timeframe', size: 10, required: false },
+          { type: 'integer', key: 'period', required: false },
           { type: 'double', key: 'value', required: true },
-          { type: 'datetime', key: 'timestamp', required: true }
+          { type: 'datetime', key: 'timestamp', required: true },
+          { type: 'string', key: 'metadata', size: 1000, required: false }
+        ],
+        indexes: [
+          { key: 'symbol_indicator_idx', type: 'key', attributes: ['symbol', 'indicator'] },
+          { key: 'indicator_series_idx', type: 'key', attributes: ['symbol', 'indicator', 'timeframe', 'period', 'timestamp'] }
+        ]
+      },
+      {
+        id: 'fair_value_gaps',
+        name: 'Fair Value Gaps',
+        permissions: [],
+        documentSecurity: false,
+        attributes: [
+          { type: 'string', key: 'symbol', size: 20, required: true },
+          { type: 'string', key: 'timeframe', size: 10, required: true },
+          { type: 'string', key: 'type', size: 10, required: true },
+          { type: 'double', key: 'top', required: true },
+          { type: 'double', key: 'bottom', required: true },
+          { type: 'datetime', key: 'timestamp', required: true },
+          { type: 'datetime', key: 'confirmationTime', required: true },
+          { type: 'double', key: 'fillPercent', required: false },
+          { type: 'datetime', key: 'mitigatedAt', required: false },
+          { type: 'datetime', key: 'filledAt', required: false },
+          { type: 'boolean', key: 'isFilled', required: true, default: false },
+          { type: 'boolean', key: 'isActive', required: true, default: true },
+          { type: 'datetime', key: 'createdAt', required: false }
         ],
         indexes: [
-          { key: 'symbol_indicator_idx', type: 'key', attributes: ['symbol', 'indicator'] }
+          { key: 'fvg_active_idx', type: 'key', attributes: ['symbol', 'timeframe', 'isActive'] },
+          { key: 'fvg_confirmation_idx', type: 'key', attributes: ['symbol', 'timeframe', 'confirmationTime'] }
+        ]
+      },
+      {
+        id: 'market_structure',
+        name: 'Market Structure',
+        permissions: [],
+        documentSecurity: false,
+        attributes: [
+          { type: 'string', key: 'symbol', size: 20, required: true },
+          { type: 'string', key: 'timeframe', size: 10, required: true },
+          { type: 'string', key: 'type', size: 20, required: true },
+          { type: 'string', key: 'direction', size: 10, required: false },
+          { type: 'double', key: 'price', required: true },
+          { type: 'datetime', key: 'timestamp', required: true },
+          { type: 'datetime', key: 'swingTime', required: false },
+          { type: 'double', key: 'close', required: false },
+          { type: 'datetime', key: 'createdAt', required: false }
+        ],
+        indexes: [
+          { key: 'structure_series_idx', type: 'key', attributes: ['symbol', 'timeframe', 'timestamp'] },
+          { key: 'structure_type_idx', type: 'key', attributes: ['symbol', 'timeframe', 'type'] }
         ]
       },
       {
@@ -147,10 +226,31 @@ async function setupDatabase() {
         indexes: [
           { key: 'timestamp_idx', type: 'key', attributes: ['timestamp'] }
         ]
+      },
+      {
+        id: 'notifications',
+        name: 'Notifications',
+        permissions: [],
+        documentSecurity: false,
+        attributes: [
+          { type: 'string', key: 'key', size: 50, required: false },
+          { type: 'string', key: 'event', size: 50, required: true },
+          { type: 'string', key: 'severity', size: 20, required: true },
+          { type: 'string', key: 'data', size: 5000, required: false },
+          { type: 'integer', key: 'count', required: false },
+          { type: 'datetime', key: 'createdAt', required: true },
+          { type: 'datetime', key: 'lastSeenAt', required: false },
+          { type: 'datetime', key: 'digestedAt', required: false }
+        ],
+        indexes: [
+          { key: 'key_idx', type: 'key', attributes: ['key', 'digestedAt'] },
+          { key: 'pending_idx', type: 'key', attributes: ['digestedAt', 'createdAt'] }
+        ]
       }
     ];
 
     for (const collection of collections) {
+      // 集合已存在（409）时仍补齐缺失的属性 / 索引，重复执行不会跳过后加的字段
       try {
         console.log(`Creating collection: ${collection.name}...`);
         
@@ -166,102 +266,108 @@ async function setupDatabase() {
 
         // 等待集合创建完成
         await sleep(1000);
-
-        // 创建属性
-        for (const attr of collection.attributes) {
-          try {
-            if (attr.type === 'string') {
-              await databases.createStringAttribute(
-                dbId,
-                collection.id,
-                attr.key,
-                attr.size,
-                attr.required,
-                attr.default,
-                attr.array || false
-              );
-            } else if (attr.type === 'double') {
-              await databases.createFloatAttribute(
-                dbId,
-                collection.id,
-                attr.key,
-                attr.required,
-                attr.min,
-                attr.max,
-                attr.default,
-                attr.array || false
-              );
-            } else if (attr.type === 'integer') {
-              await databases.createIntegerAttribute(
-                dbId,
-                collection.id,
-                attr.key,
-                attr.required,
-                attr.min,
-                attr.max,
-                attr.default,
-                attr.array || false
-              );
-            } else if (attr.type === 'boolean') {
-              await databases.createBooleanAttribute(
-                dbId,
-                collection.id,
-                attr.key,
-                attr.required,
-                attr.default,
-                attr.array || false
-              );
-            } else if (attr.type === 'datetime') {
-              await databases.createDatetimeAttribute(
-                dbId,
-                collection.id,
-                attr.key,
-                attr.required,
-                attr.default,
-                attr.array || false
-              );
-            }
-            
-            await sleep(200); // 等待属性创建
-          } catch (attrErr) {
-            if (attrErr.code !== 409) {
-              console.warn(`   ⚠️  Failed to create attribute ${attr.key}: ${attrErr.message}`);
-            }
-          }
+      } catch (err) {
+        if (err.code === 409) {
+          console.log(`   ⏭️  Collection ${collection.name} already exists, syncing attributes`);
+        } else {
+          console.error(`   ❌ Error creating ${collection.name}: ${err.message}\n`);
+          continue;
         }
+      }
 
-        console.log(`   ✅ Added ${collection.attributes.length} attributes`);
-
-        // 等待所有属性创建完成
-        await sleep(3000);
-
-        // 创建索引
-        for (const index of collection.indexes) {
-          try {
-            await databases.createIndex(
+      // 创建属性（已存在的返回 409，跳过）
+      let createdAttributes = 0;
+      for (const attr of collection.attributes) {
+        try {
+          if (attr.type === 'string') {
+            await databases.createStringAttribute(
+              dbId,
+              collection.id,
+              attr.key,
+              attr.size,
+              attr.required,
+              attr.default,
+              attr.array || false
+            );
+          } else if (attr.type === 'double') {
+            await databases.createFloatAttribute(
+              dbId,
+              collection.id,
+              attr.key,
+              attr.required,
+              attr.min,
+              attr.max,
+              attr.default,
+              attr.array || false
+            );
+          } else if (attr.type === 'integer') {
+            await databases.createIntegerAttribute(
+              dbId,
+              collection.id,
+              attr.key,
+              attr.required,
+              attr.min,
+              attr.max,
+              attr.default,
+              attr.array || false
+            );
+          } else if (attr.type === 'boolean') {
+            await databases.createBooleanAttribute(
+              dbId,
+              collection.id,
+              attr.key,
+              attr.required,
+              attr.default,
+              attr.array || false
+            );
+          } else if (attr.type === 'datetime') {
+            await databases.createDatetimeAttribute(
               dbId,
               collection.id,
-              index.key,
-              index.type,
-              index.attributes
+              attr.key,
+              attr.required,
+              attr.default,
+              attr.array || false
             );
-            await sleep(200);
-          } catch (indexErr) {
-            if (indexErr.code !== 409) {
-              console.warn(`   ⚠️  Failed to create index ${index.key}: ${indexErr.message}`);
-            }
+          }
+
+          createdAttributes++;
+          await sleep(200); // 等待属性创建
+        } catch (attrErr) {
+          if (attrErr.code !== 409) {
+            console.warn(`   ⚠️  Failed to create attribute ${attr.key}: ${attrErr.message}`);
           }
         }
+      }
 
-        console.log(`   ✅ Added ${collection.indexes.length} indexes\n`);
+      console.log(`   ✅ Added ${createdAttributes} / ${collection.attributes.length} attributes`);
 
-      } catch (err) {
-        if (err.code === 409) {
-          console.log(`   ⏭️  Collection ${collection.name} already exists\n`);
-        } else {
-          console.error(`   ❌ Error creating ${collection.name}: ${err.message}\n`);
+      // 等待所有属性创建完成
+      if (createdAttributes > 0) {
+        await sleep(3000);
+      }
+
+      // 创建索引（已存在的返回 409，跳过）
+      let createdIndexes = 0;
+      for (const index of collection.indexes) {
+        try {
+          await databases.createIndex(
+            dbId,
+            collection.id,
+            index.key,
+            index.type,
+            index.attributes
+          );
+          createdIndexes++;
+          await sleep(200);
+        } catch (indexErr) {
+          if (indexErr.code !== 409) {
+            console.warn(`   ⚠️  Failed to create index ${index.key}: ${indexErr.message}`);
+          }
         }
       }
+
+      console.log(`   ✅ Added ${createdIndexes} / ${collection.indexes.length} indexes\n`);
     }
 
     console.log('✅ Database setup complete!');
@@ -0,0 +1,88 @@
+/**
+ * 启动本地 Hyperliquid 交易所替身
+ *
+ *   node scripts/simulator.js --port 8787 --prices BTC=60000,ETH=3000 --interval 1000 --volatility 0.001
+ *   node scripts/simulator.js --replay ticks.json      # [{ "coin": "BTC", "px": 60000 }, ...]
+ *
+ * 然后设置 HYPERLIQUID_API_URL=http://127.0.0.1:8787 运行 entry-monitor / position-monitor
+ */
+
+const fs = require('fs');
+const { MatchingEngine } = require('../simulator/matching-engine');
+const { ExchangeSimulator } = require('../simulator/server');
+const { PriceFeed } = require('../simulator/price-feed');
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    args[argv[i].slice(2)] = argv[i + 1];
+    i++;
+  }
+
+  return args;
+}
+
+function parsePrices(text) {
+  const prices = {};
+
+  for (const pair of text.split(',')) {
+    const [coin, px] = pair.split('=');
+    prices[coin.trim().toUpperCase()] = parseFloat(px);
+  }
+
+  return prices;
+}
+
+async function startSimulator() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const engine = new MatchingEngine({
+    prices: parsePrices(args.prices || 'BTC=60000,ETH=3000'),
+    initialBalance: parseFloat(args.balance) || 10000,
+    leverage: parseInt(args.leverage) || parseInt(process.env.LEVERAGE) || 3
+  });
+
+  const simulator = new ExchangeSimulator({
+    engine,
+    isMainnet: args.network === 'mainnet',
+    log: msg => console.log(`   ${msg}`)
+  });
+
+  const baseURL = await simulator.listen(parseInt(args.port) || 8787);
+
+  const feed = new PriceFeed(engine, {
+    ticks: args.replay ? JSON.parse(fs.readFileSync(args.replay, 'utf8')) : null,
+    intervalMs: parseInt(args.interval) || 1000,
+    volatility: parseFloat(args.volatility) || 0.001,
+    log: msg => console.log(`   ${msg}`)
+  });
+  feed.start();
+
+  console.log(`
+╔════════════════════════════════════════════════════════════╗
+║           HYPERLIQUID OB TRADER - LOCAL EXCHANGE           ║
+╚════════════════════════════════════════════════════════════╝
+
+🌐 ${baseURL}
+📊 Prices: ${JSON.stringify(engine.getMids())}
+⏱️  Feed: ${args.replay ? `replay ${args.replay}` : 'random walk'} every ${feed.intervalMs}ms
+
+export HYPERLIQUID_API_URL=${baseURL}
+`);
+
+  const shutdown = async () => {
+    feed.stop();
+    await simulator.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+startSimulator().catch(err => {
+  console.error(`❌ Simulator failed: ${err.message}`);
+  process.exit(1);
+});
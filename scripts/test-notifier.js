@@ -0,0 +1,73 @@
+/**
+ * 测试通知渠道
+ *
+ *   node scripts/test-notifier.js                      # 按 .env 配置发往真实渠道
+ *   node scripts/test-notifier.js --local              # 启动本地 webhook 替身，telegram / discord / slack / webhook 全部指向它
+ *   node scripts/test-notifier.js --event trade_close --severity warning
+ */
+
+require('dotenv').config();
+const { createNotifier, NOTIFY_EVENT, SEVERITY } = require('../shared/notifier');
+const { WebhookServer } = require('../simulator/webhook-server');
+
+function parseArgs(argv) {
+  const args = { local: false, event: NOTIFY_EVENT.EMERGENCY, severity: SEVERITY.INFO };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--local') args.local = true;
+    else if (argv[i] === '--event') args.event = argv[++i];
+    else if (argv[i] === '--severity') args.severity = argv[++i];
+  }
+
+  return args;
+}
+
+async function testNotifier() {
+  const args = parseArgs(process.argv.slice(2));
+  console.log('🔔 Testing notification channels...\n');
+
+  let server = null;
+  let env = process.env;
+
+  if (args.local) {
+    server = new WebhookServer();
+    const baseURL = await server.listen();
+    env = { ...process.env, EMAIL_ENABLED: 'false', ...server.channelEnv() };
+    console.log(`🌐 Local webhook stand-in: ${baseURL}\n`);
+  }
+
+  const notifier = createNotifier(env, { log: console.log });
+  const channels = notifier.getChannels(args.event, args.severity);
+
+  console.log(`📋 Configured: ${notifier.channels.map(c => `${c.name}(≥${c.minSeverity})`).join(', ') || 'none'}`);
+  console.log(`📤 ${args.event} / ${args.severity} → ${channels.map(c => c.name).join(', ') || 'no channel'}\n`);
+
+  const result = await notifier.notify({
+    event: args.event,
+    severity: args.severity,
+    subject: '🧪 测试通知 - OB 交易系统',
+    body: `✅ 通知渠道配置正确！\n\n事件: ${args.event}\n级别: ${args.severity}\n发送时间: ${new Date().toLocaleString('en-NZ', { timeZone: 'Pacific/Auckland' })}`,
+    data: { test: true }
+  });
+
+  console.log(`✅ Sent: ${result.sent.join(', ') || 'none'}`);
+  for (const f of result.failed) {
+    console.log(`❌ ${f.channel}: ${f.error}`);
+  }
+
+  if (server) {
+    console.log('\n📨 Received by stand-in:');
+    for (const m of server.received()) {
+      console.log(`   ${m.channel.padEnd(8)} ${m.path}`);
+      console.log(`   ${JSON.stringify(m.body).substring(0, 200)}`);
+    }
+    await server.close();
+  }
+
+  process.exit(result.failed.length === 0 ? 0 : 1);
+}
+
+testNotifier().catch(err => {
+  console.error(`❌ Notifier test failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+/**
+ * Hyperliquid 签名离线校验（官方 Python SDK 测试向量）
+ */
+
+const { ethers } = require('ethers');
+const {
+  signL1Action,
+  floatToWire,
+  orderToWire,
+  orderWiresToOrderAction
+} = require('../shared/hyperliquid-signing');
+
+const PRIVATE_KEY = '0x0123456789012345678901234567890123456789012345678901234567890123';
+
+const VECTORS = [
+  {
+    name: 'dummy action (mainnet)',
+    action: { type: 'dummy', num: 100000000000 },
+    isMainnet: true,
+    expected: {
+      r: '0x53749d5b30552aeb2fca34b530185976545bb22d0b3ce6f62e31be961a59298',
+      s: '0x755c40ba9bf05223521753995abb2f73ab3229be8ec921f350cb447e384d8ed8',
+      v: 27
+    }
+  },
+  {
+    name: 'dummy action (testnet)',
+    action: { type: 'dummy', num: 100000000000 },
+    isMainnet: false,
+    expected: {
+      r: '0x542af61ef1f429707e3c76c5293c80d01f74ef853e34b76efffcb57e574f9510',
+      s: '0x17b8b32f086e8cdede991f1e2c529f5dd5297cbe8128500e00cbaf766204a613',
+      v: 28
+    }
+  },
+  {
+    name: 'ETH limit order (testnet)',
+    action: orderWiresToOrderAction([
+      orderToWire({
+        asset: 1,
+        isBuy: true,
+        limitPrice: 100,
+        size: 100,
+        reduceOnly: false,
+        orderType: { limit: { tif: 'Gtc' } }
+      })
+    ]),
+    isMainnet: false,
+    expected: {
+      r: '0x82b2ba28e76b3d761093aaded1b1cdad4960b3af30212b343fb2e6cdfa4e3d54',
+      s: '0x6b53878fc99d26047f4d7e8c90eb98955a109f44209163f52d8dc4278cbbd9f5',
+      v: 27
+    }
+  }
+];
+
+// SDK 输出的 r / s 不补前导 0，按数值比较
+function sameHex(a, b) {
+  return BigInt(a) === BigInt(b);
+}
+
+async function testSigning() {
+  console.log('🧪 Testing Hyperliquid L1 signing...\n');
+
+  const wallet = new ethers.Wallet(PRIVATE_KEY);
+  let failed = 0;
+
+  for (const vector of VECTORS) {
+    const signature = await signL1Action(wallet, vector.action, null, 0, vector.isMainnet);
+    const ok = sameHex(signature.r, vector.expected.r)
+      && sameHex(signature.s, vector.expected.s)
+      && signature.v === vector.expected.v;
+
+    if (ok) {
+      console.log(`   ✅ ${vector.name}`);
+    } else {
+      failed++;
+      console.error(`   ❌ ${vector.name}`);
+      console.error(`      expected ${JSON.stringify(vector.expected)}`);
+      console.error(`      got      ${JSON.stringify(signature)}`);
+    }
+  }
+
+  const wireCases = [[100, '100'], [0.0001, '0.0001'], [60123.5, '60123.5'], [-0, '0']];
+  for (const [input, expected] of wireCases) {
+    const wire = floatToWire(input);
+    if (wire === expected) {
+      console.log(`   ✅ floatToWire(${input}) = ${wire}`);
+    } else {
+      failed++;
+      console.error(`   ❌ floatToWire(${input}) = ${wire}, expected ${expected}`);
+    }
+  }
+
+  console.log(failed === 0 ? '\n✅ All signing checks passed' : `\n❌ ${failed} check(s) failed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+testSigning();
@@ -0,0 +1,162 @@
+/**
+ * 本地交易所替身端到端测试：HyperliquidAPI 走真实（非 Mock）下单 / 查询 / 解析路径
+ */
+
+const { ethers } = require('ethers');
+const HyperliquidAPI = require('../shared/hyperliquid');
+const { reconcilePositionFills } = require('../shared/fill-reconciliation');
+const { MatchingEngine } = require('../simulator/matching-engine');
+const { ExchangeSimulator } = require('../simulator/server');
+
+async function testSimulator() {
+  console.log('🧪 Testing HyperliquidAPI against local exchange...\n');
+
+  const engine = new MatchingEngine({ prices: { BTC: 60000, ETH: 3000 }, leverage: 3 });
+  const simulator = new ExchangeSimulator({ engine });
+  const baseURL = await simulator.listen(0);
+
+  const wallet = ethers.Wallet.createRandom();
+  const hl = new HyperliquidAPI(wallet.privateKey, true, { baseURL });
+
+  let failed = 0;
+  const check = (name, ok, detail = '') => {
+    if (ok) {
+      console.log(`   ✅ ${name}`);
+    } else {
+      failed++;
+      console.error(`   ❌ ${name} ${detail}`);
+    }
+  };
+
+  try {
+    // 1️⃣ 行情与余额
+    const price = await hl.getPrice('BTCUSDT');
+    check('getPrice', price === 60000, `got ${price}`);
+
+    const balance = await hl.getBalance();
+    check('getBalance', balance === 10000, `got ${balance}`);
+
+    // 2️⃣ 市价入场 + 止损
+    const entry = await hl.placeOrderWithStopLoss({
+      symbol: 'BTCUSDT',
+      side: 'LONG',
+      size: 0.05,
+      entryPrice: 60100,
+      stopLoss: 58000
+    });
+    check('market entry filled', entry.success && entry.orderStatus === 'filled', JSON.stringify(entry));
+
+    const position = await hl.getPosition('BTC');
+    check('position opened', position && parseFloat(position.szi) === 0.05, JSON.stringify(position));
+
+    const openOrders = engine.openOrders(wallet.address);
+    check('stop loss resting', openOrders.length === 1 && openOrders[0].isTrigger, JSON.stringify(openOrders));
+
+    // 3️⃣ 限价单 + 订单状态
+    const limit = await hl.placeOrderWithStopLoss({
+      symbol: 'ETHUSDT',
+      side: 'LONG',
+      size: 0.5,
+      entryPrice: 2950,
+      stopLoss: 2800,
+      orderType: 'limit'
+    });
+    check('limit order resting', limit.success && limit.orderStatus === 'resting', JSON.stringify(limit));
+
+    engine.setPrice('ETH', 2940);
+    const status = await hl.getOrderStatus(limit.orderId);
+    check('limit order filled', status.status === 'filled' && status.avgPrice === 2950, JSON.stringify(status));
+
+    // 4️⃣ 移动止损（撤单 + 重新下触发单）
+    const update = await hl.updateStopLoss({
+      symbol: 'BTCUSDT',
+      stopLossOrderId: entry.stopLossOrderId,
+      newStopLoss: 59000
+    });
+    check('stop loss updated', update.success, JSON.stringify(update));
+
+    // 5️⃣ 价格跌破止损 → 交易所平仓
+    const openTime = new Date(Date.now() - 1000).toISOString();
+    engine.settleFunding('BTC', 0.0001);
+    engine.setPrice('BTC', 58900);
+    const afterStop = await hl.getPosition('BTC');
+    check('stop loss triggered', afterStop === null, JSON.stringify(afterStop));
+
+    const fills = await hl.getUserFills();
+    check('fills recorded', fills.length === 3 && fills[0].dir === 'Close Long', JSON.stringify(fills[0]));
+
+    // 6️⃣ 成交对账：真实平仓价（含滑点）、手续费、资金费
+    const reconciled = await reconcilePositionFills(hl, {
+      side: 'LONG',
+      size: 0.05,
+      avgEntryPrice: entry.executionPrice,
+      openTime,
+      entryFee: entry.fee
+    }, 'BTC');
+    const expectedPnl = parseFloat(fills[0].closedPnl) - parseFloat(fills[0].fee) - reconciled.entryFee + reconciled.funding;
+    check('reconciled exit price', reconciled && reconciled.exitPrice === parseFloat(fills[0].px) && reconciled.exitPrice !== 59000, JSON.stringify(reconciled));
+    check('reconciled funding', reconciled && reconciled.funding < 0, JSON.stringify(reconciled));
+    check('reconciled pnl net of fees', reconciled && Math.abs(reconciled.pnl - expectedPnl) < 1e-9, JSON.stringify(reconciled));
+
+    // 7️⃣ 撤销不存在的订单应失败
+    const rejected = await hl.cancelOrder(999999, 'BTCUSDT');
+    check('unknown order cancel rejected', rejected.success === false, JSON.stringify(rejected));
+
+    // 8️⃣ 其他钱包签名的请求不能操作本账户
+    const other = new HyperliquidAPI(ethers.Wallet.createRandom().privateKey, true, { baseURL });
+    const otherFills = await other.getUserFills();
+    check('accounts isolated by signer', otherFills.length === 0, JSON.stringify(otherFills));
+
+    // 9️⃣ 入场 + 止损 + 多级止盈一次提交（normalTpsl）
+    const grouped = await other.placeOrderWithStopLoss({
+      symbol: 'BTCUSDT',
+      side: 'LONG',
+      size: 0.05,
+      entryPrice: 59000,
+      stopLoss: 57000,
+      takeProfits: [{ price: 60000, size: 0.03 }, { price: 61000, size: 0.02 }]
+    });
+    const groupedIds = grouped.takeProfitOrders ? grouped.takeProfitOrders.map(tp => tp.orderId) : [];
+    check('grouped entry filled', grouped.success && grouped.orderStatus === 'filled', JSON.stringify(grouped));
+    check('grouped order ids resolved', grouped.stopLossOrderId && groupedIds.length === 2 && groupedIds.every(Boolean), JSON.stringify(grouped));
+
+    const groupedOrders = engine.openOrders(other.address);
+    check('tp orders resting', groupedOrders.filter(o => o.orderType === 'Take Profit Market').length === 2, JSON.stringify(groupedOrders));
+
+    engine.setPrice('BTC', 60050);
+    const afterTp1 = await other.getPosition('BTC');
+    check('first take profit filled', afterTp1 && Math.abs(parseFloat(afterTp1.szi) - 0.02) < 1e-9, JSON.stringify(afterTp1));
+
+    engine.setPrice('BTC', 61100);
+    check('second take profit closed position', (await other.getPosition('BTC')) === null);
+    check('stop loss cancelled when flat', engine.openOrders(other.address).length === 0, JSON.stringify(engine.openOrders(other.address)));
+
+    // 🔟 限价入场：TP/SL 等待入场单成交后生效
+    const groupedLimit = await other.placeOrderWithStopLoss({
+      symbol: 'ETHUSDT',
+      side: 'LONG',
+      size: 0.5,
+      entryPrice: 2900,
+      stopLoss: 2800,
+      takeProfits: [{ price: 3100 }],
+      orderType: 'limit'
+    });
+    const waiting = engine.openOrders(other.address);
+    check('tp/sl waiting for fill', waiting.length === 1 && waiting[0].children.length === 2, JSON.stringify(waiting));
+    check('waiting child ids resolved', groupedLimit.stopLossOrderId && groupedLimit.takeProfitOrders[0].orderId, JSON.stringify(groupedLimit));
+
+    engine.setPrice('ETH', 2890);
+    const activated = engine.openOrders(other.address).map(o => o.oid).sort();
+    check('tp/sl activated on fill', JSON.stringify(activated) === JSON.stringify([groupedLimit.stopLossOrderId, groupedLimit.takeProfitOrders[0].orderId].sort()), JSON.stringify(activated));
+  } catch (err) {
+    failed++;
+    console.error(`   ❌ Unexpected error: ${err.message}`);
+  } finally {
+    await simulator.close();
+  }
+
+  console.log(failed === 0 ? '\n✅ All simulator checks passed' : `\n❌ ${failed} check(s) failed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+testSimulator();
@@ -0,0 +1,243 @@
+/**
+ * OB 检测器与 TradingView 指标的一致性检查
+ *
+ * 用法：node scripts/tv-parity.js [fixture.json ...] [--tolerance 0.01] [--verbose] [--require-export]
+ * 不指定文件时检查 scripts/fixtures/tradingview/ 下所有 fixture。
+ * --require-export：没有 source 为 tradingview 的 fixture 时失败（合成数据只验证规则推导，不代表与指标一致）。
+ *
+ * fixture 格式：
+ *   {
+ *     "description": "...", "source": "tradingview" | "synthetic",
+ *     "params": { swingLength, volumeLookback, volumeMethod, volumeParam, maxATRMultiplier, atrPeriod? },
+ *     "klines": [[openTimeMs, open, high, low, close, volume], ...],   // 或 { timestamp, open, ... }
+ *     "expected": [{ "type": "BULLISH", "confirmationTime": ISO, "top": 0, "bottom": 0 }, ...]
+ *   }
+ *
+ * expected 为指标在每根确认 K 线上画出的 OB 区间。设置 atrPeriod 时与 Scanner 一致：
+ * 用窗口最后一根的 ATR 做大小限制（指标逐根使用当时的 ATR，早期 K 线可能因此不一致）。
+ *
+ * TradingView 导出（图表菜单 "Export chart data"，CSV）：
+ *   { "source": "tradingview", "params": {...}, "csv": "BTCUSDT-4h.csv",
+ *     "boxColumns": { "BULLISH": ["Bull OB Top", "Bull OB Bottom"], "BEARISH": ["Bear OB Top", "Bear OB Bottom"] } }
+ * csv 相对 fixture 所在目录；K 线取 time / open / high / low / close / Volume 列（time 为秒级时间戳或 ISO），
+ * 指标需在确认 K 线上 plot 出 OB 上下沿（其余 K 线为 NaN），boxColumns 指定对应的列名。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ATR } = require('technicalindicators');
+const { findPotentialOrderBlocks } = require('../shared/ob-detector');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'tradingview');
+
+function parseArgs(argv) {
+  const args = { files: [], tolerance: 1e-6, verbose: false, requireExport: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--verbose') args.verbose = true;
+    else if (argv[i] === '--require-export') args.requireExport = true;
+    else if (argv[i] === '--tolerance') args.tolerance = parseFloat(argv[++i]);
+    else args.files.push(argv[i]);
+  }
+
+  return args;
+}
+
+function parseKline(row) {
+  if (Array.isArray(row)) {
+    return {
+      timestamp: new Date(Number(row[0])),
+      open: parseFloat(row[1]),
+      high: parseFloat(row[2]),
+      low: parseFloat(row[3]),
+      close: parseFloat(row[4]),
+      volume: parseFloat(row[5])
+    };
+  }
+
+  return { ...row, timestamp: new Date(row.timestamp || row.time) };
+}
+
+/**
+ * 读取 TradingView "Export chart data" 的 CSV，返回 { klines, expected }
+ */
+function parseTradingViewCsv(text, boxColumns = {}) {
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const columns = header.split(',').map(c => c.trim());
+  const col = name => {
+    const index = columns.findIndex(c => c.toLowerCase() === name.toLowerCase());
+    if (index === -1) throw new Error(`Column "${name}" not found in CSV (${columns.join(', ')})`);
+    return index;
+  };
+
+  const timeCol = col('time');
+  const [openCol, highCol, lowCol, closeCol, volumeCol] = ['open', 'high', 'low', 'close', 'volume'].map(col);
+  const boxCols = Object.entries(boxColumns).map(([type, [top, bottom]]) => ({ type, top: col(top), bottom: col(bottom) }));
+
+  const klines = [];
+  const expected = [];
+
+  for (const line of lines) {
+    const cells = line.split(',');
+    const rawTime = cells[timeCol].trim();
+    const timestamp = /^\d+$/.test(rawTime) ? new Date(Number(rawTime) * 1000) : new Date(rawTime);
+
+    klines.push({
+      timestamp,
+      open: parseFloat(cells[openCol]),
+      high: parseFloat(cells[highCol]),
+      low: parseFloat(cells[lowCol]),
+      close: parseFloat(cells[closeCol]),
+      volume: parseFloat(cells[volumeCol])
+    });
+
+    for (const box of boxCols) {
+      const top = parseFloat(cells[box.top]);
+      const bottom = parseFloat(cells[box.bottom]);
+      if (Number.isFinite(top) && Number.isFinite(bottom)) {
+        expected.push({ type: box.type, confirmationTime: timestamp.toISOString(), top, bottom });
+      }
+    }
+  }
+
+  return { klines, expected };
+}
+
+function obKey(type, time) {
+  return `${new Date(time).toISOString()} ${type}`;
+}
+
+/**
+ * 检查单个 fixture
+ * @returns {Object} { name, synthetic, matched, mismatches: [{ bar, kind, expected, actual }] }
+ */
+function checkFixture(file, { tolerance }) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (fixture.csv) {
+    const csv = fs.readFileSync(path.resolve(path.dirname(file), fixture.csv), 'utf8');
+    Object.assign(fixture, parseTradingViewCsv(csv, fixture.boxColumns));
+  }
+
+  const klines = fixture.klines.map(parseKline);
+  const params = fixture.params || {};
+
+  let atr = null;
+  if (params.atrPeriod) {
+    const values = ATR.calculate({
+      high: klines.map(k => k.high),
+      low: klines.map(k => k.low),
+      close: klines.map(k => k.close),
+      period: params.atrPeriod
+    });
+    atr = values.length > 0 ? values[values.length - 1] : null;
+  }
+
+  const { bullishOBs, bearishOBs } = findPotentialOrderBlocks(
+    klines,
+    params.swingLength,
+    params.volumeLookback,
+    params.volumeMethod,
+    params.volumeParam,
+    params.maxATRMultiplier,
+    atr
+  );
+
+  const actual = new Map();
+  for (const ob of [...bullishOBs, ...bearishOBs]) {
+    actual.set(obKey(ob.type, ob.confirmationCandle.timestamp), { top: ob.high, bottom: ob.low });
+  }
+
+  const expected = new Map();
+  for (const ob of fixture.expected || []) {
+    expected.set(obKey(ob.type, ob.confirmationTime), { top: ob.top, bottom: ob.bottom });
+  }
+
+  const bars = [...new Set([...expected.keys(), ...actual.keys()])].sort();
+  const mismatches = [];
+  let matched = 0;
+
+  for (const bar of bars) {
+    const want = expected.get(bar);
+    const got = actual.get(bar);
+
+    if (!got) {
+      mismatches.push({ bar, kind: 'MISSING', expected: want, actual: null });
+    } else if (!want) {
+      mismatches.push({ bar, kind: 'EXTRA', expected: null, actual: got });
+    } else if (Math.abs(want.top - got.top) > tolerance || Math.abs(want.bottom - got.bottom) > tolerance) {
+      mismatches.push({ bar, kind: 'BOX', expected: want, actual: got });
+    } else {
+      matched++;
+    }
+  }
+
+  return {
+    name: path.basename(file),
+    description: fixture.description,
+    synthetic: fixture.source !== 'tradingview',
+    bars: klines.length,
+    matched,
+    mismatches,
+    actual
+  };
+}
+
+function formatBox(box) {
+  return box ? `${box.bottom}-${box.top}` : '—';
+}
+
+function run() {
+  const args = parseArgs(process.argv.slice(2));
+  const files = args.files.length > 0
+    ? args.files
+    : fs.readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).map(f => path.join(FIXTURE_DIR, f));
+
+  if (files.length === 0) {
+    console.error(`❌ No fixtures found in ${FIXTURE_DIR}`);
+    process.exit(1);
+  }
+
+  console.log('━'.repeat(60));
+  console.log('📐 OB detector ↔ TradingView parity');
+  console.log('━'.repeat(60));
+
+  let failed = 0;
+  let exports = 0;
+
+  for (const file of files) {
+    const result = checkFixture(file, args);
+    if (!result.synthetic) exports++;
+
+    console.log(`\n${result.mismatches.length === 0 ? '✅' : '❌'} ${result.name}${result.synthetic ? ' (synthetic, not a TradingView export)' : ''}`);
+    console.log(`   ${result.bars} bars | ${result.matched} matched | ${result.mismatches.length} mismatched`);
+
+    for (const m of result.mismatches) {
+      console.log(`   ${m.kind.padEnd(7)} ${m.bar} | expected ${formatBox(m.expected)} | detector ${formatBox(m.actual)}`);
+    }
+
+    if (args.verbose) {
+      for (const [bar, box] of result.actual) {
+        console.log(`   · ${bar} ${formatBox(box)}`);
+      }
+    }
+
+    if (result.mismatches.length > 0) failed++;
+  }
+
+  console.log(`\n${'━'.repeat(60)}`);
+  console.log(`${failed === 0 ? '✅' : '❌'} ${files.length - failed}/${files.length} fixtures in parity`);
+
+  if (exports === 0) {
+    console.log(`${args.requireExport ? '❌' : '⚠️ '} No TradingView export among the fixtures: parity with the indicator itself is not verified`);
+    if (args.requireExport) failed++;
+  }
+
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { checkFixture, parseTradingViewCsv };
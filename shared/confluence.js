@@ -0,0 +1,75 @@
+/**
+ * OB 汇合评分（0-100）
+ *
+ *   成交量（0-50）  confidence: high → 50，low → 20
+ *   FVG（0-50）     与同向未回补 FVG 重叠 → 50，相邻（间距 ≤ adjacentATR × ATR）→ 30，
+ *                   按 FVG 未回补比例折算
+ *
+ * 取代 high / low 二元置信度：Entry Monitor 通过 MIN_CONFLUENCE_SCORE 设定阈值。
+ */
+
+const CONFIDENCE_SCORE = { high: 50, low: 20 };
+const FVG_SCORE = { OVERLAP: 50, ADJACENT: 30 };
+
+/**
+ * 与 OB 最相关的同向未回补 FVG
+ *
+ * @param {Object} ob - { type, top, bottom }
+ * @param {Array} fvgs - findFairValueGaps 结果或 fair_value_gaps 文档
+ * @returns {Object|null} { relation: 'OVERLAP'|'ADJACENT', fvg, distance }
+ */
+function findFVGConfluence(ob, fvgs, { atr = null, adjacentATR = 0.5 } = {}) {
+  const maxDistance = atr ? atr * adjacentATR : 0;
+  let best = null;
+
+  for (const fvg of fvgs) {
+    if (fvg.type !== ob.type || fvg.isFilled) continue;
+
+    const distance = Math.max(0, fvg.bottom - ob.top, ob.bottom - fvg.top);
+    if (distance > maxDistance) continue;
+
+    const relation = distance === 0 ? 'OVERLAP' : 'ADJACENT';
+    const candidate = { relation, fvg, distance };
+
+    if (!best || FVG_SCORE[relation] * freshness(fvg) > FVG_SCORE[best.relation] * freshness(best.fvg)) {
+      best = candidate;
+    }
+  }
+
+  return best;
+}
+
+function freshness(fvg) {
+  return 1 - Math.min(1, fvg.fillPercent || 0);
+}
+
+/**
+ * @returns {Object} { score, volumeScore, fvgScore, fvgConfluence, fvg }
+ */
+function scoreOBConfluence(ob, fvgs, options = {}) {
+  const volumeScore = CONFIDENCE_SCORE[ob.confidence] || 0;
+  const confluence = findFVGConfluence(ob, fvgs, options);
+  const fvgScore = confluence ? Math.round(FVG_SCORE[confluence.relation] * freshness(confluence.fvg)) : 0;
+
+  return {
+    score: volumeScore + fvgScore,
+    volumeScore,
+    fvgScore,
+    fvgConfluence: confluence ? confluence.relation : null,
+    fvg: confluence ? confluence.fvg : null
+  };
+}
+
+/**
+ * 已保存 OB 的评分；旧数据没有 confluenceScore 时按 confidence 估算
+ */
+function getConfluenceScore(ob) {
+  if (typeof ob.confluenceScore === 'number') return ob.confluenceScore;
+  return CONFIDENCE_SCORE[ob.confidence] || 0;
+}
+
+module.exports = {
+  findFVGConfluence,
+  scoreOBConfluence,
+  getConfluenceScore
+};
@@ -0,0 +1,317 @@
+/**
+ * Repository - 本地后端（内存 + 可选 JSON 文件持久化）
+ *
+ * 解释 node-appwrite 的 Query 字符串，语义与 Appwrite 保持一致：
+ * - 未指定 limit 时默认返回 25 条，total 为过滤后（分页前）的总数
+ * - datetime 字段按时间比较（'2024-01-01T00:00:00.000Z' 与 '+00:00' 写法等价）
+ * - 排序时 null 视为最小值
+ * - 文档不存在 → 404，ID / 唯一索引冲突 → 409（AppwriteException）
+ *
+ * 用于本地运行整条流水线（STORAGE_BACKEND=local）和测试。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ID, AppwriteException } = require('node-appwrite');
+const { COLLECTIONS } = require('./constants');
+const { Repository } = require('./repository');
+
+const DEFAULT_LIMIT = 25;
+
+// 与 scripts/setup-database.js 中的唯一索引一致
+const UNIQUE_INDEXES = {
+  [COLLECTIONS.SYSTEM_STATE]: ['key']
+};
+
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+function normalize(value) {
+  if (typeof value === 'string' && ISO_DATETIME.test(value)) {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) return time;
+  }
+  return value;
+}
+
+function compare(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+
+  if (x === y) return 0;
+  if (x === null || x === undefined) return -1;
+  if (y === null || y === undefined) return 1;
+  return x < y ? -1 : 1;
+}
+
+function isSet(value) {
+  return value !== null && value !== undefined;
+}
+
+/**
+ * 单个过滤条件
+ */
+function matches(doc, query) {
+  const value = doc[query.attribute];
+  const values = query.values || [];
+
+  switch (query.method) {
+    case 'equal':
+      return Array.isArray(value)
+        ? value.some(v => values.some(q => compare(v, q) === 0))
+        : values.some(q => compare(value, q) === 0);
+    case 'notEqual':
+      return !values.some(q => compare(value, q) === 0);
+    case 'lessThan':
+      return isSet(value) && compare(value, values[0]) < 0;
+    case 'lessThanEqual':
+      return isSet(value) && compare(value, values[0]) <= 0;
+    case 'greaterThan':
+      return isSet(value) && compare(value, values[0]) > 0;
+    case 'greaterThanEqual':
+      return isSet(value) && compare(value, values[0]) >= 0;
+    case 'between':
+      return isSet(value) && compare(value, values[0]) >= 0 && compare(value, values[1]) <= 0;
+    case 'isNull':
+      return !isSet(value);
+    case 'isNotNull':
+      return isSet(value);
+    case 'startsWith':
+      return typeof value === 'string' && value.startsWith(values[0]);
+    case 'endsWith':
+      return typeof value === 'string' && value.endsWith(values[0]);
+    case 'contains':
+      return Array.isArray(value)
+        ? values.some(q => value.includes(q))
+        : typeof value === 'string' && values.some(q => value.includes(q));
+    case 'search': {
+      const text = String(value || '').toLowerCase();
+      return String(values[0] || '').toLowerCase().split(/\s+/).filter(Boolean).some(word => text.includes(word));
+    }
+    case 'or':
+      return values.map(parseQuery).some(q => matches(doc, q));
+    case 'and':
+      return values.map(parseQuery).every(q => matches(doc, q));
+    default:
+      throw new AppwriteException(`Invalid query method: ${query.method}`, 400, 'general_query_invalid');
+  }
+}
+
+function parseQuery(query) {
+  try {
+    return typeof query === 'string' ? JSON.parse(query) : query;
+  } catch (err) {
+    throw new AppwriteException(`Invalid query: ${query}`, 400, 'general_query_invalid');
+  }
+}
+
+const PAGING_METHODS = ['orderAsc', 'orderDesc', 'limit', 'offset', 'cursorAfter', 'cursorBefore', 'select'];
+
+class LocalRepository extends Repository {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - 持久化文件；为空时仅保存在内存中
+   * @param {Object} options.seed - 初始数据 { collection: [doc, ...] }
+   */
+  constructor({ filePath = null, seed = null } = {}) {
+    super();
+
+    this.filePath = filePath;
+    this.collections = {};
+
+    if (filePath && fs.existsSync(filePath)) {
+      this.collections = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    if (seed) {
+      for (const [collection, docs] of Object.entries(seed)) {
+        for (const doc of docs) {
+          this._insert(collection, doc, doc.$id || null);
+        }
+      }
+      this._persist();
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // 文档级操作
+  // ═════════════════════════════════════════════════════════════════════════
+
+  async listDocuments(collection, queries = []) {
+    const parsed = queries.map(parseQuery);
+    const filters = parsed.filter(q => !PAGING_METHODS.includes(q.method));
+
+    let docs = this._collection(collection).filter(doc => filters.every(q => matches(doc, q)));
+
+    // 排序：按 Query 顺序作为多级排序键，默认按创建顺序
+    const orders = parsed.filter(q => q.method === 'orderAsc' || q.method === 'orderDesc');
+    if (orders.length > 0) {
+      docs = [...docs].sort((a, b) => {
+        for (const order of orders) {
+          const result = compare(a[order.attribute], b[order.attribute]);
+          if (result !== 0) return order.method === 'orderAsc' ? result : -result;
+        }
+        return 0;
+      });
+    }
+
+    const total = docs.length;
+
+    const cursorAfter = parsed.find(q => q.method === 'cursorAfter');
+    const cursorBefore = parsed.find(q => q.method === 'cursorBefore');
+    if (cursorAfter) {
+      docs = docs.slice(this._cursorIndex(docs, cursorAfter.values[0]) + 1);
+    } else if (cursorBefore) {
+      docs = docs.slice(0, this._cursorIndex(docs, cursorBefore.values[0]));
+    }
+
+    const offsetQuery = parsed.find(q => q.method === 'offset');
+    const limitQuery = parsed.find(q => q.method === 'limit');
+    const offset = offsetQuery ? offsetQuery.values[0] : 0;
+    const limit = limitQuery ? limitQuery.values[0] : DEFAULT_LIMIT;
+
+    docs = cursorBefore
+      ? docs.slice(Math.max(0, docs.length - limit))
+      : docs.slice(offset, offset + limit);
+
+    const select = parsed.find(q => q.method === 'select');
+
+    return {
+      total,
+      documents: docs.map(doc => select ? this._project(doc, select.values) : { ...doc })
+    };
+  }
+
+  async getDocument(collection, id) {
+    return { ...this._find(collection, id) };
+  }
+
+  async createDocument(collection, data, id = null) {
+    const doc = this._insert(collection, data, id);
+    this._persist();
+    return { ...doc };
+  }
+
+  async updateDocument(collection, id, data) {
+    const doc = this._find(collection, id);
+    const updated = { ...doc, ...data, $updatedAt: new Date().toISOString() };
+
+    this._checkUnique(collection, updated, id);
+    Object.assign(doc, updated);
+    this._persist();
+
+    return { ...doc };
+  }
+
+  async deleteDocument(collection, id) {
+    const docs = this._collection(collection);
+    const index = docs.findIndex(d => d.$id === id);
+
+    if (index === -1) {
+      throw new AppwriteException('Document with the requested ID could not be found.', 404, 'document_not_found');
+    }
+
+    docs.splice(index, 1);
+    this._persist();
+
+    return {};
+  }
+
+  /**
+   * 导出全部数据（调试 / 测试断言）
+   */
+  dump() {
+    return JSON.parse(JSON.stringify(this.collections));
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // 内部
+  // ═════════════════════════════════════════════════════════════════════════
+
+  _collection(collection) {
+    if (!this.collections[collection]) {
+      this.collections[collection] = [];
+    }
+    return this.collections[collection];
+  }
+
+  _find(collection, id) {
+    const doc = this._collection(collection).find(d => d.$id === id);
+
+    if (!doc) {
+      throw new AppwriteException('Document with the requested ID could not be found.', 404, 'document_not_found');
+    }
+
+    return doc;
+  }
+
+  _insert(collection, data, id) {
+    const docs = this._collection(collection);
+    const docId = !id || id === 'unique()' ? ID.unique() : id;
+
+    if (docs.some(d => d.$id === docId)) {
+      throw new AppwriteException('Document with the requested ID already exists.', 409, 'document_already_exists');
+    }
+
+    const now = new Date().toISOString();
+    const doc = {
+      ...data,
+      $id: docId,
+      $collectionId: collection,
+      $databaseId: 'local',
+      $createdAt: data.$createdAt || now,
+      $updatedAt: data.$updatedAt || now,
+      $permissions: []
+    };
+
+    this._checkUnique(collection, doc, null);
+    docs.push(doc);
+
+    return doc;
+  }
+
+  _checkUnique(collection, doc, ignoreId) {
+    for (const attribute of UNIQUE_INDEXES[collection] || []) {
+      const clash = this._collection(collection).some(d =>
+        d.$id !== ignoreId && isSet(doc[attribute]) && compare(d[attribute], doc[attribute]) === 0
+      );
+
+      if (clash) {
+        throw new AppwriteException('Document with the requested ID already exists.', 409, 'document_already_exists');
+      }
+    }
+  }
+
+  _cursorIndex(docs, id) {
+    const index = docs.findIndex(d => d.$id === id);
+
+    if (index === -1) {
+      throw new AppwriteException(`Document '${id}' for the 'cursor' value not found.`, 400, 'general_cursor_not_found');
+    }
+
+    return index;
+  }
+
+  _project(doc, attributes) {
+    const projected = {};
+
+    for (const [key, value] of Object.entries(doc)) {
+      if (key.startsWith('$') || attributes.includes(key)) {
+        projected[key] = value;
+      }
+    }
+
+    return projected;
+  }
+
+  _persist() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.collections, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = LocalRepository;
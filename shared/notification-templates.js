@@ -0,0 +1,805 @@
+/**
+ * 通知消息模板（zh-CN / en）
+ *
+ * 每个事件的模板把数据转换为与格式无关的文档：
+ *   { subject, title, sections: [{ title, rows | lines | table }], footer }
+ * 再由 renderText / renderHtml 输出纯文本和 HTML，保证两种格式内容一致。
+ *
+ * 模板只接收可序列化的数据（同一份数据也会作为 webhook 的 data 发出），
+ * 平仓原因、保护原因等以代码传入，由模板翻译。
+ */
+
+const LOCALES = ['zh-CN', 'en'];
+const DEFAULT_LOCALE = 'zh-CN';
+
+const STRINGS = {
+  'zh-CN': {
+    dateLocale: 'zh-CN',
+    bot: 'OB 交易系统',
+    LONG: '做多', SHORT: '做空',
+    open: '开仓',
+    add: n => `加仓 #${n}`,
+    symbol: '交易对', side: '方向', action: '操作', time: '时间',
+    entry: '入场信息', orderType: '策略', market: '市价单', limit: '限价单',
+    breakoutPrice: '突破价', fillPrice: '成交价', deviation: '偏离',
+    size: '仓位', added: '新增', totalSize: '总持仓', avgPrice: '平均价',
+    stopLoss: '止损', takeProfit: '止盈', risk: '风险',
+    account: '账户', balance: '余额', leverage: '杠杆', fee: '手续费',
+    closeTitle: '平仓通知', closeAction: '平仓', profit: '盈利', loss: '亏损', flat: '持平',
+    exit: '平仓信息', exitReason: '平仓原因', entryPrice: '入场价格', exitPrice: '平仓价格', priceChange: '价格变动',
+    positionSize: '持仓大小', holding: '持仓时长', hours: n => `${n} 小时`, additions: '加仓次数',
+    pnl: '盈亏统计', realizedPnl: '实现盈亏', pnlPercent: '盈亏比例', entryFee: '开仓费用', exitFee: '平仓费用', netPnl: '净盈亏',
+    review: '持仓回顾', obType: 'OB 类型', confidence: '置信度',
+    stopMovedTitle: '止损移动', stopMovedSubject: (symbol, side) => `${symbol} ${side}止损移动`,
+    stopFrom: '原止损', stopTo: '新止损', policy: '策略', reason: '原因', lockedPnl: '锁定盈亏',
+    protectionTitle: '账户保护触发', protectionSubject: '交易已暂停 - 账户保护触发',
+    protectionIntro: '交易已自动暂停！',
+    cooldownUntil: '冷静期至', duration: '时长',
+    actionRequired: '需要处理',
+    protectionSteps: ['复盘近期交易', '检查市场环境', '确认策略是否有效', '等待冷静期结束'],
+    protectionFooter: '冷静期结束后系统自动恢复。',
+    emergencySubject: '紧急：数据库更新失败', emergencyTitle: '紧急告警',
+    emergencyIntro: '订单已成交，但数据库写入失败！',
+    orderId: '订单 ID', price: '价格', error: '错误',
+    reconcileTitle: '对账告警', reconcileSubject: n => `对账告警: ${n} 项待处理`,
+    network: '环境', mainnet: '🔴 主网', testnet: '🧪 测试网',
+    repairPolicy: '自动修复', alertPolicy: '仅告警',
+    mismatches: '交易所与数据库不一致', unresolved: '待人工处理', items: n => `${n} 项`,
+    repaired: '🔧 已修复', pending: '🚨 待处理', details: '明细', type: '类型', coin: '币种', detail: '说明',
+    repeated: (count, minutes) => `🔁 已持续 ${minutes} 分钟，共出现 ${count} 次`,
+    escalated: '⏫ 问题持续未解决，已升级',
+    liquidationTitle: '强平风险', liquidationSubject: (symbol, side, pct) => `${symbol} ${side}距强平仅 ${pct}`,
+    liquidationIntro: '价格接近强平价，请检查仓位。', liquidationEmergency: '已低于紧急平仓阈值，系统将尝试市价平仓。',
+    liquidationPrice: '强平价', distance: '距强平', warningAt: '告警阈值', emergencyAt: '紧急平仓阈值', unrealizedPnl: '未实现盈亏',
+    exchangeErrorTitle: '运行错误', exchangeErrorSubject: source => `${source} 运行出错`, source: '来源',
+    obDetected: '新 OB', obExpired: 'OB 过期', signalSkipped: '跳过信号', score: '评分', age: m => `${m} 分钟`,
+    digestTitle: '通知摘要', digestSubject: n => `通知摘要: ${n} 条`, total: '总计', more: n => `... 还有 ${n} 条`,
+    eventNames: {
+      trade_open: '开仓', trade_add: '加仓', trade_close: '平仓', stop_moved: '止损移动', emergency: '紧急告警',
+      reconcile: '对账', protection: '账户保护', liquidation_risk: '强平风险', exchange_error: '运行错误',
+      ob_detected: '新 OB', ob_expired: 'OB 过期', signal_skipped: '跳过信号'
+    },
+    skipReasons: {
+      low_confidence: '置信度不足', max_touches: '回踩次数过多', low_score: '评分不足', against_trend: '逆 HTF 趋势',
+      wrong_direction: '与持仓方向相反', max_additions: '已达加仓上限', insufficient_profit: '浮盈不足', not_suitable: '距离不合适'
+    },
+    weeklyTitle: 'OB 自动交易系统 - 每周报告', weeklySubject: '每周交易报告',
+    period: '报告周期', generatedAt: '生成时间',
+    pnlSummary: '盈亏总结', totalFees: '总手续费', funding: '资金费', grossPnl: '毛盈亏',
+    tradeStats: '交易统计', totalTrades: '总交易次数', wins: '盈利次数', losses: '亏损次数', breakeven: '盈亏平局',
+    winRate: '胜率', profitFactor: '盈利因子',
+    pnlAnalysis: '盈亏分析', avgWin: '平均盈利', avgLoss: '平均亏损', rewardRisk: '盈亏比',
+    largestWin: '最大单笔盈利', largestLoss: '最大单笔亏损',
+    tradeList: n => `交易明细（最近 ${n} 笔）`, noTrades: '(本周无交易)',
+    moreTrades: (hidden, total) => `... 还有 ${hidden} 笔交易（总计 ${total} 笔）`,
+    assessment: '策略表现评估', recommendations: '建议',
+    dataAnalysis: '数据分析', longTrades: '做多交易', shortTrades: '做空交易',
+    winLoss: (w, l) => `${w} 胜 / ${l} 负`,
+    avgHolding: '平均持仓时长', maxHolding: '最长持仓',
+    highConfidence: '高置信度 OB', mediumConfidence: '中置信度 OB', winRateSuffix: '胜率',
+    noData: '暂无数据',
+    retest: 'OB 回踩统计', retested: '本周被回踩 OB', heldBroken: '守住 / 突破', holdRate: '守住率',
+    mitigated: 'Mitigated (≥50%)', avgTouches: '平均回踩次数', avgMitigation: '平均 mitigation',
+    afterConfirmation: h => `确认后 ${h} 小时`,
+    links: '查看详情',
+    weeklyFooter: ['⚠️  这是自动生成的报告，请勿直接回复', '💡 如需调整策略参数，请修改环境变量配置'],
+    exitReasons: {
+      STOP_LOSS: '止损', STOP_LOSS_TRIGGERED: '止损触发', TAKE_PROFIT: '止盈触发', LIQUIDATION: '强制平仓',
+      REVERSAL_OB: '反向 OB 检测', TRAILING_STOP: '追踪止损', EMERGENCY_CLOSE: '紧急平仓',
+      RECONCILED: '对账平仓', MANUAL: '手动平仓', END: '回测结束',
+      htf: tf => `HTF ${tf} 目标`, r: r => `${r}R 目标`
+    },
+    protectionReasons: {
+      consecutive_losses: '连续亏损', max_drawdown: '最大回撤', daily_loss_limit: '单日亏损上限'
+    },
+    performance: {
+      none: 'ℹ️ 本周无交易', excellent: '🌟 策略表现优秀！', good: '✅ 策略表现良好',
+      improve: '⚠️ 有盈利但需改进', review: '❌ 策略需要审查'
+    },
+    tips: {
+      check_detection: '检查 OB 检测是否正常', check_filters: '确认交易条件是否过于严格',
+      keep_strategy: '保持当前策略', consider_size_up: '可考虑小幅增加仓位',
+      keep_watching: '继续观察', watch_market: '关注市场环境变化',
+      low_win_rate: '胜率偏低，提高入场质量', low_profit_factor: '盈利因子偏低，优化止盈/止损比例',
+      large_losses: '平均亏损过大，检查止损设置', losing_streak: '⚠️  连续亏损，建议暂停交易并复盘',
+      very_low_win_rate: '胜率过低，重新评估 OB 检测逻辑', negative_edge: '盈利因子<1，总体策略无效',
+      large_drawdown: '亏损金额较大，降低风险或暂停', analyze_losses: '分析亏损原因',
+      consider_pause: '考虑优化参数或暂停交易'
+    }
+  },
+
+  en: {
+    dateLocale: 'en-NZ',
+    bot: 'OB Trading Bot',
+    LONG: 'Long', SHORT: 'Short',
+    open: 'Open',
+    add: n => `Add #${n}`,
+    symbol: 'Symbol', side: 'Side', action: 'Action', time: 'Time',
+    entry: 'Entry', orderType: 'Order type', market: 'Market', limit: 'Limit',
+    breakoutPrice: 'Breakout price', fillPrice: 'Fill price', deviation: 'Deviation',
+    size: 'Size', added: 'Added', totalSize: 'Total size', avgPrice: 'Avg price',
+    stopLoss: 'Stop loss', takeProfit: 'Take profit', risk: 'Risk',
+    account: 'Account', balance: 'Balance', leverage: 'Leverage', fee: 'Fee',
+    closeTitle: 'Position closed', closeAction: 'closed', profit: 'profit', loss: 'loss', flat: 'flat',
+    exit: 'Exit', exitReason: 'Reason', entryPrice: 'Entry price', exitPrice: 'Exit price', priceChange: 'Price change',
+    positionSize: 'Size', holding: 'Holding time', hours: n => `${n}h`, additions: 'Additions',
+    pnl: 'P&L', realizedPnl: 'Realized P&L', pnlPercent: 'P&L %', entryFee: 'Entry fee', exitFee: 'Exit fee', netPnl: 'Net P&L',
+    review: 'Position', obType: 'OB type', confidence: 'Confidence',
+    stopMovedTitle: 'Stop moved', stopMovedSubject: (symbol, side) => `${symbol} ${side} stop moved`,
+    stopFrom: 'From', stopTo: 'To', policy: 'Policy', reason: 'Reason', lockedPnl: 'Locked P&L',
+    protectionTitle: 'Account protection triggered', protectionSubject: 'Trading PAUSED - Account Protection Triggered',
+    protectionIntro: 'Trading has been automatically paused!',
+    cooldownUntil: 'Cooldown until', duration: 'Duration',
+    actionRequired: 'Action required',
+    protectionSteps: ['Review recent trades', 'Check market conditions', 'Verify strategy effectiveness', 'Wait for cooldown period to end'],
+    protectionFooter: 'System will resume automatically after cooldown.',
+    emergencySubject: 'URGENT: Database Update Failed', emergencyTitle: 'Emergency alert',
+    emergencyIntro: 'Order executed but the database update failed!',
+    orderId: 'Order ID', price: 'Price', error: 'Error',
+    reconcileTitle: 'Reconciliation alert', reconcileSubject: n => `Reconciliation alert: ${n} unresolved`,
+    network: 'Network', mainnet: '🔴 Mainnet', testnet: '🧪 Testnet',
+    repairPolicy: 'Auto repair', alertPolicy: 'Alert only',
+    mismatches: 'Exchange / DB mismatches', unresolved: 'Needs attention', items: n => `${n}`,
+    repaired: '🔧 Repaired', pending: '🚨 Unresolved', details: 'Details', type: 'Type', coin: 'Coin', detail: 'Detail',
+    repeated: (count, minutes) => `🔁 Ongoing for ${minutes} min, seen ${count} times`,
+    escalated: '⏫ Still unresolved, escalated',
+    liquidationTitle: 'Liquidation risk', liquidationSubject: (symbol, side, pct) => `${symbol} ${side} ${pct} from liquidation`,
+    liquidationIntro: 'Price is close to the liquidation price, please check the position.', liquidationEmergency: 'Below the emergency threshold, attempting a market close.',
+    liquidationPrice: 'Liquidation price', distance: 'Distance', warningAt: 'Warning at', emergencyAt: 'Emergency close at', unrealizedPnl: 'Unrealized P&L',
+    exchangeErrorTitle: 'Run error', exchangeErrorSubject: source => `${source} failed`, source: 'Source',
+    obDetected: 'New OB', obExpired: 'OB expired', signalSkipped: 'Signal skipped', score: 'score', age: m => `${m} min`,
+    digestTitle: 'Notification digest', digestSubject: n => `Notification digest: ${n} items`, total: 'Total', more: n => `... ${n} more`,
+    eventNames: {
+      trade_open: 'Opens', trade_add: 'Additions', trade_close: 'Closes', stop_moved: 'Stop moves', emergency: 'Emergencies',
+      reconcile: 'Reconciliation', protection: 'Account protection', liquidation_risk: 'Liquidation risk', exchange_error: 'Run errors',
+      ob_detected: 'New OBs', ob_expired: 'Expired OBs', signal_skipped: 'Skipped signals'
+    },
+    skipReasons: {
+      low_confidence: 'Low confidence', max_touches: 'Too many touches', low_score: 'Low score', against_trend: 'Against HTF trend',
+      wrong_direction: 'Opposite to position', max_additions: 'Max additions reached', insufficient_profit: 'Not enough profit', not_suitable: 'Too far from position'
+    },
+    weeklyTitle: 'OB Trading Bot - Weekly Report', weeklySubject: 'Weekly trading report',
+    period: 'Period', generatedAt: 'Generated',
+    pnlSummary: 'P&L summary', totalFees: 'Total fees', funding: 'Funding', grossPnl: 'Gross P&L',
+    tradeStats: 'Trade statistics', totalTrades: 'Total trades', wins: 'Wins', losses: 'Losses', breakeven: 'Breakeven',
+    winRate: 'Win rate', profitFactor: 'Profit factor',
+    pnlAnalysis: 'P&L analysis', avgWin: 'Avg win', avgLoss: 'Avg loss', rewardRisk: 'Win / loss ratio',
+    largestWin: 'Largest win', largestLoss: 'Largest loss',
+    tradeList: n => `Trades (latest ${n})`, noTrades: '(no trades this week)',
+    moreTrades: (hidden, total) => `... ${hidden} more trades (${total} total)`,
+    assessment: 'Assessment', recommendations: 'Recommendations',
+    dataAnalysis: 'Breakdown', longTrades: 'Long trades', shortTrades: 'Short trades',
+    winLoss: (w, l) => `${w} W / ${l} L`,
+    avgHolding: 'Avg holding time', maxHolding: 'Longest holding',
+    highConfidence: 'High confidence OB', mediumConfidence: 'Medium confidence OB', winRateSuffix: 'win rate',
+    noData: 'No data',
+    retest: 'OB retests', retested: 'OBs retested', heldBroken: 'Held / broken', holdRate: 'hold rate',
+    mitigated: 'Mitigated (≥50%)', avgTouches: 'Avg touches', avgMitigation: 'Avg mitigation',
+    afterConfirmation: h => `${h}h after confirmation`,
+    links: 'Links',
+    weeklyFooter: ['⚠️  This report is generated automatically, please do not reply', '💡 Strategy parameters are set through environment variables'],
+    exitReasons: {
+      STOP_LOSS: 'Stop loss', STOP_LOSS_TRIGGERED: 'Stop loss hit', TAKE_PROFIT: 'Take profit hit', LIQUIDATION: 'Liquidation',
+      REVERSAL_OB: 'Reversal OB', TRAILING_STOP: 'Trailing stop', EMERGENCY_CLOSE: 'Emergency close',
+      RECONCILED: 'Reconciled', MANUAL: 'Manual close', END: 'End of backtest',
+      htf: tf => `HTF ${tf} target`, r: r => `${r}R target`
+    },
+    protectionReasons: {
+      consecutive_losses: 'Consecutive losses', max_drawdown: 'Max drawdown', daily_loss_limit: 'Daily loss limit'
+    },
+    performance: {
+      none: 'ℹ️ No trades this week', excellent: '🌟 Excellent performance!', good: '✅ Good performance',
+      improve: '⚠️ Profitable, needs improvement', review: '❌ Strategy needs review'
+    },
+    tips: {
+      check_detection: 'Check that OB detection is working', check_filters: 'Check whether entry filters are too strict',
+      keep_strategy: 'Keep the current strategy', consider_size_up: 'Consider a small increase in position size',
+      keep_watching: 'Keep monitoring', watch_market: 'Watch for changes in market conditions',
+      low_win_rate: 'Low win rate, improve entry quality', low_profit_factor: 'Low profit factor, tune take profit / stop loss',
+      large_losses: 'Average loss too large, check stop placement', losing_streak: '⚠️  Losing streak, consider pausing and reviewing',
+      very_low_win_rate: 'Win rate very low, re-evaluate OB detection', negative_edge: 'Profit factor < 1, strategy has no edge',
+      large_drawdown: 'Large loss, reduce risk or pause', analyze_losses: 'Analyze the losing trades',
+      consider_pause: 'Consider tuning parameters or pausing'
+    }
+  }
+};
+
+function resolveLocale(locale) {
+  return LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 格式化
+// ═════════════════════════════════════════════════════════════════════════
+
+function createFormatter(t, timezone) {
+  const num = value => (Number.isFinite(value) ? value : 0);
+
+  return {
+    usd: (value, digits = 2) => `$${num(value).toFixed(digits)}`,
+    signedUsd: value => `${num(value) >= 0 ? '+' : '-'}$${Math.abs(num(value)).toFixed(2)}`,
+    pct: (value, digits = 2) => `${num(value).toFixed(digits)}%`,
+    signedPct: value => `${num(value) >= 0 ? '+' : ''}${num(value).toFixed(2)}%`,
+    size: value => num(value).toFixed(4),
+    time: value => new Date(value).toLocaleString(t.dateLocale, { timeZone: timezone }),
+    date: value => new Date(value).toLocaleDateString(t.dateLocale, { timeZone: timezone, year: 'numeric', month: 'short', day: 'numeric' }),
+    dateTime: value => new Date(value).toLocaleString(t.dateLocale, {
+      timeZone: timezone, month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false
+    })
+  };
+}
+
+function describeExitReason(t, code) {
+  const htf = /^HTF_TARGET_(.+)$/.exec(code || '');
+  if (htf) return t.exitReasons.htf(htf[1]);
+
+  const r = /^SCALE_OUT_(.+)R$/.exec(code || '');
+  if (r) return t.exitReasons.r(r[1]);
+
+  return t.exitReasons[code] || code || '—';
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 模板
+// ═════════════════════════════════════════════════════════════════════════
+
+function tradeEntry(d, t, f) {
+  const isOpen = d.action === 'OPEN';
+  const emoji = d.side === 'LONG' ? '🟢' : '🔴';
+  const actionText = isOpen ? t.open : t.add(d.additionCount);
+
+  return {
+    subject: `${emoji} ${d.symbol} ${t[d.side]} ${actionText} @ ${f.usd(d.executionPrice)}`,
+    title: `🤖 ${t.bot} - ${actionText}`,
+    sections: [
+      {
+        rows: [
+          [`${emoji} ${t.symbol}`, d.symbol],
+          [`📊 ${t.side}`, t[d.side]],
+          [`🔢 ${t.action}`, actionText],
+          [`⏰ ${t.time}`, f.time(d.time)]
+        ]
+      },
+      {
+        title: `📍 ${t.entry}`,
+        rows: [
+          [t.orderType, d.orderStrategy === 'market' ? `⚡ ${t.market}` : `📋 ${t.limit}`],
+          [t.breakoutPrice, f.usd(d.breakoutPrice)],
+          [t.fillPrice, f.usd(d.executionPrice)],
+          [t.deviation, f.pct(d.deviationPercent)],
+          [isOpen ? t.size : t.added, `${f.size(d.size)} ${d.baseAsset}`],
+          ...(isOpen ? [] : [
+            [t.totalSize, `${f.size(d.totalSize)} ${d.baseAsset}`],
+            [t.avgPrice, f.usd(d.avgEntryPrice)]
+          ]),
+          [t.stopLoss, f.usd(d.stopLoss)],
+          ...(d.takeProfits || []).map(tp => [t.takeProfit, `${f.usd(tp.price)} (${tp.rMultiple}R)`]),
+          [t.risk, f.pct(d.riskPercent)]
+        ]
+      },
+      {
+        title: `💰 ${t.account}`,
+        rows: [
+          [t.balance, f.usd(d.balance)],
+          [t.leverage, `${d.leverage}x`],
+          [t.fee, f.usd(d.fee)]
+        ]
+      },
+      {
+        title: `📊 OB`,
+        lines: [`${d.ob.type} | ${f.usd(d.ob.bottom)}-${f.usd(d.ob.top)} | ${d.ob.confidence}`]
+      }
+    ]
+  };
+}
+
+function tradeClose(d, t, f) {
+  const isProfit = d.pnl > 0;
+  const emoji = isProfit ? '💰' : '📉';
+  const net = d.pnl - (d.entryFee || 0) - (d.exitFee || 0);
+
+  return {
+    subject: `${emoji} ${d.symbol} ${t[d.side]} ${t.closeAction} ${isProfit ? t.profit : t.loss} ${f.usd(Math.abs(d.pnl))}`,
+    title: `${emoji} ${t.bot} - ${t.closeTitle}`,
+    sections: [
+      {
+        rows: [
+          [`${emoji} ${t.symbol}`, d.symbol],
+          [`📊 ${t.side}`, t[d.side]],
+          [`⏰ ${t.time}`, f.time(d.time)]
+        ]
+      },
+      {
+        title: `📍 ${t.exit}`,
+        rows: [
+          [t.exitReason, describeExitReason(t, d.exitReason)],
+          [t.entryPrice, f.usd(d.entryPrice)],
+          [t.exitPrice, f.usd(d.exitPrice)],
+          [t.priceChange, f.pct((d.exitPrice - d.entryPrice) / d.entryPrice * 100)],
+          [t.positionSize, `${f.size(d.size)} ${d.baseAsset}`],
+          [t.holding, t.hours(d.holdingHours)],
+          ...(d.additionCount > 0 ? [[t.additions, String(d.additionCount)]] : [])
+        ]
+      },
+      {
+        title: `💰 ${t.pnl}`,
+        rows: [
+          [t.realizedPnl, f.signedUsd(d.pnl)],
+          [t.pnlPercent, f.signedPct(d.pnlPercent)],
+          [t.entryFee, f.usd(d.entryFee)],
+          [t.exitFee, f.usd(d.exitFee)],
+          [t.netPnl, f.signedUsd(net)]
+        ]
+      },
+      {
+        title: `📊 ${t.review}`,
+        rows: [
+          [t.leverage, `${d.leverage}x`],
+          [t.stopLoss, f.usd(d.stopLoss)],
+          [t.obType, d.obType || '—'],
+          [t.confidence, d.obConfidence || '—']
+        ]
+      }
+    ]
+  };
+}
+
+function stopMoved(d, t, f) {
+  const risk = d.side === 'LONG' ? d.to - d.entryPrice : d.entryPrice - d.to;
+
+  return {
+    subject: `🛡️ ${t.stopMovedSubject(d.symbol, t[d.side])} ${f.usd(d.from)} → ${f.usd(d.to)}`,
+    title: `🛡️ ${t.bot} - ${t.stopMovedTitle}`,
+    sections: [
+      {
+        rows: [
+          [`📊 ${t.symbol}`, `${d.symbol} ${t[d.side]}`],
+          [`⏰ ${t.time}`, f.time(d.time)],
+          [t.entryPrice, f.usd(d.entryPrice)],
+          [t.stopFrom, f.usd(d.from)],
+          [t.stopTo, f.usd(d.to)],
+          [t.lockedPnl, f.signedUsd(risk * (d.size || 0))],
+          [t.policy, d.policy],
+          [t.reason, d.reason || '—']
+        ]
+      }
+    ]
+  };
+}
+
+function protection(d, t, f) {
+  return {
+    subject: `🚨 ${t.protectionSubject}`,
+    title: `⚠️  ${t.protectionTitle}`,
+    sections: [
+      {
+        lines: [t.protectionIntro]
+      },
+      {
+        rows: [
+          [t.reason, t.protectionReasons[d.reason] || d.reason],
+          [t.cooldownUntil, f.time(d.cooldownUntil)],
+          [t.duration, t.hours(d.cooldownHours)]
+        ]
+      },
+      {
+        title: t.actionRequired,
+        lines: t.protectionSteps.map((step, i) => `${i + 1}. ${step}`)
+      }
+    ],
+    footer: [t.protectionFooter]
+  };
+}
+
+function emergency(d, t, f) {
+  return {
+    subject: `🚨 ${t.emergencySubject}`,
+    title: `🚨 ${t.bot} - ${t.emergencyTitle}`,
+    sections: [
+      {
+        lines: [t.emergencyIntro]
+      },
+      {
+        rows: [
+          [t.symbol, d.symbol],
+          [t.orderId, String(d.orderId)],
+          [t.price, f.usd(d.price)],
+          ['OB', d.obId || '—'],
+          [t.error, d.error]
+        ]
+      }
+    ]
+  };
+}
+
+function reconcile(d, t, f) {
+  const unresolved = d.outcomes.filter(o => !o.repaired);
+
+  return {
+    subject: `🚨 ${t.reconcileSubject(unresolved.length)}`,
+    title: `🧾 ${t.bot} - ${t.reconcileTitle}`,
+    sections: [
+      {
+        rows: [
+          [`⏰ ${t.time}`, f.time(d.time)],
+          [`🌐 ${t.network}`, d.tradingEnabled ? t.mainnet : t.testnet],
+          [`⚙️  ${t.policy}`, d.policy === 'repair' ? t.repairPolicy : t.alertPolicy],
+          [t.mismatches, t.items(d.outcomes.length)],
+          [t.unresolved, t.items(unresolved.length)]
+        ]
+      },
+      {
+        title: t.details,
+        table: {
+          columns: ['', t.type, t.coin, t.detail],
+          rows: d.outcomes.map(o => [o.repaired ? t.repaired : t.pending, o.type, o.coin, o.detail])
+        }
+      }
+    ]
+  };
+}
+
+function liquidationRisk(d, t, f) {
+  const emergencyClose = d.distancePercent < d.emergencyPercent;
+
+  return {
+    subject: `⚡ ${t.liquidationSubject(d.symbol, t[d.side], f.pct(d.distancePercent))}`,
+    title: `⚡ ${t.bot} - ${t.liquidationTitle}`,
+    sections: [
+      {
+        lines: [emergencyClose ? t.liquidationEmergency : t.liquidationIntro]
+      },
+      {
+        rows: [
+          [`📊 ${t.symbol}`, `${d.symbol} ${t[d.side]}`],
+          [`⏰ ${t.time}`, f.time(d.time)],
+          [t.price, f.usd(d.price)],
+          [t.liquidationPrice, f.usd(d.liquidationPrice)],
+          [t.distance, f.pct(d.distancePercent)],
+          [t.warningAt, f.pct(d.warningPercent)],
+          [t.emergencyAt, f.pct(d.emergencyPercent)],
+          [t.unrealizedPnl, f.signedUsd(d.unrealizedPnL)]
+        ]
+      }
+    ]
+  };
+}
+
+function exchangeError(d, t, f) {
+  return {
+    subject: `⚠️ ${t.exchangeErrorSubject(d.source)}`,
+    title: `⚠️  ${t.bot} - ${t.exchangeErrorTitle}`,
+    sections: [
+      {
+        rows: [
+          [t.source, d.source],
+          [t.symbol, d.symbol || '—'],
+          [`⏰ ${t.time}`, f.time(d.time)],
+          [t.error, d.error]
+        ]
+      }
+    ]
+  };
+}
+
+// 低级别事件：标题即一行摘要（digest 中逐条列出）
+function zone(d, f) {
+  return `${d.symbol}${d.timeframe ? ` ${d.timeframe}` : ''} ${d.type}${d.blockType === 'BREAKER' ? ' BREAKER' : ''} ${f.usd(d.bottom)}-${f.usd(d.top)}`;
+}
+
+function obDetected(d, t, f) {
+  const line = `🧱 ${t.obDetected}: ${zone(d, f)} | ${d.confidence} | ${t.score} ${d.score}`;
+  return { subject: line, title: `🧱 ${t.bot} - ${t.obDetected}`, sections: [{ lines: [line] }] };
+}
+
+function obExpired(d, t, f) {
+  const line = `⏰ ${t.obExpired}: ${zone(d, f)} | ${t.age(Math.round(d.ageMinutes))}`;
+  return { subject: line, title: `⏰ ${t.bot} - ${t.obExpired}`, sections: [{ lines: [line] }] };
+}
+
+function signalSkipped(d, t, f) {
+  const line = `⏭️ ${t.signalSkipped}: ${zone(d, f)} | ${t.skipReasons[d.reason] || d.reason}${d.detail ? ` (${d.detail})` : ''}`;
+  return { subject: line, title: `⏭️ ${t.bot} - ${t.signalSkipped}`, sections: [{ lines: [line] }] };
+}
+
+const DIGEST_MAX_LINES = 20;
+
+function digest(d, t, f) {
+  const events = [...new Set(d.items.map(item => item.event))];
+
+  return {
+    subject: `📰 ${t.digestSubject(d.total)}`,
+    title: `📰 ${t.bot} - ${t.digestTitle}`,
+    sections: [
+      {
+        rows: [
+          [`📅 ${t.period}`, `${f.dateTime(d.from)} - ${f.dateTime(d.to)}`],
+          [t.total, String(d.total)]
+        ]
+      },
+      ...events.map(event => {
+        const items = d.items.filter(item => item.event === event);
+        const template = TEMPLATES[event];
+        const section = {
+          title: `${t.eventNames[event] || event} (${items.reduce((sum, item) => sum + item.count, 0)})`,
+          lines: items.slice(-DIGEST_MAX_LINES).map(item =>
+            `${f.dateTime(item.time)}  ${template ? template(item.data, t, f).subject : JSON.stringify(item.data)}${item.count > 1 ? ` ×${item.count}` : ''}`
+          )
+        };
+        if (items.length > DIGEST_MAX_LINES) section.footer = t.more(items.length - DIGEST_MAX_LINES);
+        return section;
+      })
+    ]
+  };
+}
+
+function weeklyReport(d, t, f) {
+  const s = d.stats;
+  const isProfit = s.totalPnL > 0;
+  const emoji = isProfit ? '📈' : s.totalPnL < 0 ? '📉' : '➖';
+  const period = `${f.date(d.period.from)} - ${f.date(d.period.to)}`;
+  const share = n => (s.totalTrades > 0 ? ((n / s.totalTrades) * 100).toFixed(1) : 0);
+  const r = d.retestStats;
+
+  const trades = {
+    title: `📝 ${t.tradeList(d.trades.length)}`,
+    lines: [t.noTrades]
+  };
+
+  if (d.trades.length > 0) {
+    delete trades.lines;
+    trades.table = {
+      columns: ['', t.time, t.side, t.price, t.realizedPnl, '%'],
+      rows: d.trades.map(trade => [
+        trade.pnl > 0 ? '✅' : trade.pnl < 0 ? '❌' : '➖',
+        f.dateTime(trade.timestamp),
+        `${trade.side === 'LONG' ? '📈' : '📉'}${t[trade.side] || trade.side}`,
+        f.usd(trade.price, 0),
+        f.signedUsd(trade.pnl),
+        f.signedPct(trade.pnlPercent)
+      ])
+    };
+    if (d.hiddenTrades > 0) {
+      trades.footer = t.moreTrades(d.hiddenTrades, d.trades.length + d.hiddenTrades);
+    }
+  }
+
+  return {
+    subject: `${emoji} ${t.weeklySubject} | ${period} | ${isProfit ? t.profit : s.totalPnL < 0 ? t.loss : t.flat} ${f.usd(Math.abs(s.totalPnL))}`,
+    title: `📊 ${t.weeklyTitle}`,
+    sections: [
+      {
+        rows: [
+          [`📅 ${t.period}`, period],
+          [`🕐 ${t.generatedAt}`, f.dateTime(d.generatedAt)],
+          [`🌐 ${t.network}`, d.tradingEnabled ? t.mainnet : t.testnet]
+        ]
+      },
+      {
+        title: `💰 ${t.pnlSummary}`,
+        rows: [
+          [t.netPnl, f.signedUsd(s.totalPnL)],
+          [t.totalFees, f.usd(s.totalFees)],
+          [t.funding, f.signedUsd(s.totalFunding)],
+          [t.grossPnl, f.signedUsd(s.totalPnL + s.totalFees - s.totalFunding)]
+        ]
+      },
+      {
+        title: `📊 ${t.tradeStats}`,
+        rows: [
+          [t.totalTrades, String(s.totalTrades)],
+          [t.wins, `${s.wins} (${share(s.wins)}%)`],
+          [t.losses, `${s.losses} (${share(s.losses)}%)`],
+          [t.breakeven, String(s.breakeven)],
+          [t.winRate, f.pct(s.winRate)],
+          [t.profitFactor, s.profitFactor > 0 ? s.profitFactor.toFixed(2) : 'N/A']
+        ]
+      },
+      {
+        title: `📈 ${t.pnlAnalysis}`,
+        rows: [
+          [t.avgWin, f.signedUsd(s.avgWin)],
+          [t.avgLoss, f.signedUsd(-s.avgLoss)],
+          [t.rewardRisk, s.avgLoss > 0 ? `${(s.avgWin / s.avgLoss).toFixed(2)}:1` : 'N/A'],
+          [t.largestWin, f.signedUsd(s.largestWin)],
+          [t.largestLoss, f.signedUsd(s.largestLoss)]
+        ]
+      },
+      trades,
+      {
+        title: `📋 ${t.assessment}`,
+        lines: [
+          t.performance[d.assessment.level],
+          ...(d.assessment.tips.length > 0 ? ['', `📌 ${t.recommendations}:`] : []),
+          ...d.assessment.tips.map(tip => `• ${t.tips[tip] || tip}`)
+        ]
+      },
+      s.totalTrades > 0
+        ? {
+          title: `📊 ${t.dataAnalysis}`,
+          rows: [
+            [t.longTrades, `${s.longTrades || 0} (${t.winLoss(s.longWins || 0, s.longLosses || 0)})`],
+            [t.shortTrades, `${s.shortTrades || 0} (${t.winLoss(s.shortWins || 0, s.shortLosses || 0)})`],
+            [t.avgHolding, s.avgHoldingTime || 'N/A'],
+            [t.maxHolding, s.maxHoldingTime || 'N/A'],
+            [t.highConfidence, `${s.highConfidenceCount || 0} (${s.highConfidenceWinRate || 0}% ${t.winRateSuffix})`],
+            [t.mediumConfidence, `${s.mediumConfidenceCount || 0} (${s.mediumConfidenceWinRate || 0}% ${t.winRateSuffix})`]
+          ]
+        }
+        : { title: `📊 ${t.dataAnalysis}`, lines: [t.noData] },
+      r.touched > 0
+        ? {
+          title: `🎯 ${t.retest}`,
+          rows: [
+            [t.retested, String(r.touched)],
+            [t.heldBroken, `${r.held} / ${r.broken} (${t.holdRate} ${r.holdRate.toFixed(1)}%)`],
+            [t.mitigated, String(r.mitigated)],
+            [t.avgTouches, r.avgTouches.toFixed(1)],
+            [t.avgMitigation, r.avgTimeToMitigationMinutes !== null ? t.afterConfirmation((r.avgTimeToMitigationMinutes / 60).toFixed(1)) : 'N/A']
+          ]
+        }
+        : { title: `🎯 ${t.retest}`, lines: [t.noData] },
+      {
+        title: `📱 ${t.links}`,
+        lines: [`Hyperliquid: https://app.hyperliquid${d.tradingEnabled ? '' : '-testnet'}.xyz/`]
+      }
+    ],
+    footer: t.weeklyFooter
+  };
+}
+
+const TEMPLATES = {
+  trade_open: tradeEntry,
+  trade_add: tradeEntry,
+  trade_close: tradeClose,
+  stop_moved: stopMoved,
+  protection,
+  emergency,
+  reconcile,
+  liquidation_risk: liquidationRisk,
+  exchange_error: exchangeError,
+  ob_detected: obDetected,
+  ob_expired: obExpired,
+  signal_skipped: signalSkipped,
+  digest,
+  weekly_report: weeklyReport
+};
+
+// ═════════════════════════════════════════════════════════════════════════
+// 渲染
+// ═════════════════════════════════════════════════════════════════════════
+
+const RULE = '━'.repeat(52);
+
+// 等宽字体下的显示宽度：中文与 emoji 占两格，变体选择符不占位
+function displayWidth(text) {
+  let width = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code === 0xFE0F || code === 0x200D) continue;
+    width += code >= 0x1100 ? 2 : 1;
+  }
+  return width;
+}
+
+function pad(text, width) {
+  return `${text}${' '.repeat(Math.max(0, width - displayWidth(text)))}`;
+}
+
+function padRows(rows) {
+  const width = Math.max(...rows.map(([label]) => displayWidth(label)));
+  return rows.map(([label, value]) => `${pad(`${label}:`, width + 2)}${value}`);
+}
+
+function tableLines(table) {
+  const widths = table.columns.map((_, i) => Math.max(...[table.columns, ...table.rows].map(row => displayWidth(row[i]))));
+  return table.rows.map(row => row.map((cell, i) => pad(String(cell), widths[i])).join(' | ').trimEnd());
+}
+
+function renderText(doc) {
+  const out = [RULE, `      ${doc.title}`, RULE];
+
+  for (const section of doc.sections) {
+    if (section.title) out.push('', RULE, section.title, RULE);
+    out.push('');
+    if (section.rows) out.push(...padRows(section.rows));
+    if (section.lines) out.push(...section.lines);
+    if (section.table) out.push(...tableLines(section.table));
+    if (section.footer) out.push('', section.footer);
+  }
+
+  out.push('', RULE);
+  if (doc.footer) out.push(...doc.footer, RULE);
+
+  return out.join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderHtml(doc) {
+  const cell = 'padding: 4px 12px 4px 0; border-bottom: 1px solid #30363d;';
+  const parts = [
+    '<div style="font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; font-size: 13px; background: #0d1117; color: #c9d1d9; padding: 24px; border-radius: 6px;">',
+    `<h2 style="margin: 0 0 16px; font-size: 18px;">${escapeHtml(doc.title)}</h2>`
+  ];
+
+  for (const section of doc.sections) {
+    if (section.title) {
+      parts.push(`<h3 style="margin: 20px 0 8px; font-size: 14px; border-bottom: 1px solid #30363d; padding-bottom: 4px;">${escapeHtml(section.title)}</h3>`);
+    }
+    if (section.rows) {
+      parts.push('<table style="border-collapse: collapse;">');
+      for (const [label, value] of section.rows) {
+        parts.push(`<tr><td style="${cell} color: #8b949e;">${escapeHtml(label)}</td><td style="${cell}">${escapeHtml(value)}</td></tr>`);
+      }
+      parts.push('</table>');
+    }
+    if (section.lines) {
+      parts.push(`<p style="margin: 8px 0; white-space: pre-line;">${escapeHtml(section.lines.join('\n'))}</p>`);
+    }
+    if (section.table) {
+      parts.push('<table style="border-collapse: collapse;">');
+      parts.push(`<tr>${section.table.columns.map(c => `<th style="${cell} text-align: left; color: #8b949e;">${escapeHtml(c)}</th>`).join('')}</tr>`);
+      for (const row of section.table.rows) {
+        parts.push(`<tr>${row.map(c => `<td style="${cell}">${escapeHtml(c)}</td>`).join('')}</tr>`);
+      }
+      parts.push('</table>');
+    }
+    if (section.footer) {
+      parts.push(`<p style="margin: 8px 0; color: #8b949e;">${escapeHtml(section.footer)}</p>`);
+    }
+  }
+
+  if (doc.footer) {
+    parts.push(`<p style="margin: 20px 0 0; color: #8b949e; white-space: pre-line;">${escapeHtml(doc.footer.join('\n'))}</p>`);
+  }
+
+  parts.push('</div>');
+  return parts.join('\n');
+}
+
+/**
+ * 渲染事件消息
+ *
+ * @param {string} event - NOTIFY_EVENT
+ * @param {Object} data - 事件数据
+ * @param {Object} options
+ * @param {string} options.locale - 'zh-CN'（默认）或 'en'
+ * @param {string} options.timezone - 时间显示时区
+ * @param {Object} options.repeat - 重复告警 { count, since, escalated }，在正文前加一行说明
+ * @returns {Object|null} { subject, text, html }；事件没有模板时返回 null
+ */
+function renderMessage(event, data, { locale = DEFAULT_LOCALE, timezone = 'Pacific/Auckland', repeat = null } = {}) {
+  const template = TEMPLATES[event];
+  if (!template) return null;
+
+  const t = STRINGS[resolveLocale(locale)];
+  const doc = template(data, t, createFormatter(t, timezone));
+
+  if (repeat) {
+    const minutes = Math.round((Date.now() - new Date(repeat.since).getTime()) / 60000);
+    doc.subject = `${repeat.escalated ? '⏫' : '🔁'} ${doc.subject}`;
+    doc.sections.unshift({
+      lines: [t.repeated(repeat.count, minutes), ...(repeat.escalated ? [t.escalated] : [])]
+    });
+  }
+
+  return {
+    subject: doc.subject,
+    text: renderText(doc),
+    html: renderHtml(doc)
+  };
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  renderMessage
+};
@@ -0,0 +1,379 @@
+/**
+ * 通知模块：事件 → 路由规则 → 渠道适配器
+ *
+ *   渠道    email（SMTP / nodemailer）、telegram（Bot API）、discord / slack（incoming webhook）、
+ *           webhook（通用 JSON POST）
+ *   级别    info < warning < critical；每个渠道可设最低级别（<CHANNEL>_MIN_SEVERITY）
+ *   路由    NOTIFY_ROUTES="trade_close:telegram,email;emergency:*;*:email"
+ *           按事件名匹配，未匹配时使用 "*"；未配置时发往所有已启用渠道
+ *   语言    消息由 notification-templates.js 按渠道语言渲染（<CHANNEL>_LOCALE，默认 NOTIFY_LOCALE）；
+ *           邮件可按收件人指定语言：EMAIL_RECIPIENT="a@x.com:en,b@y.com"
+ *
+ * 去重、升级与摘要见 notification-gate.js。
+ * 各渠道的 URL 均可指向 simulator/webhook-server.js，在本地检查实际发出的消息。
+ */
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { DEFAULT_LOCALE, resolveLocale, renderMessage } = require('./notification-templates');
+
+const SEVERITY = {
+  INFO: 'info',
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+const SEVERITY_RANK = {
+  [SEVERITY.INFO]: 0,
+  [SEVERITY.WARNING]: 1,
+  [SEVERITY.CRITICAL]: 2
+};
+
+const NOTIFY_EVENT = {
+  TRADE_OPEN: 'trade_open',
+  TRADE_ADD: 'trade_add',
+  TRADE_CLOSE: 'trade_close',
+  STOP_MOVED: 'stop_moved',
+  EMERGENCY: 'emergency',
+  RECONCILE: 'reconcile',
+  PROTECTION: 'protection',
+  LIQUIDATION_RISK: 'liquidation_risk',
+  EXCHANGE_ERROR: 'exchange_error',
+  OB_DETECTED: 'ob_detected',
+  OB_EXPIRED: 'ob_expired',
+  SIGNAL_SKIPPED: 'signal_skipped',
+  DIGEST: 'digest',
+  WEEKLY_REPORT: 'weekly_report'
+};
+
+const DEFAULT_TIMEOUT = 10000;
+
+function normalizeSeverity(value, fallback = SEVERITY.INFO) {
+  const severity = String(value || '').toLowerCase();
+  return SEVERITY_RANK[severity] !== undefined ? severity : fallback;
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
+
+/**
+ * 解析收件人列表 "a@x.com:en,b@y.com"
+ * @returns {Array} [{ address, locale }]
+ */
+function parseRecipients(text, defaultLocale = DEFAULT_LOCALE) {
+  return String(text || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [address, locale] = entry.split(':');
+    return { address: address.trim(), locale: resolveLocale(locale ? locale.trim() : defaultLocale) };
+  });
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// 渠道适配器
+// ═════════════════════════════════════════════════════════════════════════
+
+class EmailChannel {
+  /**
+   * @param {Array} options.recipients - [{ address, locale }]，同语言的收件人合并为一封邮件
+   */
+  constructor({ recipients, user, pass, host = null, port = 587, secure = false, service = 'gmail', minSeverity, timeout = DEFAULT_TIMEOUT }) {
+    this.name = 'email';
+    this.recipients = recipients;
+    this.user = user;
+    this.minSeverity = normalizeSeverity(minSeverity);
+
+    this.transporter = nodemailer.createTransport(host
+      ? { host, port, secure, auth: user ? { user, pass } : undefined, connectionTimeout: timeout }
+      : { service, auth: { user, pass }, connectionTimeout: timeout });
+  }
+
+  async send(message) {
+    const critical = message.severity === SEVERITY.CRITICAL;
+    const locales = [...new Set(this.recipients.map(r => r.locale))];
+    const ids = [];
+
+    for (const locale of locales) {
+      const content = message.render(locale);
+
+      const info = await this.transporter.sendMail({
+        from: `"${critical ? 'OB Bot ALERT' : 'OB Bot'}" <${this.user}>`,
+        to: this.recipients.filter(r => r.locale === locale).map(r => r.address).join(', '),
+        subject: content.subject,
+        text: content.text,
+        html: content.html || `<pre style="font-family: monospace; font-size: 12px; background: #1a1a1a; color: #e0e0e0; padding: 20px;">${content.text}</pre>`,
+        priority: critical ? 'high' : 'normal'
+      });
+      ids.push(info.messageId);
+    }
+
+    return { id: ids.join(',') };
+  }
+}
+
+class TelegramChannel {
+  constructor({ botToken, chatId, apiURL = 'https://api.telegram.org', locale, minSeverity, timeout = DEFAULT_TIMEOUT }) {
+    this.name = 'telegram';
+    this.chatId = chatId;
+    this.locale = resolveLocale(locale);
+    this.url = `${apiURL.replace(/\/$/, '')}/bot${botToken}/sendMessage`;
+    this.minSeverity = normalizeSeverity(minSeverity);
+    this.timeout = timeout;
+  }
+
+  async send(message) {
+    // Telegram 单条消息上限 4096 字符
+    const content = message.render(this.locale);
+    const response = await axios.post(this.url, {
+      chat_id: this.chatId,
+      text: truncate(`${content.subject}\n\n${content.text}`, 4096),
+      disable_web_page_preview: true
+    }, { timeout: this.timeout });
+
+    if (response.data && response.data.ok === false) {
+      throw new Error(`Telegram: ${response.data.description}`);
+    }
+
+    return { id: response.data && response.data.result ? response.data.result.message_id : null };
+  }
+}
+
+class DiscordChannel {
+  constructor({ webhookUrl, locale, minSeverity, timeout = DEFAULT_TIMEOUT }) {
+    this.name = 'discord';
+    this.url = webhookUrl;
+    this.locale = resolveLocale(locale);
+    this.minSeverity = normalizeSeverity(minSeverity);
+    this.timeout = timeout;
+  }
+
+  async send(message) {
+    // Discord content 上限 2000 字符，正文放在代码块中保持对齐
+    const content = message.render(this.locale);
+    const header = `**${content.subject}**\n`;
+    const body = truncate(content.text, 2000 - header.length - 8);
+
+    await axios.post(this.url, { content: `${header}\`\`\`\n${body}\n\`\`\`` }, { timeout: this.timeout });
+    return { id: null };
+  }
+}
+
+class SlackChannel {
+  constructor({ webhookUrl, locale, minSeverity, timeout = DEFAULT_TIMEOUT }) {
+    this.name = 'slack';
+    this.url = webhookUrl;
+    this.locale = resolveLocale(locale);
+    this.minSeverity = normalizeSeverity(minSeverity);
+    this.timeout = timeout;
+  }
+
+  async send(message) {
+    const content = message.render(this.locale);
+    await axios.post(this.url, { text: `*${content.subject}*\n\`\`\`${content.text}\`\`\`` }, { timeout: this.timeout });
+    return { id: null };
+  }
+}
+
+class WebhookChannel {
+  constructor({ url, headers = {}, locale, minSeverity, timeout = DEFAULT_TIMEOUT }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.locale = resolveLocale(locale);
+    this.headers = headers;
+    this.minSeverity = normalizeSeverity(minSeverity);
+    this.timeout = timeout;
+  }
+
+  async send(message) {
+    const content = message.render(this.locale);
+    await axios.post(this.url, {
+      event: message.event,
+      severity: message.severity,
+      locale: this.locale,
+      subject: content.subject,
+      body: content.text,
+      data: message.data || null,
+      timestamp: message.timestamp
+    }, { headers: this.headers, timeout: this.timeout });
+
+    return { id: null };
+  }
+}
+
+// ═════════════════════════════════════════════════════════════════════════
+// Notifier
+// ═════════════════════════════════════════════════════════════════════════
+
+/**
+ * 解析路由规则
+ * @param {string} text - "event:channel,channel;event:*"
+ * @returns {Object|null} { [event]: ['telegram', ...] | ['*'] }，未配置时返回 null
+ */
+function parseRoutes(text) {
+  if (!text || !text.trim()) return null;
+
+  const routes = {};
+
+  for (const rule of text.split(';')) {
+    const [event, channels] = rule.split(':');
+    if (!event || !event.trim() || channels === undefined) continue;
+
+    routes[event.trim().toLowerCase()] = channels.split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+  }
+
+  return routes;
+}
+
+class Notifier {
+  /**
+   * @param {Object} options
+   * @param {Array} options.channels - 渠道适配器（需有 name / minSeverity / send）
+   * @param {Object|null} options.routes - parseRoutes 的结果；null 表示发往所有渠道
+   * @param {string} options.timezone - 消息中时间的显示时区
+   * @param {Function} options.log
+   */
+  constructor({ channels = [], routes = null, timezone = 'Pacific/Auckland', log = () => {} } = {}) {
+    this.channels = channels;
+    this.routes = routes;
+    this.timezone = timezone;
+    this.log = log;
+  }
+
+  get enabled() {
+    return this.channels.length > 0;
+  }
+
+  /**
+   * 事件在该级别下会发往的渠道
+   */
+  getChannels(event, severity = SEVERITY.INFO) {
+    const rank = SEVERITY_RANK[normalizeSeverity(severity)];
+    let names = null;
+
+    if (this.routes) {
+      names = this.routes[event] || this.routes['*'] || [];
+    }
+
+    return this.channels.filter(channel =>
+      (names === null || names.includes('*') || names.includes(channel.name)) &&
+      rank >= SEVERITY_RANK[channel.minSeverity]
+    );
+  }
+
+  /**
+   * 发送通知（单个渠道失败不影响其他渠道，不抛出异常）
+   *
+   * @param {Object} message
+   * @param {string} message.event - NOTIFY_EVENT
+   * @param {string} message.severity - SEVERITY
+   * @param {Object} message.data - 模板数据，同时作为 webhook 的 data 发出
+   * @param {string} message.subject - 可选，不使用模板时的标题
+   * @param {string} message.body - 可选，不使用模板时的纯文本正文（所有语言相同）
+   * @param {Object} message.repeat - 可选，重复告警信息 { count, since, escalated }（由 NotificationGate 填写）
+   * @returns {Promise<Object>} { sent: ['telegram', ...], failed: [{ channel, error }] }
+   */
+  async notify(message) {
+    const rendered = {};
+    const payload = {
+      ...message,
+      severity: normalizeSeverity(message.severity),
+      timestamp: new Date().toISOString(),
+      render: locale => {
+        if (!rendered[locale]) {
+          rendered[locale] = message.body
+            ? { subject: message.subject, text: message.body, html: null }
+            : renderMessage(message.event, message.data, { locale, timezone: this.timezone, repeat: message.repeat || null });
+        }
+        if (!rendered[locale]) throw new Error(`No template for event ${message.event}`);
+        return rendered[locale];
+      }
+    };
+
+    const channels = this.getChannels(payload.event, payload.severity);
+    const results = await Promise.all(channels.map(channel =>
+      channel.send(payload)
+        .then(() => ({ channel: channel.name, ok: true }))
+        .catch(err => ({ channel: channel.name, ok: false, error: err.message }))
+    ));
+
+    const sent = results.filter(r => r.ok).map(r => r.channel);
+    const failed = results.filter(r => !r.ok).map(r => ({ channel: r.channel, error: r.error }));
+
+    for (const f of failed) {
+      this.log(`   ⚠️  Notification via ${f.channel} failed (${payload.event}): ${f.error}`);
+    }
+
+    return { sent, failed };
+  }
+}
+
+/**
+ * 按环境变量创建 Notifier（未配置的渠道不启用）
+ */
+function createNotifier(env = process.env, { log = () => {} } = {}) {
+  const timeout = parseInt(env.NOTIFY_TIMEOUT) || DEFAULT_TIMEOUT;
+  const locale = resolveLocale(env.NOTIFY_LOCALE);
+  const channels = [];
+
+  if (env.EMAIL_ENABLED === 'true' && env.EMAIL_RECIPIENT && env.EMAIL_USER) {
+    channels.push(new EmailChannel({
+      recipients: parseRecipients(env.EMAIL_RECIPIENT, env.EMAIL_LOCALE || locale),
+      user: env.EMAIL_USER,
+      pass: env.EMAIL_APP_PASSWORD,
+      host: env.EMAIL_SMTP_HOST || null,
+      port: parseInt(env.EMAIL_SMTP_PORT) || 587,
+      secure: env.EMAIL_SMTP_SECURE === 'true',
+      minSeverity: env.EMAIL_MIN_SEVERITY,
+      timeout
+    }));
+  }
+
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    channels.push(new TelegramChannel({
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID,
+      apiURL: env.TELEGRAM_API_URL || undefined,
+      locale: env.TELEGRAM_LOCALE || locale,
+      minSeverity: env.TELEGRAM_MIN_SEVERITY,
+      timeout
+    }));
+  }
+
+  if (env.DISCORD_WEBHOOK_URL) {
+    channels.push(new DiscordChannel({ webhookUrl: env.DISCORD_WEBHOOK_URL, locale: env.DISCORD_LOCALE || locale, minSeverity: env.DISCORD_MIN_SEVERITY, timeout }));
+  }
+
+  if (env.SLACK_WEBHOOK_URL) {
+    channels.push(new SlackChannel({ webhookUrl: env.SLACK_WEBHOOK_URL, locale: env.SLACK_LOCALE || locale, minSeverity: env.SLACK_MIN_SEVERITY, timeout }));
+  }
+
+  if (env.NOTIFY_WEBHOOK_URL) {
+    channels.push(new WebhookChannel({
+      url: env.NOTIFY_WEBHOOK_URL,
+      headers: env.NOTIFY_WEBHOOK_HEADERS ? JSON.parse(env.NOTIFY_WEBHOOK_HEADERS) : {},
+      locale: env.NOTIFY_WEBHOOK_LOCALE || locale,
+      minSeverity: env.NOTIFY_WEBHOOK_MIN_SEVERITY,
+      timeout
+    }));
+  }
+
+  return new Notifier({
+    channels,
+    routes: parseRoutes(env.NOTIFY_ROUTES),
+    timezone: env.TIMEZONE || 'Pacific/Auckland',
+    log
+  });
+}
+
+module.exports = {
+  SEVERITY,
+  NOTIFY_EVENT,
+  EmailChannel,
+  TelegramChannel,
+  DiscordChannel,
+  SlackChannel,
+  WebhookChannel,
+  Notifier,
+  parseRoutes,
+  parseRecipients,
+  createNotifier
+};
@@ -0,0 +1,199 @@
+/**
+ * OB 质量评分（0-100）
+ *
+ * 每个分项归一化到 0-1，按权重加权：
+ *
+ *   volume        突破 K 线成交量 / 成交量阈值（2 倍阈值满分）
+ *   size          OB 高度 / ATR（≤ 1 ATR 满分，≥ maxATRMultiplier 为 0）
+ *   displacement  确认 K 线同向实体 / ATR（≥ displacementATR 满分）
+ *   htf           HTF 趋势：同向 1，无趋势 0.5，逆向 0
+ *   session       确认时间（UTC）：伦敦 / 纽约重叠 1，伦敦或纽约 0.75，亚洲 0.4
+ *   touches       确认后回踩次数：未触及 1，每次触及递减
+ *   fvg           FVG 汇合：重叠 1，相邻 0.6，按未回补比例折算
+ *
+ * 分项明细保存在 order_blocks.scoreBreakdown，回踩次数变化时只需重算 touches。
+ */
+
+const { OB_TYPE, TREND } = require('./constants');
+const { isAlignedWithTrend } = require('./market-structure');
+const { getConfluenceScore } = require('./confluence');
+
+const DEFAULT_SCORE_WEIGHTS = {
+  volume: 20,
+  size: 15,
+  displacement: 20,
+  htf: 15,
+  session: 10,
+  touches: 10,
+  fvg: 10
+};
+
+const SCORE_COMPONENTS = Object.keys(DEFAULT_SCORE_WEIGHTS);
+
+/**
+ * 解析 OB_SCORE_WEIGHTS，如 "volume:30,htf:20,session:0"；未列出的分项使用默认权重
+ */
+function parseScoreWeights(spec) {
+  const weights = { ...DEFAULT_SCORE_WEIGHTS };
+  if (!spec) return weights;
+
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const [name, value] = part.split(':').map(p => p.trim());
+    const weight = parseFloat(value);
+
+    if (!SCORE_COMPONENTS.includes(name) || !(weight >= 0)) {
+      throw new Error(`Invalid score weight: ${part}`);
+    }
+
+    weights[name] = weight;
+  }
+
+  return weights;
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function scoreVolume(breakoutVolumeRatio) {
+  if (!Number.isFinite(breakoutVolumeRatio)) return 0.5;
+  return clamp01(breakoutVolumeRatio / 2);
+}
+
+function scoreSize(ob, atr, maxATRMultiplier) {
+  if (!atr) return 0.5;
+
+  const ratio = Math.abs(ob.top - ob.bottom) / atr;
+  if (ratio <= 1) return 1;
+  if (maxATRMultiplier <= 1) return 0;
+  return clamp01((maxATRMultiplier - ratio) / (maxATRMultiplier - 1));
+}
+
+function scoreDisplacement(ob, atr, displacementATR) {
+  const candle = ob.confirmationCandle;
+  if (!candle || !Number.isFinite(candle.open) || !atr) return 0.5;
+
+  const body = ob.type === OB_TYPE.BULLISH ? candle.close - candle.open : candle.open - candle.close;
+  return clamp01(body / (atr * displacementATR));
+}
+
+function scoreHTF(ob, trend) {
+  if (!trend || trend === TREND.NEUTRAL) return 0.5;
+  return isAlignedWithTrend(ob.type, trend) ? 1 : 0;
+}
+
+function scoreSession(time) {
+  if (!time) return 0.5;
+
+  const hour = new Date(time).getUTCHours();
+  const london = hour >= 7 && hour < 16;
+  const newYork = hour >= 12 && hour < 21;
+
+  if (london && newYork) return 1;
+  if (london || newYork) return 0.75;
+  return 0.4;
+}
+
+function scoreTouches(touchCount) {
+  return 1 / (1 + (touchCount || 0));
+}
+
+function scoreFVG(fvgConfluence) {
+  if (!fvgConfluence) return 0;
+
+  const freshness = 1 - Math.min(1, fvgConfluence.fvg.fillPercent || 0);
+  return (fvgConfluence.relation === 'OVERLAP' ? 1 : 0.6) * freshness;
+}
+
+/**
+ * 按分项加权汇总
+ */
+function combineScore(components, weights = DEFAULT_SCORE_WEIGHTS) {
+  let total = 0;
+  let weightSum = 0;
+
+  for (const name of SCORE_COMPONENTS) {
+    if (!(weights[name] > 0) || !Number.isFinite(components[name])) continue;
+    total += weights[name] * components[name];
+    weightSum += weights[name];
+  }
+
+  return weightSum > 0 ? Math.round((total / weightSum) * 100) : 0;
+}
+
+/**
+ * 计算 OB 质量评分
+ *
+ * @param {Object} ob - { type, top, bottom, confirmationTime, confirmationCandle: { open, close }, breakoutVolumeRatio, touchCount }
+ * @param {Object} context - { atr, trend, fvgConfluence }
+ * @param {Object} options - { weights, maxATRMultiplier, displacementATR }
+ * @returns {Object} { score, breakdown }，breakdown 为各分项 0-1 的值
+ */
+function scoreOrderBlock(ob, { atr = null, trend = null, fvgConfluence = null } = {}, options = {}) {
+  const weights = options.weights || DEFAULT_SCORE_WEIGHTS;
+  const maxATRMultiplier = options.maxATRMultiplier || 3.5;
+  const displacementATR = options.displacementATR || 1;
+
+  const breakdown = {
+    volume: scoreVolume(ob.breakoutVolumeRatio),
+    size: scoreSize(ob, atr, maxATRMultiplier),
+    displacement: scoreDisplacement(ob, atr, displacementATR),
+    htf: scoreHTF(ob, trend),
+    session: scoreSession(ob.confirmationTime),
+    touches: scoreTouches(ob.touchCount),
+    fvg: scoreFVG(fvgConfluence)
+  };
+
+  for (const name of SCORE_COMPONENTS) {
+    breakdown[name] = Math.round(breakdown[name] * 1000) / 1000;
+  }
+
+  return { score: combineScore(breakdown, weights), breakdown };
+}
+
+/**
+ * 回踩次数变化后重算（其余分项沿用保存的明细）
+ * @returns {Object|null} { score, breakdown }；没有明细的旧数据返回 null
+ */
+function rescoreTouches(obDoc, touchCount, weights = DEFAULT_SCORE_WEIGHTS) {
+  const breakdown = parseScoreBreakdown(obDoc);
+  if (!breakdown) return null;
+
+  breakdown.touches = Math.round(scoreTouches(touchCount) * 1000) / 1000;
+  return { score: combineScore(breakdown, weights), breakdown };
+}
+
+function parseScoreBreakdown(obDoc) {
+  try {
+    return obDoc.scoreBreakdown ? JSON.parse(obDoc.scoreBreakdown) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * OB 评分：没有 qualityScore 的旧数据回退到汇合评分
+ */
+function getOBScore(obDoc) {
+  return typeof obDoc.qualityScore === 'number' ? obDoc.qualityScore : getConfluenceScore(obDoc);
+}
+
+/**
+ * 按评分缩放风险：score ≥ fullRiskAt 时 1，否则线性缩小，不低于 minFactor
+ */
+function getScoreRiskFactor(score, { fullRiskAt = 80, minFactor = 0.5 } = {}) {
+  if (!(fullRiskAt > 0)) return 1;
+  return Math.min(1, Math.max(minFactor, score / fullRiskAt));
+}
+
+module.exports = {
+  DEFAULT_SCORE_WEIGHTS,
+  SCORE_COMPONENTS,
+  parseScoreWeights,
+  scoreOrderBlock,
+  combineScore,
+  rescoreTouches,
+  parseScoreBreakdown,
+  getOBScore,
+  getScoreRiskFactor
+};
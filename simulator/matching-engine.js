@@ -0,0 +1,750 @@
+/**
+ * 本地撮合引擎（Hyperliquid 替身）
+ *
+ * 由价格源驱动：每次 setPrice 后撮合挂单、触发止损 / 止盈单并检查强平。
+ * 单向持仓（每个币种一个净仓位），全仓保证金，手续费与滑点使用 shared/cost-model。
+ */
+
+const { HYPERLIQUID } = require('../shared/constants');
+const { estimateFill } = require('../shared/cost-model');
+const { floatToWire } = require('../shared/hyperliquid-signing');
+
+const DEFAULT_UNIVERSE = [
+  { name: 'BTC', szDecimals: 5, maxLeverage: 40 },
+  { name: 'ETH', szDecimals: 4, maxLeverage: 25 },
+  { name: 'SOL', szDecimals: 2, maxLeverage: 20 }
+];
+
+// 与 Hyperliquid 相同的最小下单金额
+const MIN_ORDER_NOTIONAL = 10;
+
+function toWire(x) {
+  return floatToWire(parseFloat(x.toFixed(8)));
+}
+
+class MatchingEngine {
+  constructor({ universe = DEFAULT_UNIVERSE, prices = {}, initialBalance = 10000, leverage = 3 } = {}) {
+    this.universe = universe;
+    this.mids = new Map();
+    this.accounts = new Map();
+    this.orders = new Map();
+    this.finishedOrders = new Map();
+    this.initialBalance = initialBalance;
+    this.leverage = leverage;
+    this.nextOid = 1;
+    this.nextTid = 1;
+
+    for (const [coin, px] of Object.entries(prices)) {
+      this.mids.set(coin, px);
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // 价格源
+  // ═════════════════════════════════════════════════════════════════════════
+
+  /**
+   * 更新中间价并撮合
+   * @returns {Array} 本次产生的成交
+   */
+  setPrice(coin, px, time = Date.now()) {
+    if (!this._getAsset(coin)) {
+      throw new Error(`Unknown asset: ${coin}`);
+    }
+
+    this.mids.set(coin, px);
+
+    const fills = [];
+    fills.push(...this._matchResting(coin, px, time));
+    fills.push(...this._matchTriggers(coin, px, time));
+    fills.push(...this._checkLiquidations(coin, px, time));
+
+    return fills;
+  }
+
+  getMids() {
+    const mids = {};
+    for (const [coin, px] of this.mids) {
+      mids[coin] = toWire(px);
+    }
+    return mids;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // 账户
+  // ═════════════════════════════════════════════════════════════════════════
+
+  getAccount(user) {
+    const key = user.toLowerCase();
+
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        user: key,
+        balance: this.initialBalance,
+        positions: new Map(),
+        fills: [],
+        funding: [],
+        nonces: new Set()
+      });
+    }
+
+    return this.accounts.get(key);
+  }
+
+  fund(user, amount) {
+    const account = this.getAccount(user);
+    account.balance += amount;
+    return account.balance;
+  }
+
+  /**
+   * 结算资金费：多头在费率为正时支付，空头收取
+   * @returns {number} 结算的持仓数
+   */
+  settleFunding(coin, rate, time = Date.now()) {
+    const mid = this.mids.get(coin);
+    let settled = 0;
+
+    for (const account of this.accounts.values()) {
+      const pos = account.positions.get(coin);
+      if (!pos || !mid) continue;
+
+      const usdc = -pos.szi * mid * rate;
+      account.balance += usdc;
+      account.funding.push({
+        time,
+        hash: `0x${'0'.repeat(64)}`,
+        delta: {
+          type: 'funding',
+          coin,
+          usdc: toWire(usdc),
+          szi: toWire(pos.szi),
+          fundingRate: toWire(rate),
+          nSamples: null
+        }
+      });
+      settled++;
+    }
+
+    return settled;
+  }
+
+  /**
+   * nonce 不可重复使用
+   */
+  useNonce(user, nonce) {
+    const account = this.getAccount(user);
+
+    if (account.nonces.has(nonce)) {
+      return false;
+    }
+
+    account.nonces.add(nonce);
+    return true;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // /exchange
+  // ═════════════════════════════════════════════════════════════════════════
+
+  /**
+   * 批量下单，grouping 与 Hyperliquid 一致：
+   * - na：各订单独立
+   * - normalTpsl：第一笔为入场单，其余为其 TP/SL 子单；入场单成交后子单才生效，入场单撤销时子单一并撤销
+   * - positionTpsl：TP/SL 绑定当前持仓，触发时按持仓数量平仓
+   * @returns {Array} statuses；子单返回 'waitingForFill' / 'waitingForTrigger'
+   */
+  placeOrders(user, wires, grouping = 'na', time = Date.now()) {
+    if (grouping === 'normalTpsl') {
+      return this._placeNormalTpsl(user, wires, time);
+    }
+
+    if (grouping === 'positionTpsl') {
+      const asset = this.universe[wires[0] && wires[0].a];
+      const pos = asset && this.getAccount(user).positions.get(asset.name);
+
+      if (!pos) {
+        return wires.map(() => ({ error: 'No position to attach TP/SL orders to.' }));
+      }
+
+      return wires.map(wire => {
+        if (!wire.r || !wire.t.trigger) {
+          return { error: 'positionTpsl orders must be reduce-only triggers.' };
+        }
+        const status = this.placeOrder(user, wire, time);
+        if (status.resting) {
+          this.orders.get(status.resting.oid).positionTpsl = true;
+        }
+        return status;
+      });
+    }
+
+    return wires.map(wire => this.placeOrder(user, wire, time));
+  }
+
+  /**
+   * 下单（wire 格式 { a, b, p, s, r, t }）
+   * @returns {Object} { resting: { oid } } | { filled: { totalSz, avgPx, oid } } | { error }
+   */
+  placeOrder(user, wire, time = Date.now()) {
+    const asset = this.universe[wire.a];
+    if (!asset) {
+      return { error: `Invalid asset: ${wire.a}` };
+    }
+
+    const coin = asset.name;
+    const mid = this.mids.get(coin);
+    if (!mid) {
+      return { error: `No price for ${coin}` };
+    }
+
+    const order = {
+      oid: this.nextOid++,
+      user: user.toLowerCase(),
+      coin,
+      asset: wire.a,
+      isBuy: wire.b,
+      limitPx: parseFloat(wire.p),
+      sz: parseFloat(wire.s),
+      origSz: parseFloat(wire.s),
+      reduceOnly: wire.r,
+      tif: wire.t.limit ? wire.t.limit.tif : null,
+      trigger: wire.t.trigger
+        ? { ...wire.t.trigger, triggerPx: parseFloat(wire.t.trigger.triggerPx) }
+        : null,
+      status: 'open',
+      timestamp: time,
+      statusTimestamp: time
+    };
+
+    const error = this._validateOrder(order, asset, mid);
+    if (error) {
+      return { error };
+    }
+
+    // 触发单：等待价格触发
+    if (order.trigger) {
+      this.orders.set(order.oid, order);
+      return { resting: { oid: order.oid } };
+    }
+
+    const crosses = order.isBuy ? order.limitPx >= mid : order.limitPx <= mid;
+
+    if (crosses) {
+      if (order.tif === 'Alo') {
+        this._finishOrder(order, 'badAloPxRejected', time);
+        return { error: 'Post only order would have immediately matched, bbo was ' + toWire(mid) };
+      }
+
+      const fill = this._execute(order, mid, 'taker', time);
+      return { filled: { totalSz: toWire(fill.sz), avgPx: toWire(fill.px), oid: order.oid } };
+    }
+
+    if (order.tif === 'Ioc') {
+      this._finishOrder(order, 'iocCancelRejected', time);
+      return { error: `Order could not immediately match against any resting orders. asset=${order.asset}` };
+    }
+
+    this.orders.set(order.oid, order);
+    return { resting: { oid: order.oid } };
+  }
+
+  cancel(user, asset, oid, time = Date.now()) {
+    const order = this.orders.get(oid) || this._findWaitingChild(oid);
+
+    if (!order || order.user !== user.toLowerCase() || order.asset !== asset || order.status !== 'open') {
+      return { error: 'Order was never placed, already canceled, or filled.' };
+    }
+
+    if (order.parent) {
+      order.parent.children = order.parent.children.filter(c => c !== order);
+    }
+
+    this.orders.delete(oid);
+    this._finishOrder(order, 'canceled', time);
+
+    for (const child of order.children || []) {
+      this._finishOrder(child, 'canceled', time);
+    }
+
+    return 'success';
+  }
+
+  /**
+   * 改单：撤销原单并以新参数重新下单（保留同一 oid）
+   */
+  modify(user, oid, wire, time = Date.now()) {
+    const existing = this.orders.get(oid);
+
+    if (!existing || existing.user !== user.toLowerCase() || existing.status !== 'open') {
+      return { error: 'Cannot modify canceled or filled order' };
+    }
+
+    this.orders.delete(oid);
+
+    const nextOid = this.nextOid;
+    this.nextOid = oid;
+    const result = this.placeOrder(user, wire, time);
+    this.nextOid = nextOid;
+
+    if (result.error) {
+      this.orders.set(oid, existing);
+    } else if (existing.children && existing.children.length > 0) {
+      // TP/SL 子单跟随改单后的入场单
+      if (result.filled) {
+        this._activateChildren(existing, parseFloat(result.filled.totalSz));
+      } else {
+        const replacement = this.orders.get(oid);
+        replacement.children = existing.children;
+        replacement.children.forEach(child => { child.parent = replacement; });
+      }
+    }
+
+    return result;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // /info
+  // ═════════════════════════════════════════════════════════════════════════
+
+  clearinghouseState(user) {
+    const account = this.getAccount(user);
+    const assetPositions = [];
+    let totalNtlPos = 0;
+    let totalMarginUsed = 0;
+    let unrealized = 0;
+
+    for (const [coin, pos] of account.positions) {
+      const mid = this.mids.get(coin);
+      const size = Math.abs(pos.szi);
+      const positionValue = size * mid;
+      const unrealizedPnl = (mid - pos.entryPx) * pos.szi;
+      const marginUsed = positionValue / pos.leverage;
+
+      totalNtlPos += positionValue;
+      totalMarginUsed += marginUsed;
+      unrealized += unrealizedPnl;
+
+      assetPositions.push({
+        type: 'oneWay',
+        position: {
+          coin,
+          szi: toWire(pos.szi),
+          entryPx: toWire(pos.entryPx),
+          positionValue: toWire(positionValue),
+          unrealizedPnl: toWire(unrealizedPnl),
+          returnOnEquity: toWire(unrealizedPnl / (size * pos.entryPx / pos.leverage)),
+          liquidationPx: toWire(this._liquidationPrice(pos)),
+          leverage: { type: 'cross', value: pos.leverage },
+          marginUsed: toWire(marginUsed)
+        }
+      });
+    }
+
+    const accountValue = account.balance + unrealized;
+    const summary = {
+      accountValue: toWire(accountValue),
+      totalNtlPos: toWire(totalNtlPos),
+      totalRawUsd: toWire(account.balance),
+      totalMarginUsed: toWire(totalMarginUsed)
+    };
+
+    return {
+      assetPositions,
+      marginSummary: summary,
+      crossMarginSummary: summary,
+      withdrawable: toWire(Math.max(0, accountValue - totalMarginUsed)),
+      time: Date.now()
+    };
+  }
+
+  openOrders(user) {
+    const key = user.toLowerCase();
+
+    return [...this.orders.values()]
+      .filter(o => o.user === key && o.status === 'open')
+      .map(o => ({
+        ...this._orderToInfo(o),
+        children: (o.children || []).map(c => this._orderToInfo(c))
+      }));
+  }
+
+  orderStatus(user, oid) {
+    const order = this.orders.get(oid) || this._findWaitingChild(oid) || this._findFinishedOrder(oid);
+
+    if (!order || order.user !== user.toLowerCase()) {
+      return { status: 'unknownOid' };
+    }
+
+    return {
+      status: 'order',
+      order: {
+        order: this._orderToInfo(order),
+        status: order.status,
+        statusTimestamp: order.statusTimestamp
+      }
+    };
+  }
+
+  userFills(user) {
+    return [...this.getAccount(user).fills].reverse();
+  }
+
+  userFillsByTime(user, startTime, endTime = Date.now()) {
+    return this.getAccount(user).fills.filter(f => f.time >= startTime && f.time <= endTime);
+  }
+
+  userFunding(user, startTime, endTime = Date.now()) {
+    return this.getAccount(user).funding.filter(e => e.time >= startTime && e.time <= endTime);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // 内部
+  // ═════════════════════════════════════════════════════════════════════════
+
+  _getAsset(coin) {
+    return this.universe.find(a => a.name === coin);
+  }
+
+  _validateOrder(order, asset, mid) {
+    if (!(order.sz > 0)) {
+      return 'Order has zero size.';
+    }
+
+    const sizeFactor = Math.pow(10, asset.szDecimals);
+    if (Math.abs(order.sz * sizeFactor - Math.round(order.sz * sizeFactor)) > 1e-6) {
+      return 'Order has invalid size.';
+    }
+
+    const account = this.getAccount(order.user);
+    const pos = account.positions.get(order.coin);
+
+    if (order.reduceOnly) {
+      const reduces = pos && (order.isBuy ? pos.szi < 0 : pos.szi > 0);
+      if (!reduces && !order.trigger) {
+        return 'Reduce only order would increase position.';
+      }
+      return null;
+    }
+
+    if (order.sz * mid < MIN_ORDER_NOTIONAL) {
+      return `Order must have minimum value of $${MIN_ORDER_NOTIONAL}.`;
+    }
+
+    const state = this.clearinghouseState(order.user);
+    const available = parseFloat(state.marginSummary.accountValue) - parseFloat(state.marginSummary.totalMarginUsed);
+    if ((order.sz * mid) / this.leverage > available) {
+      return 'Insufficient margin to place order.';
+    }
+
+    return null;
+  }
+
+  _matchResting(coin, mid, time) {
+    const fills = [];
+
+    for (const order of [...this.orders.values()]) {
+      if (order.coin !== coin || order.trigger || order.status !== 'open') continue;
+
+      const crosses = order.isBuy ? mid <= order.limitPx : mid >= order.limitPx;
+      if (!crosses) continue;
+
+      this.orders.delete(order.oid);
+      fills.push(this._execute(order, order.limitPx, 'maker', time));
+    }
+
+    return fills;
+  }
+
+  _matchTriggers(coin, mid, time) {
+    const fills = [];
+
+    for (const order of [...this.orders.values()]) {
+      if (order.coin !== coin || !order.trigger || order.status !== 'open') continue;
+
+      // sl：卖出单价格跌破触发，买入单价格升破触发；tp 相反
+      const { triggerPx, tpsl, isMarket } = order.trigger;
+      const fallingTrigger = (tpsl === 'sl') === !order.isBuy;
+      const triggered = fallingTrigger ? mid <= triggerPx : mid >= triggerPx;
+      if (!triggered) continue;
+
+      this.orders.delete(order.oid);
+
+      const pos = this.getAccount(order.user).positions.get(coin);
+      const reduces = pos && (order.isBuy ? pos.szi < 0 : pos.szi > 0);
+
+      if (order.reduceOnly && !reduces) {
+        this._finishOrder(order, 'reduceOnlyCanceled', time);
+        continue;
+      }
+
+      if (order.positionTpsl) {
+        order.sz = Math.abs(pos.szi);
+      }
+
+      this._finishOrder(order, 'triggered', time);
+      const px = isMarket ? mid : order.limitPx;
+      fills.push(this._execute(order, px, 'taker', time));
+    }
+
+    return fills;
+  }
+
+  _checkLiquidations(coin, mid, time) {
+    const fills = [];
+
+    for (const account of this.accounts.values()) {
+      const pos = account.positions.get(coin);
+      if (!pos) continue;
+
+      const liqPx = this._liquidationPrice(pos);
+      const liquidated = pos.szi > 0 ? mid <= liqPx : mid >= liqPx;
+      if (!liquidated) continue;
+
+      // 强平：撤销该币种所有挂单，按强平价平仓
+      for (const order of [...this.orders.values()]) {
+        if (order.user === account.user && order.coin === coin) {
+          this.orders.delete(order.oid);
+          this._finishOrder(order, 'marginCanceled', time);
+        }
+      }
+
+      fills.push(this._applyFill(account, {
+        oid: null,
+        coin,
+        isBuy: pos.szi < 0,
+        sz: Math.abs(pos.szi),
+        px: liqPx,
+        fee: 0,
+        crossed: true,
+        time,
+        liquidation: true
+      }));
+    }
+
+    return fills;
+  }
+
+  _execute(order, price, liquidity, time) {
+    const account = this.getAccount(order.user);
+    const pos = account.positions.get(order.coin);
+
+    // 只减仓单不能超过当前仓位
+    let sz = order.sz;
+    if (order.reduceOnly && pos) {
+      sz = Math.min(sz, Math.abs(pos.szi));
+    }
+
+    const cost = estimateFill({ price, size: sz, isBuy: order.isBuy, liquidity });
+    const px = liquidity === 'taker' && !order.trigger
+      ? (order.isBuy ? Math.min(cost.price, order.limitPx) : Math.max(cost.price, order.limitPx))
+      : cost.price;
+
+    const fill = this._applyFill(account, {
+      oid: order.oid,
+      coin: order.coin,
+      isBuy: order.isBuy,
+      sz,
+      px,
+      fee: cost.fee,
+      crossed: liquidity === 'taker',
+      time
+    });
+
+    order.sz = 0;
+    if (order.status === 'open') {
+      this._finishOrder(order, 'filled', time);
+    }
+
+    this._activateChildren(order, sz);
+
+    return fill;
+  }
+
+  _applyFill(account, { oid, coin, isBuy, sz, px, fee, crossed, time, liquidation = false }) {
+    const pos = account.positions.get(coin) || { szi: 0, entryPx: 0, leverage: this.leverage };
+    const startPosition = pos.szi;
+    const delta = isBuy ? sz : -sz;
+
+    let closedPnl = 0;
+    let dir;
+
+    if (pos.szi === 0 || Math.sign(pos.szi) === Math.sign(delta)) {
+      // 开仓 / 加仓
+      const newSzi = pos.szi + delta;
+      pos.entryPx = (pos.entryPx * Math.abs(pos.szi) + px * sz) / Math.abs(newSzi);
+      pos.szi = newSzi;
+      dir = isBuy ? 'Open Long' : 'Open Short';
+    } else {
+      // 减仓 / 平仓 / 反手
+      const closing = Math.min(sz, Math.abs(pos.szi));
+      closedPnl = (px - pos.entryPx) * closing * Math.sign(pos.szi);
+      dir = pos.szi > 0 ? 'Close Long' : 'Close Short';
+
+      const newSzi = pos.szi + delta;
+      if (Math.abs(newSzi) < 1e-12) {
+        pos.szi = 0;
+      } else if (Math.sign(newSzi) !== Math.sign(pos.szi)) {
+        pos.entryPx = px;
+        pos.szi = newSzi;
+        dir = pos.szi > 0 ? 'Short > Long' : 'Long > Short';
+      } else {
+        pos.szi = newSzi;
+      }
+    }
+
+    if (liquidation) dir = 'Liquidation';
+
+    if (pos.szi === 0) {
+      account.positions.delete(coin);
+      this._cancelReduceOnly(account.user, coin, time);
+    } else {
+      account.positions.set(coin, pos);
+    }
+
+    account.balance += closedPnl - fee;
+
+    const fill = {
+      coin,
+      px: toWire(px),
+      sz: toWire(sz),
+      side: isBuy ? 'B' : 'A',
+      time,
+      startPosition: toWire(startPosition),
+      dir,
+      closedPnl: toWire(closedPnl),
+      hash: `0x${(this.nextTid).toString(16).padStart(64, '0')}`,
+      oid,
+      crossed,
+      fee: toWire(fee),
+      tid: this.nextTid++,
+      feeToken: 'USDC'
+    };
+
+    account.fills.push(fill);
+    return { ...fill, px, sz };
+  }
+
+  _finishOrder(order, status, time) {
+    order.status = status;
+    order.statusTimestamp = time;
+    this.finishedOrders.set(order.oid, order);
+  }
+
+  _placeNormalTpsl(user, wires, time) {
+    const [parentWire, ...childWires] = wires;
+
+    if (!parentWire || parentWire.r || childWires.some(w => !w.r || !w.t.trigger)) {
+      return wires.map(() => ({ error: 'normalTpsl requires an entry order followed by reduce-only triggers.' }));
+    }
+
+    const children = childWires.map(wire => ({
+      oid: null,
+      user: user.toLowerCase(),
+      coin: this.universe[wire.a] ? this.universe[wire.a].name : null,
+      asset: wire.a,
+      isBuy: wire.b,
+      limitPx: parseFloat(wire.p),
+      sz: parseFloat(wire.s),
+      origSz: parseFloat(wire.s),
+      reduceOnly: true,
+      tif: null,
+      trigger: { ...wire.t.trigger, triggerPx: parseFloat(wire.t.trigger.triggerPx) },
+      status: 'open',
+      timestamp: time,
+      statusTimestamp: time
+    }));
+
+    const parentStatus = this.placeOrder(user, parentWire, time);
+
+    if (parentStatus.error) {
+      return [parentStatus, ...children.map(() => ({ error: 'Parent order failed.' }))];
+    }
+
+    if (parentStatus.filled) {
+      this._activateChildren({ children }, parseFloat(parentStatus.filled.totalSz));
+    } else {
+      const parent = this.orders.get(parentStatus.resting.oid);
+      for (const child of children) {
+        child.oid = this.nextOid++;
+        child.parent = parent;
+      }
+      parent.children = children;
+    }
+
+    return [
+      parentStatus,
+      ...children.map(() => (parentStatus.filled ? 'waitingForTrigger' : 'waitingForFill'))
+    ];
+  }
+
+  /**
+   * 入场单成交后激活其 TP/SL 子单（数量不超过成交量）
+   */
+  _activateChildren(order, filledSz) {
+    const children = order.children || [];
+    order.children = [];
+
+    for (const child of children) {
+      if (child.status !== 'open') continue;
+      if (child.oid === null) child.oid = this.nextOid++;
+      child.sz = Math.min(child.sz, filledSz);
+      child.parent = null;
+      this.orders.set(child.oid, child);
+    }
+  }
+
+  _findWaitingChild(oid) {
+    for (const order of this.orders.values()) {
+      const child = (order.children || []).find(c => c.oid === oid);
+      if (child) return child;
+    }
+    return null;
+  }
+
+  _cancelReduceOnly(user, coin, time) {
+    for (const order of [...this.orders.values()]) {
+      if (order.user === user && order.coin === coin && order.reduceOnly && order.status === 'open') {
+        this.orders.delete(order.oid);
+        this._finishOrder(order, 'reduceOnlyCanceled', time);
+      }
+    }
+  }
+
+  _findFinishedOrder(oid) {
+    return this.finishedOrders.get(oid) || null;
+  }
+
+  _orderToInfo(order) {
+    return {
+      coin: order.coin,
+      side: order.isBuy ? 'B' : 'A',
+      limitPx: toWire(order.limitPx),
+      sz: toWire(order.sz),
+      oid: order.oid,
+      timestamp: order.timestamp,
+      origSz: toWire(order.origSz),
+      reduceOnly: order.reduceOnly,
+      orderType: order.trigger
+        ? `${order.trigger.tpsl === 'tp' ? 'Take Profit' : 'Stop'} ${order.trigger.isMarket ? 'Market' : 'Limit'}`
+        : 'Limit',
+      tif: order.tif,
+      isTrigger: !!order.trigger,
+      triggerPx: order.trigger ? toWire(order.trigger.triggerPx) : '0.0'
+    };
+  }
+
+  // 与 HyperliquidAPI 模拟模式使用相同的强平价公式
+  _liquidationPrice(pos) {
+    const maxLoss = (1 / pos.leverage) - HYPERLIQUID.LIQUIDATION.MMR - 0.001;
+
+    return pos.szi > 0
+      ? pos.entryPx * (1 - maxLoss)
+      : pos.entryPx * (1 + maxLoss);
+  }
+}
+
+module.exports = {
+  MatchingEngine,
+  DEFAULT_UNIVERSE
+};
@@ -0,0 +1,64 @@
+/**
+ * 价格源：按固定间隔把价格推入撮合引擎
+ *
+ * 回放模式：ticks = [{ coin, px }, ...]（例如由 Binance K 线收盘价生成）
+ * 随机游走模式：未提供 ticks 时，按 volatility 对当前价格做随机游走
+ */
+
+class PriceFeed {
+  constructor(engine, { ticks = null, intervalMs = 1000, volatility = 0.001, log = () => {} } = {}) {
+    this.engine = engine;
+    this.ticks = ticks;
+    this.intervalMs = intervalMs;
+    this.volatility = volatility;
+    this.log = log;
+    this.cursor = 0;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.step(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 推进一步
+   * @returns {boolean} 是否还有后续价格
+   */
+  step() {
+    if (this.ticks) {
+      if (this.cursor >= this.ticks.length) {
+        this.stop();
+        return false;
+      }
+
+      const tick = this.ticks[this.cursor++];
+      this._push(tick.coin, tick.px);
+      return this.cursor < this.ticks.length;
+    }
+
+    for (const [coin, px] of this.engine.mids) {
+      const change = (Math.random() - 0.5) * 2 * this.volatility;
+      this._push(coin, px * (1 + change));
+    }
+
+    return true;
+  }
+
+  _push(coin, px) {
+    const fills = this.engine.setPrice(coin, px);
+
+    for (const fill of fills) {
+      this.log(`💥 ${fill.coin} ${fill.dir} ${fill.sz} @ ${fill.px}`);
+    }
+  }
+}
+
+module.exports = { PriceFeed };
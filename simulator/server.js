@@ -0,0 +1,206 @@
+/**
+ * 本地 Hyperliquid 交易所替身（HTTP）
+ *
+ * 实现 /info 与 /exchange 的常用请求，HyperliquidAPI 通过 baseURL 指向本服务即可
+ * 在无网络环境下走完整的真实请求 / 签名 / 解析路径。
+ *
+ *   /info      allMids, meta, metaAndAssetCtxs, clearinghouseState, orderStatus, openOrders,
+ *              frontendOpenOrders, userFills, userFillsByTime, userFunding
+ *   /exchange  order, cancel, modify（校验 EIP-712 签名与 nonce）
+ *   /sim       setPrice, fund, settleFunding（测试控制接口，非 Hyperliquid API）
+ */
+
+const http = require('http');
+const { recoverL1Signer } = require('../shared/hyperliquid-signing');
+const { MatchingEngine } = require('./matching-engine');
+
+const DEFAULT_FUNDING_RATE = '0.0000125';
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+class ExchangeSimulator {
+  constructor({ engine = new MatchingEngine(), isMainnet = false, log = () => {} } = {}) {
+    this.engine = engine;
+    this.isMainnet = isMainnet;
+    this.log = log;
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * 启动服务（port 为 0 时随机端口）
+   * @returns {Promise<string>} baseURL
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.baseURL = `http://${host}:${address.port}`;
+        resolve(this.baseURL);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async _handle(req, res) {
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    try {
+      const body = await readJson(req);
+
+      if (req.url === '/info') {
+        return sendJson(res, 200, this._info(body));
+      }
+
+      if (req.url === '/exchange') {
+        return sendJson(res, 200, this._exchange(body));
+      }
+
+      if (req.url === '/sim') {
+        return sendJson(res, 200, this._control(body));
+      }
+
+      return sendJson(res, 404, { error: `Unknown path: ${req.url}` });
+    } catch (err) {
+      this.log(`❌ ${req.url}: ${err.message}`);
+      return sendJson(res, 422, { error: err.message });
+    }
+  }
+
+  _info(body) {
+    const { engine } = this;
+
+    switch (body.type) {
+      case 'allMids':
+        return engine.getMids();
+
+      case 'meta':
+        return { universe: engine.universe };
+
+      case 'metaAndAssetCtxs':
+        return [
+          { universe: engine.universe },
+          engine.universe.map(asset => {
+            const mid = engine.getMids()[asset.name] || '0';
+            return {
+              funding: DEFAULT_FUNDING_RATE,
+              openInterest: '0',
+              prevDayPx: mid,
+              dayNtlVlm: '0',
+              premium: '0',
+              oraclePx: mid,
+              markPx: mid,
+              midPx: mid
+            };
+          })
+        ];
+
+      case 'clearinghouseState':
+        return engine.clearinghouseState(body.user);
+
+      case 'openOrders':
+      case 'frontendOpenOrders':
+        return engine.openOrders(body.user);
+
+      case 'orderStatus':
+        return engine.orderStatus(body.user, Number(body.oid));
+
+      case 'userFills':
+        return engine.userFills(body.user);
+
+      case 'userFillsByTime':
+        return engine.userFillsByTime(body.user, body.startTime, body.endTime);
+
+      case 'userFunding':
+        return engine.userFunding(body.user, body.startTime, body.endTime);
+
+      default:
+        throw new Error(`Unsupported info type: ${body.type}`);
+    }
+  }
+
+  _exchange({ action, nonce, signature, vaultAddress = null }) {
+    if (!action || !nonce || !signature) {
+      return { status: 'err', response: 'Missing action, nonce or signature' };
+    }
+
+    let user;
+    try {
+      user = recoverL1Signer(action, vaultAddress, nonce, signature, this.isMainnet);
+    } catch (err) {
+      return { status: 'err', response: `Invalid signature: ${err.message}` };
+    }
+
+    if (!this.engine.useNonce(user, nonce)) {
+      return { status: 'err', response: 'Nonce already used' };
+    }
+
+    this.log(`📥 ${action.type} from ${user}`);
+
+    switch (action.type) {
+      case 'order': {
+        const statuses = this.engine.placeOrders(user, action.orders, action.grouping);
+        return { status: 'ok', response: { type: 'order', data: { statuses } } };
+      }
+
+      case 'cancel': {
+        const statuses = action.cancels.map(c => this.engine.cancel(user, c.a, c.o));
+        return { status: 'ok', response: { type: 'cancel', data: { statuses } } };
+      }
+
+      case 'modify': {
+        const result = this.engine.modify(user, action.oid, action.order);
+        if (result.error) {
+          return { status: 'err', response: result.error };
+        }
+        return { status: 'ok', response: { type: 'default' } };
+      }
+
+      default:
+        return { status: 'err', response: `Unsupported action type: ${action.type}` };
+    }
+  }
+
+  _control(body) {
+    switch (body.type) {
+      case 'setPrice': {
+        const fills = this.engine.setPrice(body.coin, parseFloat(body.px));
+        return { status: 'ok', fills: fills.length };
+      }
+
+      case 'fund':
+        return { status: 'ok', balance: this.engine.fund(body.user, parseFloat(body.amount)) };
+
+      case 'settleFunding':
+        return { status: 'ok', settled: this.engine.settleFunding(body.coin, parseFloat(body.rate)) };
+
+      default:
+        throw new Error(`Unsupported sim type: ${body.type}`);
+    }
+  }
+}
+
+module.exports = { ExchangeSimulator };
@@ -0,0 +1,154 @@
+/**
+ * 本地通知渠道替身（HTTP）
+ *
+ * 记录所有 POST 请求，按路径模拟各渠道的响应：
+ *
+ *   /bot<token>/sendMessage   Telegram Bot API（TELEGRAM_API_URL 指向本服务）
+ *   /discord/...              Discord webhook（204）
+ *   /slack/...                Slack webhook（200 "ok"）
+ *   其他路径                   通用 JSON webhook（200 { ok: true }）
+ *
+ *   GET  /messages            返回已记录的请求
+ *   POST /sim { action: 'fail', status, count }   之后 count 个请求返回 status（测试失败路径）
+ *   POST /sim { action: 'clear' }
+ */
+
+const http = require('http');
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+class WebhookServer {
+  constructor({ log = () => {} } = {}) {
+    this.log = log;
+    this.messages = [];
+    this.failures = null;
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * 启动服务（port 为 0 时随机端口）
+   * @returns {Promise<string>} baseURL
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.baseURL = `http://${host}:${address.port}`;
+        resolve(this.baseURL);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * 指向本服务的渠道环境变量
+   */
+  channelEnv() {
+    return {
+      TELEGRAM_BOT_TOKEN: 'local-token',
+      TELEGRAM_CHAT_ID: 'local-chat',
+      TELEGRAM_API_URL: this.baseURL,
+      DISCORD_WEBHOOK_URL: `${this.baseURL}/discord/webhook`,
+      SLACK_WEBHOOK_URL: `${this.baseURL}/slack/webhook`,
+      NOTIFY_WEBHOOK_URL: `${this.baseURL}/webhook`
+    };
+  }
+
+  /**
+   * 按渠道筛选已记录的请求
+   * @param {string} channel - telegram / discord / slack / webhook；不传返回全部
+   */
+  received(channel = null) {
+    return channel ? this.messages.filter(m => m.channel === channel) : this.messages;
+  }
+
+  clear() {
+    this.messages = [];
+    this.failures = null;
+  }
+
+  failNext(count = 1, status = 500) {
+    this.failures = { count, status };
+  }
+
+  _channelOf(url) {
+    if (/^\/bot[^/]+\/sendMessage/.test(url)) return 'telegram';
+    if (url.startsWith('/discord')) return 'discord';
+    if (url.startsWith('/slack')) return 'slack';
+    return 'webhook';
+  }
+
+  async _handle(req, res) {
+    if (req.method === 'GET' && req.url === '/messages') {
+      return sendJson(res, 200, this.messages);
+    }
+
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    let body;
+    try {
+      const raw = await readBody(req);
+      body = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON body' });
+    }
+
+    if (req.url === '/sim') {
+      if (body.action === 'fail') this.failNext(body.count || 1, body.status || 500);
+      if (body.action === 'clear') this.clear();
+      return sendJson(res, 200, { ok: true });
+    }
+
+    if (this.failures && this.failures.count > 0) {
+      this.failures.count--;
+      this.log(`❌ ${req.url} → ${this.failures.status} (simulated)`);
+      return sendJson(res, this.failures.status, { ok: false, description: 'Simulated failure' });
+    }
+
+    const channel = this._channelOf(req.url);
+    this.messages.push({
+      channel,
+      path: req.url,
+      headers: req.headers,
+      body,
+      receivedAt: new Date().toISOString()
+    });
+    this.log(`📨 ${channel} ${req.url}`);
+
+    switch (channel) {
+      case 'telegram':
+        return sendJson(res, 200, { ok: true, result: { message_id: this.messages.length, chat: { id: body.chat_id } } });
+
+      case 'discord':
+        res.writeHead(204);
+        return res.end();
+
+      case 'slack':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end('ok');
+
+      default:
+        return sendJson(res, 200, { ok: true });
+    }
+  }
+}
+
+module.exports = { WebhookServer };
@@ -0,0 +1,110 @@
+/**
+ * control-api：鉴权与路由（本地存储 + Mock 交易所，不发出网络请求）
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LocalRepository = require('../shared/local-repository');
+const controlApi = require('../functions/control-api/src/index');
+
+const TOKEN = 'test-token';
+const ENV_KEYS = ['CONTROL_API_TOKEN', 'HYPERLIQUID_PRIVATE_KEY', 'TRADING_ENABLED'];
+
+let savedEnv;
+let repository;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  process.env.CONTROL_API_TOKEN = TOKEN;
+  delete process.env.HYPERLIQUID_PRIVATE_KEY;
+  delete process.env.TRADING_ENABLED;
+
+  repository = new LocalRepository({
+    seed: {
+      order_blocks: [
+        { $id: 'ob1', symbol: 'BTCUSDT', timeframe: '4h', type: 'BULLISH', top: 101, bottom: 100, confirmationTime: '2024-01-01T00:00:00.000Z', isActive: true, isProcessed: false }
+      ],
+      positions: [
+        { $id: 'pos1', symbol: 'BTCUSDT', side: 'LONG', status: 'OPEN', size: 1, avgEntryPrice: 100, stopLoss: 90, openTime: '2024-01-01T00:00:00.000Z' }
+      ]
+    }
+  });
+});
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+async function call(method, path, { headers = { authorization: `Bearer ${TOKEN}` }, body } = {}) {
+  let response;
+  const res = { json: (payload, status = 200) => (response = { status, body: payload }) };
+  const notifier = { enabled: false, notify: async () => ({ sent: [], failed: [] }) };
+
+  await controlApi({ req: { method, path, headers, body }, res, log: () => {}, error: () => {}, repository, notifier });
+  return response;
+}
+
+test('refuses every request when CONTROL_API_TOKEN is not set', async () => {
+  delete process.env.CONTROL_API_TOKEN;
+  const response = await call('GET', '/status');
+  assert.equal(response.status, 503);
+});
+
+test('rejects missing and wrong tokens', async () => {
+  assert.equal((await call('GET', '/status', { headers: {} })).status, 401);
+  assert.equal((await call('GET', '/status', { headers: { authorization: 'Bearer nope' } })).status, 401);
+  assert.equal((await call('GET', '/status', { headers: { authorization: `Basic ${TOKEN}` } })).status, 401);
+  assert.equal((await call('GET', '/status', { headers: { 'x-api-key': '' } })).status, 401);
+});
+
+test('accepts bearer and x-api-key tokens', async () => {
+  assert.equal((await call('GET', '/status')).status, 200);
+  assert.equal((await call('GET', '/status/', { headers: { 'x-api-key': TOKEN } })).status, 200);
+});
+
+test('unknown routes and methods return 404', async () => {
+  assert.equal((await call('GET', '/nope')).status, 404);
+  assert.equal((await call('GET', '/trading/pause')).status, 404);
+  assert.equal((await call('DELETE', '/positions/pos1/close')).status, 404);
+});
+
+test('invalid JSON bodies return 400', async () => {
+  const response = await call('POST', '/trading/pause', { body: '{not json' });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Invalid JSON body/);
+});
+
+test('pause and resume toggle the kill switch and are audited', async () => {
+  const paused = await call('POST', '/trading/pause', { body: JSON.stringify({ reason: 'maintenance' }) });
+  assert.equal(paused.body.action, 'paused');
+  assert.equal(paused.body.pause.reason, 'maintenance');
+  assert.equal((await call('POST', '/trading/pause')).body.action, 'already_paused');
+  assert.equal((await call('GET', '/status')).body.paused, true);
+
+  assert.equal((await call('POST', '/trading/resume')).body.action, 'resumed');
+  assert.equal((await call('POST', '/trading/resume')).body.action, 'not_paused');
+  assert.equal(await repository.getTradingPause(), null);
+
+  const audit = repository.dump().system_logs.map(l => l.message);
+  assert.deepEqual(audit, ['Control API: trading paused', 'Control API: trading resumed']);
+});
+
+test('route parameters are decoded and passed to handlers', async () => {
+  assert.equal((await call('POST', '/obs/missing/ignore')).status, 404);
+
+  const ignored = await call('POST', '/obs/ob%31/ignore', { body: { reason: 'manual' } });
+  assert.equal(ignored.body.action, 'ignored');
+  assert.equal((await repository.getOB('ob1')).processedReason, 'manual_ignore');
+  assert.equal((await call('POST', '/obs/ob1/ignore')).body.action, 'already_processed');
+});
+
+test('exchange actions need a real account', async () => {
+  assert.equal((await call('POST', '/positions/missing/close')).status, 404);
+
+  const response = await call('POST', '/positions/pos1/stop', { body: { stopLoss: 95 } });
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /mock mode/);
+});
@@ -0,0 +1,156 @@
+/**
+ * 成交对账：整笔交易净盈亏、分批平仓、程序平仓结算
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildReconciliation,
+  reconcilePartialExit,
+  settleClose,
+  summarizePartialExits
+} = require('../shared/fill-reconciliation');
+
+const OPEN_TIME = '2024-01-01T00:00:00.000Z';
+const T0 = new Date(OPEN_TIME).getTime();
+
+// 多头 1 BTC @ 100：开仓手续费 0.05
+function position(overrides = {}) {
+  return {
+    side: 'LONG',
+    size: 1,
+    avgEntryPrice: 100,
+    openTime: OPEN_TIME,
+    entryFee: 0.05,
+    ...overrides
+  };
+}
+
+function fill(dir, px, sz, { fee = 0, closedPnl = 0, time = T0, coin = 'BTC' } = {}) {
+  return { coin, dir, px: String(px), sz: String(sz), fee: String(fee), closedPnl: String(closedPnl), time };
+}
+
+const ENTRY = fill('Open Long', 100, 1, { fee: 0.05, time: T0 + 1000 });
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≈ ${expected}`);
+}
+
+test('buildReconciliation returns net PnL including fees and funding', () => {
+  const fills = [
+    ENTRY,
+    fill('Close Long', 110, 0.4, { fee: 0.02, closedPnl: 4, time: T0 + 5000 }),
+    fill('Close Long', 111, 0.6, { fee: 0.03, closedPnl: 6.6, time: T0 + 6000 }),
+    fill('Close Long', 50, 1, { coin: 'ETH', time: T0 + 6000 })
+  ];
+  const funding = [
+    { delta: { type: 'funding', coin: 'BTC', usdc: '-0.5' } },
+    { delta: { type: 'funding', coin: 'ETH', usdc: '-9' } }
+  ];
+
+  const result = buildReconciliation(position(), fills, funding, 'BTC');
+
+  near(result.exitPrice, 110.6);
+  near(result.exitSize, 1);
+  near(result.fee, 0.1);
+  near(result.funding, -0.5);
+  near(result.grossPnl, 10.6);
+  near(result.pnl, 10.6 - 0.5 - 0.1);
+  near(result.pnlPercent, 10);
+  assert.equal(result.liquidated, false);
+  assert.equal(result.fills, 2);
+});
+
+test('buildReconciliation reports only the final exit after partial exits', () => {
+  const fills = [
+    ENTRY,
+    fill('Close Long', 120, 0.5, { fee: 0.03, closedPnl: 10, time: T0 + 5000 }),
+    fill('Liquidation', 80, 0.5, { fee: 0.02, closedPnl: -10, time: T0 + 9000 })
+  ];
+
+  const result = buildReconciliation(position({ lastPartialExitTime: new Date(T0 + 5000).toISOString() }), fills, [], 'BTC');
+
+  near(result.exitPrice, 80);
+  near(result.exitSize, 0.5);
+  near(result.exitFee, 0.02);
+  near(result.pnl, -0.1);
+  assert.equal(result.liquidated, true);
+});
+
+test('buildReconciliation returns null without exit fills', () => {
+  assert.equal(buildReconciliation(position(), [ENTRY], [], 'BTC'), null);
+});
+
+test('reconcilePartialExit sums exit fills after the last partial exit', async () => {
+  let window;
+  const hl = {
+    getUserFillsByTime: async (start, end) => {
+      window = [start, end];
+      return [ENTRY, fill('Close Long', 120, 0.5, { fee: 0.03, closedPnl: 10, time: T0 + 5000 })];
+    }
+  };
+
+  const result = await reconcilePartialExit(hl, position(), 'BTC', { since: new Date(T0 + 2000).toISOString(), now: T0 + 10000 });
+
+  assert.equal(window[0], T0 + 2001);
+  near(result.exitPrice, 120);
+  near(result.size, 0.5);
+  near(result.pnl, 9.97);
+});
+
+test('summarizePartialExits totals recorded tranches', () => {
+  const doc = position({ scaleOuts: JSON.stringify([{ pnl: 9.97, fee: 0.03 }, { pnl: 4, fee: 0.01 }]) });
+  assert.deepEqual(summarizePartialExits(doc), { pnl: 13.97, fee: 0.04 });
+  assert.deepEqual(summarizePartialExits(position({ scaleOuts: 'broken' })), { pnl: 0, fee: 0 });
+});
+
+test('settleClose uses fills that include the program close', async () => {
+  const doc = position({
+    remainingSize: 0.5,
+    realizedPnL: 9.97,
+    lastPartialExitTime: new Date(T0 + 5000).toISOString(),
+    scaleOuts: JSON.stringify([{ pnl: 9.97, fee: 0.03 }])
+  });
+  const hl = {
+    getUserFillsByTime: async () => [
+      ENTRY,
+      fill('Close Long', 120, 0.5, { fee: 0.03, closedPnl: 10, time: T0 + 5000 }),
+      fill('Close Long', 130, 0.5, { fee: 0.04, closedPnl: 15, time: T0 + 9000 })
+    ],
+    getUserFunding: async () => []
+  };
+
+  const result = await settleClose(hl, doc, 'BTC', { exitPrice: 129, exitFee: 0 });
+
+  assert.equal(result.reconciled, true);
+  near(result.exitPrice, 130);
+  near(result.exitFee, 0.04);
+  near(result.pnl, 25 - 0.12);
+  near(result.remainderPnl, 25 - 0.12 - 9.97);
+});
+
+test('settleClose falls back to a fee-net estimate when fills are missing', async () => {
+  const doc = position({
+    remainingSize: 0.5,
+    realizedPnL: 9.97,
+    lastPartialExitTime: new Date(T0 + 5000).toISOString(),
+    scaleOuts: JSON.stringify([{ pnl: 9.97, fee: 0.03 }])
+  });
+  // 成交记录还没有这次平仓
+  const hl = {
+    getUserFillsByTime: async () => [ENTRY, fill('Close Long', 120, 0.5, { fee: 0.03, closedPnl: 10, time: T0 + 5000 })],
+    getUserFunding: async () => []
+  };
+
+  const result = await settleClose(hl, doc, 'BTC', { exitPrice: 130, exitFee: 0.04 });
+
+  assert.equal(result.reconciled, false);
+  near(result.remainderPnl, 15 - 0.05 - 0.04);
+  near(result.pnl, 9.97 + 15 - 0.05 - 0.04);
+  near(result.fee, 0.05 + 0.03 + 0.04);
+
+  const failing = { getUserFillsByTime: async () => { throw new Error('down'); }, getUserFunding: async () => [] };
+  const fallback = await settleClose(failing, position(), 'BTC', { exitPrice: 110 });
+  assert.equal(fallback.reconciled, false);
+  near(fallback.pnl, 10 - 0.05);
+});
@@ -0,0 +1,91 @@
+/**
+ * OB 增量检测：checkpoint 续跑与一次性全量检测结果一致
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BOOTSTRAP_EMIT_CANDLES,
+  findPotentialOrderBlocks,
+  detectClosedCandles
+} = require('../shared/ob-detector');
+
+const OPTIONS = { swingLength: 3, volumeLookback: 20, volumeMethod: 'percentile', volumeParam: 0, maxATRMultiplier: 3.5 };
+
+// 确定性的震荡行情（1h），足够产生多组摆动点与 OB
+function makeKlines(count) {
+  const start = Date.UTC(2024, 0, 1);
+  const klines = [];
+
+  for (let i = 0; i < count; i++) {
+    const close = 100 + 8 * Math.sin(i / 6) + 3 * Math.sin(i / 2.3);
+    const open = i > 0 ? klines[i - 1].close : close;
+    klines.push({
+      timestamp: new Date(start + i * 3600 * 1000),
+      open,
+      high: Math.max(open, close) + 0.4,
+      low: Math.min(open, close) - 0.4,
+      close,
+      volume: 100 + (i % 7) * 10
+    });
+  }
+
+  return klines;
+}
+
+function keyOf(ob) {
+  return `${ob.type} ${new Date(ob.confirmationCandle.timestamp).toISOString()} ${ob.low}-${ob.high}`;
+}
+
+const KLINES = makeKlines(120);
+
+test('bootstrap only emits OBs confirmed on the last few candles', () => {
+  const result = detectClosedCandles(KLINES, null, OPTIONS);
+  const emitFrom = KLINES[KLINES.length - BOOTSTRAP_EMIT_CANDLES].timestamp.getTime();
+
+  assert.equal(result.reset, 'bootstrap');
+  assert.equal(result.checkpoint.lastCandleTime, KLINES[KLINES.length - 1].timestamp.toISOString());
+  assert.ok(result.orderBlocks.every(ob => new Date(ob.confirmationCandle.timestamp).getTime() >= emitFrom));
+});
+
+test('resuming from checkpoints matches a full scan, candle by candle', () => {
+  const full = findPotentialOrderBlocks(KLINES, OPTIONS.swingLength, OPTIONS.volumeLookback, OPTIONS.volumeMethod, OPTIONS.volumeParam, OPTIONS.maxATRMultiplier, null);
+  const bootstrapEnd = 40;
+  const cutoff = KLINES[bootstrapEnd - 1].timestamp.getTime();
+  const expected = [...full.bullishOBs, ...full.bearishOBs]
+    .filter(ob => new Date(ob.confirmationCandle.timestamp).getTime() > cutoff)
+    .map(keyOf)
+    .sort();
+
+  let { checkpoint } = detectClosedCandles(KLINES.slice(0, bootstrapEnd), null, OPTIONS);
+  const found = [];
+
+  // 每次只多一根收盘 K 线，窗口滑动（与 Scanner 拉取最近 N 根一致）
+  for (let end = bootstrapEnd + 1; end <= KLINES.length; end++) {
+    const result = detectClosedCandles(KLINES.slice(Math.max(0, end - 60), end), checkpoint, OPTIONS);
+    assert.equal(result.reset, null);
+    assert.equal(result.processed, 1);
+    found.push(...result.orderBlocks);
+    checkpoint = result.checkpoint;
+  }
+
+  assert.ok(expected.length > 0);
+  assert.deepEqual(found.map(keyOf).sort(), expected);
+});
+
+test('re-running the same candles is a no-op', () => {
+  const { checkpoint } = detectClosedCandles(KLINES, null, OPTIONS);
+  const again = detectClosedCandles(KLINES, checkpoint, OPTIONS);
+
+  assert.equal(again.reset, null);
+  assert.equal(again.processed, 0);
+  assert.deepEqual(again.orderBlocks, []);
+  assert.deepEqual(again.checkpoint, checkpoint);
+});
+
+test('changed parameters or a gap rebuild the state', () => {
+  const { checkpoint } = detectClosedCandles(KLINES.slice(0, 40), null, OPTIONS);
+
+  assert.equal(detectClosedCandles(KLINES.slice(0, 41), checkpoint, { ...OPTIONS, swingLength: 5 }).reset, 'params_changed');
+  assert.equal(detectClosedCandles(KLINES.slice(50, 110), checkpoint, OPTIONS).reset, 'gap');
+});
@@ -0,0 +1,110 @@
+/**
+ * 对账：交易所状态与数据库持仓的差异分类
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DISCREPANCY, findDiscrepancies, findStopOrder } = require('../functions/reconciler/src/discrepancies');
+
+const NOW = new Date('2024-01-01T12:00:00.000Z').getTime();
+const GRACE = 10 * 60 * 1000;
+
+function openDoc(overrides = {}) {
+  return { $id: 'pos1', symbol: 'BTCUSDT', side: 'LONG', status: 'OPEN', size: 1, openTime: '2024-01-01T00:00:00.000Z', ...overrides };
+}
+
+function exchangePosition(coin, szi) {
+  return { coin, szi: String(szi) };
+}
+
+function stopOrder(coin, side, overrides = {}) {
+  return { coin, side, isTrigger: true, reduceOnly: true, orderType: 'Stop Market', oid: 7, ...overrides };
+}
+
+function types(result) {
+  return result.map(d => d.type).sort();
+}
+
+function check(params) {
+  return findDiscrepancies({ dbPositions: [], exchangePositions: [], openOrders: [], pendingGraceMs: GRACE, now: NOW, ...params });
+}
+
+test('matching position with a stop has no discrepancies', () => {
+  const result = check({
+    dbPositions: [openDoc()],
+    exchangePositions: [exchangePosition('BTC', 1)],
+    openOrders: [stopOrder('BTC', 'A')]
+  });
+  assert.deepEqual(result, []);
+});
+
+test('open record without an exchange position is missing on exchange', () => {
+  assert.deepEqual(types(check({ dbPositions: [openDoc()] })), [DISCREPANCY.MISSING_ON_EXCHANGE]);
+});
+
+test('exchange position without a record is an orphan, and flags a missing stop', () => {
+  const result = check({ exchangePositions: [exchangePosition('ETH', -2)] });
+  assert.deepEqual(types(result), [DISCREPANCY.MISSING_STOP, DISCREPANCY.ORPHAN_EXCHANGE_POSITION].sort());
+  assert.equal(result.find(d => d.type === DISCREPANCY.ORPHAN_EXCHANGE_POSITION).symbol, 'ETHUSDT');
+});
+
+test('size and side are compared against the remaining size', () => {
+  const orders = [stopOrder('BTC', 'A')];
+
+  assert.deepEqual(check({
+    dbPositions: [openDoc({ remainingSize: 0.5 })],
+    exchangePositions: [exchangePosition('BTC', 0.5)],
+    openOrders: orders
+  }), []);
+
+  const mismatch = check({
+    dbPositions: [openDoc({ remainingSize: 0.5 })],
+    exchangePositions: [exchangePosition('BTC', 1)],
+    openOrders: orders
+  });
+  assert.deepEqual(types(mismatch), [DISCREPANCY.SIZE_MISMATCH]);
+  assert.equal(mismatch[0].exchangeSize, 1);
+
+  const flipped = check({
+    dbPositions: [openDoc()],
+    exchangePositions: [exchangePosition('BTC', -1)],
+    openOrders: [stopOrder('BTC', 'B')]
+  });
+  assert.deepEqual(types(flipped), [DISCREPANCY.SIZE_MISMATCH]);
+  assert.equal(flipped[0].exchangeSide, 'SHORT');
+});
+
+test('duplicate open records are reported once per coin', () => {
+  const result = check({
+    dbPositions: [openDoc(), openDoc({ $id: 'pos2' })],
+    exchangePositions: [exchangePosition('BTC', 1)],
+    openOrders: [stopOrder('BTC', 'A')]
+  });
+  assert.deepEqual(types(result), [DISCREPANCY.DUPLICATE_OPEN]);
+  assert.equal(result[0].positions.length, 2);
+});
+
+test('pending records are only checked after the grace period', () => {
+  const fresh = openDoc({ status: 'PENDING', openTime: new Date(NOW - GRACE / 2).toISOString() });
+  const stale = openDoc({ $id: 'pos2', status: 'PENDING', openTime: new Date(NOW - GRACE * 2).toISOString() });
+
+  assert.deepEqual(check({ dbPositions: [fresh] }), []);
+  assert.deepEqual(types(check({ dbPositions: [stale] })), [DISCREPANCY.PENDING_STALE]);
+
+  // 交易所已有持仓：PENDING 认领该持仓，不再算孤儿
+  const filled = check({
+    dbPositions: [stale],
+    exchangePositions: [exchangePosition('BTC', 1)],
+    openOrders: [stopOrder('BTC', 'A')]
+  });
+  assert.deepEqual(types(filled), [DISCREPANCY.PENDING_FILLED]);
+});
+
+test('findStopOrder ignores take-profit and same-side orders', () => {
+  const position = exchangePosition('BTC', 1);
+
+  assert.equal(findStopOrder(position, [stopOrder('BTC', 'A', { orderType: 'Take Profit Market' })]), null);
+  assert.equal(findStopOrder(position, [stopOrder('BTC', 'B')]), null);
+  assert.equal(findStopOrder(position, [stopOrder('BTC', 'A', { reduceOnly: false })]), null);
+  assert.equal(findStopOrder(position, [stopOrder('ETH', 'A'), stopOrder('BTC', 'A', { oid: 9 })]).oid, 9);
+});
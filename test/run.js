@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * npm test：单元测试（test/*.test.js，node:test）+ 离线检查脚本
+ *
+ * 检查脚本只使用测试向量 / 本地交易所替身 / 本地 webhook 替身，不访问网络。
+ * 任一步失败时继续执行其余步骤，最后以非零状态退出。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+const UNIT_TESTS = fs.readdirSync(__dirname)
+  .filter(f => f.endsWith('.test.js'))
+  .sort()
+  .map(f => path.join('test', f));
+
+// 没有测试文件时不能只传 --test：node 会按默认规则把本脚本也当作测试运行
+const STEPS = [
+  ...(UNIT_TESTS.length > 0 ? [{ name: 'Unit tests', args: ['--test', ...UNIT_TESTS] }] : []),
+  { name: 'Hyperliquid signing', args: ['scripts/test-signing.js'] },
+  { name: 'Exchange simulator', args: ['scripts/test-simulator.js'] },
+  { name: 'Notifier (local webhooks)', args: ['scripts/test-notifier.js', '--local'] }
+];
+
+const results = STEPS.map(step => {
+  console.log(`\n${'━'.repeat(60)}\n▶️  ${step.name}\n${'━'.repeat(60)}`);
+
+  const result = spawnSync(process.execPath, step.args, { cwd: ROOT, stdio: 'inherit' });
+  return { name: step.name, ok: result.status === 0 };
+});
+
+console.log(`\n${'━'.repeat(60)}`);
+for (const r of results) {
+  console.log(`${r.ok ? '✅' : '❌'} ${r.name}`);
+}
+
+process.exit(results.every(r => r.ok) ? 0 : 1);
@@ -0,0 +1,97 @@
+/**
+ * 止损管理：策略解析、候选止损选择、移动记录上限
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseStopPolicies,
+  computeStopUpdate,
+  parseStopHistory,
+  appendStopHistory
+} = require('../shared/stop-management');
+
+const CONFIG = {
+  stopPolicies: ['breakeven', 'ob_step'],
+  breakEvenTriggerR: 1,
+  breakEvenFeeRate: 0.001,
+  stopBufferATR: 0
+};
+
+function position(overrides = {}) {
+  return {
+    side: 'LONG',
+    size: 1,
+    avgEntryPrice: 100,
+    stopLoss: 90,
+    initialStopLoss: 90,
+    openTime: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+test('parseStopPolicies normalizes and validates the list', () => {
+  assert.deepEqual(parseStopPolicies(' Breakeven, ob_step ,'), ['breakeven', 'ob_step']);
+  assert.deepEqual(parseStopPolicies(''), []);
+  assert.throws(() => parseStopPolicies('breakeven,moon'), /Unknown stop policy: moon/);
+});
+
+test('computeStopUpdate waits for the breakeven trigger', () => {
+  const result = computeStopUpdate(position(), 105, {}, CONFIG);
+  assert.equal(result.update, false);
+  assert.deepEqual(result.candidates, []);
+});
+
+test('computeStopUpdate moves to breakeven including fees', () => {
+  const result = computeStopUpdate(position(), 110, {}, CONFIG);
+  assert.equal(result.update, true);
+  assert.equal(result.policy, 'breakeven');
+  assert.equal(result.reason, 'BREAKEVEN_1R');
+  assert.ok(Math.abs(result.newStopLoss - 100.1) < 1e-9);
+});
+
+test('computeStopUpdate picks the tightest valid candidate', () => {
+  const obs = [
+    { type: 'BULLISH', timeframe: '4h', bottom: 104, top: 106, confirmationTime: '2024-01-02T00:00:00.000Z' },
+    // 开仓前确认的 OB 不参与
+    { type: 'BULLISH', timeframe: '4h', bottom: 108, top: 109, confirmationTime: '2023-12-31T00:00:00.000Z' }
+  ];
+
+  const result = computeStopUpdate(position(), 112, { obs }, CONFIG);
+  assert.equal(result.policy, 'ob_step');
+  assert.equal(result.newStopLoss, 104);
+  assert.equal(result.candidates.length, 2);
+});
+
+test('computeStopUpdate never loosens the stop', () => {
+  const result = computeStopUpdate(position({ stopLoss: 105 }), 110, {}, CONFIG);
+  assert.equal(result.update, false);
+  assert.equal(result.candidates[0].valid, false);
+});
+
+test('computeStopUpdate mirrors the rules for shorts', () => {
+  const result = computeStopUpdate(position({ side: 'SHORT', stopLoss: 110, initialStopLoss: 110 }), 90, {}, CONFIG);
+  assert.equal(result.update, true);
+  assert.ok(Math.abs(result.newStopLoss - 99.9) < 1e-9);
+});
+
+test('parseStopHistory tolerates empty and corrupt values', () => {
+  assert.deepEqual(parseStopHistory({}), []);
+  assert.deepEqual(parseStopHistory({ stopHistory: 'not json' }), []);
+  assert.deepEqual(parseStopHistory({ stopHistory: '{"a":1}' }), []);
+});
+
+test('appendStopHistory keeps the most recent entries within the column size', () => {
+  let doc = {};
+  for (let i = 0; i < 50; i++) {
+    doc = { stopHistory: appendStopHistory(doc, { time: new Date(i * 1000).toISOString(), from: i, to: i + 1, policy: 'atr', reason: 'TRAILING_STOP' }) };
+  }
+
+  const history = parseStopHistory(doc);
+  assert.equal(history.length, 20);
+  assert.equal(history[history.length - 1].from, 49);
+  assert.ok(doc.stopHistory.length <= 4000);
+
+  const long = appendStopHistory({}, { reason: 'x'.repeat(5000) });
+  assert.equal(parseStopHistory({ stopHistory: long }).length, 1);
+});
@@ -0,0 +1,98 @@
+/**
+ * 分批止盈梯度：解析、级数匹配、每级平仓数量
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseScaleOutLadder,
+  hasPartialScaleOut,
+  matchLadderStage,
+  getDueScaleOut
+} = require('../shared/strategy');
+
+const LADDER = parseScaleOutLadder('htf:50,2R:25,trail:25');
+
+// 多头 1 BTC @ 100，初始止损 90（1R = 10）
+function position(overrides = {}) {
+  return {
+    side: 'LONG',
+    size: 1,
+    avgEntryPrice: 100,
+    stopLoss: 90,
+    initialStopLoss: 90,
+    scaleOutStage: 0,
+    ...overrides
+  };
+}
+
+test('parseScaleOutLadder parses htf / R / trail steps', () => {
+  assert.deepEqual(LADDER, [
+    { trigger: 'htf', r: null, percent: 50 },
+    { trigger: 'r', r: 2, percent: 25 },
+    { trigger: 'trail', r: null, percent: 25 }
+  ]);
+  assert.deepEqual(parseScaleOutLadder(' 1.5R : 100 '), [{ trigger: 'r', r: 1.5, percent: 100 }]);
+  assert.deepEqual(parseScaleOutLadder(''), []);
+});
+
+test('parseScaleOutLadder rejects invalid steps', () => {
+  assert.throws(() => parseScaleOutLadder('htf:0'), /Invalid scale-out percent/);
+  assert.throws(() => parseScaleOutLadder('htf:150'), /Invalid scale-out percent/);
+  assert.throws(() => parseScaleOutLadder('2x:50'), /Invalid scale-out trigger/);
+  assert.throws(() => parseScaleOutLadder('0R:50'), /Invalid scale-out trigger/);
+});
+
+test('hasPartialScaleOut is false only for single full-size steps', () => {
+  assert.equal(hasPartialScaleOut(LADDER), true);
+  assert.equal(hasPartialScaleOut(parseScaleOutLadder('htf:100')), false);
+  assert.equal(hasPartialScaleOut([]), false);
+});
+
+test('matchLadderStage counts steps covered by the closed size', () => {
+  assert.equal(matchLadderStage(position(), LADDER), 0);
+  assert.equal(matchLadderStage(position({ remainingSize: 0.5 }), LADDER), 1);
+  assert.equal(matchLadderStage(position({ remainingSize: 0.25 }), LADDER), 2);
+  // trail 级不会被数量匹配
+  assert.equal(matchLadderStage(position({ remainingSize: 0 }), LADDER), 2);
+  // 取整误差在一个最小下单量以内
+  assert.equal(matchLadderStage(position({ remainingSize: 0.505 }), LADDER, { minSize: 0.01 }), 1);
+  assert.equal(matchLadderStage(position({ remainingSize: 0.6 }), LADDER, { minSize: 0.01 }), 0);
+  // 不低于已记录的级数
+  assert.equal(matchLadderStage(position({ scaleOutStage: 2, remainingSize: 0.9 }), LADDER), 2);
+});
+
+test('getDueScaleOut closes the next tranche when its R target is hit', () => {
+  const ladder = parseScaleOutLadder('2R:50,3R:50');
+
+  assert.equal(getDueScaleOut(position(), 115, [], ladder), null);
+
+  const first = getDueScaleOut(position(), 120, [], ladder, { minSize: 0.001 });
+  assert.equal(first.stage, 1);
+  assert.equal(first.size, 0.5);
+  assert.equal(first.closeAll, false);
+  assert.equal(first.reason, 'SCALE_OUT_2R');
+  assert.equal(first.targetPrice, 120);
+
+  const last = getDueScaleOut(position({ scaleOutStage: 1, remainingSize: 0.5 }), 130, [], ladder, { minSize: 0.001 });
+  assert.equal(last.stage, 2);
+  assert.equal(last.size, 0.5);
+  assert.equal(last.closeAll, true);
+});
+
+test('getDueScaleOut does not repeat a tranche already filled on the exchange', () => {
+  const ladder = parseScaleOutLadder('2R:50,3R:25,trail:25');
+
+  // 交易所止盈单已平掉 50%，但 scaleOutStage 仍为 0
+  const due = getDueScaleOut(position({ remainingSize: 0.5 }), 120, [], ladder, { minSize: 0.001 });
+  assert.equal(due, null);
+
+  // 交易所平掉 30%：下一级只补足到 50%
+  const partial = getDueScaleOut(position({ remainingSize: 0.7 }), 120, [], ladder, { minSize: 0.001 });
+  assert.equal(partial.stage, 1);
+  assert.equal(partial.size, 0.2);
+});
+
+test('getDueScaleOut stops at trail steps', () => {
+  assert.equal(getDueScaleOut(position({ scaleOutStage: 2, remainingSize: 0.25 }), 200, [], LADDER), null);
+});